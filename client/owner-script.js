@@ -2,7 +2,9 @@
 class OwnerPortalApp {
   constructor() {
     this.currentPage = "admin-login"
-    this.isAdminLoggedIn = localStorage.getItem('manjula_admin_logged_in') === 'true'
+    this.authToken = localStorage.getItem('manjula_admin_token')
+    this.currentUser = JSON.parse(localStorage.getItem('manjula_admin_user') || 'null')
+    this.isAdminLoggedIn = !!this.authToken
     this.editingProductId = null
     this.adminSearch = ""
     
@@ -15,30 +17,67 @@ class OwnerPortalApp {
     // MongoDB API URL - Auto-detect local vs production
     const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
     const baseURL = isLocalhost ? 'http://localhost:3001' : window.location.origin;
+    this.baseURL = baseURL
     this.API_URL = `${baseURL}/api`
     
-    // Socket.IO connection for real-time updates with reconnection
-    if (typeof io !== 'undefined') {
-      this.socket = io(baseURL, {
-        transports: ['websocket', 'polling'],
-        reconnection: true,
-        reconnectionDelay: 1000,
-        reconnectionDelayMax: 5000,
-        reconnectionAttempts: 10
-      })
-      this.setupSocketListeners()
-    } else {
-      console.warn('⚠️ Socket.IO not loaded, real-time updates disabled');
-      this.socket = null;
-    }
+    // Socket.IO connection to the staff-only channel (needs a session token)
+    this.socket = null
+    this.connectSocket()
     
     this.products = [];
     this.trackingData = [];
     this.orders = [];
+    this.staff = [];
+    this.revenueSummary = null;
+    this.stockReport = null;
+    this.notifications = [];
+    this.suppliers = [];
+    this.purchaseOrders = [];
+    this.editingSupplierId = null;
+    this.productCosts = {};
+    this.profitReport = null;
+    this.profitFilter = { from: '', to: '', period: 'month' };
+    this.technicians = [];
+    this.repairBoardFilter = null; // 'all', 'unassigned' or a technician's user id - technicians start on their own jobs
+    this.pendingIntakePhotos = []; // Photos taken before a new repair is saved (it has no QR ID yet)
+    this.trackingFilter = 'all'; // 'all', 'open' or 'overdue'
+    this.warrantyQuery = '';
+    this.warrantyResults = null; // Completed repairs with a warranty matching the last lookup
+    this.cameraStream = null;
     
     this.init()
   }
 
+  // Connect to the /owner Socket.IO namespace - the server verifies the session token
+  // at handshake and only then sends orders and tracking events
+  connectSocket() {
+    this.disconnectSocket()
+
+    if (!this.authToken) return
+
+    if (typeof io === 'undefined') {
+      console.warn('⚠️ Socket.IO not loaded, real-time updates disabled');
+      return
+    }
+
+    this.socket = io(`${this.baseURL}/owner`, {
+      transports: ['websocket', 'polling'],
+      auth: { token: this.authToken },
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      reconnectionAttempts: 10
+    })
+    this.setupSocketListeners()
+  }
+
+  disconnectSocket() {
+    if (this.socket) {
+      this.socket.disconnect()
+      this.socket = null
+    }
+  }
+
   // Socket.IO Real-time Listeners
   setupSocketListeners() {
     if (!this.socket) {
@@ -53,6 +92,10 @@ class OwnerPortalApp {
 
     this.socket.on('disconnect', (reason) => {
       console.log('❌ Disconnected from server:', reason);
+      // The server drops owner sockets when a session is revoked
+      if (reason === 'io server disconnect') {
+        this.verifySession();
+      }
     });
 
     this.socket.on('reconnect', (attemptNumber) => {
@@ -92,7 +135,7 @@ class OwnerPortalApp {
       if (index !== -1) {
         this.products[index] = product;
         localStorage.setItem('manjula_products', JSON.stringify(this.products));
-        if (this.currentPage === 'admin' || this.currentPage === 'admin-products') {
+        if (['admin', 'admin-products', 'admin-inventory'].includes(this.currentPage)) {
           this.renderPage(this.currentPage);
         }
       }
@@ -112,7 +155,7 @@ class OwnerPortalApp {
       const exists = this.trackingData.find(t => t.qrId === tracking.qrId);
       if (!exists) {
         this.trackingData.push(tracking);
-        if (this.currentPage === 'admin' || this.currentPage === 'admin-tracking') {
+        if (['admin', 'admin-tracking', 'admin-repair-board'].includes(this.currentPage)) {
           this.renderPage(this.currentPage);
         }
       }
@@ -123,7 +166,7 @@ class OwnerPortalApp {
       const index = this.trackingData.findIndex(t => t.qrId === tracking.qrId);
       if (index !== -1) {
         this.trackingData[index] = tracking;
-        if (this.currentPage === 'admin' || this.currentPage === 'admin-tracking') {
+        if (['admin', 'admin-tracking', 'admin-repair-board'].includes(this.currentPage)) {
           this.renderPage(this.currentPage);
         }
       }
@@ -132,7 +175,7 @@ class OwnerPortalApp {
     this.socket.on('tracking-deleted', (data) => {
       console.log('🗑️ Tracking deleted:', data.qrId);
       this.trackingData = this.trackingData.filter(t => t.qrId !== data.qrId);
-      if (this.currentPage === 'admin' || this.currentPage === 'admin-tracking') {
+      if (['admin', 'admin-tracking', 'admin-repair-board'].includes(this.currentPage)) {
         this.renderPage(this.currentPage);
       }
     });
@@ -142,7 +185,7 @@ class OwnerPortalApp {
       const exists = this.orders.find(o => o.orderId === order.orderId);
       if (!exists) {
         this.orders.push(order);
-        if (this.currentPage === 'admin' || this.currentPage === 'admin-orders') {
+        if (['admin', 'admin-orders', 'admin-payments'].includes(this.currentPage)) {
           this.renderPage(this.currentPage);
         }
       }
@@ -153,7 +196,7 @@ class OwnerPortalApp {
       const index = this.orders.findIndex(o => o.orderId === order.orderId);
       if (index !== -1) {
         this.orders[index] = order;
-        if (this.currentPage === 'admin' || this.currentPage === 'admin-orders') {
+        if (['admin', 'admin-orders', 'admin-payments'].includes(this.currentPage)) {
           this.renderPage(this.currentPage);
         }
       }
@@ -162,10 +205,41 @@ class OwnerPortalApp {
     this.socket.on('order-deleted', (data) => {
       console.log('🗑️ Order deleted:', data.orderId);
       this.orders = this.orders.filter(o => o.orderId !== data.orderId);
-      if (this.currentPage === 'admin' || this.currentPage === 'admin-orders') {
+      if (['admin', 'admin-orders', 'admin-payments'].includes(this.currentPage)) {
         this.renderPage(this.currentPage);
       }
     });
+
+    this.socket.on('purchase-order-updated', (purchaseOrder) => {
+      console.log('📥 Purchase order updated:', purchaseOrder.poNumber);
+      const index = this.purchaseOrders.findIndex(po => po.poNumber === purchaseOrder.poNumber);
+      if (index !== -1) {
+        this.purchaseOrders[index] = purchaseOrder;
+      } else {
+        this.purchaseOrders.unshift(purchaseOrder);
+      }
+      // Don't wipe a half-filled purchase order form
+      if (this.currentPage === 'admin-purchases' && !document.getElementById('purchaseLines')) {
+        this.renderPage(this.currentPage);
+      }
+    });
+
+    this.socket.on('purchase-order-deleted', (data) => {
+      this.purchaseOrders = this.purchaseOrders.filter(po => po.poNumber !== data.poNumber);
+      if (this.currentPage === 'admin-purchases' && !document.getElementById('purchaseLines')) {
+        this.renderPage(this.currentPage);
+      }
+    });
+
+    this.socket.on('notification', (notification) => {
+      console.log('🔔 Notification received:', notification.title);
+      if (!this.notifications.find(n => n._id === notification._id)) {
+        this.notifications.unshift({ ...notification, read: false });
+        if (this.currentPage === 'admin') {
+          this.renderPage(this.currentPage);
+        }
+      }
+    });
   }
 
   async init() {
@@ -177,6 +251,9 @@ class OwnerPortalApp {
       
       // Render login page immediately (don't wait for server)
       await this.renderPage(this.currentPage);
+
+      // Make sure a restored session is still accepted by the server
+      await this.verifySession();
       
       // Load data in background without blocking UI
       this.loadDataInBackground();
@@ -204,6 +281,22 @@ class OwnerPortalApp {
         this.loadOrdersFromStorage().catch(err => {
           console.log('⚠️ Orders load failed:', err.message);
           this.orders = [];
+        }),
+        this.loadRevenueSummary().catch(err => {
+          console.log('⚠️ Revenue summary load failed:', err.message);
+          this.revenueSummary = null;
+        }),
+        this.loadStockReport().catch(err => {
+          console.log('⚠️ Stock report load failed:', err.message);
+          this.stockReport = null;
+        }),
+        this.loadNotifications().catch(err => {
+          console.log('⚠️ Notifications load failed:', err.message);
+          this.notifications = [];
+        }),
+        this.loadProductCosts().catch(err => {
+          console.log('⚠️ Product costs load failed:', err.message);
+          this.productCosts = {};
         })
       ]);
       
@@ -380,6 +473,22 @@ class OwnerPortalApp {
       if (actionElement && actionElement.dataset.action === "toggle-tracking-form") {
         this.toggleTrackingForm()
       }
+      
+      // Staff actions
+      if (actionElement && actionElement.dataset.action === "save-staff") {
+        this.saveStaff()
+      }
+
+      // Purchasing actions
+      if (actionElement && actionElement.dataset.action === "save-supplier") {
+        this.saveSupplier()
+      }
+      if (actionElement && actionElement.dataset.action === "add-purchase-line") {
+        this.addPurchaseLine()
+      }
+      if (actionElement && actionElement.dataset.action === "save-purchase-order") {
+        this.savePurchaseOrder(actionElement.dataset.status)
+      }
     })
 
     // Handle Enter key in search inputs
@@ -393,26 +502,121 @@ class OwnerPortalApp {
   }
 
   async handleAdminLogin() {
-    const phone = document.getElementById("adminPhone")?.value || ""
+    const phone = document.getElementById("adminPhone")?.value?.trim() || ""
     const password = document.getElementById("adminPassword")?.value || ""
 
-    if (phone === "9840694616" && password === "admin123") {
-      this.isAdminLoggedIn = true
-      localStorage.setItem('manjula_admin_logged_in', 'true')
-      console.log('✅ Admin logged in - state saved to localStorage')
+    if (!phone || !password) {
+      alert("Please enter your phone number and password.")
+      return
+    }
+
+    try {
+      const response = await fetch(`${this.API_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phone, password })
+      })
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}))
+        alert(response.status === 401
+          ? "Invalid credentials. Please check your phone number and password."
+          : `❌ Login failed: ${error.error || response.statusText}`)
+        return
+      }
+
+      const { token, user } = await response.json()
+      this.setSession(token, user)
+      this.connectSocket()
+      console.log('✅ Admin logged in - session saved to localStorage')
       await this.renderPage("admin")
-    } else {
-      alert("Invalid credentials. Please check your phone number and password.")
+      this.loadDataInBackground()
+    } catch (error) {
+      console.error('❌ Login error:', error)
+      alert("🌐 Could not reach the server. Please check your connection and try again.")
     }
   }
 
   async handleAdminLogout() {
-    this.isAdminLoggedIn = false
-    localStorage.removeItem('manjula_admin_logged_in')
-    console.log('✅ Admin logged out - state removed from localStorage')
+    try {
+      await fetch(`${this.API_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${this.authToken}` }
+      })
+    } catch (error) {
+      console.log('⚠️ Logout request failed, clearing local session anyway:', error.message)
+    }
+    this.clearSession()
+    console.log('✅ Admin logged out - session removed from localStorage')
     await this.renderPage("admin-login")
   }
 
+  setSession(token, user) {
+    this.authToken = token
+    this.currentUser = user
+    this.isAdminLoggedIn = true
+    localStorage.setItem('manjula_admin_token', token)
+    localStorage.setItem('manjula_admin_user', JSON.stringify(user))
+  }
+
+  clearSession() {
+    this.disconnectSocket()
+    this.authToken = null
+    this.currentUser = null
+    this.isAdminLoggedIn = false
+    localStorage.removeItem('manjula_admin_token')
+    localStorage.removeItem('manjula_admin_user')
+  }
+
+  // fetch() wrapper that sends the owner session token and handles expired sessions
+  async apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) }
+    if (this.authToken) {
+      headers['Authorization'] = `Bearer ${this.authToken}`
+    }
+
+    const response = await fetch(url, { ...options, headers })
+
+    if (response.status === 401 && this.isAdminLoggedIn) {
+      console.log('⚠️ Session expired or invalid - returning to login')
+      this.clearSession()
+      await this.renderPage("admin-login")
+      alert("Your session has expired. Please log in again.")
+    }
+
+    return response
+  }
+
+  // Confirm a restored session is still valid on the server
+  async verifySession() {
+    if (!this.authToken) return
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/auth/me`)
+      if (response.ok) {
+        const { user } = await response.json()
+        this.setSession(this.authToken, user)
+      }
+    } catch (error) {
+      console.log('⚠️ Could not verify session, keeping it until the next request:', error.message)
+    }
+  }
+
+  // Check whether the logged-in staff member's role allows an action
+  can(permission) {
+    return !!this.currentUser?.permissions?.includes(permission)
+  }
+
+  // Escape customer- and staff-entered text before it goes into innerHTML
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+  }
+
   // Product Management Methods - Database ONLY
   async loadProductsFromStorage() {
     try {
@@ -434,8 +638,13 @@ class OwnerPortalApp {
 
   // Tracking Management Methods
   async loadTrackingFromStorage() {
+    if (!this.can('tracking:read')) {
+      this.trackingData = [];
+      return;
+    }
+
     try {
-      const response = await fetch(`${this.API_URL}/tracking`);
+      const response = await this.apiFetch(`${this.API_URL}/tracking`);
       if (response.ok) {
         this.trackingData = await response.json();
         console.log('✅ Loaded tracking from database:', this.trackingData.length);
@@ -450,9 +659,14 @@ class OwnerPortalApp {
 
   // Orders Management Methods
   async loadOrdersFromStorage() {
+    if (!this.can('orders:read')) {
+      this.orders = [];
+      return;
+    }
+
     try {
       console.log('📡 [OWNER] Loading orders from database...');
-      const response = await fetch(`${this.API_URL}/orders`);
+      const response = await this.apiFetch(`${this.API_URL}/orders`);
       if (response.ok) {
         this.orders = await response.json();
         console.log('✅ [OWNER] Loaded orders from database:', this.orders.length);
@@ -462,7 +676,6 @@ class OwnerPortalApp {
           console.log(`📋 [OWNER] Order ${index + 1}:`, {
             orderId: order.orderId,
             hasScreenshot: !!order.paymentScreenshot,
-            screenshotDataLength: order.paymentScreenshot?.data?.length,
             paymentMethod: order.paymentMethod
           });
         });
@@ -476,6 +689,177 @@ class OwnerPortalApp {
     }
   }
 
+  // Revenue summary - owner only
+  async loadRevenueSummary() {
+    if (!this.can('reports:revenue')) {
+      this.revenueSummary = null;
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/reports/revenue`);
+      this.revenueSummary = response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('❌ Error loading revenue summary:', error);
+      this.revenueSummary = null;
+    }
+  }
+
+  // Cost prices aren't in the public product list - owner only
+  async loadProductCosts() {
+    if (!this.can('products:cost')) {
+      this.productCosts = {};
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/products/costs`);
+      const costs = response.ok ? await response.json() : [];
+      this.productCosts = Object.fromEntries(costs.map(({ id, costPrice }) => [id, costPrice]));
+    } catch (error) {
+      console.error('❌ Error loading product costs:', error);
+      this.productCosts = {};
+    }
+  }
+
+  getProductCost(product) {
+    return this.productCosts[String(product._id || product.id)] ?? null;
+  }
+
+  // Gross margin from delivered orders and completed repairs - owner only
+  async loadProfitReport() {
+    if (!this.can('reports:profit')) {
+      this.profitReport = null;
+      return;
+    }
+
+    const params = new URLSearchParams({ period: this.profitFilter.period });
+    if (this.profitFilter.from) params.set('from', this.profitFilter.from);
+    if (this.profitFilter.to) params.set('to', this.profitFilter.to);
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/reports/profit?${params}`);
+      this.profitReport = response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('❌ Error loading profit report:', error);
+      this.profitReport = null;
+    }
+  }
+
+  // Stock levels with reorder suggestions
+  async loadStockReport() {
+    if (!this.can('inventory:read')) {
+      this.stockReport = null;
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/reports/stock`);
+      this.stockReport = response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('❌ Error loading stock report:', error);
+      this.stockReport = null;
+    }
+  }
+
+  // Staff notifications (daily digests) for the logged-in user's role
+  async loadNotifications() {
+    if (!this.isAdminLoggedIn) {
+      this.notifications = [];
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/notifications`);
+      this.notifications = response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('❌ Error loading notifications:', error);
+      this.notifications = [];
+    }
+  }
+
+  async markNotificationRead(id) {
+    const notification = this.notifications.find(n => n._id === id);
+    if (!notification) return;
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/notifications/${id}/read`, { method: 'POST' });
+      if (response.ok) {
+        notification.read = true;
+        this.renderPage(this.currentPage);
+      }
+    } catch (error) {
+      console.error('❌ Error updating notification:', error);
+    }
+  }
+
+  // Purchasing Methods
+  async loadTechnicians() {
+    if (!this.can('tracking:read')) {
+      this.technicians = [];
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/technicians`);
+      this.technicians = response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('❌ Error loading technicians:', error);
+      this.technicians = [];
+    }
+  }
+
+  async loadSuppliers() {
+    if (!this.can('purchasing:read')) {
+      this.suppliers = [];
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/suppliers`);
+      this.suppliers = response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('❌ Error loading suppliers:', error);
+      this.suppliers = [];
+    }
+  }
+
+  async loadPurchaseOrders() {
+    if (!this.can('purchasing:read')) {
+      this.purchaseOrders = [];
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/purchase-orders`);
+      this.purchaseOrders = response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('❌ Error loading purchase orders:', error);
+      this.purchaseOrders = [];
+    }
+  }
+
+  // Staff Management Methods
+  async loadStaffFromStorage() {
+    if (!this.can('staff:manage')) {
+      this.staff = [];
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/users`);
+      if (response.ok) {
+        this.staff = await response.json();
+        console.log('✅ Loaded staff accounts:', this.staff.length);
+      } else {
+        this.staff = [];
+      }
+    } catch (error) {
+      console.error('❌ Error loading staff:', error);
+      this.staff = [];
+    }
+  }
+
   async renderPage(page) {
     const app = document.getElementById("app")
     this.currentPage = page
@@ -484,22 +868,77 @@ class OwnerPortalApp {
       page = "admin-login"
     }
 
+    // Pages that need a specific role permission
+    const pagePermissions = {
+      "admin-tracking": "tracking:read",
+      "admin-repair-board": "tracking:read",
+      "admin-warranty": "tracking:read",
+      "admin-orders": "orders:read",
+      "admin-add-product": "products:create",
+      "admin-staff": "staff:manage",
+      "admin-payments": "payments:verify",
+      "admin-inventory": "inventory:read",
+      "admin-suppliers": "purchasing:read",
+      "admin-purchases": "purchasing:read",
+      "admin-profit": "reports:profit"
+    }
+    const requiredPermission = pagePermissions[page]
+    const isAllowed = !requiredPermission || this.can(requiredPermission)
+
+    if (page === "admin-staff" && isAllowed) {
+      await this.loadStaffFromStorage()
+    }
+
+    if (page === "admin-inventory" && isAllowed) {
+      await this.loadStockReport()
+    }
+
+    if (page === "admin-profit" && isAllowed) {
+      await this.loadProfitReport()
+    }
+
+    if (page === "admin-repair-board" && isAllowed) {
+      await this.loadTechnicians()
+    }
+
+    if ((page === "admin-suppliers" || page === "admin-purchases") && isAllowed) {
+      await Promise.all([this.loadSuppliers(), page === "admin-purchases" ? this.loadPurchaseOrders() : null])
+    }
+
     let html = this.renderNavigation()
 
     if (page === "admin-login") {
       html += this.renderAdminLogin()
+    } else if (!isAllowed) {
+      html += this.renderNoAccess()
     } else if (page === "admin") {
       html += this.renderAdmin()
     } else if (page === "admin-products") {
       html += this.renderAdminProducts()
     } else if (page === "admin-tracking") {
       html += this.renderAdminTracking()
+    } else if (page === "admin-repair-board") {
+      html += this.renderRepairBoard()
+    } else if (page === "admin-warranty") {
+      html += this.renderAdminWarranty()
     } else if (page === "admin-orders") {
       html += this.renderAdminOrders()
+    } else if (page === "admin-payments") {
+      html += this.renderAdminPayments()
+    } else if (page === "admin-inventory") {
+      html += this.renderAdminInventory()
+    } else if (page === "admin-profit") {
+      html += this.renderAdminProfit()
+    } else if (page === "admin-suppliers") {
+      html += this.renderAdminSuppliers()
+    } else if (page === "admin-purchases") {
+      html += this.renderAdminPurchases()
     } else if (page === "admin-add-product") {
       html += this.renderAddProductForm()
     } else if (page === "admin-edit-product") {
       html += this.renderEditProductForm()
+    } else if (page === "admin-staff") {
+      html += this.renderAdminStaff()
     }
 
     html += this.renderFooter()
@@ -529,17 +968,45 @@ class OwnerPortalApp {
               <li class="nav-item">
                 <a class="nav-link ${this.currentPage === 'admin-products' ? 'active' : ''}" data-page="admin-products">Products</a>
               </li>
+              ${this.can('tracking:read') ? `
               <li class="nav-item">
                 <a class="nav-link ${this.currentPage === 'admin-tracking' ? 'active' : ''}" data-page="admin-tracking">Tracking</a>
               </li>
               <li class="nav-item">
-                <a class="nav-link ${this.currentPage === 'admin-orders' ? 'active' : ''}" data-page="admin-orders">Orders</a>
+                <a class="nav-link ${this.currentPage === 'admin-repair-board' ? 'active' : ''}" data-page="admin-repair-board">Repair Board</a>
               </li>
+              <li class="nav-item">
+                <a class="nav-link ${this.currentPage === 'admin-warranty' ? 'active' : ''}" data-page="admin-warranty">Warranty</a>
+              </li>` : ''}
+              ${this.can('orders:read') ? `
+              <li class="nav-item">
+                <a class="nav-link ${this.currentPage === 'admin-orders' ? 'active' : ''}" data-page="admin-orders">Orders</a>
+              </li>` : ''}
+              ${this.can('payments:verify') ? `
+              <li class="nav-item">
+                <a class="nav-link ${this.currentPage === 'admin-payments' ? 'active' : ''}" data-page="admin-payments">Payments${this.getPaymentQueue().length > 0 ? ` (${this.getPaymentQueue().length})` : ''}</a>
+              </li>` : ''}
+              ${this.can('inventory:read') ? `
+              <li class="nav-item">
+                <a class="nav-link ${this.currentPage === 'admin-inventory' ? 'active' : ''}" data-page="admin-inventory">Low Stock${this.stockReport?.lowStockCount ? ` (${this.stockReport.lowStockCount})` : ''}</a>
+              </li>` : ''}
+              ${this.can('purchasing:read') ? `
+              <li class="nav-item">
+                <a class="nav-link ${['admin-purchases', 'admin-suppliers'].includes(this.currentPage) ? 'active' : ''}" data-page="admin-purchases">Purchases</a>
+              </li>` : ''}
+              ${this.can('reports:profit') ? `
+              <li class="nav-item">
+                <a class="nav-link ${this.currentPage === 'admin-profit' ? 'active' : ''}" data-page="admin-profit">Profit</a>
+              </li>` : ''}
+              ${this.can('staff:manage') ? `
+              <li class="nav-item">
+                <a class="nav-link ${this.currentPage === 'admin-staff' ? 'active' : ''}" data-page="admin-staff">Staff</a>
+              </li>` : ''}
               <li class="nav-item">
                 <a class="nav-link" href="index.html">← Main Site</a>
               </li>
               <li class="nav-item">
-                <a class="nav-link admin-pill" data-action="admin-logout">Logout</a>
+                <a class="nav-link admin-pill" data-action="admin-logout" title="${this.escapeHtml(this.currentUser?.name || '')} (${this.currentUser?.role || ''})">Logout</a>
               </li>
             ` : `
               <li class="nav-item">
@@ -596,16 +1063,55 @@ class OwnerPortalApp {
               <span style="font-size: 24px;">📦</span>
               <span>Products Management</span>
             </button>
+            ${this.can('tracking:read') ? `
             <button class="btn btn-primary" data-page="admin-tracking" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
               <span style="font-size: 24px;">🔧</span>
               <span>Tracking Management</span>
             </button>
+            <button class="btn btn-primary" data-page="admin-repair-board" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
+              <span style="font-size: 24px;">🗂️</span>
+              <span>Repair Board</span>
+            </button>` : ''}
+            ${this.can('orders:read') ? `
             <button class="btn btn-primary" data-page="admin-orders" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
               <span style="font-size: 24px;">📋</span>
               <span>Orders Management</span>
+            </button>` : ''}
+            ${this.can('payments:verify') ? `
+            <button class="btn btn-primary" data-page="admin-payments" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
+              <span style="font-size: 24px;">💳</span>
+              <span>Verify Payments${this.getPaymentQueue().length > 0 ? ` (${this.getPaymentQueue().length})` : ''}</span>
+            </button>` : ''}
+            ${this.can('inventory:read') ? `
+            <button class="btn btn-primary" data-page="admin-inventory" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
+              <span style="font-size: 24px;">📉</span>
+              <span>Low Stock${this.stockReport?.lowStockCount ? ` (${this.stockReport.lowStockCount})` : ''}</span>
+            </button>` : ''}
+            ${this.can('purchasing:read') ? `
+            <button class="btn btn-primary" data-page="admin-purchases" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
+              <span style="font-size: 24px;">🚚</span>
+              <span>Purchase Orders</span>
             </button>
+            <button class="btn btn-primary" data-page="admin-suppliers" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
+              <span style="font-size: 24px;">🏭</span>
+              <span>Suppliers</span>
+            </button>` : ''}
+            ${this.can('reports:profit') ? `
+            <button class="btn btn-primary" data-page="admin-profit" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
+              <span style="font-size: 24px;">📊</span>
+              <span>Profit Report</span>
+            </button>` : ''}
+            ${this.can('staff:manage') ? `
+            <button class="btn btn-primary" data-page="admin-staff" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
+              <span style="font-size: 24px;">👥</span>
+              <span>Staff Management</span>
+            </button>` : ''}
           </div>
 
+          ${this.renderNotifications()}
+
+          ${this.renderRevenueSummary()}
+
           <!-- Quick Stats -->
           <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; margin-bottom: 32px;">
             <div style="background: linear-gradient(135deg, rgba(38, 162, 220, 0.4), rgba(185, 28, 28, 0.2)); border: 2px solid #dcca2691; border-radius: 12px; padding: 20px; text-align: center;">
@@ -668,7 +1174,7 @@ class OwnerPortalApp {
               <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Products Management</h1>
               <p style="color: #94a3b8;">Manage your product inventory</p>
             </div>
-            <button class="btn btn-primary" data-action="add-product-form" style="padding: 12px 24px; font-size: 16px;">+ Add Product</button>
+            ${this.can('products:create') ? `<button class="btn btn-primary" data-action="add-product-form" style="padding: 12px 24px; font-size: 16px;">+ Add Product</button>` : ''}
           </div>
 
           <div style="margin-bottom: 24px; display: flex; gap: 16px; align-items: center;">
@@ -703,13 +1209,13 @@ class OwnerPortalApp {
       <div class="admin-product-card" style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 16px; max-width: 300px;">
         <div class="admin-product-image" style="width: 100%; height: 120px; margin-bottom: 12px; display: flex; align-items: center; justify-content: center; background: rgba(51, 65, 85, 0.3); border-radius: 6px;">
           ${product.imageUrl ? 
-            `<img src="${product.imageUrl}" alt="${product.name}" style="width: 100%; height: 100%; object-fit: cover; border-radius: 6px;">` :
-            `<span style="font-size: 32px;">${product.image || '📦'}</span>`
+            `<img src="${this.escapeHtml(this.getImageUrl(product.imageUrl, 'card'))}" alt="${this.escapeHtml(product.name)}" loading="lazy" style="width: 100%; height: 100%; object-fit: cover; border-radius: 6px;">` :
+            `<span style="font-size: 32px;">${this.escapeHtml(product.image || '📦')}</span>`
           }
         </div>
         <div class="admin-product-info">
-          <h3 style="margin-bottom: 6px; font-size: 14px; font-weight: 600; color: #f8fafc;">${product.name}</h3>
-          <div style="color: #94a3b8; font-size: 11px; margin-bottom: 6px;">${product.category}</div>
+          <h3 style="margin-bottom: 6px; font-size: 14px; font-weight: 600; color: #f8fafc;">${this.escapeHtml(product.name)}</h3>
+          <div style="color: #94a3b8; font-size: 11px; margin-bottom: 6px;">${this.escapeHtml(product.category)}</div>
           <div style="margin-bottom: 8px;">
             <span style="font-weight: 700; color: #10b981; font-size: 14px;">₹${product.price.toLocaleString()}</span>
             <span style="color: #94a3b8; text-decoration: line-through; margin-left: 6px; font-size: 12px;">₹${product.originalPrice.toLocaleString()}</span>
@@ -717,10 +1223,15 @@ class OwnerPortalApp {
           </div>
           <div style="margin-bottom: 10px;">
             <span class="stock-badge ${product.inStock ? 'in-stock' : 'out-of-stock'}" style="font-size: 10px; padding: 2px 6px; border-radius: 4px; ${product.inStock ? 'background: rgba(16, 185, 129, 0.2); color: #10b981;' : 'background: rgba(239, 68, 68, 0.2); color: #ef4444;'}">${product.inStock ? 'In Stock' : 'Out of Stock'}</span>
+            ${product.stockQuantity != null ? `<span style="font-size: 10px; color: #94a3b8; margin-left: 6px;">${product.stockQuantity} unit${product.stockQuantity === 1 ? '' : 's'}</span>` : ''}
           </div>
+          ${this.getProductCost(product) != null ? `
+          <div style="color: #94a3b8; font-size: 10px; margin-bottom: 10px;">
+            Cost ₹${this.getProductCost(product).toLocaleString()}${product.price > 0 ? ` • ${Math.round(((product.price - this.getProductCost(product)) / product.price) * 100)}% margin` : ''}
+          </div>` : ''}
           <div style="display: flex; gap: 6px;">
             <button class="btn btn-secondary" style="flex: 1; padding: 4px 8px; font-size: 11px;" data-action="edit-product" data-product-id="${productId}">Edit</button>
-            <button class="btn" style="flex: 1; padding: 4px 8px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" data-action="delete-product" data-product-id="${productId}">Delete</button>
+            ${this.can('products:delete') ? `<button class="btn" style="flex: 1; padding: 4px 8px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" data-action="delete-product" data-product-id="${productId}">Delete</button>` : ''}
           </div>
         </div>
       </div>
@@ -736,7 +1247,7 @@ class OwnerPortalApp {
               <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Tracking Management</h1>
               <p style="color: #94a3b8;">Manage repair tracking records</p>
             </div>
-            <button class="btn btn-primary" data-action="toggle-tracking-form" style="padding: 12px 24px; font-size: 16px;">+ Add Tracking</button>
+            ${this.can('tracking:create') ? `<button class="btn btn-primary" data-action="toggle-tracking-form" style="padding: 12px 24px; font-size: 16px;">+ Add Tracking</button>` : ''}
           </div>
 
           ${this.renderTrackingForm()}
@@ -749,18 +1260,8 @@ class OwnerPortalApp {
   renderTrackingForm() {
     return `
       <div id="trackingForm" style="display: none; background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 24px; margin-bottom: 32px;">
-        <h3 style="margin-bottom: 24px;">Add New Tracking Record</h3>
-        
-        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
-          <div class="form-field">
-            <label class="form-label">QR ID *</label>
-            <input type="text" class="input" placeholder="Enter unique QR ID" id="newTrackingQRId">
-          </div>
-          <div class="form-field">
-            <label class="form-label">Password *</label>
-            <input type="text" class="input" placeholder="Enter password" id="newTrackingPassword">
-          </div>
-        </div>
+        <h3 style="margin-bottom: 8px;">Add New Tracking Record</h3>
+        <p style="color: #94a3b8; font-size: 13px; margin-bottom: 24px;">The QR ID and tracking password are generated when you save, ready to print on the device label and job card.</p>
 
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
           <div class="form-field">
@@ -784,11 +1285,65 @@ class OwnerPortalApp {
           </div>
         </div>
 
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
+          <div class="form-field">
+            <label class="form-label">IMEI</label>
+            <input type="text" class="input" inputmode="numeric" maxlength="17" placeholder="Dial *#06# to see it" id="newTrackingImei">
+          </div>
+          <div class="form-field">
+            <label class="form-label">Serial Number</label>
+            <input type="text" class="input" placeholder="If there is no IMEI" id="newTrackingSerial">
+          </div>
+        </div>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
+          <div class="form-field">
+            <label class="form-label">Screen Lock</label>
+            <select class="input" id="newTrackingPasscodeType" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
+              <option value="none">No lock</option>
+              <option value="pin">PIN</option>
+              <option value="pattern">Pattern</option>
+              <option value="password">Password</option>
+              <option value="not-shared">Customer did not share it</option>
+            </select>
+          </div>
+          <div class="form-field">
+            <label class="form-label">Passcode</label>
+            <input type="text" class="input" autocomplete="off" placeholder="Pattern: dots in order, 1-9 (e.g. 14789)" id="newTrackingPasscode">
+          </div>
+        </div>
+
+        <div class="form-field" style="margin-bottom: 16px;">
+          <label class="form-label">Accessories Received</label>
+          <div style="display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 8px;">
+            ${['SIM tray', 'SIM card', 'Memory card', 'Case / cover', 'Charger', 'Cable', 'Box'].map(item => `
+              <label style="display: flex; align-items: center; gap: 4px; font-size: 13px; color: #cbd5e1;">
+                <input type="checkbox" name="newTrackingAccessory" value="${item}"> ${item}
+              </label>
+            `).join('')}
+          </div>
+          <input type="text" class="input" placeholder="Anything else, separated by commas" id="newTrackingOtherAccessories">
+        </div>
+
         <div class="form-field" style="margin-bottom: 16px;">
           <label class="form-label">Issue Description *</label>
           <textarea class="input" placeholder="Describe the issue..." id="newTrackingIssue" rows="3"></textarea>
         </div>
 
+        <div class="form-field" style="margin-bottom: 16px;">
+          <label class="form-label">Existing Damage / Condition</label>
+          <textarea class="input" placeholder="Scratches, cracks, dents, missing screws..." id="newTrackingCondition" rows="2"></textarea>
+        </div>
+
+        <div class="form-field" style="margin-bottom: 16px;">
+          <label class="form-label">Intake Photos</label>
+          <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px;">
+            <button type="button" class="btn btn-secondary" style="padding: 8px 14px; font-size: 13px;" onclick="app.openCamera()">📷 Take Photo</button>
+            <input type="file" class="input" accept="image/*" capture="environment" multiple onchange="app.addIntakePhotoFiles(event)" style="font-size: 12px;">
+          </div>
+          <div id="intakePhotoPreview" style="display: flex; flex-wrap: wrap; gap: 8px;">${this.renderIntakePhotoPreview()}</div>
+        </div>
+
         <div class="form-field" style="margin-bottom: 24px;">
           <label class="form-label">Initial Status</label>
           <select class="input" id="newTrackingStatus" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
@@ -811,25 +1366,59 @@ class OwnerPortalApp {
   }
 
   renderTrackingList() {
+    // open and overdue are worked out by the server (see REPAIR_DONE_STATUSES in server/repairs.js)
+    const openRecords = this.trackingData.filter(t => t.open);
+    const overdueRecords = this.trackingData.filter(t => t.overdue);
+
+    // Overdue jobs are listed by how late they are, the rest in the order they came in
+    const records = this.trackingFilter === 'overdue'
+      ? [...overdueRecords].sort((a, b) => new Date(a.promisedBy) - new Date(b.promisedBy))
+      : this.trackingFilter === 'open' ? openRecords : this.trackingData;
+
+    const filterButton = (value, label) => `
+      <button class="btn ${this.trackingFilter === value ? 'btn-primary' : 'btn-secondary'}" style="padding: 6px 12px; font-size: 12px;" onclick="app.setTrackingFilter('${value}')">${label}</button>
+    `
+
     return `
       <div class="tracking-list">
-        <h3 style="margin-bottom: 24px;">Active Tracking Records (${this.trackingData.length})</h3>
+        <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 12px; margin-bottom: 24px;">
+          <h3>Active Tracking Records (${records.length})</h3>
+          <div style="display: flex; gap: 8px;">
+            ${filterButton('all', `All (${this.trackingData.length})`)}
+            ${filterButton('open', `In the Shop (${openRecords.length})`)}
+            ${filterButton('overdue', `⏰ Overdue (${overdueRecords.length})`)}
+          </div>
+        </div>
         ${
-          this.trackingData.length > 0
-            ? this.trackingData.map(tracking => this.renderTrackingCard(tracking)).join('')
-            : '<div style="text-align: center; padding: 48px; color: #94a3b8;">No tracking records found</div>'
+          records.length > 0
+            ? records.map(tracking => this.renderTrackingCard(tracking)).join('')
+            : `<div style="text-align: center; padding: 48px; color: #94a3b8;">${this.trackingFilter === 'overdue' ? 'Nothing is overdue 🎉' : 'No tracking records found'}</div>`
         }
       </div>
     `
   }
 
+  setTrackingFilter(value) {
+    this.trackingFilter = value;
+    this.renderPage("admin-tracking");
+  }
+
+  formatTrackingDate(date) {
+    return date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' }) : '-';
+  }
+
   renderTrackingCard(tracking) {
+    const overdue = !!tracking.overdue;
+    const daysLate = overdue ? Math.ceil((Date.now() - new Date(tracking.promisedBy).getTime()) / (24 * 60 * 60 * 1000)) : 0;
+
     return `
-      <div class="tracking-card" style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px; max-width: 100%;">
+      <div class="tracking-card" style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid ${overdue ? '#f87171' : '#334155'}; border-radius: 8px; padding: 16px; margin-bottom: 12px; max-width: 100%;">
         <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
           <div>
             <h4 style="margin-bottom: 4px; font-size: 14px; font-weight: 600;">QR: ${tracking.qrId}</h4>
-            <div style="color: #94a3b8; font-size: 11px;">Created: ${tracking.createdAt}</div>
+            <div style="color: #94a3b8; font-size: 11px;">Created: ${this.formatTrackingDate(tracking.createdAt)}</div>
+            ${tracking.promisedBy ? `<div style="color: ${overdue ? '#f87171' : '#94a3b8'}; font-size: 11px; ${overdue ? 'font-weight: 600;' : ''}">${overdue ? `⏰ Overdue ${daysLate} day${daysLate === 1 ? '' : 's'} - ` : ''}Promised by: ${this.formatTrackingDate(tracking.promisedBy)}</div>` : ''}
+            <div style="color: #94a3b8; font-size: 11px;">👷 ${this.escapeHtml(tracking.assignedTo?.name || 'Unassigned')}</div>
           </div>
           <span class="status-badge status-${tracking.status.toLowerCase().replace(/\s+/g, "-")}" style="font-size: 10px; padding: 4px 8px; border-radius: 4px; background: rgba(16, 185, 129, 0.2); color: #10b981;">${this.getStatusEmoji(tracking.status)} ${tracking.status}</span>
         </div>
@@ -837,239 +1426,726 @@ class OwnerPortalApp {
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
           <div>
             <div style="font-weight: 600; margin-bottom: 4px; font-size: 12px;">Customer</div>
-            <div style="color: #cbd5e1; font-size: 12px;">${tracking.customerName}</div>
+            <div style="color: #cbd5e1; font-size: 12px;">${this.escapeHtml(tracking.customerName)}</div>
           </div>
           <div>
             <div style="font-weight: 600; margin-bottom: 4px; font-size: 12px;">Device</div>
-            <div style="color: #cbd5e1; font-size: 12px;">${tracking.productName}</div>
+            <div style="color: #cbd5e1; font-size: 12px;">${this.escapeHtml(tracking.productName)}</div>
           </div>
         </div>
 
         <div style="margin-bottom: 12px;">
           <div style="font-weight: 600; margin-bottom: 4px; font-size: 12px;">Issue</div>
-          <div style="color: #cbd5e1; font-size: 11px; line-height: 1.4;">${tracking.issue}</div>
+          <div style="color: #cbd5e1; font-size: 11px; line-height: 1.4;">${this.escapeHtml(tracking.issue)}</div>
         </div>
 
-        <div style="display: flex; gap: 6px;">
-          <button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.editTracking('${tracking.qrId}')">Update Status</button>
-          <button class="btn" style="flex: 1; padding: 6px 10px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.deleteTracking('${tracking.qrId}')">Delete</button>
+        ${this.renderTrackingIntakeDetails(tracking)}
+
+        ${this.renderTrackingQuote(tracking)}
+
+        ${this.renderTrackingParts(tracking)}
+
+        ${this.renderTrackingWarranty(tracking)}
+
+        ${this.renderStatusHistory(tracking.statusHistory)}
+
+        <div style="display: flex; gap: 6px; flex-wrap: wrap;">
+          ${this.can('tracking:update') ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.editTracking('${tracking.qrId}')">Update Status</button>` : ''}
+          <button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.printTrackingLabel('${tracking.qrId}')">🏷️ QR Label</button>
+          ${this.can('tracking:create') && (tracking.intakePhotos || []).length < 8 ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.openCamera('${tracking.qrId}')">📷 Photo</button>` : ''}
+          ${this.can('tracking:update') && tracking.status !== 'Completed' ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.openRepairPartModal('${tracking.qrId}')">🔩 Add Part</button>` : ''}
+          ${this.can('tracking:quote') && tracking.quote?.status !== 'Approved' && tracking.status !== 'Completed' ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.openQuoteModal('${tracking.qrId}')">💬 ${tracking.quote?.status === 'Pending' ? 'Edit Quote' : 'Quote'}</button>` : ''}
+          ${this.can('tracking:passcode') && ['pin', 'pattern', 'password'].includes(tracking.passcodeType) ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.showDevicePasscode('${tracking.qrId}')">🔓 Passcode</button>` : ''}
+          <button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.openReceiptModal('tracking', '${tracking.qrId}')">🧾 Job Card</button>
+          ${this.can('tracking:credentials') ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.regenerateTrackingPassword('${tracking.qrId}')">🔑 New Password</button>` : ''}
+          ${this.can('tracking:delete') ? `<button class="btn" style="flex: 1; padding: 6px 10px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.deleteTracking('${tracking.qrId}')">Delete</button>` : ''}
         </div>
       </div>
     `
   }
 
-  renderAdminOrders() {
+  // Kanban board of repairs by stage. Cards are dragged to a new column (or moved on with →).
+  // Completed only shows the last week so the board stays about work in hand.
+  renderRepairBoard() {
+    const statuses = ['Received', 'Diagnostics', 'In Progress', 'Parts Ordered', 'Quality Check', 'Ready for Pickup', 'Awaiting Pickup', 'Completed'];
+    const filter = this.repairBoardFilter || (this.currentUser?.role === 'technician' ? this.currentUser.id : 'all');
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+    const openJobs = this.trackingData.filter(t => t.status !== 'Completed');
+    const openCount = (userId) => openJobs.filter(t => (t.assignedTo?.userId || null) === userId).length;
+
+    const jobs = this.trackingData.filter(t => {
+      if (filter === 'unassigned' && t.assignedTo?.userId) return false;
+      if (!['all', 'unassigned'].includes(filter) && t.assignedTo?.userId !== filter) return false;
+      if (t.status === 'Completed') return t.completedAt && new Date(t.completedAt).getTime() >= weekAgo;
+      return true;
+    });
+
     return `
       <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container">
-          <div style="margin-bottom: 32px;">
-            <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Orders Management</h1>
-            <p style="color: #94a3b8;">View and manage customer orders</p>
+        <div class="container" style="max-width: 100%;">
+          <div style="display: flex; justify-content: space-between; align-items: end; gap: 16px; flex-wrap: wrap; margin-bottom: 24px;">
+            <div>
+              <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Repair Board</h1>
+              <p style="color: #94a3b8;">Drag a job to the next stage, or use → on touch screens</p>
+            </div>
+            <div class="form-field" style="min-width: 240px;">
+              <label class="form-label">Technician</label>
+              <select class="input" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;" onchange="app.setRepairBoardFilter(this.value)">
+                <option value="all" ${filter === 'all' ? 'selected' : ''}>Everyone (${openJobs.length} open)</option>
+                <option value="unassigned" ${filter === 'unassigned' ? 'selected' : ''}>Unassigned (${openCount(null)} open)</option>
+                ${this.technicians.map(tech => `
+                  <option value="${tech.id}" ${filter === tech.id ? 'selected' : ''}>${this.escapeHtml(tech.name)}${tech.id === this.currentUser?.id ? ' (me)' : ''} - ${openCount(tech.id)} open</option>
+                `).join('')}
+              </select>
+            </div>
           </div>
 
-          <div style="margin-bottom: 24px;">
-            <span style="color: #94a3b8; font-size: 14px;">Total Orders: ${this.orders.length}</span>
+          <div style="display: grid; grid-template-columns: repeat(${statuses.length}, minmax(220px, 1fr)); gap: 12px; overflow-x: auto; padding-bottom: 12px;">
+            ${statuses.map((status, index) => {
+              const columnJobs = jobs.filter(t => t.status === status);
+              return `
+                <div ondragover="event.preventDefault()" ondrop="app.onRepairDrop(event, '${status}')" style="background-color: rgba(15, 23, 42, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 10px; min-height: 300px;">
+                  <div style="font-weight: 600; font-size: 13px; margin-bottom: 10px; display: flex; justify-content: space-between;">
+                    <span>${this.getStatusEmoji(status)} ${status}</span>
+                    <span style="color: #94a3b8;">${columnJobs.length}</span>
+                  </div>
+                  ${columnJobs.map(tracking => this.renderRepairBoardCard(tracking, status === 'Ready for Pickup' ? 'Completed' : statuses[index + 1])).join('')}
+                </div>
+              `
+            }).join('')}
           </div>
+        </div>
+      </div>
+    `
+  }
 
-          <div class="orders-list">
-            ${
-              this.orders.length > 0
-                ? this.orders.map(order => this.renderOrderCard(order)).join('')
-                : '<div style="text-align: center; padding: 48px; color: #94a3b8;">No orders found</div>'
-            }
-          </div>
+  renderRepairBoardCard(tracking, nextStatus) {
+    const canUpdate = this.can('tracking:update');
+    const lastMove = (tracking.statusHistory || []).filter(entry => entry.to === tracking.status && entry.from !== entry.to).pop();
+    const since = lastMove?.changedAt || tracking.updatedAt;
+    const daysInStage = since ? Math.floor((Date.now() - new Date(since).getTime()) / (24 * 60 * 60 * 1000)) : null;
+
+    let assignment = `<div style="color: #94a3b8; font-size: 11px;">👷 ${this.escapeHtml(tracking.assignedTo?.name || 'Unassigned')}</div>`;
+    if (this.can('tracking:assign')) {
+      assignment = `
+        <select class="input" style="padding: 4px; font-size: 11px; background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;" onchange="app.assignRepair('${tracking.qrId}', this.value)">
+          <option value="">👷 Unassigned</option>
+          ${this.technicians.map(tech => `<option value="${tech.id}" ${tracking.assignedTo?.userId === tech.id ? 'selected' : ''}>👷 ${this.escapeHtml(tech.name)}</option>`).join('')}
+        </select>
+      `;
+    } else if (canUpdate && !tracking.assignedTo?.userId && tracking.status !== 'Completed') {
+      assignment = `<button class="btn btn-secondary" style="padding: 4px 8px; font-size: 11px;" onclick="app.assignRepair('${tracking.qrId}', '${this.currentUser?.id}')">🙋 Take this job</button>`;
+    }
+
+    return `
+      <div ${canUpdate ? `draggable="true" ondragstart="event.dataTransfer.setData('text/plain', '${tracking.qrId}')"` : ''} style="background-color: rgba(30, 41, 59, 0.9); border: 1px solid #475569; border-radius: 6px; padding: 10px; margin-bottom: 8px; ${canUpdate ? 'cursor: grab;' : ''}">
+        <div style="display: flex; justify-content: space-between; font-size: 11px; margin-bottom: 4px;">
+          <strong>${tracking.qrId}${tracking.overdue ? ' <span style="color: #f87171;" title="Past its promised-by date">⏰</span>' : ''}</strong>
+          ${daysInStage !== null ? `<span style="color: ${daysInStage >= 3 ? '#fbbf24' : '#94a3b8'};">${daysInStage}d</span>` : ''}
+        </div>
+        <div style="font-size: 12px; font-weight: 600;">${this.escapeHtml(tracking.deviceModel || tracking.productName)}</div>
+        <div style="color: #cbd5e1; font-size: 11px; margin-bottom: 6px;">${this.escapeHtml(tracking.customerName)}</div>
+        <div style="display: flex; gap: 6px; align-items: center;">
+          <div style="flex: 1;">${assignment}</div>
+          ${canUpdate && nextStatus ? `<button class="btn btn-primary" style="padding: 4px 8px; font-size: 11px;" title="Move to ${nextStatus}" onclick="app.moveRepair('${tracking.qrId}', '${nextStatus}')">→</button>` : ''}
         </div>
       </div>
     `
   }
 
-  renderOrderCard(order) {
-    // Fix order date formatting
-    let formattedDate = 'Date not available';
-    if (order.orderDate) {
-      try {
-        const date = new Date(order.orderDate);
-        formattedDate = date.toLocaleString('en-IN', { 
-          year: 'numeric', 
-          month: 'short', 
-          day: 'numeric', 
-          hour: '2-digit', 
-          minute: '2-digit',
-          hour12: true,
-          timeZone: 'Asia/Kolkata'
-        });
-      } catch (e) {
-        console.error('Date formatting error:', e);
-        formattedDate = order.orderDate.toString();
-      }
-    } else if (order.createdAt) {
-      try {
-        const date = new Date(order.createdAt);
-        formattedDate = date.toLocaleString('en-IN', { 
-          year: 'numeric', 
-          month: 'short', 
-          day: 'numeric', 
-          hour: '2-digit', 
-          minute: '2-digit',
-          hour12: true,
-          timeZone: 'Asia/Kolkata'
-        });
-      } catch (e) {
-        console.error('Date formatting error:', e);
-        formattedDate = order.createdAt.toString();
+  setRepairBoardFilter(value) {
+    this.repairBoardFilter = value;
+    this.renderPage("admin-repair-board");
+  }
+
+  onRepairDrop(event, status) {
+    event.preventDefault();
+    const qrId = event.dataTransfer.getData('text/plain');
+    if (qrId) this.moveRepair(qrId, status);
+  }
+
+  // Completing a repair goes through the status modal so the bill and parts cost are entered
+  moveRepair(qrId, newStatus) {
+    const tracking = this.trackingData.find((t) => t.qrId === qrId);
+    if (!tracking || tracking.status === newStatus) return;
+
+    if (newStatus === 'Completed') {
+      this.showStatusModal(tracking);
+      document.getElementById('newStatusSelect').value = 'Completed';
+      return;
+    }
+
+    this.applyLocalTrackingStatus(tracking, newStatus);
+    this.renderPage(this.currentPage);
+    this.syncTrackingStatusToDatabase(qrId, newStatus, tracking.lastUpdated).catch(error => {
+      console.error('❌ Background tracking status sync failed:', error);
+    });
+  }
+
+  async assignRepair(qrId, userId) {
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/assign`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: userId || null })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
+
+      const tracking = await response.json();
+      const index = this.trackingData.findIndex(t => t.qrId === qrId);
+      if (index !== -1) this.trackingData[index] = tracking;
+    } catch (error) {
+      console.error('❌ Error assigning repair:', error);
+      alert(`❌ Failed to assign repair: ${error.message}`);
     }
+    this.renderPage(this.currentPage);
+  }
+
+  // Device identifiers, lock, accessories, condition and photos recorded at intake
+  renderTrackingIntakeDetails(tracking) {
+    const lockLabels = { 'pin': 'PIN stored', 'pattern': 'Pattern stored', 'password': 'Password stored', 'not-shared': 'Not shared by customer' };
+    const details = [
+      tracking.imei ? ['IMEI', tracking.imei] : null,
+      tracking.serialNumber ? ['Serial', tracking.serialNumber] : null,
+      lockLabels[tracking.passcodeType] ? ['Screen Lock', lockLabels[tracking.passcodeType]] : null,
+      tracking.accessories?.length ? ['Accessories', tracking.accessories.join(', ')] : null
+    ].filter(Boolean);
+    const photos = tracking.intakePhotos || [];
+
+    if (details.length === 0 && !tracking.conditionNotes && photos.length === 0) return '';
 
     return `
-      <div class="order-card" style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px; max-width: 100%;">
-        <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
-          <div>
-            <h4 style="margin-bottom: 4px; font-size: 14px; font-weight: 600;">Order #${order.id || order.orderId}</h4>
-            <div style="color: #94a3b8; font-size: 11px;">
-              📅 ${formattedDate}
-            </div>
+      <div style="margin-bottom: 12px; padding: 10px; background: rgba(15, 23, 42, 0.4); border-radius: 6px;">
+        ${details.length > 0 ? `
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 8px;">
+            ${details.map(([label, value]) => `
+              <div>
+                <div style="font-weight: 600; font-size: 11px;">${label}</div>
+                <div style="color: #cbd5e1; font-size: 11px; word-break: break-all;">${this.escapeHtml(value)}</div>
+              </div>
+            `).join('')}
           </div>
-          <span class="status-badge status-${order.status.toLowerCase().replace(/\s+/g, "-")}" style="font-size: 10px; padding: 4px 8px; border-radius: 4px; background: rgba(16, 185, 129, 0.2); color: #10b981;">${order.status}</span>
-        </div>
-        
-        <div style="margin-bottom: 12px;">
-          <div style="font-weight: 600; margin-bottom: 6px; font-size: 12px;">Customer Details</div>
-          <div style="color: #cbd5e1; font-size: 11px; line-height: 1.4;">
-            <div>${order.customer.name}</div>
-            <div>${order.customer.email} • ${order.customer.phone}</div>
-            <div>${order.customer.address}</div>
+        ` : ''}
+        ${tracking.conditionNotes ? `
+          <div style="margin-bottom: 8px;">
+            <div style="font-weight: 600; font-size: 11px;">Condition at Intake</div>
+            <div style="color: #fbbf24; font-size: 11px; line-height: 1.4;">${this.escapeHtml(tracking.conditionNotes)}</div>
           </div>
-        </div>
-
-        <div style="margin-bottom: 12px;">
-          <div style="font-weight: 600; margin-bottom: 6px; font-size: 12px;">Order Items</div>
-          <div style="background: rgba(51, 65, 85, 0.3); border-radius: 4px; padding: 8px;">
-            ${order.items.map(item => `
-              <div style="display: flex; justify-content: space-between; margin-bottom: 3px; font-size: 11px;">
-                <span style="color: #e2e8f0;">${item.name} × ${item.quantity}</span>
-                <span style="color: #10b981; font-weight: 600;">₹${(item.price * item.quantity).toLocaleString()}</span>
+        ` : ''}
+        ${photos.length > 0 ? `
+          <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+            ${photos.map(photo => `
+              <div style="position: relative;">
+                <a href="${this.baseURL}${photo.url}" target="_blank" rel="noopener" title="Taken ${new Date(photo.takenAt).toLocaleString('en-IN')}${photo.takenBy?.name ? ` by ${this.escapeHtml(photo.takenBy.name)}` : ''}">
+                  <img src="${this.getImageUrl(photo.url, 'thumb')}" alt="Intake photo" style="width: 56px; height: 56px; object-fit: cover; border-radius: 4px; border: 1px solid #334155;">
+                </a>
+                ${this.can('tracking:update') ? `<button onclick="app.deleteIntakePhoto('${tracking.qrId}', '${photo._id}')" title="Remove photo" style="position: absolute; top: -6px; right: -6px; width: 18px; height: 18px; border-radius: 50%; border: none; background: #f87171; color: #fff; font-size: 11px; cursor: pointer;">×</button>` : ''}
               </div>
             `).join('')}
-            <div style="border-top: 1px solid #334155; margin-top: 6px; padding-top: 6px; display: flex; justify-content: space-between; font-weight: 700;">
-              <span style="color: #e2e8f0; font-size: 12px;">Total:</span>
-              <span style="color: #10b981; font-size: 14px;">₹${order.total.toLocaleString()}</span>
-            </div>
           </div>
+        ` : ''}
+      </div>
+    `
+  }
+
+  // Repair quote and where the customer's approval stands
+  renderTrackingQuote(tracking) {
+    const quote = tracking.quote;
+    if (!quote?.status) return '';
+
+    const statusColors = { 'Pending': '#fbbf24', 'Approved': '#10b981', 'Declined': '#f87171' };
+
+    return `
+      <div style="margin-bottom: 12px; padding: 10px; border: 1px solid #334155; border-radius: 6px;">
+        <div style="display: flex; justify-content: space-between; font-size: 12px; font-weight: 600; margin-bottom: 6px;">
+          <span>💬 Quote</span>
+          <span style="color: ${statusColors[quote.status]};">${quote.status}${quote.decidedBy?.name ? ` by ${quote.decidedBy.role === 'customer' ? 'customer online' : this.escapeHtml(quote.decidedBy.name)}` : ''}</span>
+        </div>
+        ${(quote.items || []).map(item => `
+          <div style="display: flex; justify-content: space-between; font-size: 11px; color: #cbd5e1;">
+            <span>${item.kind === 'labour' ? '🔧' : '🔩'} ${this.escapeHtml(item.description)}${item.quantity > 1 ? ` × ${item.quantity}` : ''}</span>
+            <span>₹${item.amount.toLocaleString('en-IN')}</span>
+          </div>
+        `).join('')}
+        <div style="display: flex; justify-content: space-between; font-size: 12px; font-weight: 600; margin-top: 4px; border-top: 1px solid #334155; padding-top: 4px;">
+          <span>Total</span>
+          <span>₹${quote.total.toLocaleString('en-IN')}</span>
         </div>
+        ${quote.status === 'Pending' && this.can('tracking:update') ? `
+          <div style="display: flex; gap: 6px; margin-top: 8px;">
+            <button class="btn btn-secondary" style="flex: 1; padding: 4px 8px; font-size: 11px;" onclick="app.recordQuoteDecision('${tracking.qrId}', 'approve')">✅ Approved by phone</button>
+            <button class="btn btn-secondary" style="flex: 1; padding: 4px 8px; font-size: 11px;" onclick="app.recordQuoteDecision('${tracking.qrId}', 'decline')">❌ Declined by phone</button>
+          </div>
+        ` : ''}
+      </div>
+    `
+  }
 
-        <div style="margin-bottom: 12px; padding: 6px; background: rgba(16, 185, 129, 0.1); border-radius: 4px; border: 1px solid rgba(16, 185, 129, 0.3);">
-          <div style="font-size: 11px; color: #10b981; font-weight: 600;">Payment: ${order.paymentMethod}</div>
-          ${order.paymentScreenshot && order.paymentScreenshot.data ? `
-            <div style="margin-top: 8px;">
-              <div style="font-size: 10px; color: #94a3b8; margin-bottom: 4px;">Payment Screenshot:</div>
-              <img src="${order.paymentScreenshot.data || order.paymentScreenshot.imageUrl}" alt="Payment Screenshot" 
-                   style="max-width: 150px; max-height: 100px; border-radius: 4px; border: 1px solid #334155; cursor: pointer; display: block;"
-                   data-screenshot-id="${order.orderId || order.id}"
-                   onclick="app.showScreenshotFromOrder('${order.orderId || order.id}')"
-                   onerror="this.style.display='none'; this.nextElementSibling.innerHTML='❌ Image failed to load'; console.error('Failed to load screenshot for order:', '${order.orderId || order.id}')">
-              <div style="font-size: 9px; color: #64748b; margin-top: 2px;">
-                📎 ${order.paymentScreenshot.fileName} • ${new Date(order.paymentScreenshot.uploadTime).toLocaleString('en-IN', { 
-                  month: 'short', 
-                  day: 'numeric', 
-                  hour: '2-digit', 
-                  minute: '2-digit' 
-                })}
-                ${order.paymentScreenshot.data ? '<span style="color: #10b981;">• 📄 Image Data</span>' : '<span style="color: #f59e0b;">• ⚠️ No Image</span>'}
+  // Warranty terms of a completed repair, claims made on it, and the repair a claim job came from
+  renderTrackingWarranty(tracking, { showClaimButton = false } = {}) {
+    const terms = tracking.warranty?.terms || [];
+    const claims = tracking.warrantyClaims || [];
+    const claimOf = tracking.warrantyClaimOf?.qrId;
+    if (terms.length === 0 && !claimOf) return '';
+
+    const now = Date.now();
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+    const hasActiveTerm = terms.some(term => new Date(term.expiresAt).getTime() > now);
+
+    return `
+      <div style="margin-bottom: 12px; padding: 10px; border: 1px solid #334155; border-radius: 6px;">
+        ${claimOf ? `<div style="font-size: 12px; font-weight: 600; color: #a78bfa; ${terms.length ? 'margin-bottom: 6px;' : ''}">🛡️ Warranty claim on ${claimOf} (${(tracking.warrantyClaimOf.terms || []).join(', ')}) - no labour charge</div>` : ''}
+        ${terms.length > 0 ? `
+          <div style="font-size: 12px; font-weight: 600; margin-bottom: 6px;">🛡️ Warranty</div>
+          ${terms.map(term => {
+            const active = new Date(term.expiresAt).getTime() > now;
+            return `
+              <div style="display: flex; justify-content: space-between; font-size: 11px; color: ${active ? '#cbd5e1' : '#64748b'};">
+                <span>${this.escapeHtml(term.description)} (${term.days} days)</span>
+                <span style="color: ${active ? '#10b981' : '#64748b'};">${active ? `until ${formatDate(term.expiresAt)}` : `ended ${formatDate(term.expiresAt)}`}</span>
               </div>
+            `
+          }).join('')}
+        ` : ''}
+        ${claims.map(claim => `
+          <div style="font-size: 10px; color: #fbbf24; margin-top: 4px;">↩️ Claimed ${formatDate(claim.claimedAt)} as ${claim.qrId}: ${claim.terms.join(', ')}</div>
+        `).join('')}
+        ${showClaimButton && hasActiveTerm && this.can('tracking:create') ? `
+          <button class="btn btn-primary" style="width: 100%; margin-top: 8px; padding: 6px 10px; font-size: 11px;" onclick="app.openWarrantyClaimModal('${tracking.qrId}')">🛡️ Open Warranty Claim</button>
+        ` : ''}
+      </div>
+    `
+  }
+
+  renderAdminWarranty() {
+    const results = this.warrantyResults
+
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px;">
+            <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Warranty Lookup</h1>
+            <p style="color: #94a3b8;">Find a completed repair by IMEI, customer phone number or QR ID, and open a claim while its warranty lasts</p>
+          </div>
+
+          <div style="display: flex; gap: 12px; flex-wrap: wrap; align-items: flex-end; margin-bottom: 32px;">
+            <div class="form-field" style="margin-bottom: 0; flex: 1; min-width: 240px;">
+              <label class="form-label">IMEI, Phone or QR ID</label>
+              <input type="text" class="input" id="warrantyQuery" value="${this.escapeHtml(this.warrantyQuery)}" placeholder="e.g. 356938035643809, 98765 43210 or RJ-20261019-01" onkeydown="if (event.key === 'Enter') app.searchWarranty()">
             </div>
-          ` : order.paymentMethod.includes('Screenshot') ? `
-            <div style="margin-top: 8px; padding: 8px; background: rgba(239, 68, 68, 0.1); border-radius: 4px; border: 1px solid rgba(239, 68, 68, 0.3);">
-              <div style="font-size: 10px; color: #dc2626; font-weight: 600;">⚠️ Screenshot data missing</div>
-              <div style="font-size: 9px; color: #dc2626;">Payment screenshot was uploaded but data is not available</div>
-            </div>
-          ` : ''}
-        </div>
+            <button class="btn btn-primary" onclick="app.searchWarranty()">Search</button>
+          </div>
 
-        <div style="display: flex; gap: 6px;">
-          <button class="btn btn-primary" style="flex: 1; padding: 6px 10px; font-size: 11px; display: flex; align-items: center; justify-content: center; gap: 4px;" onclick="app.printOrder('${order.id || order.orderId}')">
-            🖨️ Print Order
-          </button>
-          <button class="btn" style="flex: 1; padding: 6px 10px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.deleteOrder('${order.id || order.orderId}')">Delete</button>
+          ${results === null ? '' : results.length === 0 ? `
+            <div style="text-align: center; padding: 48px; color: #94a3b8;">No completed repairs with a warranty match "${this.warrantyQuery}"</div>
+          ` : `
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 16px;">
+              ${results.map(tracking => `
+                <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 16px;">
+                  <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                    <span style="font-weight: 700;">${tracking.qrId}</span>
+                    <span style="color: #94a3b8; font-size: 12px;">Completed ${tracking.completedAt ? new Date(tracking.completedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) : ''}</span>
+                  </div>
+                  <div style="font-size: 12px; color: #cbd5e1; margin-bottom: 4px;">${this.escapeHtml(tracking.customerName)} • ${this.escapeHtml(tracking.contact || '-')}</div>
+                  <div style="font-size: 12px; color: #cbd5e1; margin-bottom: 4px;">${this.escapeHtml(tracking.deviceModel || tracking.productName)}${tracking.imei ? ` • IMEI ${this.escapeHtml(tracking.imei)}` : ''}</div>
+                  <div style="font-size: 11px; color: #94a3b8; margin-bottom: 12px;">${this.escapeHtml(tracking.issue)}</div>
+                  ${this.renderTrackingWarranty(tracking, { showClaimButton: true })}
+                </div>
+              `).join('')}
+            </div>
+          `}
         </div>
       </div>
     `
   }
 
-  showScreenshotFromOrder(orderId) {
-    // Find the order by ID
-    const order = this.orders.find(o => (o.orderId === orderId || o.id === orderId));
-    
-    if (!order || !order.paymentScreenshot || !order.paymentScreenshot.data) {
-      alert('Screenshot not found for this order.');
+  async searchWarranty() {
+    this.warrantyQuery = document.getElementById('warrantyQuery').value.trim();
+    if (this.warrantyQuery.length < 3) {
+      alert('Enter an IMEI, phone number or QR ID');
       return;
     }
-    
-    // Use base64 data directly (same as product images)
-    const imageSrc = order.paymentScreenshot.data || order.paymentScreenshot.imageUrl;
-    
-    // Show the screenshot modal
-    this.showScreenshotModal(imageSrc, order.paymentScreenshot.fileName);
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/warranty?q=${encodeURIComponent(this.warrantyQuery)}`);
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+      this.warrantyResults = await response.json();
+    } catch (error) {
+      console.error('❌ Warranty lookup failed:', error);
+      alert(`❌ Warranty lookup failed: ${error.message}`);
+      this.warrantyResults = null;
+    }
+    this.renderPage("admin-warranty");
   }
 
-  showScreenshotModal(imageSrc, fileName) {
-    const modal = document.createElement('div');
-    modal.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background: rgba(0,0,0,0.8);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 10000;
-      padding: 20px;
-      box-sizing: border-box;
-    `;
-    
-    modal.innerHTML = `
-      <div style="background: white; border-radius: 12px; padding: 24px; max-width: 600px; width: 100%; text-align: center;">
-        <h3 style="margin-bottom: 16px; color: #000;">Payment Screenshot</h3>
-        <img src="${imageSrc}" alt="Payment Screenshot" style="max-width: 100%; max-height: 400px; border-radius: 8px; margin-bottom: 16px; border: 2px solid #fecaca;">
-        <p style="color: #666; font-size: 14px; margin-bottom: 20px;">File: ${fileName}</p>
-        <button id="closeModal" style="background: #dc2626; color: white; border: none; padding: 12px 24px; border-radius: 8px; cursor: pointer; font-weight: 600;">Close</button>
+  openWarrantyClaimModal(qrId) {
+    const tracking = (this.warrantyResults || []).find(t => t.qrId === qrId);
+    if (!tracking) return;
+
+    const now = Date.now();
+    const activeTerms = (tracking.warranty?.terms || []).filter(term => new Date(term.expiresAt).getTime() > now);
+
+    const modalHTML = `
+      <div class="status-modal" id="statusModal">
+        <div class="status-modal-content">
+          <div class="status-modal-header">
+            <div class="status-modal-title">Warranty Claim</div>
+            <div class="status-modal-subtitle">Original repair: ${tracking.qrId} | Device: ${this.escapeHtml(tracking.productName)} | Customer: ${this.escapeHtml(tracking.customerName)}</div>
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">What is the claim for?</label>
+            ${activeTerms.map(term => `
+              <label style="display: flex; gap: 8px; align-items: center; font-size: 13px; margin-bottom: 6px;">
+                <input type="checkbox" class="warranty-claim-term" value="${term._id}">
+                ${this.escapeHtml(term.description)} (until ${new Date(term.expiresAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })})
+              </label>
+            `).join('')}
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Problem Reported</label>
+            <textarea class="status-select" id="warrantyClaimIssue" rows="3" maxlength="1000" placeholder="e.g. Touch not responding on the replaced display"></textarea>
+          </div>
+
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
+            <button class="status-btn status-btn-save" onclick="app.saveWarrantyClaim('${tracking.qrId}')">Open Claim Job</button>
+          </div>
+        </div>
       </div>
     `;
-    
-    document.body.appendChild(modal);
-    
-    // Handle close button
-    document.getElementById('closeModal').onclick = () => {
-      document.body.removeChild(modal);
-    };
-    
-    // Close on background click
-    modal.onclick = (e) => {
-      if (e.target === modal) {
-        document.body.removeChild(modal);
-      }
-    };
+
+    this.closeStatusModal();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
   }
 
-  // Print Order functionality
-  printOrder(orderId) {
-    // Find the order by ID
-    const order = this.orders.find(o => (o.orderId === orderId || o.id === orderId));
-    
-    if (!order) {
-      alert('Order not found!');
+  async saveWarrantyClaim(qrId) {
+    const termIds = Array.from(document.querySelectorAll('.warranty-claim-term:checked'), input => input.value);
+    const issue = document.getElementById('warrantyClaimIssue').value.trim();
+    if (termIds.length === 0 || !issue) {
+      alert('Choose what the claim is for and describe the problem');
       return;
     }
 
-    // Format order date
-    let formattedDate = 'Date not available';
-    if (order.orderDate) {
-      try {
-        const date = new Date(order.orderDate);
-        formattedDate = date.toLocaleString('en-IN', { 
-          year: 'numeric', 
-          month: 'long', 
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/warranty-claim`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ termIds, issue })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const { password, ...tracking } = await response.json();
+      if (!this.trackingData.some(t => t.qrId === tracking.qrId)) {
+        this.trackingData.push(tracking);
+      }
+
+      this.closeStatusModal();
+      await this.searchWarranty();
+      this.showTrackingCreatedModal(tracking, password);
+    } catch (error) {
+      console.error('❌ Error opening warranty claim:', error);
+      alert(`❌ Failed to open warranty claim: ${error.message}`);
+    }
+  }
+
+  // Catalog parts fitted to the repair - removing one puts it back in stock
+  renderTrackingParts(tracking) {
+    const parts = tracking.parts || [];
+    if (parts.length === 0) return '';
+
+    const canRemove = this.can('tracking:update') && tracking.status !== 'Completed';
+    const total = parts.reduce((sum, part) => sum + (part.amount || 0), 0);
+
+    return `
+      <div style="margin-bottom: 12px; padding: 10px; border: 1px solid #334155; border-radius: 6px;">
+        <div style="font-size: 12px; font-weight: 600; margin-bottom: 6px;">🔩 Parts Fitted</div>
+        ${parts.map(part => `
+          <div style="display: flex; justify-content: space-between; align-items: center; gap: 6px; font-size: 11px; color: #cbd5e1;">
+            <span style="flex: 1;">${this.escapeHtml(part.name)}${part.quantity > 1 ? ` × ${part.quantity}` : ''}</span>
+            <span>₹${(part.amount || 0).toLocaleString('en-IN')}</span>
+            ${canRemove ? `<button style="background: none; border: none; color: #f87171; cursor: pointer; font-size: 11px;" title="Remove and return to stock" onclick="app.removeRepairPart('${tracking.qrId}', '${part._id}')">✕</button>` : ''}
+          </div>
+        `).join('')}
+        <div style="display: flex; justify-content: space-between; font-size: 12px; font-weight: 600; margin-top: 4px; border-top: 1px solid #334155; padding-top: 4px;">
+          <span>Parts Total ${tracking.warrantyClaimOf?.qrId ? '(under warranty)' : '(on the bill)'}</span>
+          <span>₹${total.toLocaleString('en-IN')}</span>
+        </div>
+      </div>
+    `
+  }
+
+  openRepairPartModal(qrId) {
+    const tracking = this.trackingData.find((t) => t.qrId === qrId);
+    if (!tracking) return;
+
+    const products = [...this.products].sort((a, b) => a.name.localeCompare(b.name))
+
+    const modalHTML = `
+      <div class="status-modal" id="statusModal">
+        <div class="status-modal-content">
+          <div class="status-modal-header">
+            <div class="status-modal-title">Add Part from Stock</div>
+            <div class="status-modal-subtitle">QR: ${tracking.qrId} | Device: ${this.escapeHtml(tracking.productName)}</div>
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Product</label>
+            <select class="status-select" id="repairPartProduct">
+              <option value="">Choose product...</option>
+              ${products.map(product => `<option value="${product._id || product.id}" ${product.stockQuantity === 0 ? 'disabled' : ''}>${this.escapeHtml(product.name)} - ₹${(product.price || 0).toLocaleString('en-IN')}${product.stockQuantity != null ? ` (${product.stockQuantity} in stock)` : ''}</option>`).join('')}
+            </select>
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Quantity</label>
+            <input type="number" class="status-select" id="repairPartQuantity" min="1" max="50" step="1" value="1">
+          </div>
+
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
+            <button class="status-btn status-btn-save" onclick="app.saveRepairPart('${tracking.qrId}')">Take from Stock</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.closeStatusModal();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+  }
+
+  async saveRepairPart(qrId) {
+    const productId = document.getElementById('repairPartProduct').value;
+    const quantity = Number(document.getElementById('repairPartQuantity').value);
+    if (!productId) {
+      alert('Choose the part you fitted');
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/parts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ productId, quantity })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const tracking = await response.json();
+      const index = this.trackingData.findIndex(t => t.qrId === qrId);
+      if (index !== -1) this.trackingData[index] = tracking;
+
+      this.closeStatusModal();
+      this.renderPage(this.currentPage);
+    } catch (error) {
+      console.error('❌ Error adding repair part:', error);
+      alert(`❌ Failed to add part: ${error.message}`);
+    }
+  }
+
+  async removeRepairPart(qrId, partId) {
+    if (!confirm('Remove this part from the repair and put it back in stock?')) return;
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/parts/${partId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const tracking = await response.json();
+      const index = this.trackingData.findIndex(t => t.qrId === qrId);
+      if (index !== -1) this.trackingData[index] = tracking;
+      this.renderPage(this.currentPage);
+    } catch (error) {
+      console.error('❌ Error removing repair part:', error);
+      alert(`❌ Failed to remove part: ${error.message}`);
+    }
+  }
+
+  renderQuoteLine(item = {}) {
+    return `
+      <div class="quote-line" style="display: grid; grid-template-columns: 1fr 3fr 1fr 1.5fr auto; gap: 6px; margin-bottom: 6px;">
+        <select class="status-select quote-kind" style="padding: 6px;" onchange="app.updateQuoteTotal()">
+          <option value="part" ${item.kind !== 'labour' ? 'selected' : ''}>Part</option>
+          <option value="labour" ${item.kind === 'labour' ? 'selected' : ''}>Labour</option>
+        </select>
+        <input type="text" class="status-select quote-description" style="padding: 6px;" placeholder="e.g. Display assembly" value="${this.escapeHtml(item.description || '')}">
+        <input type="number" class="status-select quote-quantity" style="padding: 6px;" min="1" step="1" value="${item.quantity || 1}" oninput="app.updateQuoteTotal()">
+        <input type="number" class="status-select quote-price" style="padding: 6px;" min="0" step="1" placeholder="₹" value="${item.unitPrice ?? ''}" oninput="app.updateQuoteTotal()">
+        <button class="status-btn status-btn-cancel" style="padding: 6px 10px;" onclick="this.closest('.quote-line').remove(); app.updateQuoteTotal()">✕</button>
+      </div>
+    `
+  }
+
+  openQuoteModal(qrId) {
+    const tracking = this.trackingData.find((t) => t.qrId === qrId);
+    if (!tracking) return;
+
+    const items = tracking.quote?.status === 'Pending' ? tracking.quote.items : [{ kind: 'part' }, { kind: 'labour', description: 'Labour' }];
+
+    const modalHTML = `
+      <div class="status-modal" id="statusModal">
+        <div class="status-modal-content" style="max-width: 640px;">
+          <div class="status-modal-header">
+            <div class="status-modal-title">Repair Quote</div>
+            <div class="status-modal-subtitle">QR: ${tracking.qrId} | Device: ${this.escapeHtml(tracking.productName)} | Customer: ${this.escapeHtml(tracking.customerName)}</div>
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Parts and Labour (type, description, qty, price each)</label>
+            <div id="quoteLines">${items.map(item => this.renderQuoteLine(item)).join('')}</div>
+            <button class="status-btn status-btn-cancel" style="padding: 6px 12px;" onclick="document.getElementById('quoteLines').insertAdjacentHTML('beforeend', app.renderQuoteLine())">+ Add Line</button>
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Note for the Customer (optional)</label>
+            <textarea class="status-select" id="quoteNote" rows="2" maxlength="500" placeholder="e.g. Original display, 3 months warranty">${tracking.quote?.status === 'Pending' ? this.escapeHtml(tracking.quote.note) : ''}</textarea>
+          </div>
+
+          <div style="text-align: right; font-weight: 700; margin-bottom: 12px;">Total: <span id="quoteTotal">₹0</span></div>
+
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
+            <button class="status-btn status-btn-save" onclick="app.saveQuote('${tracking.qrId}')">Send to Customer</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.closeStatusModal();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.updateQuoteTotal();
+  }
+
+  getQuoteLines() {
+    return Array.from(document.querySelectorAll('#quoteLines .quote-line'), line => ({
+      kind: line.querySelector('.quote-kind').value,
+      description: line.querySelector('.quote-description').value.trim(),
+      quantity: Number(line.querySelector('.quote-quantity').value) || 1,
+      unitPrice: Number(line.querySelector('.quote-price').value)
+    }));
+  }
+
+  updateQuoteTotal() {
+    const total = this.getQuoteLines().reduce((sum, line) => sum + line.quantity * (line.unitPrice || 0), 0);
+    const totalElement = document.getElementById('quoteTotal');
+    if (totalElement) totalElement.textContent = `₹${total.toLocaleString('en-IN')}`;
+  }
+
+  async saveQuote(qrId) {
+    const items = this.getQuoteLines().filter(line => line.description || line.unitPrice);
+    if (items.length === 0) {
+      alert('Add at least one part or labour line');
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/quote`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items, note: document.getElementById('quoteNote').value.trim() })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const tracking = await response.json();
+      const index = this.trackingData.findIndex(t => t.qrId === qrId);
+      if (index !== -1) this.trackingData[index] = tracking;
+
+      this.closeStatusModal();
+      this.renderPage(this.currentPage);
+      alert(`✅ Quote of ₹${tracking.quote.total.toLocaleString('en-IN')} sent.\n\nThe customer can approve it on the tracking page with their QR ID and password.`);
+    } catch (error) {
+      console.error('❌ Error saving quote:', error);
+      alert(`❌ Failed to save quote: ${error.message}`);
+    }
+  }
+
+  async recordQuoteDecision(qrId, decision) {
+    const message = decision === 'approve'
+      ? 'Record that the customer APPROVED the quote by phone?\n\nThe repair moves to In Progress.'
+      : 'Record that the customer DECLINED the quote by phone?\n\nThe repair moves to Awaiting Pickup.';
+    if (!confirm(message)) return;
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/quote/decision`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decision })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const tracking = await response.json();
+      const index = this.trackingData.findIndex(t => t.qrId === qrId);
+      if (index !== -1) this.trackingData[index] = tracking;
+      this.renderPage(this.currentPage);
+    } catch (error) {
+      console.error('❌ Error recording quote decision:', error);
+      alert(`❌ Failed to record the decision: ${error.message}`);
+    }
+  }
+
+  renderAdminOrders() {
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px;">
+            <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Orders Management</h1>
+            <p style="color: #94a3b8;">View and manage customer orders</p>
+          </div>
+
+          <div style="margin-bottom: 24px;">
+            <span style="color: #94a3b8; font-size: 14px;">Total Orders: ${this.orders.length}</span>
+          </div>
+
+          <div class="orders-list">
+            ${
+              this.orders.length > 0
+                ? this.orders.map(order => this.renderOrderCard(order)).join('')
+                : '<div style="text-align: center; padding: 48px; color: #94a3b8;">No orders found</div>'
+            }
+          </div>
+        </div>
+      </div>
+    `
+  }
+
+  renderOrderCard(order) {
+    // Fix order date formatting
+    let formattedDate = 'Date not available';
+    if (order.orderDate) {
+      try {
+        const date = new Date(order.orderDate);
+        formattedDate = date.toLocaleString('en-IN', { 
+          year: 'numeric', 
+          month: 'short', 
           day: 'numeric', 
           hour: '2-digit', 
           minute: '2-digit',
@@ -1077,6 +2153,7 @@ class OwnerPortalApp {
           timeZone: 'Asia/Kolkata'
         });
       } catch (e) {
+        console.error('Date formatting error:', e);
         formattedDate = order.orderDate.toString();
       }
     } else if (order.createdAt) {
@@ -1084,7 +2161,7 @@ class OwnerPortalApp {
         const date = new Date(order.createdAt);
         formattedDate = date.toLocaleString('en-IN', { 
           year: 'numeric', 
-          month: 'long', 
+          month: 'short', 
           day: 'numeric', 
           hour: '2-digit', 
           minute: '2-digit',
@@ -1092,791 +2169,2726 @@ class OwnerPortalApp {
           timeZone: 'Asia/Kolkata'
         });
       } catch (e) {
+        console.error('Date formatting error:', e);
         formattedDate = order.createdAt.toString();
       }
     }
 
-    // Create printable content
-    const printContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Order #${order.orderId || order.id} - Manjula Mobile World</title>
-        <style>
-          body { 
-            font-family: Arial, sans-serif; 
-            margin: 20px; 
-            color: #000; 
-            background: white;
-          }
-          .header { 
-            text-align: center; 
-            border-bottom: 2px solid #dc2626; 
-            padding-bottom: 20px; 
-            margin-bottom: 30px; 
-          }
-          .logo { 
-            font-size: 24px; 
-            font-weight: bold; 
-            color: #dc2626; 
-            margin-bottom: 5px; 
-          }
-          .subtitle { 
-            color: #666; 
-            font-size: 14px; 
-          }
-          .order-info { 
-            display: flex; 
-            justify-content: space-between; 
-            margin-bottom: 30px; 
-          }
-          .order-details, .customer-details { 
-            width: 48%; 
-          }
-          .section-title { 
-            font-weight: bold; 
-            color: #dc2626; 
-            margin-bottom: 10px; 
-            border-bottom: 1px solid #eee; 
-            padding-bottom: 5px; 
-          }
-          .items-table { 
-            width: 100%; 
-            border-collapse: collapse; 
-            margin: 20px 0; 
-          }
-          .items-table th, .items-table td { 
-            border: 1px solid #ddd; 
-            padding: 12px; 
-            text-align: left; 
-          }
-          .items-table th { 
-            background-color: #f8f9fa; 
-            font-weight: bold; 
-          }
-          .total-row { 
-            font-weight: bold; 
-            background-color: #f8f9fa; 
-          }
-          .payment-info { 
-            background-color: #f0f9ff; 
-            padding: 15px; 
-            border-radius: 8px; 
-            margin: 20px 0; 
-            border-left: 4px solid #dc2626; 
-          }
-          .footer { 
-            text-align: center; 
-            margin-top: 40px; 
-            padding-top: 20px; 
-            border-top: 1px solid #eee; 
-            color: #666; 
-            font-size: 12px; 
-          }
-          @media print {
+    return `
+      <div class="order-card" style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px; max-width: 100%;">
+        <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
+          <div>
+            <h4 style="margin-bottom: 4px; font-size: 14px; font-weight: 600;">Order #${order.id || order.orderId}</h4>
+            <div style="color: #94a3b8; font-size: 11px;">
+              📅 ${formattedDate}
+            </div>
+          </div>
+          <span class="status-badge status-${order.status.toLowerCase().replace(/\s+/g, "-")}" style="font-size: 10px; padding: 4px 8px; border-radius: 4px; background: rgba(16, 185, 129, 0.2); color: #10b981;">${order.status}</span>
+        </div>
+        
+        <div style="margin-bottom: 12px;">
+          <div style="font-weight: 600; margin-bottom: 6px; font-size: 12px;">Customer Details</div>
+          <div style="color: #cbd5e1; font-size: 11px; line-height: 1.4;">
+            <div>${this.escapeHtml(order.customer?.name)}</div>
+            <div>${this.escapeHtml(order.customer?.email)} • ${this.escapeHtml(order.customer?.phone)}</div>
+            <div>${this.escapeHtml(order.customer?.address)}</div>
+          </div>
+        </div>
+
+        <div style="margin-bottom: 12px;">
+          <div style="font-weight: 600; margin-bottom: 6px; font-size: 12px;">Order Items</div>
+          <div style="background: rgba(51, 65, 85, 0.3); border-radius: 4px; padding: 8px;">
+            ${order.items.map(item => `
+              <div style="display: flex; justify-content: space-between; margin-bottom: 3px; font-size: 11px;">
+                <span style="color: #e2e8f0;">${this.escapeHtml(item.name)} × ${item.quantity}</span>
+                <span style="color: #10b981; font-weight: 600;">₹${(item.price * item.quantity).toLocaleString()}</span>
+              </div>
+            `).join('')}
+            ${order.discount > 0 ? `
+            <div style="border-top: 1px solid #334155; margin-top: 6px; padding-top: 6px; display: flex; justify-content: space-between; font-size: 11px;">
+              <span style="color: #94a3b8;">MRP ₹${order.subtotal.toLocaleString()}</span>
+              <span style="color: #f59e0b;">Discount −₹${order.discount.toLocaleString()}</span>
+            </div>` : ''}
+            <div style="border-top: 1px solid #334155; margin-top: 6px; padding-top: 6px; display: flex; justify-content: space-between; font-weight: 700;">
+              <span style="color: #e2e8f0; font-size: 12px;">Total:</span>
+              <span style="color: #10b981; font-size: 14px;">₹${order.total.toLocaleString()}</span>
+            </div>
+          </div>
+        </div>
+
+        <div style="margin-bottom: 12px; padding: 6px; background: rgba(16, 185, 129, 0.1); border-radius: 4px; border: 1px solid rgba(16, 185, 129, 0.3);">
+          <div style="font-size: 11px; color: #10b981; font-weight: 600;">Payment: ${this.escapeHtml(order.paymentMethod)}</div>
+          ${order.paymentVerification && order.paymentVerification.decision ? `
+            <div style="font-size: 10px; color: ${order.paymentVerification.decision === 'approve' ? '#10b981' : '#f87171'}; margin-top: 4px;">
+              ${order.paymentVerification.decision === 'approve'
+                ? `✅ Verified: UPI ref ${this.escapeHtml(order.paymentVerification.upiReference)} • ₹${Number(order.paymentVerification.amountReceived).toLocaleString()} received`
+                : `❌ Rejected: ${this.escapeHtml(order.paymentVerification.reason)}`}
+              ${order.paymentVerification.verifiedBy ? ` • by ${this.escapeHtml(order.paymentVerification.verifiedBy.name)}` : ''}
+            </div>` : ''}
+          ${this.getScreenshotSrc(order) ? `
+            <div style="margin-top: 8px;">
+              <div style="font-size: 10px; color: #94a3b8; margin-bottom: 4px;">Payment Screenshot:</div>
+              <img src="${this.escapeHtml(this.getScreenshotSrc(order))}" alt="Payment Screenshot" 
+                   style="max-width: 150px; max-height: 100px; border-radius: 4px; border: 1px solid #334155; cursor: pointer; display: block;"
+                   data-screenshot-id="${order.orderId || order.id}"
+                   onclick="app.showScreenshotFromOrder('${order.orderId || order.id}')"
+                   onerror="this.style.display='none'; this.nextElementSibling.innerHTML='❌ Image failed to load'; console.error('Failed to load screenshot for order:', '${order.orderId || order.id}')">
+              <div style="font-size: 9px; color: #64748b; margin-top: 2px;">
+                📎 ${this.escapeHtml(order.paymentScreenshot.fileName)} • ${new Date(order.paymentScreenshot.uploadTime).toLocaleString('en-IN', { 
+                  month: 'short', 
+                  day: 'numeric', 
+                  hour: '2-digit', 
+                  minute: '2-digit' 
+                })}
+                ${order.paymentScreenshot.imageUrl ? '<span style="color: #10b981;">• 🖼️ Stored File</span>' : '<span style="color: #f59e0b;">• 📄 Inline Data</span>'}
+              </div>
+            </div>
+          ` : order.paymentMethod?.includes('Screenshot') ? `
+            <div style="margin-top: 8px; padding: 8px; background: rgba(239, 68, 68, 0.1); border-radius: 4px; border: 1px solid rgba(239, 68, 68, 0.3);">
+              <div style="font-size: 10px; color: #dc2626; font-weight: 600;">⚠️ Screenshot data missing</div>
+              <div style="font-size: 9px; color: #dc2626;">Payment screenshot was uploaded but data is not available</div>
+            </div>
+          ` : ''}
+        </div>
+
+        ${this.renderOrderTimeline(order)}
+
+        <div style="display: flex; gap: 6px;">
+          ${this.can('orders:update') && this.getManualOrderStatuses(order).length > 0 ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.updateOrderStatus('${order.orderId}')">Update Status</button>` : ''}
+          <button class="btn btn-primary" style="flex: 1; padding: 6px 10px; font-size: 11px; display: flex; align-items: center; justify-content: center; gap: 4px;" onclick="app.printOrder('${order.id || order.orderId}')">
+            🖨️ Print Order
+          </button>
+          <button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.openReceiptModal('orders', '${order.orderId}')">🧾 Receipt</button>
+          ${order.invoice?.number || ['Paid', 'Processing', 'Shipped', 'Delivered'].includes(order.status) ? `<button class="btn btn-secondary" style="flex: 1; padding: 6px 10px; font-size: 11px;" onclick="app.downloadInvoice('${order.orderId}')" title="${order.invoice?.number || 'Issues the next invoice number'}">🧾 Tax Invoice</button>` : ''}
+          ${this.can('orders:delete') ? `<button class="btn" style="flex: 1; padding: 6px 10px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.deleteOrder('${order.id || order.orderId}')">Delete</button>` : ''}
+        </div>
+      </div>
+    `
+  }
+
+  // Status history of an order, oldest first
+  renderOrderTimeline(order) {
+    return this.renderStatusHistory(order.statusHistory);
+  }
+
+  // Status changes and notes (orders and repairs share the same event shape), oldest first
+  renderStatusHistory(history = []) {
+    if (history.length === 0) return '';
+
+    return `
+        <div style="margin-bottom: 12px;">
+          <div style="font-weight: 600; margin-bottom: 6px; font-size: 12px;">Status History</div>
+          <div style="border-left: 2px solid #334155; margin-left: 4px; padding-left: 10px;">
+            ${history.map(entry => `
+              <div style="margin-bottom: 6px; font-size: 11px;">
+                <div style="color: #e2e8f0; font-weight: 600;">${entry.from === entry.to ? '📝 Note' : `${entry.from ? `${this.escapeHtml(entry.from)} → ` : ''}${this.escapeHtml(entry.to)}`}</div>
+                <div style="color: #94a3b8; font-size: 10px;">
+                  ${new Date(entry.changedAt).toLocaleString('en-IN', {
+                    month: 'short',
+                    day: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    hour12: true,
+                    timeZone: 'Asia/Kolkata'
+                  })}${entry.changedBy && entry.changedBy.name ? ` • ${this.escapeHtml(entry.changedBy.name)}${entry.changedBy.role ? ` (${entry.changedBy.role})` : ''}` : ''}
+                </div>
+                ${entry.note ? `<div style="color: #cbd5e1; font-size: 10px; font-style: italic;">${this.escapeHtml(entry.note)}</div>` : ''}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+    `;
+  }
+
+  showScreenshotFromOrder(orderId) {
+    // Find the order by ID
+    const order = this.orders.find(o => (o.orderId === orderId || o.id === orderId));
+    
+    const imageSrc = order && this.getScreenshotSrc(order);
+    if (!imageSrc) {
+      alert('Screenshot not found for this order.');
+      return;
+    }
+    
+    // Show the screenshot modal
+    this.showScreenshotModal(imageSrc, order.paymentScreenshot.fileName);
+  }
+
+  // URL of a resized copy (thumb, card or zoom) of an uploaded product photo - other image URLs are used as-is
+  getImageUrl(url, size) {
+    const match = typeof url === 'string' && url.match(/^\/media\/([a-f0-9]{64})\.(?:jpg|png|webp|gif)$/);
+    if (!match) return url;
+    return `${this.baseURL}/media/${match[1]}-${size}.webp`;
+  }
+
+  // Screenshot location - stored media URLs are served by the API server, older orders carry inline data
+  getScreenshotSrc(order) {
+    const screenshot = order.paymentScreenshot;
+    if (!screenshot) return null;
+    if (screenshot.imageUrl && screenshot.imageUrl.startsWith('/media/')) {
+      return `${this.baseURL}${screenshot.imageUrl}`;
+    }
+    return screenshot.imageUrl || screenshot.data || null;
+  }
+
+  showScreenshotModal(imageSrc, fileName) {
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.8);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      padding: 20px;
+      box-sizing: border-box;
+    `;
+    
+    modal.innerHTML = `
+      <div style="background: white; border-radius: 12px; padding: 24px; max-width: 600px; width: 100%; text-align: center;">
+        <h3 style="margin-bottom: 16px; color: #000;">Payment Screenshot</h3>
+        <img src="${this.escapeHtml(imageSrc)}" alt="Payment Screenshot" style="max-width: 100%; max-height: 400px; border-radius: 8px; margin-bottom: 16px; border: 2px solid #fecaca;">
+        <p style="color: #666; font-size: 14px; margin-bottom: 20px;">File: ${this.escapeHtml(fileName)}</p>
+        <button id="closeModal" style="background: #dc2626; color: white; border: none; padding: 12px 24px; border-radius: 8px; cursor: pointer; font-weight: 600;">Close</button>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Handle close button
+    document.getElementById('closeModal').onclick = () => {
+      document.body.removeChild(modal);
+    };
+    
+    // Close on background click
+    modal.onclick = (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal);
+      }
+    };
+  }
+
+  // Download the order's GST invoice PDF - the server issues the invoice number on first download
+  async downloadInvoice(orderId) {
+    const order = this.orders.find(o => o.orderId === orderId);
+    if (order && !order.invoice?.number && !confirm(`Issue a tax invoice for order #${orderId}?\n\nThis takes the next invoice number and can't be undone.`)) {
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/orders/${orderId}/invoice`);
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="(.+)"/)?.[1] || `Invoice-${orderId}.pdf`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+      // Pick up the invoice number for the button
+      await this.loadOrdersFromStorage();
+      this.renderPage(this.currentPage);
+    } catch (error) {
+      console.error('❌ Error downloading invoice:', error);
+      alert(`❌ Failed to download invoice: ${error.message}`);
+    }
+  }
+
+  // Thermal receipt for an order or a repair job card (kind 'orders' or 'tracking').
+  // Prints through a local printer bridge that accepts raw ESC/POS bytes, or through the browser.
+  openReceiptModal(kind, id) {
+    const paperWidth = localStorage.getItem('manjula_receipt_width') || '80';
+    const bridgeUrl = localStorage.getItem('manjula_printer_bridge') || '';
+
+    const modalHTML = `
+      <div class="status-modal" id="statusModal">
+        <div class="status-modal-content">
+          <div class="status-modal-header">
+            <div class="status-modal-title">${kind === 'tracking' ? 'Print Job Card' : 'Print Receipt'}</div>
+            <div class="status-modal-subtitle">${kind === 'tracking' ? 'QR' : 'Order'}: ${id}</div>
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Paper Width</label>
+            <select class="status-select" id="receiptPaperWidth">
+              <option value="58" ${paperWidth === '58' ? 'selected' : ''}>58 mm</option>
+              <option value="80" ${paperWidth === '80' ? 'selected' : ''}>80 mm</option>
+            </select>
+          </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Printer Bridge URL</label>
+            <input type="url" class="status-select" id="receiptBridgeUrl" value="${bridgeUrl}" placeholder="e.g. http://localhost:9100/print">
+            <div style="color: #94a3b8; font-size: 11px; margin-top: 4px;">Local service that forwards raw ESC/POS bytes to the thermal printer. Leave empty to print from the browser.</div>
+          </div>
+
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
+            <button class="status-btn status-btn-cancel" onclick="app.printReceipt('${kind}', '${id}', 'download')">⬇️ ESC/POS File</button>
+            <button class="status-btn status-btn-cancel" onclick="app.printReceipt('${kind}', '${id}', 'html')">🖨️ Browser</button>
+            <button class="status-btn status-btn-save" onclick="app.printReceipt('${kind}', '${id}', 'bridge')">🧾 Send to Printer</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.closeStatusModal();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+  }
+
+  async printReceipt(kind, id, target) {
+    const paperWidth = document.getElementById('receiptPaperWidth').value;
+    const bridgeUrl = document.getElementById('receiptBridgeUrl').value.trim();
+    localStorage.setItem('manjula_receipt_width', paperWidth);
+    localStorage.setItem('manjula_printer_bridge', bridgeUrl);
+
+    if (target === 'bridge' && !bridgeUrl) {
+      alert('❌ Enter the printer bridge URL, or print from the browser');
+      return;
+    }
+
+    // Open the print window straight away so the browser doesn't block it as a popup
+    const printWindow = target === 'html' ? window.open('', '_blank', 'width=420,height=700') : null;
+
+    try {
+      const format = target === 'html' ? 'html' : 'escpos';
+      const response = await this.apiFetch(`${this.API_URL}/${kind}/${encodeURIComponent(id)}/receipt?format=${format}&width=${paperWidth}`);
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      if (target === 'html') {
+        printWindow.document.write(await response.text());
+        printWindow.document.close();
+      } else if (target === 'download') {
+        const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="(.+)"/)?.[1] || `Receipt-${id}.bin`;
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+      } else {
+        const bridgeResponse = await fetch(bridgeUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: await response.arrayBuffer()
+        });
+        if (!bridgeResponse.ok) {
+          throw new Error(`Printer bridge responded ${bridgeResponse.status}`);
+        }
+        alert('✅ Sent to printer');
+      }
+
+      this.closeStatusModal();
+    } catch (error) {
+      if (printWindow) printWindow.close();
+      console.error('❌ Error printing receipt:', error);
+      alert(`❌ Failed to print receipt: ${error.message}`);
+    }
+  }
+
+  // Print Order functionality
+  printOrder(orderId) {
+    // Find the order by ID
+    const order = this.orders.find(o => (o.orderId === orderId || o.id === orderId));
+    
+    if (!order) {
+      alert('Order not found!');
+      return;
+    }
+
+    // Format order date
+    let formattedDate = 'Date not available';
+    if (order.orderDate) {
+      try {
+        const date = new Date(order.orderDate);
+        formattedDate = date.toLocaleString('en-IN', { 
+          year: 'numeric', 
+          month: 'long', 
+          day: 'numeric', 
+          hour: '2-digit', 
+          minute: '2-digit',
+          hour12: true,
+          timeZone: 'Asia/Kolkata'
+        });
+      } catch (e) {
+        formattedDate = order.orderDate.toString();
+      }
+    } else if (order.createdAt) {
+      try {
+        const date = new Date(order.createdAt);
+        formattedDate = date.toLocaleString('en-IN', { 
+          year: 'numeric', 
+          month: 'long', 
+          day: 'numeric', 
+          hour: '2-digit', 
+          minute: '2-digit',
+          hour12: true,
+          timeZone: 'Asia/Kolkata'
+        });
+      } catch (e) {
+        formattedDate = order.createdAt.toString();
+      }
+    }
+
+    // Create printable content
+    const printContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Order #${order.orderId || order.id} - Manjula Mobile World</title>
+        <style>
+          body { 
+            font-family: Arial, sans-serif; 
+            margin: 20px; 
+            color: #000; 
+            background: white;
+          }
+          .header { 
+            text-align: center; 
+            border-bottom: 2px solid #dc2626; 
+            padding-bottom: 20px; 
+            margin-bottom: 30px; 
+          }
+          .logo { 
+            font-size: 24px; 
+            font-weight: bold; 
+            color: #dc2626; 
+            margin-bottom: 5px; 
+          }
+          .subtitle { 
+            color: #666; 
+            font-size: 14px; 
+          }
+          .order-info { 
+            display: flex; 
+            justify-content: space-between; 
+            margin-bottom: 30px; 
+          }
+          .order-details, .customer-details { 
+            width: 48%; 
+          }
+          .section-title { 
+            font-weight: bold; 
+            color: #dc2626; 
+            margin-bottom: 10px; 
+            border-bottom: 1px solid #eee; 
+            padding-bottom: 5px; 
+          }
+          .items-table { 
+            width: 100%; 
+            border-collapse: collapse; 
+            margin: 20px 0; 
+          }
+          .items-table th, .items-table td { 
+            border: 1px solid #ddd; 
+            padding: 12px; 
+            text-align: left; 
+          }
+          .items-table th { 
+            background-color: #f8f9fa; 
+            font-weight: bold; 
+          }
+          .total-row { 
+            font-weight: bold; 
+            background-color: #f8f9fa; 
+          }
+          .payment-info { 
+            background-color: #f0f9ff; 
+            padding: 15px; 
+            border-radius: 8px; 
+            margin: 20px 0; 
+            border-left: 4px solid #dc2626; 
+          }
+          .footer { 
+            text-align: center; 
+            margin-top: 40px; 
+            padding-top: 20px; 
+            border-top: 1px solid #eee; 
+            color: #666; 
+            font-size: 12px; 
+          }
+          @media print {
             body { margin: 0; }
             .no-print { display: none; }
           }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <div class="logo">📱 MANJULA MOBILE WORLD</div>
-          <div class="subtitle">Mobile Repair & Parts • Ramapuram, Tamil Nadu</div>
-          <div class="subtitle">📞 +91 82484 54841 • ✉️ manjulamobiles125@gmail.com</div>
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <div class="logo">📱 MANJULA MOBILE WORLD</div>
+          <div class="subtitle">Mobile Repair & Parts • Ramapuram, Tamil Nadu</div>
+          <div class="subtitle">📞 +91 82484 54841 • ✉️ manjulamobiles125@gmail.com</div>
+        </div>
+
+        <div class="order-info">
+          <div class="order-details">
+            <div class="section-title">Order Information</div>
+            <p><strong>Order ID:</strong> #${order.orderId || order.id}</p>
+            <p><strong>Date:</strong> ${formattedDate}</p>
+            <p><strong>Status:</strong> ${order.status}</p>
+            <p><strong>Payment Method:</strong> ${this.escapeHtml(order.paymentMethod)}</p>
+          </div>
+          
+          <div class="customer-details">
+            <div class="section-title">Customer Details</div>
+            <p><strong>Name:</strong> ${this.escapeHtml(order.customer?.name)}</p>
+            <p><strong>Phone:</strong> ${this.escapeHtml(order.customer?.phone)}</p>
+            <p><strong>Email:</strong> ${this.escapeHtml(order.customer?.email)}</p>
+            <p><strong>Address:</strong> ${this.escapeHtml(order.customer?.address)}</p>
+          </div>
+        </div>
+
+        <div class="section-title">Order Items</div>
+        <table class="items-table">
+          <thead>
+            <tr>
+              <th>Item Name</th>
+              <th>Quantity</th>
+              <th>Unit Price</th>
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${order.items.map(item => `
+              <tr>
+                <td>${this.escapeHtml(item.name)}</td>
+                <td>${item.quantity}</td>
+                <td>₹${item.price.toLocaleString()}</td>
+                <td>₹${(item.price * item.quantity).toLocaleString()}</td>
+              </tr>
+            `).join('')}
+            <tr class="total-row">
+              <td colspan="3"><strong>Total Amount</strong></td>
+              <td><strong>₹${order.total.toLocaleString()}</strong></td>
+            </tr>
+          </tbody>
+        </table>
+
+        <div class="payment-info">
+          <div class="section-title">Payment Information</div>
+          <p><strong>Payment Method:</strong> ${this.escapeHtml(order.paymentMethod)}</p>
+          ${this.getScreenshotSrc(order) ? 
+            `<p><strong>Payment Screenshot:</strong> Attached (${this.escapeHtml(order.paymentScreenshot.fileName)})</p>` : 
+            '<p><strong>Payment Screenshot:</strong> Not available</p>'
+          }
+        </div>
+
+        <div class="footer">
+          <p>Thank you for choosing Manjula Mobile World!</p>
+          <p>For any queries, contact us at +91 82484 54841 or manjulamobiles125@gmail.com</p>
+          <p>Printed on: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    // Open print window
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(printContent);
+    printWindow.document.close();
+    
+    // Wait for content to load then print
+    printWindow.onload = function() {
+      printWindow.focus();
+      printWindow.print();
+      // Close window after printing (optional)
+      setTimeout(() => {
+        printWindow.close();
+      }, 1000);
+    };
+  }
+
+  renderNoAccess() {
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container" style="text-align: center; padding-top: 48px;">
+          <div style="font-size: 64px; margin-bottom: 16px;">⛔</div>
+          <h1 style="font-size: 32px; font-weight: 700; margin-bottom: 8px;">No Access</h1>
+          <p style="color: #000000; margin-bottom: 24px;">Your role (${this.currentUser?.role || 'unknown'}) does not have access to this page.</p>
+          <button class="btn btn-primary" data-page="admin">← Back to Dashboard</button>
+        </div>
+      </div>
+    `
+  }
+
+  renderRevenueSummary() {
+    if (!this.can('reports:revenue') || !this.revenueSummary) return ''
+
+    const { today, month, allTime } = this.revenueSummary
+    const card = (label, data) => `
+      <div style="background: linear-gradient(135deg, rgba(16, 185, 129, 0.4), rgba(185, 28, 28, 0.2)); border: 2px solid #dcca2691; border-radius: 12px; padding: 20px; text-align: center;">
+        <div style="font-size: 28px; font-weight: 700; color: #ffffff; margin-bottom: 4px;">₹${data.revenue.toLocaleString()}</div>
+        <div style="color: #000000; font-size: 14px;">${label} (${data.orders} orders)</div>
+        ${data.unverified?.orders ? `<div style="color: #000000; font-size: 12px; margin-top: 4px;">+ ₹${data.unverified.revenue.toLocaleString()} awaiting payment check (${data.unverified.orders})</div>` : ''}
+      </div>
+    `
+
+    return `
+      <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; margin-bottom: 32px;">
+        ${card('Revenue Today', today)}
+        ${card('Revenue This Month', month)}
+        ${card('All-Time Revenue', allTime)}
+      </div>
+    `
+  }
+
+  // Unread notifications on the dashboard, newest first
+  renderNotifications() {
+    const unread = this.notifications.filter(n => !n.read)
+    if (unread.length === 0) return ''
+
+    return `
+      <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 20px; margin-bottom: 32px;">
+        <h3 style="margin-bottom: 12px;">🔔 Notifications (${unread.length})</h3>
+        ${unread.map(notification => `
+          <div style="border-top: 1px solid #334155; padding: 12px 0; display: flex; gap: 12px; align-items: flex-start;">
+            <div style="flex: 1;">
+              <div style="font-weight: 600; font-size: 14px; margin-bottom: 4px;">${this.escapeHtml(notification.title)}</div>
+              <div style="color: #cbd5e1; font-size: 12px; white-space: pre-line;">${this.escapeHtml(notification.message)}</div>
+              <div style="color: #94a3b8; font-size: 10px; margin-top: 4px;">${new Date(notification.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</div>
+            </div>
+            ${notification.type === 'low-stock-digest' ? `<button class="btn btn-primary" style="padding: 4px 10px; font-size: 11px;" data-page="admin-inventory">View</button>` : ''}
+            ${notification.type === 'repair-due-digest' && this.can('tracking:read') ? `<button class="btn btn-primary" style="padding: 4px 10px; font-size: 11px;" onclick="app.setTrackingFilter('overdue')">View</button>` : ''}
+            <button class="btn btn-secondary" style="padding: 4px 10px; font-size: 11px;" onclick="app.markNotificationRead('${notification._id}')">Dismiss</button>
+          </div>
+        `).join('')}
+      </div>
+    `
+  }
+
+  renderAdminInventory() {
+    const report = this.stockReport
+    const items = report?.items || []
+    const lowItems = items.filter(item => item.isLow)
+    const okItems = items.filter(item => !item.isLow)
+
+    const row = (item) => `
+      <tr style="border-top: 1px solid #334155;">
+        <td style="padding: 8px;">${this.escapeHtml(item.name)}<div style="color: #94a3b8; font-size: 10px;">${this.escapeHtml(item.category)}</div></td>
+        <td style="padding: 8px; text-align: right; font-weight: 700; color: ${item.stockQuantity === 0 ? '#f87171' : item.isLow ? '#fbbf24' : '#10b981'};">${item.stockQuantity}</td>
+        <td style="padding: 8px; text-align: right;">${item.reorderThreshold ?? '—'}</td>
+        <td style="padding: 8px; text-align: right;">${item.unitsSold}</td>
+        <td style="padding: 8px; text-align: right;">${item.unitsUsedInRepairs || 0}</td>
+        <td style="padding: 8px; text-align: right;">${item.daysOfStockLeft ?? '—'}</td>
+        <td style="padding: 8px; text-align: right; font-weight: 700;">${item.suggestedOrderQuantity || '—'}</td>
+      </tr>
+    `
+
+    const table = (rows) => `
+      <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 16px; margin-bottom: 32px; overflow-x: auto;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 13px; color: #f8fafc;">
+          <thead>
+            <tr style="color: #94a3b8; font-size: 11px; text-align: right;">
+              <th style="padding: 8px; text-align: left;">Product</th>
+              <th style="padding: 8px;">In Stock</th>
+              <th style="padding: 8px;">Reorder At</th>
+              <th style="padding: 8px;">Sold (${report?.velocityDays || 30} days)</th>
+              <th style="padding: 8px;">Used in Repairs</th>
+              <th style="padding: 8px;">Days Left</th>
+              <th style="padding: 8px;">Suggested Order</th>
+            </tr>
+          </thead>
+          <tbody>${rows.map(row).join('')}</tbody>
+        </table>
+      </div>
+    `
+
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px;">
+            <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Low Stock</h1>
+            <p style="color: #94a3b8;">Suggested orders cover the next 30 days at the current sales rate, plus the reorder level. Only products with a stock quantity are listed.</p>
+          </div>
+
+          ${!report ? '<div style="text-align: center; padding: 48px; color: #94a3b8;">Stock report unavailable - is the server running?</div>' : `
+            <h3 style="margin-bottom: 12px;">Needs Reordering (${lowItems.length})</h3>
+            ${lowItems.length > 0 ? table(lowItems) : '<div style="text-align: center; padding: 24px; margin-bottom: 32px; color: #94a3b8;">Nothing at or below its reorder level 🎉</div>'}
+
+            <h3 style="margin-bottom: 12px;">Stock OK (${okItems.length})</h3>
+            ${okItems.length > 0 ? table(okItems) : '<div style="text-align: center; padding: 24px; color: #94a3b8;">No other products with a stock quantity</div>'}
+          `}
+        </div>
+      </div>
+    `
+  }
+
+  renderAdminProfit() {
+    const report = this.profitReport
+    const money = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`
+    const margin = (row) => row.marginPercent == null ? '—' : `${row.marginPercent}%`
+    const shopDate = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' })
+
+    const table = (title, labelHeader, rows, label) => `
+      <h3 style="margin-bottom: 12px;">${title}</h3>
+      <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 16px; margin-bottom: 32px; overflow-x: auto;">
+        ${rows.length === 0 ? '<div style="text-align: center; padding: 24px; color: #94a3b8;">No sales in this period</div>' : `
+        <table style="width: 100%; border-collapse: collapse; font-size: 13px; color: #f8fafc;">
+          <thead>
+            <tr style="color: #94a3b8; font-size: 11px; text-align: right;">
+              <th style="padding: 8px; text-align: left;">${labelHeader}</th>
+              <th style="padding: 8px;">Revenue</th>
+              <th style="padding: 8px;">Cost</th>
+              <th style="padding: 8px;">Gross Profit</th>
+              <th style="padding: 8px;">Margin</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr style="border-top: 1px solid #334155; text-align: right;">
+                <td style="padding: 8px; text-align: left;">${label(row)}${row.uncostedRevenue > 0 ? `<div style="color: #fbbf24; font-size: 10px;">⚠️ ${money(row.uncostedRevenue)} of sales has no cost price</div>` : ''}</td>
+                <td style="padding: 8px;">${money(row.revenue)}</td>
+                <td style="padding: 8px;">${money(row.cost)}</td>
+                <td style="padding: 8px; font-weight: 700; color: ${row.grossProfit < 0 ? '#f87171' : '#10b981'};">${money(row.grossProfit)}</td>
+                <td style="padding: 8px;">${margin(row)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>`}
+      </div>
+    `
+
+    // Catalog parts fitted in repairs completed in the period
+    const partsTable = (rows) => `
+      <h3 style="margin-bottom: 12px;">Parts Used in Repairs</h3>
+      <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 16px; margin-bottom: 32px; overflow-x: auto;">
+        ${rows.length === 0 ? '<div style="text-align: center; padding: 24px; color: #94a3b8;">No stock parts used in this period</div>' : `
+        <table style="width: 100%; border-collapse: collapse; font-size: 13px; color: #f8fafc;">
+          <thead>
+            <tr style="color: #94a3b8; font-size: 11px; text-align: right;">
+              <th style="padding: 8px; text-align: left;">Part</th>
+              <th style="padding: 8px;">Units Used</th>
+              <th style="padding: 8px;">Repairs</th>
+              <th style="padding: 8px;">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr style="border-top: 1px solid #334155; text-align: right;">
+                <td style="padding: 8px; text-align: left;">${this.escapeHtml(row.name)}<div style="color: #94a3b8; font-size: 10px;">${this.escapeHtml(row.category)}</div>${row.uncostedUnits > 0 ? `<div style="color: #fbbf24; font-size: 10px;">⚠️ ${row.uncostedUnits} unit(s) have no cost price</div>` : ''}</td>
+                <td style="padding: 8px;">${row.unitsUsed}</td>
+                <td style="padding: 8px;">${row.repairs}</td>
+                <td style="padding: 8px;">${money(row.cost)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>`}
+      </div>
+    `
+
+    const card = (label, value) => `
+      <div style="background: linear-gradient(135deg, rgba(16, 185, 129, 0.4), rgba(185, 28, 28, 0.2)); border: 2px solid #dcca2691; border-radius: 12px; padding: 20px; text-align: center;">
+        <div style="font-size: 28px; font-weight: 700; color: #ffffff; margin-bottom: 4px;">${value}</div>
+        <div style="color: #000000; font-size: 14px;">${label}</div>
+      </div>
+    `
+
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px;">
+            <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Profit Report</h1>
+            <p style="color: #94a3b8;">Gross margin from delivered orders and completed repairs. Sales are costed at the cost price when the order was placed.</p>
+          </div>
+
+          <div style="display: flex; gap: 12px; flex-wrap: wrap; align-items: flex-end; margin-bottom: 32px;">
+            <div class="form-field" style="margin-bottom: 0;">
+              <label class="form-label">From</label>
+              <input type="date" class="input" id="profitFrom" value="${this.profitFilter.from || (report ? shopDate(report.from) : '')}">
+            </div>
+            <div class="form-field" style="margin-bottom: 0;">
+              <label class="form-label">To</label>
+              <input type="date" class="input" id="profitTo" value="${this.profitFilter.to || (report ? shopDate(new Date(report.to).getTime() - 1) : '')}">
+            </div>
+            <div class="form-field" style="margin-bottom: 0;">
+              <label class="form-label">Group By</label>
+              <select class="input" id="profitPeriod" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
+                <option value="month" ${this.profitFilter.period === 'month' ? 'selected' : ''}>Month</option>
+                <option value="day" ${this.profitFilter.period === 'day' ? 'selected' : ''}>Day</option>
+              </select>
+            </div>
+            <button class="btn btn-primary" onclick="app.applyProfitFilter()">Show</button>
+          </div>
+
+          ${!report ? '<div style="text-align: center; padding: 48px; color: #94a3b8;">Profit report unavailable - is the server running?</div>' : `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; margin-bottom: 32px;">
+              ${card('Revenue', money(report.totals.revenue))}
+              ${card('Gross Profit', money(report.totals.grossProfit))}
+              ${card('Gross Margin', margin(report.totals))}
+              ${card(`Repair Profit (${report.repairs.count} jobs)`, money(report.repairs.grossProfit))}
+            </div>
+
+            ${table(this.profitFilter.period === 'day' ? 'By Day' : 'By Month', 'Period', report.byPeriod, row => row.period)}
+            ${table('By Category', 'Category', report.byCategory, row => this.escapeHtml(row.category))}
+            ${table('By Product', 'Product', report.byProduct, row => `${this.escapeHtml(row.name)}<div style="color: #94a3b8; font-size: 10px;">${this.escapeHtml(row.category)} • ${row.unitsSold} sold</div>`)}
+            ${partsTable(report.repairParts || [])}
+          `}
+        </div>
+      </div>
+    `
+  }
+
+  async applyProfitFilter() {
+    this.profitFilter = {
+      from: document.getElementById('profitFrom').value,
+      to: document.getElementById('profitTo').value,
+      period: document.getElementById('profitPeriod').value
+    };
+    await this.renderPage("admin-profit");
+  }
+
+  renderAdminSuppliers() {
+    const editing = this.suppliers.find(supplier => supplier._id === this.editingSupplierId) || {}
+    const field = (id, label, value, placeholder) => `
+      <div class="form-field">
+        <label class="form-label">${label}</label>
+        <input type="text" class="input" id="${id}" value="${this.escapeHtml(value || '')}" placeholder="${placeholder}">
+      </div>
+    `
+
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px; display: flex; justify-content: space-between; align-items: flex-end; flex-wrap: wrap; gap: 16px;">
+            <div>
+              <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Suppliers</h1>
+              <p style="color: #94a3b8;">Distributors you buy screens, batteries and accessories from</p>
+            </div>
+            <button class="btn btn-secondary" data-page="admin-purchases">🚚 Purchase Orders</button>
+          </div>
+
+          ${this.can('purchasing:manage') ? `
+          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 24px; margin-bottom: 32px;">
+            <h3 style="margin-bottom: 24px;">${this.editingSupplierId ? `Edit ${this.escapeHtml(editing.name)}` : 'Add Supplier'}</h3>
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+              ${field('supplierName', 'Name *', editing.name, 'Distributor / company name')}
+              ${field('supplierContactName', 'Contact Person', editing.contactName, 'Who you deal with')}
+              ${field('supplierPhone', 'Phone', editing.phone, 'Phone or WhatsApp number')}
+              ${field('supplierEmail', 'Email', editing.email, 'Email for orders')}
+              ${field('supplierGstin', 'GSTIN', editing.gstin, '15-character GSTIN')}
+              ${field('supplierAddress', 'Address', editing.address, 'City / market')}
+            </div>
+            ${field('supplierNotes', 'Notes', editing.notes, 'Credit terms, brands they carry...')}
+            <div style="display: flex; gap: 12px;">
+              <button class="btn btn-primary" data-action="save-supplier" style="flex: 1;">${this.editingSupplierId ? 'Update Supplier' : 'Add Supplier'}</button>
+              ${this.editingSupplierId ? `<button class="btn btn-secondary" style="flex: 1;" onclick="app.editSupplier(null)">Cancel</button>` : ''}
+            </div>
+          </div>` : ''}
+
+          <h3 style="margin-bottom: 24px;">All Suppliers (${this.suppliers.length})</h3>
+          ${this.suppliers.length > 0 ? this.suppliers.map(supplier => `
+            <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; justify-content: space-between; ${supplier.active ? '' : 'opacity: 0.6;'}">
+              <div>
+                <h4 style="margin-bottom: 4px; font-size: 14px; font-weight: 600;">${this.escapeHtml(supplier.name)} ${supplier.active ? '' : '(inactive)'}</h4>
+                <div style="color: #94a3b8; font-size: 11px;">
+                  ${this.escapeHtml([supplier.contactName, supplier.phone && `📞 ${supplier.phone}`, supplier.email, supplier.gstin && `GSTIN ${supplier.gstin}`, supplier.address].filter(Boolean).join(' • ') || 'No contact details')}
+                </div>
+                ${supplier.notes ? `<div style="color: #cbd5e1; font-size: 11px; margin-top: 4px;">${this.escapeHtml(supplier.notes)}</div>` : ''}
+              </div>
+              ${this.can('purchasing:manage') ? `
+              <div style="display: flex; gap: 6px;">
+                <button class="btn btn-secondary" style="padding: 6px 10px; font-size: 11px;" onclick="app.editSupplier('${supplier._id}')">Edit</button>
+                <button class="btn btn-secondary" style="padding: 6px 10px; font-size: 11px;" onclick="app.updateSupplier('${supplier._id}', { active: ${!supplier.active} })">${supplier.active ? 'Deactivate' : 'Activate'}</button>
+                <button class="btn" style="padding: 6px 10px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.deleteSupplier('${supplier._id}')">Delete</button>
+              </div>` : ''}
+            </div>
+          `).join('') : '<div style="text-align: center; padding: 48px; color: #94a3b8;">No suppliers yet</div>'}
+        </div>
+      </div>
+    `
+  }
+
+  // One product / quantity / unit cost row of the new purchase order form
+  renderPurchaseLine() {
+    const products = [...this.products].sort((a, b) => a.name.localeCompare(b.name))
+
+    return `
+      <div class="purchase-line" style="display: grid; grid-template-columns: 3fr 1fr 1fr auto; gap: 8px; margin-bottom: 8px;">
+        <select class="input purchase-product" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
+          <option value="">Choose product...</option>
+          ${products.map(product => `<option value="${product._id || product.id}">${this.escapeHtml(product.name)}${product.stockQuantity != null ? ` (${product.stockQuantity} in stock)` : ''}</option>`).join('')}
+        </select>
+        <input type="number" class="input purchase-quantity" placeholder="Qty" min="1" step="1">
+        <input type="number" class="input purchase-cost" placeholder="Unit cost ₹" min="0" step="0.01">
+        <button class="btn btn-secondary" style="padding: 6px 10px;" onclick="this.closest('.purchase-line').remove()">✕</button>
+      </div>
+    `
+  }
+
+  renderAdminPurchases() {
+    const activeSuppliers = this.suppliers.filter(supplier => supplier.active)
+    const statusColors = {
+      'Draft': '#94a3b8',
+      'Ordered': '#60a5fa',
+      'Partially Received': '#fbbf24',
+      'Received': '#10b981',
+      'Closed': '#a78bfa',
+      'Cancelled': '#f87171'
+    }
+
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px; display: flex; justify-content: space-between; align-items: flex-end; flex-wrap: wrap; gap: 16px;">
+            <div>
+              <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Purchase Orders</h1>
+              <p style="color: #94a3b8;">Receiving a delivery adds the units to product stock and records the landed cost per unit</p>
+            </div>
+            <button class="btn btn-secondary" data-page="admin-suppliers">🏭 Suppliers</button>
+          </div>
+
+          ${this.can('purchasing:manage') ? `
+          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 24px; margin-bottom: 32px;">
+            <h3 style="margin-bottom: 24px;">New Purchase Order</h3>
+            ${activeSuppliers.length === 0 ? `
+              <div style="color: #94a3b8;">Add a supplier first. <a href="#" data-page="admin-suppliers" style="color: #60a5fa;">Go to Suppliers →</a></div>
+            ` : `
+              <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 16px;">
+                <div class="form-field">
+                  <label class="form-label">Supplier *</label>
+                  <select class="input" id="purchaseSupplier" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
+                    ${activeSuppliers.map(supplier => `<option value="${supplier._id}">${this.escapeHtml(supplier.name)}</option>`).join('')}
+                  </select>
+                </div>
+                <div class="form-field">
+                  <label class="form-label">Expected Delivery</label>
+                  <input type="date" class="input" id="purchaseExpectedDate">
+                </div>
+              </div>
+              <label class="form-label">Items *</label>
+              <div id="purchaseLines">${this.renderPurchaseLine()}</div>
+              <button class="btn btn-secondary" data-action="add-purchase-line" style="padding: 6px 12px; font-size: 12px; margin-bottom: 16px;">+ Add Line</button>
+              <div class="form-field">
+                <label class="form-label">Notes</label>
+                <input type="text" class="input" id="purchaseNotes" maxlength="1000" placeholder="e.g. Send original batteries only">
+              </div>
+              <div style="display: flex; gap: 12px;">
+                <button class="btn btn-secondary" data-action="save-purchase-order" data-status="Draft" style="flex: 1;">Save as Draft</button>
+                <button class="btn btn-primary" data-action="save-purchase-order" data-status="Ordered" style="flex: 1;">Place Order</button>
+              </div>
+            `}
+          </div>` : ''}
+
+          <h3 style="margin-bottom: 24px;">Purchase Orders (${this.purchaseOrders.length})</h3>
+          ${this.purchaseOrders.length > 0 ? this.purchaseOrders.map(po => `
+            <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px;">
+              <div style="display: flex; justify-content: space-between; flex-wrap: wrap; gap: 8px; margin-bottom: 8px;">
+                <div>
+                  <h4 style="margin-bottom: 4px; font-size: 14px; font-weight: 600;">${po.poNumber} • ${this.escapeHtml(po.supplierName)}</h4>
+                  <div style="color: #94a3b8; font-size: 11px;">
+                    📅 ${new Date(po.createdAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}
+                    ${po.expectedDate ? ` • Expected ${new Date(po.expectedDate).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}` : ''}
+                    ${po.createdBy?.name ? ` • by ${this.escapeHtml(po.createdBy.name)}` : ''}
+                  </div>
+                </div>
+                <div style="text-align: right;">
+                  <span style="font-size: 11px; font-weight: 700; color: ${statusColors[po.status] || '#94a3b8'};">${po.status}</span>
+                  <div style="font-size: 16px; font-weight: 700; color: #10b981;">₹${po.total.toLocaleString()}</div>
+                </div>
+              </div>
+              <div style="color: #cbd5e1; font-size: 12px; line-height: 1.6; margin-bottom: 8px;">
+                ${po.items.map(item => `
+                  <div>${this.escapeHtml(item.name)}: ${item.quantityReceived}/${item.quantityOrdered} received @ ₹${item.unitCost.toLocaleString()}${item.landedUnitCost != null ? ` • landed ₹${item.landedUnitCost.toLocaleString()}/unit` : ''}</div>
+                `).join('')}
+              </div>
+              ${po.notes ? `<div style="color: #94a3b8; font-size: 11px; margin-bottom: 8px;">📝 ${this.escapeHtml(po.notes)}</div>` : ''}
+              ${po.receipts.length > 0 ? `
+                <div style="color: #94a3b8; font-size: 11px; margin-bottom: 8px;">
+                  ${po.receipts.map(receipt => `<div>📥 ${new Date(receipt.receivedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} by ${this.escapeHtml(receipt.receivedBy?.name || 'staff')}: ${receipt.items.map(item => `${this.escapeHtml(item.name)} × ${item.quantity}`).join(', ')}${receipt.extraCharges ? ` (+₹${receipt.extraCharges.toLocaleString()} charges)` : ''}${receipt.supplierInvoice ? ` • Bill ${this.escapeHtml(receipt.supplierInvoice)}` : ''}</div>`).join('')}
+                </div>
+              ` : ''}
+              <div style="display: flex; gap: 6px; flex-wrap: wrap;">
+                ${this.can('purchasing:receive') && ['Ordered', 'Partially Received'].includes(po.status) ? `<button class="btn btn-primary" style="padding: 6px 10px; font-size: 11px;" onclick="app.openReceiveModal('${po.poNumber}')">📥 Receive Delivery</button>` : ''}
+                ${this.can('purchasing:manage') ? (po.nextStatuses || []).map(status => `
+                  <button class="btn btn-secondary" style="padding: 6px 10px; font-size: 11px;" onclick="app.updatePurchaseOrderStatus('${po.poNumber}', '${status}')">${{ 'Ordered': 'Mark as Ordered', 'Cancelled': 'Cancel', 'Closed': 'Close (rest not coming)' }[status] || status}</button>
+                `).join('') : ''}
+                ${this.can('purchasing:manage') && po.status === 'Draft' ? `<button class="btn" style="padding: 6px 10px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.deletePurchaseOrder('${po.poNumber}')">Delete</button>` : ''}
+              </div>
+            </div>
+          `).join('') : '<div style="text-align: center; padding: 48px; color: #94a3b8;">No purchase orders yet</div>'}
+        </div>
+      </div>
+    `
+  }
+
+  renderAdminStaff() {
+    const roleOptions = (selected) => ['owner', 'technician', 'cashier'].map(role => `
+      <option value="${role}" ${role === selected ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>
+    `).join('')
+
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px;">
+            <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Staff Management</h1>
+            <p style="color: #94a3b8;">Owner: everything • Technician: repair tracking • Cashier: orders, no revenue or deletes</p>
+          </div>
+
+          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 24px; margin-bottom: 32px;">
+            <h3 style="margin-bottom: 24px;">Add Staff Account</h3>
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
+              <div class="form-field">
+                <label class="form-label">Name *</label>
+                <input type="text" class="input" placeholder="Staff name" id="newStaffName">
+              </div>
+              <div class="form-field">
+                <label class="form-label">Phone Number *</label>
+                <input type="tel" class="input" placeholder="Login phone number" id="newStaffPhone">
+              </div>
+            </div>
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 24px;">
+              <div class="form-field">
+                <label class="form-label">Password * (min 6 characters)</label>
+                <input type="password" class="input" placeholder="Initial password" id="newStaffPassword">
+              </div>
+              <div class="form-field">
+                <label class="form-label">Role *</label>
+                <select class="input" id="newStaffRole" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
+                  ${roleOptions('technician')}
+                </select>
+              </div>
+            </div>
+            <button class="btn btn-primary" data-action="save-staff" style="width: 100%;">Add Staff</button>
+          </div>
+
+          <h3 style="margin-bottom: 24px;">Staff Accounts (${this.staff.length})</h3>
+          ${this.staff.length > 0 ? this.staff.map(user => `
+            <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; justify-content: space-between; ${user.active ? '' : 'opacity: 0.6;'}">
+              <div>
+                <h4 style="margin-bottom: 4px; font-size: 14px; font-weight: 600;">${this.escapeHtml(user.name || 'Unnamed')} ${user.id === this.currentUser?.id ? '(you)' : ''}</h4>
+                <div style="color: #94a3b8; font-size: 11px;">📞 ${this.escapeHtml(user.phone)} • ${user.active ? '✅ Active' : '🚫 Disabled'} • Last login: ${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString('en-IN') : 'Never'}</div>
+              </div>
+              <div style="display: flex; gap: 6px; align-items: center;">
+                <select class="input" style="padding: 6px; font-size: 11px; background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;" onchange="app.updateStaff('${user.id}', { role: this.value })">
+                  ${roleOptions(user.role)}
+                </select>
+                <button class="btn btn-secondary" style="padding: 6px 10px; font-size: 11px;" onclick="app.resetStaffPassword('${user.id}')">Reset Password</button>
+                <button class="btn" style="padding: 6px 10px; font-size: 11px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.updateStaff('${user.id}', { active: ${!user.active} })">${user.active ? 'Disable' : 'Enable'}</button>
+              </div>
+            </div>
+          `).join('') : '<div style="text-align: center; padding: 48px; color: #94a3b8;">No staff accounts found</div>'}
+        </div>
+      </div>
+    `
+  }
+
+  renderAddProductForm() {
+    return `
+      <div style="min-height: 100vh; background-color: #020617; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container" style="max-width: 600px;">
+          <button class="back-button" data-page="admin-products">← Back to Products</button>
+          <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 32px;">Add New Product</h1>
+
+          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 32px;">
+            <div class="form-field">
+              <label class="form-label">Product Name *</label>
+              <input type="text" class="input" placeholder="Enter product name" id="productName">
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Category *</label>
+              <select class="input" id="productCategory" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
+                <option value="">Select category</option>
+                <option value="Smartphones">Smartphones</option>
+                <option value="Services">Services</option>
+                <option value="Accessories">Accessories</option>
+                <option value="Chargers">Chargers</option>
+                <option value="Audio">Audio</option>
+                <option value="Power">Power Banks</option>
+              </select>
+            </div>
+
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+              <div class="form-field">
+                <label class="form-label">Price (₹) *</label>
+                <input type="number" class="input" placeholder="2999" id="productPrice">
+              </div>
+              <div class="form-field">
+                <label class="form-label">Original Price (₹)</label>
+                <input type="number" class="input" placeholder="3999" id="productOriginalPrice">
+              </div>
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Product Images</label>
+              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
+                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 1 (Main)</p>
+                <input type="url" class="input" placeholder="https://example.com/image1.jpg" id="productImageUrl" style="margin-bottom: 8px;">
+                <input type="file" class="input" accept="image/*" id="productImageFile1" onchange="app.handleImageUpload(event, 1)" style="font-size: 12px;">
+              </div>
+              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
+                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 2 (Secondary)</p>
+                <input type="url" class="input" placeholder="https://example.com/image2.jpg" id="productImageUrl2" style="margin-bottom: 8px;">
+                <input type="file" class="input" accept="image/*" id="productImageFile2" onchange="app.handleImageUpload(event, 2)" style="font-size: 12px;">
+              </div>
+              <div style="margin-bottom: 12px;">
+                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px;">Emoji/Icon (if no images)</p>
+                <input type="text" class="input" placeholder="📱 or 🔧 or 📦" id="productImage" maxlength="2">
+              </div>
+            </div>
+
+            ${this.can('products:cost') ? `
+            <div class="form-field">
+              <label class="form-label">Cost Price (₹)</label>
+              <input type="number" class="input" placeholder="What one unit costs you (updated when stock is received)" id="productCostPrice" min="0" step="0.01">
+            </div>` : ''}
+
+
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+              <div class="form-field">
+                <label class="form-label">GST Rate</label>
+                <select class="input" id="productTaxClass" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
+                  ${[['', 'Default (GST 18%)'], ['exempt', 'Exempt (0%)'], ['gst-5', 'GST 5%'], ['gst-18', 'GST 18%'], ['gst-40', 'GST 40%']].map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-field">
+                <label class="form-label">HSN/SAC Code</label>
+                <input type="text" class="input" placeholder="Default for category" id="productHsnCode" maxlength="8" value="">
+              </div>
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Stock Quantity</label>
+              <input type="number" class="input" placeholder="Leave empty if you don't count stock" id="productStockQuantity" min="0" step="1">
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Reorder At</label>
+              <input type="number" class="input" placeholder="Flag as low stock at this quantity (default 0)" id="productReorderThreshold" min="0" step="1">
+            </div>
+
+            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 24px;">
+              <input type="checkbox" id="productInStock" checked style="width: 18px; height: 18px; cursor: pointer;">
+              <label for="productInStock" style="cursor: pointer; color: #cbd5e1;">In Stock</label>
+            </div>
+
+            <button class="btn btn-primary" style="width: 100%; padding: 12px; font-size: 16px; margin-bottom: 12px;" data-action="save-product">Add Product</button>
+            <button class="btn btn-secondary" style="width: 100%; padding: 12px; font-size: 16px;" data-page="admin-products">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `
+  }
+
+  renderEditProductForm() {
+    const editingIdStr = String(this.editingProductId);
+    const product = this.products.find((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr)
+    if (!product) return `<div>Product not found</div>`
+
+    return `
+      <div style="min-height: 100vh; background-color: #020617; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container" style="max-width: 600px;">
+          <button class="back-button" data-page="admin-products">← Back to Products</button>
+          <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 32px;">Edit Product</h1>
+
+          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 32px;">
+            <div class="form-field">
+              <label class="form-label">Product Name *</label>
+              <input type="text" class="input" value="${this.escapeHtml(product.name)}" id="productName" ${this.can('products:create') ? '' : 'disabled title="Only the owner can rename products"'}>
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Category *</label>
+              <select class="input" id="productCategory" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;" ${this.can('products:create') ? '' : 'disabled title="Only the owner can change the category"'}>
+                <option value="Smartphones" ${product.category === "Smartphones" ? "selected" : ""}>Smartphones</option>
+                <option value="Services" ${product.category === "Services" ? "selected" : ""}>Services</option>
+                <option value="Accessories" ${product.category === "Accessories" ? "selected" : ""}>Accessories</option>
+                <option value="Chargers" ${product.category === "Chargers" ? "selected" : ""}>Chargers</option>
+                <option value="Audio" ${product.category === "Audio" ? "selected" : ""}>Audio</option>
+                <option value="Power" ${product.category === "Power" ? "selected" : ""}>Power Banks</option>
+              </select>
+            </div>
+
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+              <div class="form-field">
+                <label class="form-label">Price (₹) *</label>
+                <input type="number" class="input" value="${product.price}" id="productPrice" ${this.can('products:price') ? '' : 'disabled title="Only the owner can change prices"'}>
+              </div>
+              <div class="form-field">
+                <label class="form-label">Original Price (₹)</label>
+                <input type="number" class="input" value="${product.originalPrice}" id="productOriginalPrice" ${this.can('products:price') ? '' : 'disabled title="Only the owner can change prices"'}>
+              </div>
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Product Images</label>
+              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
+                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 1 (Main)</p>
+                <input type="url" class="input" placeholder="https://example.com/image1.jpg" id="productImageUrl" value="${this.escapeHtml(product.imageUrl)}" style="margin-bottom: 8px;">
+                <input type="file" class="input" accept="image/*" id="productImageFile1" onchange="app.handleImageUpload(event, 1)" style="font-size: 12px;">
+              </div>
+              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
+                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 2 (Secondary)</p>
+                <input type="url" class="input" placeholder="https://example.com/image2.jpg" id="productImageUrl2" value="${this.escapeHtml(product.imageUrl2)}" style="margin-bottom: 8px;">
+                <input type="file" class="input" accept="image/*" id="productImageFile2" onchange="app.handleImageUpload(event, 2)" style="font-size: 12px;">
+              </div>
+              <div style="margin-bottom: 12px;">
+                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px;">Emoji/Icon (if no images)</p>
+                <input type="text" class="input" value="${this.escapeHtml(product.image)}" id="productImage" maxlength="2">
+              </div>
+            </div>
+
+            ${this.can('products:cost') ? `
+            <div class="form-field">
+              <label class="form-label">Cost Price (₹)</label>
+              <input type="number" class="input" placeholder="What one unit costs you (updated when stock is received)" id="productCostPrice" min="0" step="0.01" value="${this.getProductCost(product) ?? ""}">
+            </div>` : ''}
+
+
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+              <div class="form-field">
+                <label class="form-label">GST Rate</label>
+                <select class="input" id="productTaxClass" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;" ${this.can('products:create') ? '' : 'disabled title="Only the owner can change GST details"'}>
+                  ${[['', 'Default (GST 18%)'], ['exempt', 'Exempt (0%)'], ['gst-5', 'GST 5%'], ['gst-18', 'GST 18%'], ['gst-40', 'GST 40%']].map(([value, label]) => `<option value="${value}" ${(product.taxClass || "") === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-field">
+                <label class="form-label">HSN/SAC Code</label>
+                <input type="text" class="input" placeholder="Default for category" id="productHsnCode" maxlength="8" value="${this.escapeHtml(product.hsnCode)}" ${this.can('products:create') ? '' : 'disabled title="Only the owner can change GST details"'}>
+              </div>
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Stock Quantity</label>
+              <input type="number" class="input" placeholder="Leave empty if you don't count stock" id="productStockQuantity" min="0" step="1" value="${product.stockQuantity ?? ""}" ${this.can('products:stock') ? '' : 'disabled title="Stock is updated by receiving deliveries"'}>
+            </div>
+
+            <div class="form-field">
+              <label class="form-label">Reorder At</label>
+              <input type="number" class="input" placeholder="Flag as low stock at this quantity (default 0)" id="productReorderThreshold" min="0" step="1" value="${product.reorderThreshold ?? ""}">
+            </div>
+
+            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 24px;">
+              <input type="checkbox" id="productInStock" ${product.inStock ? "checked" : ""} ${this.can('products:stock') ? '' : 'disabled'} style="width: 18px; height: 18px; cursor: pointer;">
+              <label for="productInStock" style="cursor: pointer; color: #cbd5e1;">In Stock</label>
+            </div>
+
+            <button class="btn btn-primary" style="width: 100%; padding: 12px; font-size: 16px; margin-bottom: 12px;" data-action="save-product">Update Product</button>
+            <button class="btn btn-secondary" style="width: 100%; padding: 12px; font-size: 16px;" data-page="admin-products">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `
+  }
+
+  renderFooter() {
+    return `
+      <footer>
+        <div class="footer-content">
+          <div class="footer-section">
+            <h4>Owner Portal</h4>
+            <ul>
+              <li><a href="#" data-page="admin">Dashboard</a></li>
+              <li><a href="#" data-page="admin-products">Products</a></li>
+              <li><a href="#" data-page="admin-tracking">Tracking</a></li>
+              <li><a href="#" data-page="admin-orders">Orders</a></li>
+            </ul>
+          </div>
+          <div class="footer-section">
+            <h4>Main Site</h4>
+            <ul>
+              <li><a href="index.html">← Back to Main Site</a></li>
+            </ul>
+          </div>
+          <div class="footer-section">
+            <h4>Contact</h4>
+            <ul>
+              <li><a href="mailto:manjulamobiles125@gmail.com">manjulamobiles125@gmail.com</a></li>
+              <li><a href="tel:+918248454841">+91 82484 54841</a></li>
+              <li>Available 24/7</li>
+            </ul>
+          </div>
+        </div>
+        <div class="footer-bottom">
+          <p>&copy; 2025 Manjula Mobile World Owner Portal. All rights reserved.</p>
+        </div>
+      </footer>
+    `
+  }
+
+  // Product Management Methods
+  async saveProduct() {
+    const name = document.getElementById("productName")?.value;
+    const category = document.getElementById("productCategory")?.value;
+    const price = Number.parseInt(document.getElementById("productPrice")?.value || 0);
+    const originalPrice = Number.parseInt(document.getElementById("productOriginalPrice")?.value || 0);
+    const imageUrl = document.getElementById("productImageUrl")?.value?.trim();
+    const imageUrl2 = document.getElementById("productImageUrl2")?.value?.trim();
+    const emoji = document.getElementById("productImage")?.value?.trim();
+    const inStock = document.getElementById("productInStock")?.checked || false;
+    const stockInput = document.getElementById("productStockQuantity")?.value?.trim();
+    // Empty means stock isn't counted - otherwise the server sets In Stock from the quantity
+    const stockQuantity = stockInput ? Number(stockInput) : null;
+    const thresholdInput = document.getElementById("productReorderThreshold")?.value?.trim();
+    const reorderThreshold = thresholdInput ? Number(thresholdInput) : null;
+    const costInput = document.getElementById("productCostPrice")?.value?.trim();
+    const costPrice = costInput ? Number(costInput) : null;
+    const taxClass = document.getElementById("productTaxClass")?.value || null;
+    const hsnCode = document.getElementById("productHsnCode")?.value?.replace(/\s+/g, '') || null;
+
+    if (!name || !category || !price) {
+      alert("Please fill all required fields");
+      return;
+    }
+
+    if (stockQuantity !== null && (!Number.isInteger(stockQuantity) || stockQuantity < 0)) {
+      alert("Stock quantity must be a whole number of 0 or more");
+      return;
+    }
+
+    if (reorderThreshold !== null && (!Number.isInteger(reorderThreshold) || reorderThreshold < 0)) {
+      alert("Reorder level must be a whole number of 0 or more");
+      return;
+    }
+
+    if (costPrice !== null && !(costPrice >= 0)) {
+      alert("Cost price must be 0 or more");
+      return;
+    }
+
+    if (hsnCode && !/^\d{4,8}$/.test(hsnCode)) {
+      alert("HSN/SAC code must be 4 to 8 digits");
+      return;
+    }
+
+    if (imageUrl === "Uploading..." || imageUrl2 === "Uploading...") {
+      alert("Please wait for the image upload to finish.");
+      return;
+    }
+
+    try {
+      // Show loading indicator
+      const saveButton = document.querySelector('[data-action="save-product"]');
+      const originalText = saveButton.textContent;
+      saveButton.textContent = 'Saving...';
+      saveButton.disabled = true;
+
+      if (this.editingProductId) {
+        // Update existing product - Database ONLY
+        const updatedProduct = {
+          name,
+          category,
+          price,
+          originalPrice: originalPrice || price,
+          imageUrl: imageUrl || "",
+          imageUrl2: imageUrl2 || "",
+          image: emoji || "📦",
+          inStock,
+          stockQuantity,
+          reorderThreshold,
+          taxClass,
+          hsnCode
+        };
+
+        // Staff without price permission can't change what customers pay
+        if (!this.can('products:price')) {
+          delete updatedProduct.price;
+          delete updatedProduct.originalPrice;
+        }
+        // Catalogue details and stock counts are the owner's - the server refuses them from other roles
+        if (!this.can('products:create')) {
+          delete updatedProduct.name;
+          delete updatedProduct.category;
+          delete updatedProduct.taxClass;
+          delete updatedProduct.hsnCode;
+        }
+        if (!this.can('products:stock')) {
+          delete updatedProduct.inStock;
+          delete updatedProduct.stockQuantity;
+        }
+        if (this.can('products:cost')) {
+          updatedProduct.costPrice = costPrice;
+        }
+
+        const editingIdStr = String(this.editingProductId);
+        const existingProduct = this.products.find((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr);
+        
+        if (existingProduct) {
+          const mongoId = existingProduct._id || existingProduct.id;
+          console.log('💾 [OWNER PORTAL] Updating product in database...');
+          
+          // Update in database ONLY
+          const response = await this.apiFetch(`${this.API_URL}/products/${mongoId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updatedProduct)
+          });
+
+          if (response.ok) {
+            const savedProduct = await response.json();
+            console.log('✅ [OWNER PORTAL] Product updated in database:', savedProduct);
+            
+            // Update local array (no localStorage)
+            const productIndex = this.products.findIndex((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr);
+            if (productIndex !== -1) {
+              this.products[productIndex] = savedProduct;
+            }
+            if (this.can('products:cost')) {
+              this.productCosts[String(savedProduct.id || savedProduct._id)] = costPrice;
+            }
+            
+            alert("✅ Product updated in database successfully!");
+          } else {
+            const errorText = await response.text();
+            console.error('❌ [OWNER PORTAL] Database update failed:', errorText);
+            throw new Error(`Failed to update product: ${errorText}`);
+          }
+          
+          this.editingProductId = null;
+          console.log('🔄 Product updated in database, main website will see changes');
+        } else {
+          alert("❌ Product not found for editing");
+        }
+      } else {
+        // Create new product - Save ONLY to DATABASE
+        const newProduct = {
+          name,
+          category,
+          price,
+          originalPrice: originalPrice || price,
+          image: emoji || "📦",
+          imageUrl: imageUrl || "",
+          imageUrl2: imageUrl2 || "",
+          rating: 4.5,
+          reviews: 0,
+          inStock,
+          stockQuantity,
+          reorderThreshold,
+          taxClass,
+          hsnCode,
+          ...(this.can('products:cost') ? { costPrice } : {}),
+          badge: null,
+          qrId: "",
+          qrPassword: "",
+          trackingStatus: "Received",
+          ownerGender: "none"
+        };
+
+        console.log('💾 [OWNER PORTAL] Saving product to database...');
+        
+        // Save to database ONLY
+        const response = await this.apiFetch(`${this.API_URL}/products`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(newProduct)
+        });
+
+        if (response.ok) {
+          const savedProduct = await response.json();
+          console.log('✅ [OWNER PORTAL] Product saved to database:', savedProduct);
+          
+          // Add to local array (no localStorage)
+          this.products.push(savedProduct);
+          if (this.can('products:cost')) {
+            this.productCosts[String(savedProduct.id || savedProduct._id)] = costPrice;
+          }
+          
+          alert("✅ Product saved to database successfully!");
+        } else {
+          const errorText = await response.text();
+          console.error('❌ [OWNER PORTAL] Database save failed:', errorText);
+          throw new Error(`Failed to save product: ${errorText}`);
+        }
+        
+        console.log('🔄 Product saved to database, main website will see it');
+      }
+
+      this.renderPage("admin-products");
+    } catch (error) {
+      console.error('❌ Error saving product:', error);
+      
+      let errorMessage = error.message;
+      
+      if (error.message.includes('timeout') || error.message.includes('timed out')) {
+        alert(`⏰ Database operation timed out!\n\nThis usually means:\n• Slow internet connection\n• Database server is busy\n\nPlease try again in a few moments.`);
+      } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+        alert(`🌐 Network connection error!\n\nPlease check:\n• Your internet connection\n• Server is running\n• Try refreshing the page`);
+      } else if (error.message.includes('offline') || error.message.includes('not available')) {
+        alert(`📡 Database is currently offline!\n\nThe server is running but can't connect to the database.\n\nPlease try again later.`);
+      } else {
+        alert(`❌ Error saving product:\n\n${errorMessage}\n\nPlease check your connection and try again.`);
+      }
+    } finally {
+      // Restore button state
+      const saveButton = document.querySelector('[data-action="save-product"]');
+      if (saveButton) {
+        saveButton.textContent = this.editingProductId ? 'Update Product' : 'Add Product';
+        saveButton.disabled = false;
+      }
+    }
+  }
+
+  // Background sync method for product updates
+  async syncProductUpdateToDatabase(mongoId, updatedProduct) {
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/products/${mongoId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updatedProduct)
+      });
+
+      if (response.ok) {
+        const savedProduct = await response.json();
+        
+        // Update local storage with response from database
+        const index = this.products.findIndex(p => (p._id || p.id) === mongoId);
+        if (index !== -1) {
+          this.products[index] = savedProduct;
+          localStorage.setItem('manjula_products', JSON.stringify(this.products));
+        }
+        
+        console.log('✅ Product update synced to database successfully');
+      } else {
+        console.error('❌ Failed to sync product update to database');
+      }
+    } catch (error) {
+      console.error('❌ Background update sync error:', error);
+    }
+  }
+
+  // Background sync method - doesn't block UI
+  async syncProductToDatabase(product) {
+    try {
+      console.log('🔄 [OWNER PORTAL] Starting database sync for product:', product.name);
+      
+      const productForDB = { ...product };
+      delete productForDB.id; // Remove temporary ID, let MongoDB generate _id
+      
+      const response = await this.apiFetch(`${this.API_URL}/products`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(productForDB)
+      });
+
+      if (response.ok) {
+        const savedProduct = await response.json();
+        console.log('✅ [OWNER PORTAL] Product saved to database:', savedProduct);
+        
+        // Update local storage with real database product
+        const index = this.products.findIndex(p => p.id === product.id);
+        if (index !== -1) {
+          this.products[index] = savedProduct;
+          localStorage.setItem('manjula_products', JSON.stringify(this.products));
+          console.log('✅ [OWNER PORTAL] Local storage updated with database product');
+        }
+        
+        console.log('✅ Product synced to database successfully - main website should see it now!');
+      } else {
+        const errorText = await response.text();
+        console.error('❌ Failed to sync product to database:', errorText);
+      }
+    } catch (error) {
+      console.error('❌ Background sync error:', error);
+    }
+  }
+
+  async deleteProduct(productId) {
+    if (confirm("Are you sure you want to delete this product?")) {
+      try {
+        const productIdStr = String(productId);
+        const product = this.products.find(p => String(p.id) === productIdStr || String(p._id) === productIdStr);
+        if (!product) {
+          alert('Product not found');
+          return;
+        }
+
+        const mongoId = product._id || product.id;
+        console.log('💾 [OWNER PORTAL] Deleting product from database...');
+        
+        // Delete from database ONLY
+        const response = await this.apiFetch(`${this.API_URL}/products/${mongoId}`, {
+          method: 'DELETE'
+        });
+
+        if (response.ok) {
+          console.log('✅ [OWNER PORTAL] Product deleted from database');
+          
+          // Remove from local array (no localStorage)
+          this.products = this.products.filter((p) => String(p.id) !== productIdStr && String(p._id) !== productIdStr);
+          
+          this.renderPage("admin-products");
+          alert('✅ Product deleted from database successfully!');
+        } else {
+          const errorText = await response.text();
+          console.error('❌ [OWNER PORTAL] Database delete failed:', errorText);
+          throw new Error(`Failed to delete product: ${errorText}`);
+        }
+        
+        console.log('🔄 Product deleted from database, main website will see changes');
+      } catch (error) {
+        console.error('❌ Error deleting product:', error);
+        alert('❌ Error deleting product: ' + error.message);
+      }
+    }
+  }
+
+  // Background sync method for product deletion
+  async syncProductDeleteToDatabase(mongoId) {
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/products/${mongoId}`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        console.log('✅ Product deletion synced to database successfully');
+      } else {
+        console.error('❌ Failed to sync product deletion to database');
+      }
+    } catch (error) {
+      console.error('❌ Background delete sync error:', error);
+    }
+  }
+
+  // Upload a product photo to the media store and put its URL in the image field
+  async handleImageUpload(event, imageNumber = 1) {
+    const file = event.target.files[0]
+    if (!file) return
+
+    const urlInput = document.getElementById(imageNumber === 2 ? "productImageUrl2" : "productImageUrl")
+    const formData = new FormData()
+    formData.append("file", file)
+
+    try {
+      urlInput.value = "Uploading..."
+      const response = await this.apiFetch(`${this.API_URL}/media`, {
+        method: 'POST',
+        body: formData
+      })
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}))
+        throw new Error(error.error || response.statusText)
+      }
+
+      const { url } = await response.json()
+      urlInput.value = url
+    } catch (error) {
+      console.error('❌ Image upload failed:', error)
+      urlInput.value = ""
+      event.target.value = ""
+      alert(`❌ Image upload failed: ${error.message}`)
+    }
+  }
+
+  // Tracking Management Methods
+  async saveNewTracking() {
+    const customer = document.getElementById("newTrackingCustomer")?.value?.trim();
+    const device = document.getElementById("newTrackingDevice")?.value?.trim();
+    const contact = document.getElementById("newTrackingContact")?.value?.trim();
+    const issue = document.getElementById("newTrackingIssue")?.value?.trim();
+    const status = document.getElementById("newTrackingStatus")?.value;
+    const days = document.getElementById("newTrackingDays")?.value;
+    const accessories = [
+      ...Array.from(document.querySelectorAll('input[name="newTrackingAccessory"]:checked'), input => input.value),
+      ...(document.getElementById("newTrackingOtherAccessories")?.value || '').split(',').map(item => item.trim()).filter(Boolean)
+    ];
+
+    if (!customer || !device || !issue) {
+      alert("Please fill all required fields: Customer Name, Device Model, and Issue Description");
+      return;
+    }
+
+    const saveButton = document.querySelector('[data-action="save-new-tracking"]');
+    saveButton.textContent = 'Saving...';
+    saveButton.disabled = true;
+
+    try {
+      // The server generates the QR ID and password, so wait for it before showing them
+      const response = await this.apiFetch(`${this.API_URL}/tracking`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          customerName: customer,
+          productName: device,
+          deviceModel: device,
+          contact: contact,
+          status: status,
+          issue: issue,
+          estimatedDays: Number.parseInt(days) || 2,
+          imei: document.getElementById("newTrackingImei")?.value?.trim(),
+          serialNumber: document.getElementById("newTrackingSerial")?.value?.trim(),
+          passcodeType: document.getElementById("newTrackingPasscodeType")?.value,
+          passcode: document.getElementById("newTrackingPasscode")?.value?.trim(),
+          accessories: accessories,
+          conditionNotes: document.getElementById("newTrackingCondition")?.value?.trim(),
+          lastUpdated: new Date().toLocaleDateString('en-IN', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+          })
+        })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const { password, ...tracking } = await response.json();
+      if (!this.trackingData.find((t) => t.qrId === tracking.qrId)) {
+        this.trackingData.push(tracking);
+      }
+      console.log('✅ Tracking saved:', tracking.qrId);
+
+      document.getElementById("newTrackingCustomer").value = "";
+      document.getElementById("newTrackingDevice").value = "";
+      document.getElementById("newTrackingContact").value = "";
+      document.getElementById("newTrackingIssue").value = "";
+      document.getElementById("newTrackingDays").value = "2";
+      ["newTrackingImei", "newTrackingSerial", "newTrackingPasscode", "newTrackingOtherAccessories", "newTrackingCondition"]
+        .forEach(id => { document.getElementById(id).value = ""; });
+
+      this.toggleTrackingForm();
+      this.renderPage("admin-tracking");
+      this.showTrackingCreatedModal(tracking, password);
+
+      // Photos can only be attached once the repair has its QR ID
+      const photos = this.pendingIntakePhotos;
+      this.pendingIntakePhotos = [];
+      let failed = 0;
+      for (const photo of photos) {
+        try {
+          await this.uploadIntakePhoto(tracking.qrId, photo);
+        } catch (error) {
+          console.error('❌ Intake photo upload failed:', error);
+          failed++;
+        }
+        URL.revokeObjectURL(photo.previewUrl);
+      }
+      if (failed > 0) {
+        alert(`❌ ${failed} intake photo(s) could not be uploaded - add them again from the repair card`);
+      }
+    } catch (error) {
+      console.error('Error saving tracking:', error);
+      alert('❌ Error saving tracking: ' + error.message + '\n\nPlease check your internet connection and try again.');
+    } finally {
+      // Restore button state
+      const saveButton = document.querySelector('[data-action="save-new-tracking"]');
+      if (saveButton) {
+        saveButton.textContent = 'Save Tracking';
+        saveButton.disabled = false;
+      }
+    }
+  }
+
+  // New repair's credentials, shown once, with the label and job card ready to print
+  showTrackingCreatedModal(tracking, password) {
+    const modalHTML = `
+      <div class="status-modal" id="statusModal">
+        <div class="status-modal-content">
+          <div class="status-modal-header">
+            <div class="status-modal-title">✅ Repair Registered</div>
+            <div class="status-modal-subtitle">Device: ${this.escapeHtml(tracking.productName)} | Customer: ${this.escapeHtml(tracking.customerName)}</div>
+          </div>
+
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 16px;">
+            <div>
+              <div class="status-select-label">QR ID</div>
+              <div style="font-size: 20px; font-weight: 700; font-family: monospace;">${tracking.qrId}</div>
+            </div>
+            <div>
+              <div class="status-select-label">Password</div>
+              <div style="font-size: 20px; font-weight: 700; font-family: monospace;">${password}</div>
+            </div>
+          </div>
+          <p style="color: #94a3b8; font-size: 12px; margin-bottom: 16px;">Give the customer the job card now - the password will not be shown again.</p>
+
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Done</button>
+            <button class="status-btn status-btn-cancel" onclick="app.openReceiptModal('tracking', '${tracking.qrId}')">🧾 Thermal Job Card</button>
+            <button class="status-btn status-btn-save" onclick="app.printTrackingLabel('${tracking.qrId}', '${password}')">🏷️ Print Label & Job Card</button>
+          </div>
         </div>
+      </div>
+    `;
 
-        <div class="order-info">
-          <div class="order-details">
-            <div class="section-title">Order Information</div>
-            <p><strong>Order ID:</strong> #${order.orderId || order.id}</p>
-            <p><strong>Date:</strong> ${formattedDate}</p>
-            <p><strong>Status:</strong> ${order.status}</p>
-            <p><strong>Payment Method:</strong> ${order.paymentMethod}</p>
+    this.closeStatusModal();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+  }
+
+  renderIntakePhotoPreview() {
+    return this.pendingIntakePhotos.map((photo, index) => `
+      <div style="position: relative;">
+        <img src="${photo.previewUrl}" alt="Intake photo" style="width: 72px; height: 72px; object-fit: cover; border-radius: 6px; border: 1px solid #334155;">
+        <button type="button" onclick="app.removePendingIntakePhoto(${index})" style="position: absolute; top: -6px; right: -6px; width: 20px; height: 20px; border-radius: 50%; border: none; background: #f87171; color: #fff; font-size: 12px; cursor: pointer;">×</button>
+      </div>
+    `).join('')
+  }
+
+  refreshIntakePhotoPreview() {
+    const preview = document.getElementById("intakePhotoPreview");
+    if (preview) preview.innerHTML = this.renderIntakePhotoPreview();
+  }
+
+  addIntakePhotoFiles(event) {
+    for (const file of event.target.files) {
+      this.addPendingIntakePhoto(file);
+    }
+    event.target.value = "";
+  }
+
+  addPendingIntakePhoto(blob) {
+    blob.previewUrl = URL.createObjectURL(blob);
+    this.pendingIntakePhotos.push(blob);
+    this.refreshIntakePhotoPreview();
+  }
+
+  removePendingIntakePhoto(index) {
+    const [photo] = this.pendingIntakePhotos.splice(index, 1);
+    if (photo) URL.revokeObjectURL(photo.previewUrl);
+    this.refreshIntakePhotoPreview();
+  }
+
+  async uploadIntakePhoto(qrId, blob) {
+    const formData = new FormData();
+    formData.append("photo", blob, blob.name || `${qrId}.jpg`);
+
+    const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/photos`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || response.statusText);
+    }
+
+    const tracking = await response.json();
+    const index = this.trackingData.findIndex(t => t.qrId === qrId);
+    if (index !== -1) this.trackingData[index] = tracking;
+    return tracking;
+  }
+
+  // Live camera for intake photos. With a qrId the photo goes straight onto that repair,
+  // otherwise it is held for the new repair form. Falls back to the device's own camera app.
+  async openCamera(qrId = null) {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      this.pickIntakePhotoFile(qrId);
+      return;
+    }
+
+    try {
+      this.cameraStream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } },
+        audio: false
+      });
+    } catch (error) {
+      console.warn('⚠️ Camera unavailable:', error.message);
+      this.pickIntakePhotoFile(qrId);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="status-modal" id="cameraModal">
+        <div class="status-modal-content">
+          <div class="status-modal-header">
+            <div class="status-modal-title">📷 Intake Photo</div>
+            <div class="status-modal-subtitle">${qrId ? `QR: ${qrId}` : 'New repair'} - capture the front, back and any damage</div>
+          </div>
+          <video id="cameraPreview" autoplay playsinline muted style="width: 100%; border-radius: 8px; background: #000;"></video>
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeCamera()">Done</button>
+            <button class="status-btn status-btn-save" id="cameraCaptureButton" onclick="app.capturePhoto(${qrId ? `'${qrId}'` : 'null'})">Capture</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.getElementById('cameraModal')?.remove();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    document.getElementById('cameraPreview').srcObject = this.cameraStream;
+  }
+
+  closeCamera() {
+    if (this.cameraStream) {
+      this.cameraStream.getTracks().forEach(track => track.stop());
+      this.cameraStream = null;
+    }
+    document.getElementById('cameraModal')?.remove();
+  }
+
+  async capturePhoto(qrId) {
+    const video = document.getElementById('cameraPreview');
+    if (!video || !video.videoWidth) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+    if (!blob) return;
+
+    if (!qrId) {
+      this.addPendingIntakePhoto(blob);
+      return;
+    }
+
+    const button = document.getElementById('cameraCaptureButton');
+    button.disabled = true;
+    button.textContent = 'Uploading...';
+    try {
+      await this.uploadIntakePhoto(qrId, blob);
+      this.renderPage(this.currentPage);
+    } catch (error) {
+      console.error('❌ Intake photo upload failed:', error);
+      alert(`❌ Photo upload failed: ${error.message}`);
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Capture';
+    }
+  }
+
+  // No live camera (desktop without a webcam, permission refused) - use a file picker,
+  // which opens the camera app on phones and tablets
+  pickIntakePhotoFile(qrId) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.capture = 'environment';
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      if (!qrId) {
+        this.addPendingIntakePhoto(file);
+        return;
+      }
+      try {
+        await this.uploadIntakePhoto(qrId, file);
+        this.renderPage(this.currentPage);
+      } catch (error) {
+        console.error('❌ Intake photo upload failed:', error);
+        alert(`❌ Photo upload failed: ${error.message}`);
+      }
+    };
+    input.click();
+  }
+
+  async deleteIntakePhoto(qrId, photoId) {
+    if (!confirm('Remove this intake photo?')) return;
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/photos/${photoId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const tracking = await response.json();
+      const index = this.trackingData.findIndex(t => t.qrId === qrId);
+      if (index !== -1) this.trackingData[index] = tracking;
+      this.renderPage(this.currentPage);
+    } catch (error) {
+      console.error('❌ Error removing intake photo:', error);
+      alert(`❌ Failed to remove photo: ${error.message}`);
+    }
+  }
+
+  // Device passcode for the technician - fetched on demand and never kept in the page
+  async showDevicePasscode(qrId) {
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${encodeURIComponent(qrId)}/passcode`);
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const { passcodeType, passcode } = await response.json();
+      if (passcodeType === 'pattern') {
+        // Draw the 3x3 grid with the order each dot is joined in
+        const grid = [0, 1, 2].map(row => [1, 2, 3].map(col => {
+          const step = passcode.indexOf(String(row * 3 + col)) + 1;
+          return step > 0 ? String(step) : '·';
+        }).join('   ')).join('\n');
+        alert(`🔓 Pattern for ${qrId}\n\n${grid}\n\nStart at 1 and join the dots in order.`);
+      } else {
+        alert(`🔓 ${passcodeType === 'pin' ? 'PIN' : 'Password'} for ${qrId}:\n\n${passcode}`);
+      }
+    } catch (error) {
+      console.error('❌ Error reading device passcode:', error);
+      alert(`❌ Could not show the passcode: ${error.message}`);
+    }
+  }
+
+  async editTracking(qrId) {
+    const tracking = this.trackingData.find((t) => t.qrId === qrId);
+    if (!tracking) return;
+
+    this.showStatusModal(tracking);
+  }
+
+  showStatusModal(tracking) {
+    const statuses = [
+      { value: 'Received', label: '📥 Received', desc: 'Device received at service center' },
+      { value: 'Diagnostics', label: '🔍 Diagnostics', desc: 'Checking device issues' },
+      { value: 'In Progress', label: '🔧 In Progress', desc: 'Repair work in progress' },
+      { value: 'Parts Ordered', label: '📦 Parts Ordered', desc: 'Waiting for replacement parts' },
+      { value: 'Quality Check', label: '✅ Quality Check', desc: 'Final testing' },
+      { value: 'Ready for Pickup', label: '📢 Ready for Pickup', desc: 'Ready for collection' },
+      { value: 'Awaiting Pickup', label: '↩️ Awaiting Pickup', desc: 'Quote declined, return unrepaired' },
+      { value: 'Completed', label: '🎉 Completed', desc: 'Service completed' }
+    ];
+
+    const modalHTML = `
+      <div class="status-modal" id="statusModal">
+        <div class="status-modal-content">
+          <div class="status-modal-header">
+            <div class="status-modal-title">Update Repair Status</div>
+            <div class="status-modal-subtitle">
+              QR: ${tracking.qrId} | Device: ${this.escapeHtml(tracking.productName)} | Customer: ${this.escapeHtml(tracking.customerName)}
+            </div>
           </div>
           
-          <div class="customer-details">
-            <div class="section-title">Customer Details</div>
-            <p><strong>Name:</strong> ${order.customer.name}</p>
-            <p><strong>Phone:</strong> ${order.customer.phone}</p>
-            <p><strong>Email:</strong> ${order.customer.email}</p>
-            <p><strong>Address:</strong> ${order.customer.address}</p>
+          <div class="status-select-group">
+            <label class="status-select-label">Select New Status</label>
+            <select class="status-select" id="newStatusSelect" onchange="document.getElementById('warrantyTermsGroup')?.style.setProperty('display', this.value === 'Completed' ? 'block' : 'none')">
+              ${statuses.map(s => `
+                <option value="${s.value}" ${s.value === tracking.status ? 'selected' : ''}>
+                  ${s.label} - ${s.desc}
+                </option>
+              `).join('')}
+            </select>
+          </div>
+
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+            <div class="status-select-group">
+              <label class="status-select-label">Amount Charged (₹)</label>
+              <input type="number" class="status-select" id="repairAmountCharged" min="0" step="1" value="${tracking.amountCharged ?? ''}" placeholder="Customer bill">
+            </div>
+            <div class="status-select-group">
+              <label class="status-select-label">Other Parts Cost (₹)</label>
+              <input type="number" class="status-select" id="repairPartsCost" min="0" step="1" value="${tracking.partsCost ?? ''}" placeholder="Outside work, parts not from stock">
+            </div>
+          </div>
+
+          ${!tracking.completedAt ? `
+          <div class="status-select-group" id="warrantyTermsGroup" style="display: ${tracking.status === 'Completed' ? 'block' : 'none'};">
+            <label class="status-select-label">🛡️ Warranty from today</label>
+            <div id="warrantyTerms">
+              ${(tracking.defaultWarrantyTerms || []).map(term => `
+                <div class="warranty-term" data-kind="${term.kind}" style="display: grid; grid-template-columns: 3fr 1fr; gap: 6px; margin-bottom: 6px;">
+                  <input type="text" class="status-select warranty-description" style="padding: 6px;" value="${this.escapeHtml(term.description)}">
+                  <select class="status-select warranty-days" style="padding: 6px;">
+                    ${[0, 30, 60, 90, 180].map(days => `<option value="${days}" ${days === term.days ? 'selected' : ''}>${days ? `${days} days` : 'None'}</option>`).join('')}
+                  </select>
+                </div>
+              `).join('')}
+            </div>
+          </div>` : ''}
+
+          <div class="status-select-group">
+            <label class="status-select-label">Note for the Customer (optional)</label>
+            <textarea class="status-select" id="trackingStatusNote" rows="2" maxlength="500" placeholder="e.g. Display replaced, checking touch response"></textarea>
+          </div>
+          
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
+            <button class="status-btn status-btn-save" onclick="app.saveTrackingStatus('${tracking.qrId}')">Update Status</button>
           </div>
         </div>
+      </div>
+    `;
 
-        <div class="section-title">Order Items</div>
-        <table class="items-table">
-          <thead>
-            <tr>
-              <th>Item Name</th>
-              <th>Quantity</th>
-              <th>Unit Price</th>
-              <th>Total</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${order.items.map(item => `
-              <tr>
-                <td>${item.name}</td>
-                <td>${item.quantity}</td>
-                <td>₹${item.price.toLocaleString()}</td>
-                <td>₹${(item.price * item.quantity).toLocaleString()}</td>
-              </tr>
-            `).join('')}
-            <tr class="total-row">
-              <td colspan="3"><strong>Total Amount</strong></td>
-              <td><strong>₹${order.total.toLocaleString()}</strong></td>
-            </tr>
-          </tbody>
-        </table>
+    const existingModal = document.getElementById('statusModal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+    
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+  }
+
+  closeStatusModal() {
+    const modal = document.getElementById('statusModal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  async saveTrackingStatus(qrId) {
+    const newStatus = document.getElementById('newStatusSelect').value;
+    const amountInput = document.getElementById('repairAmountCharged').value.trim();
+    const costInput = document.getElementById('repairPartsCost').value.trim();
+    const note = document.getElementById('trackingStatusNote').value.trim();
+    const tracking = this.trackingData.find((t) => t.qrId === qrId);
+    
+    if (!tracking) return;
+
+    const amountCharged = amountInput ? Number(amountInput) : null;
+    const partsCost = costInput ? Number(costInput) : null;
+    if ((amountCharged !== null && !(amountCharged >= 0)) || (partsCost !== null && !(partsCost >= 0))) {
+      alert("Repair amounts must be 0 or more");
+      return;
+    }
+
+    // Warranty terms are registered the first time a repair is completed
+    const warrantyRows = newStatus === 'Completed' && !tracking.completedAt
+      ? document.querySelectorAll('#warrantyTerms .warranty-term')
+      : [];
+    const warranty = Array.from(warrantyRows, row => ({
+      kind: row.dataset.kind,
+      description: row.querySelector('.warranty-description').value.trim(),
+      days: Number(row.querySelector('.warranty-days').value)
+    })).filter(term => term.description);
+
+    // 1. Update local storage IMMEDIATELY (instant)
+    this.applyLocalTrackingStatus(tracking, newStatus, note);
+    tracking.amountCharged = amountCharged;
+    tracking.partsCost = partsCost;
+    
+    // 2. Show SUCCESS and render page immediately
+    this.closeStatusModal();
+    this.renderPage(this.currentPage);
+    alert(`✅ Status updated to: ${newStatus}`);
+    
+    // 3. Sync to database in background (don't wait for it)
+    this.syncTrackingStatusToDatabase(qrId, newStatus, tracking.lastUpdated, { amountCharged, partsCost, note, ...(warrantyRows.length > 0 ? { warranty } : {}) }).catch(error => {
+      console.error('❌ Background tracking status sync failed:', error);
+    });
+    
+    console.log('🔄 Tracking status updated locally, syncing to database in background');
+  }
+
+  // Status change as the portal shows it until the server's copy (with its history) arrives
+  applyLocalTrackingStatus(tracking, newStatus, note = '') {
+    if (newStatus !== tracking.status || note) {
+      tracking.statusHistory = [...(tracking.statusHistory || []), {
+        from: tracking.status,
+        to: newStatus,
+        note: note,
+        changedBy: this.currentUser ? { name: this.currentUser.name, role: this.currentUser.role } : null,
+        changedAt: new Date().toISOString()
+      }];
+    }
+    tracking.status = newStatus;
+    tracking.lastUpdated = new Date().toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  // Background sync method for tracking status updates (amounts and note go along with the status)
+  async syncTrackingStatusToDatabase(qrId, newStatus, lastUpdated, amounts = {}) {
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${qrId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: newStatus, lastUpdated: lastUpdated, ...amounts })
+      });
+      
+      if (response.ok) {
+        console.log('✅ Tracking status synced to database successfully');
+      } else {
+        console.error('❌ Failed to sync tracking status to database');
+      }
+    } catch (error) {
+      console.error('❌ Background tracking status sync error:', error);
+    }
+  }
+
+  // Replace a customer's tracking password - the new one is shown once and never stored in the browser
+  async regenerateTrackingPassword(qrId) {
+    if (!confirm(`Generate a new tracking password for QR ${qrId}?\n\nThe customer's current password will stop working.`)) {
+      return;
+    }
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${qrId}/reset-password`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const { password } = await response.json();
+      if (confirm("🔑 New tracking password generated!\n\nQR ID: " + qrId + "\nPassword: " + password + "\n\nShare this with your customer now - it will not be shown again.\n\nPrint a new job card with this password?")) {
+        this.printTrackingLabel(qrId, password);
+      }
+    } catch (error) {
+      console.error('❌ Error regenerating tracking password:', error);
+      alert(`❌ Failed to generate a new password: ${error.message}`);
+    }
+  }
+
+  // Storefront tracking page with the QR ID filled in - what the label's QR code opens
+  getTrackingLink(qrId) {
+    return new URL(`index.html?track=${encodeURIComponent(qrId)}`, window.location.href).href;
+  }
+
+  // QR code as a PNG data URL, drawn off-screen with qrcodejs
+  getQrCodeDataUrl(text, size = 256) {
+    const container = document.createElement('div');
+    new QRCode(container, { text, width: size, height: size, correctLevel: QRCode.CorrectLevel.M });
+    const canvas = container.querySelector('canvas');
+    return canvas ? canvas.toDataURL('image/png') : container.querySelector('img')?.src;
+  }
+
+  // Sticker for the device plus an A5 job card for the customer. The password is only
+  // known straight after the repair is registered - reprints leave a space to write it in.
+  printTrackingLabel(qrId, password = '') {
+    const tracking = this.trackingData.find((t) => t.qrId === qrId);
+    if (!tracking) {
+      alert('Tracking record not found!');
+      return;
+    }
+    if (typeof QRCode === 'undefined') {
+      alert('❌ QR code library did not load - check your internet connection and reload the page');
+      return;
+    }
 
-        <div class="payment-info">
-          <div class="section-title">Payment Information</div>
-          <p><strong>Payment Method:</strong> ${order.paymentMethod}</p>
-          ${order.paymentScreenshot && order.paymentScreenshot.data ? 
-            `<p><strong>Payment Screenshot:</strong> Attached (${order.paymentScreenshot.fileName})</p>` : 
-            '<p><strong>Payment Screenshot:</strong> Not available</p>'
-          }
+    const link = this.getTrackingLink(qrId);
+    const qrImage = this.getQrCodeDataUrl(link);
+
+    const printContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Job Card ${qrId}</title>
+        <style>
+          @page { size: A5; margin: 10mm; }
+          body { font-family: Arial, sans-serif; color: #111; margin: 0; }
+          .label { width: 62mm; height: 29mm; border: 1px dashed #999; padding: 2mm; box-sizing: border-box; display: flex; gap: 2mm; align-items: center; margin-bottom: 6mm; }
+          .label img { width: 25mm; height: 25mm; }
+          .label .id { font-family: monospace; font-size: 12pt; font-weight: bold; }
+          .label .small { font-size: 7pt; line-height: 1.3; }
+          .card { border: 2px solid #111; padding: 6mm; }
+          .card h1 { font-size: 16pt; margin: 0; }
+          .card h2 { font-size: 12pt; margin: 4mm 0; text-transform: uppercase; letter-spacing: 1px; }
+          .row { display: flex; justify-content: space-between; gap: 6mm; }
+          table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+          td { padding: 2mm 0; vertical-align: top; border-bottom: 1px solid #ddd; }
+          td:first-child { width: 32mm; font-weight: bold; }
+          .credentials { font-family: monospace; font-size: 13pt; font-weight: bold; }
+          .card img { width: 32mm; height: 32mm; }
+          .card .photos { display: flex; gap: 2mm; margin-top: 3mm; }
+          .card .photos img { width: 22mm; height: 22mm; object-fit: cover; border: 1px solid #ccc; }
+          .note { font-size: 8pt; color: #444; margin-top: 4mm; }
+          .signatures { display: flex; justify-content: space-between; margin-top: 12mm; font-size: 9pt; }
+          .signatures div { border-top: 1px solid #111; padding-top: 1mm; width: 40%; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="label">
+          <img src="${qrImage}" alt="QR code">
+          <div>
+            <div class="small"><strong>Manjula Mobile World</strong></div>
+            <div class="id">${qrId}</div>
+            <div class="small">${this.escapeHtml(tracking.deviceModel || tracking.productName)}<br>${this.escapeHtml(tracking.customerName)}${tracking.contact ? ` · ${this.escapeHtml(tracking.contact)}` : ''}</div>
+            <div class="small">In: ${this.formatTrackingDate(tracking.createdAt)}</div>
+          </div>
         </div>
 
-        <div class="footer">
-          <p>Thank you for choosing Manjula Mobile World!</p>
-          <p>For any queries, contact us at +91 82484 54841 or manjulamobiles125@gmail.com</p>
-          <p>Printed on: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</p>
+        <div class="card">
+          <div class="row">
+            <div>
+              <h1>Manjula Mobile World</h1>
+              <div style="font-size: 9pt;">Ramapuram, Chennai · +91 82484 54841</div>
+              <h2>Repair Job Card</h2>
+            </div>
+            <img src="${qrImage}" alt="QR code">
+          </div>
+
+          <table>
+            <tr><td>QR ID</td><td class="credentials">${qrId}</td></tr>
+            <tr><td>Password</td><td class="credentials">${password || '&nbsp;'}</td></tr>
+            <tr><td>Received</td><td>${this.formatTrackingDate(tracking.createdAt)}</td></tr>
+            ${tracking.warrantyClaimOf?.qrId ? `<tr><td>Warranty Claim</td><td>On repair ${tracking.warrantyClaimOf.qrId} - no labour charge</td></tr>` : ''}
+            <tr><td>Customer</td><td>${this.escapeHtml(tracking.customerName)}</td></tr>
+            <tr><td>Contact</td><td>${this.escapeHtml(tracking.contact || '-')}</td></tr>
+            <tr><td>Device</td><td>${this.escapeHtml(tracking.deviceModel || tracking.productName)}</td></tr>
+            ${tracking.imei ? `<tr><td>IMEI</td><td>${this.escapeHtml(tracking.imei)}</td></tr>` : ''}
+            ${tracking.serialNumber ? `<tr><td>Serial No.</td><td>${this.escapeHtml(tracking.serialNumber)}</td></tr>` : ''}
+            <tr><td>Issue</td><td>${this.escapeHtml(tracking.issue)}</td></tr>
+            ${tracking.conditionNotes ? `<tr><td>Condition</td><td>${this.escapeHtml(tracking.conditionNotes)}</td></tr>` : ''}
+            <tr><td>Accessories</td><td>${tracking.accessories?.length ? this.escapeHtml(tracking.accessories.join(', ')) : 'None'}</td></tr>
+            ${tracking.passcodeType && tracking.passcodeType !== 'none' ? `<tr><td>Screen Lock</td><td>${tracking.passcodeType === 'not-shared' ? 'Not shared' : 'Given to technician'}</td></tr>` : ''}
+            <tr><td>Estimated Time</td><td>${tracking.estimatedDays || 2} day(s)${tracking.promisedBy ? ` - ready by ${this.formatTrackingDate(tracking.promisedBy)}` : ''}</td></tr>
+          </table>
+
+          ${(tracking.intakePhotos || []).length > 0 ? `
+            <div class="photos">
+              ${tracking.intakePhotos.slice(0, 4).map(photo => `<img src="${this.getImageUrl(photo.url, 'card')}" alt="Intake photo">`).join('')}
+            </div>
+          ` : ''}
+
+          <div class="note">
+            Scan the QR code or visit ${link} and enter your password to check the repair status.
+            Please bring this job card when you collect your device.
+          </div>
+
+          <div class="signatures">
+            <div>Customer</div>
+            <div>For Manjula Mobile World</div>
+          </div>
         </div>
       </body>
       </html>
     `;
 
-    // Open print window
     const printWindow = window.open('', '_blank');
     printWindow.document.write(printContent);
     printWindow.document.close();
-    
-    // Wait for content to load then print
+
     printWindow.onload = function() {
       printWindow.focus();
       printWindow.print();
-      // Close window after printing (optional)
-      setTimeout(() => {
-        printWindow.close();
-      }, 1000);
     };
   }
 
-  renderAddProductForm() {
-    return `
-      <div style="min-height: 100vh; background-color: #020617; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container" style="max-width: 600px;">
-          <button class="back-button" data-page="admin-products">← Back to Products</button>
-          <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 32px;">Add New Product</h1>
-
-          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 32px;">
-            <div class="form-field">
-              <label class="form-label">Product Name *</label>
-              <input type="text" class="input" placeholder="Enter product name" id="productName">
-            </div>
-
-            <div class="form-field">
-              <label class="form-label">Category *</label>
-              <select class="input" id="productCategory" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
-                <option value="">Select category</option>
-                <option value="Smartphones">Smartphones</option>
-                <option value="Services">Services</option>
-                <option value="Accessories">Accessories</option>
-                <option value="Chargers">Chargers</option>
-                <option value="Audio">Audio</option>
-                <option value="Power">Power Banks</option>
-              </select>
-            </div>
-
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
-              <div class="form-field">
-                <label class="form-label">Price (₹) *</label>
-                <input type="number" class="input" placeholder="2999" id="productPrice">
-              </div>
-              <div class="form-field">
-                <label class="form-label">Original Price (₹)</label>
-                <input type="number" class="input" placeholder="3999" id="productOriginalPrice">
-              </div>
-            </div>
-
-            <div class="form-field">
-              <label class="form-label">Product Images</label>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 1 (Main)</p>
-                <input type="url" class="input" placeholder="https://example.com/image1.jpg" id="productImageUrl" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile1" onchange="app.handleImageUpload(event, 1)" style="font-size: 12px;">
-              </div>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 2 (Secondary)</p>
-                <input type="url" class="input" placeholder="https://example.com/image2.jpg" id="productImageUrl2" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile2" onchange="app.handleImageUpload(event, 2)" style="font-size: 12px;">
-              </div>
-              <div style="margin-bottom: 12px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px;">Emoji/Icon (if no images)</p>
-                <input type="text" class="input" placeholder="📱 or 🔧 or 📦" id="productImage" maxlength="2">
-              </div>
-            </div>
-
-            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 24px;">
-              <input type="checkbox" id="productInStock" checked style="width: 18px; height: 18px; cursor: pointer;">
-              <label for="productInStock" style="cursor: pointer; color: #cbd5e1;">In Stock</label>
-            </div>
-
-            <button class="btn btn-primary" style="width: 100%; padding: 12px; font-size: 16px; margin-bottom: 12px;" data-action="save-product">Add Product</button>
-            <button class="btn btn-secondary" style="width: 100%; padding: 12px; font-size: 16px;" data-page="admin-products">Cancel</button>
-          </div>
-        </div>
-      </div>
-    `
+  async deleteTracking(qrId) {
+    if (confirm("Are you sure you want to delete this tracking record?")) {
+      // 1. Delete from local storage IMMEDIATELY (instant)
+      this.trackingData = this.trackingData.filter((t) => t.qrId !== qrId);
+      
+      // 2. Show SUCCESS and render page immediately
+      this.renderPage("admin-tracking");
+      alert('✅ Tracking deleted successfully!');
+      
+      // 3. Delete from database in background (don't wait for it)
+      this.syncTrackingDeleteToDatabase(qrId).catch(error => {
+        console.error('❌ Background tracking delete sync failed:', error);
+      });
+      
+      console.log('🔄 Tracking deleted locally, syncing to database in background');
+    }
   }
 
-  renderEditProductForm() {
-    const editingIdStr = String(this.editingProductId);
-    const product = this.products.find((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr)
-    if (!product) return `<div>Product not found</div>`
+  // Background sync method for tracking deletion
+  async syncTrackingDeleteToDatabase(qrId) {
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/tracking/${qrId}`, {
+        method: 'DELETE'
+      });
+      
+      if (response.ok) {
+        console.log('✅ Tracking deletion synced to database successfully');
+      } else {
+        console.error('❌ Failed to sync tracking deletion to database');
+      }
+    } catch (error) {
+      console.error('❌ Background tracking delete sync error:', error);
+    }
+  }
 
-    return `
-      <div style="min-height: 100vh; background-color: #020617; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container" style="max-width: 600px;">
-          <button class="back-button" data-page="admin-products">← Back to Products</button>
-          <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 32px;">Edit Product</h1>
+  toggleTrackingForm() {
+    const form = document.getElementById("trackingForm")
+    if (form) {
+      form.style.display = form.style.display === "none" ? "block" : "none"
+    }
+  }
 
-          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 32px;">
-            <div class="form-field">
-              <label class="form-label">Product Name *</label>
-              <input type="text" class="input" value="${product.name}" id="productName">
-            </div>
+  getStatusEmoji(status) {
+    const emojiMap = {
+      'Received': '📥',
+      'Diagnostics': '🔍',
+      'In Progress': '🔧',
+      'Parts Ordered': '📦',
+      'Quality Check': '✅',
+      'Ready for Pickup': '📢',
+      'Awaiting Pickup': '↩️',
+      'Completed': '🎉'
+    }
+    return emojiMap[status] || '📱'
+  }
 
-            <div class="form-field">
-              <label class="form-label">Category *</label>
-              <select class="input" id="productCategory" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
-                <option value="Smartphones" ${product.category === "Smartphones" ? "selected" : ""}>Smartphones</option>
-                <option value="Services" ${product.category === "Services" ? "selected" : ""}>Services</option>
-                <option value="Accessories" ${product.category === "Accessories" ? "selected" : ""}>Accessories</option>
-                <option value="Chargers" ${product.category === "Chargers" ? "selected" : ""}>Chargers</option>
-                <option value="Audio" ${product.category === "Audio" ? "selected" : ""}>Audio</option>
-                <option value="Power" ${product.category === "Power" ? "selected" : ""}>Power Banks</option>
-              </select>
-            </div>
+  // Staff Management Methods
+  async saveStaff() {
+    const name = document.getElementById("newStaffName")?.value?.trim();
+    const phone = document.getElementById("newStaffPhone")?.value?.trim();
+    const password = document.getElementById("newStaffPassword")?.value || "";
+    const role = document.getElementById("newStaffRole")?.value;
 
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
-              <div class="form-field">
-                <label class="form-label">Price (₹) *</label>
-                <input type="number" class="input" value="${product.price}" id="productPrice">
-              </div>
-              <div class="form-field">
-                <label class="form-label">Original Price (₹)</label>
-                <input type="number" class="input" value="${product.originalPrice}" id="productOriginalPrice">
-              </div>
-            </div>
+    if (!name || !phone || !password || !role) {
+      alert("Please fill all required fields: Name, Phone Number, Password and Role");
+      return;
+    }
 
-            <div class="form-field">
-              <label class="form-label">Product Images</label>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 1 (Main)</p>
-                <input type="url" class="input" placeholder="https://example.com/image1.jpg" id="productImageUrl" value="${product.imageUrl || ""}" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile1" onchange="app.handleImageUpload(event, 1)" style="font-size: 12px;">
-              </div>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 2 (Secondary)</p>
-                <input type="url" class="input" placeholder="https://example.com/image2.jpg" id="productImageUrl2" value="${product.imageUrl2 || ""}" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile2" onchange="app.handleImageUpload(event, 2)" style="font-size: 12px;">
-              </div>
-              <div style="margin-bottom: 12px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px;">Emoji/Icon (if no images)</p>
-                <input type="text" class="input" value="${product.image}" id="productImage" maxlength="2">
-              </div>
-            </div>
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, phone, password, role })
+      });
 
-            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 24px;">
-              <input type="checkbox" id="productInStock" ${product.inStock ? "checked" : ""} style="width: 18px; height: 18px; cursor: pointer;">
-              <label for="productInStock" style="cursor: pointer; color: #cbd5e1;">In Stock</label>
-            </div>
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
 
-            <button class="btn btn-primary" style="width: 100%; padding: 12px; font-size: 16px; margin-bottom: 12px;" data-action="save-product">Update Product</button>
-            <button class="btn btn-secondary" style="width: 100%; padding: 12px; font-size: 16px;" data-page="admin-products">Cancel</button>
-          </div>
-        </div>
-      </div>
-    `
+      alert(`✅ Staff account created for ${name} (${role})`);
+      await this.renderPage("admin-staff");
+    } catch (error) {
+      console.error('❌ Error creating staff account:', error);
+      alert(`❌ Failed to create staff account: ${error.message}`);
+    }
   }
 
-  renderFooter() {
-    return `
-      <footer>
-        <div class="footer-content">
-          <div class="footer-section">
-            <h4>Owner Portal</h4>
-            <ul>
-              <li><a href="#" data-page="admin">Dashboard</a></li>
-              <li><a href="#" data-page="admin-products">Products</a></li>
-              <li><a href="#" data-page="admin-tracking">Tracking</a></li>
-              <li><a href="#" data-page="admin-orders">Orders</a></li>
-            </ul>
-          </div>
-          <div class="footer-section">
-            <h4>Main Site</h4>
-            <ul>
-              <li><a href="index.html">← Back to Main Site</a></li>
-            </ul>
-          </div>
-          <div class="footer-section">
-            <h4>Contact</h4>
-            <ul>
-              <li><a href="mailto:manjulamobiles125@gmail.com">manjulamobiles125@gmail.com</a></li>
-              <li><a href="tel:+918248454841">+91 82484 54841</a></li>
-              <li>Available 24/7</li>
-            </ul>
-          </div>
-        </div>
-        <div class="footer-bottom">
-          <p>&copy; 2025 Manjula Mobile World Owner Portal. All rights reserved.</p>
-        </div>
-      </footer>
-    `
-  }
+  async updateStaff(userId, changes) {
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/users/${userId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
 
-  // Product Management Methods
-  async saveProduct() {
-    const name = document.getElementById("productName")?.value;
-    const category = document.getElementById("productCategory")?.value;
-    const price = Number.parseInt(document.getElementById("productPrice")?.value || 0);
-    const originalPrice = Number.parseInt(document.getElementById("productOriginalPrice")?.value || 0);
-    const imageUrl = document.getElementById("productImageUrl")?.value?.trim();
-    const imageUrl2 = document.getElementById("productImageUrl2")?.value?.trim();
-    const emoji = document.getElementById("productImage")?.value?.trim();
-    const inStock = document.getElementById("productInStock")?.checked || false;
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
 
-    if (!name || !category || !price) {
-      alert("Please fill all required fields");
-      return;
+      console.log('✅ Staff account updated:', userId);
+    } catch (error) {
+      console.error('❌ Error updating staff account:', error);
+      alert(`❌ Failed to update staff account: ${error.message}`);
     }
 
-    if (imageUrl && imageUrl.length > 700000) {
-      alert("❌ Image file is too large. Please use a smaller image (max 500KB).");
-      return;
+    // Changing your own role or access ends your session
+    if (userId === this.currentUser?.id) {
+      await this.verifySession();
     }
-    if (imageUrl2 && imageUrl2.length > 700000) {
-      alert("❌ Image 2 file is too large. Please use a smaller image (max 500KB).");
-      return;
+    if (this.isAdminLoggedIn) {
+      await this.renderPage("admin-staff");
     }
+  }
 
-    try {
-      // Show loading indicator
-      const saveButton = document.querySelector('[data-action="save-product"]');
-      const originalText = saveButton.textContent;
-      saveButton.textContent = 'Saving...';
-      saveButton.disabled = true;
+  async resetStaffPassword(userId) {
+    const password = prompt("Enter a new password for this staff member (min 6 characters):");
+    if (!password) return;
 
-      if (this.editingProductId) {
-        // Update existing product - Database ONLY
-        const updatedProduct = {
-          name,
-          category,
-          price,
-          originalPrice: originalPrice || price,
-          imageUrl: imageUrl || "",
-          imageUrl2: imageUrl2 || "",
-          image: emoji || "📦",
-          inStock
-        };
+    await this.updateStaff(userId, { password });
+    alert("✅ Password updated. The staff member will need to log in again.");
+  }
 
-        const editingIdStr = String(this.editingProductId);
-        const existingProduct = this.products.find((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr);
-        
-        if (existingProduct) {
-          const mongoId = existingProduct._id || existingProduct.id;
-          console.log('💾 [OWNER PORTAL] Updating product in database...');
-          
-          // Update in database ONLY
-          const response = await fetch(`${this.API_URL}/products/${mongoId}`, {
-            method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(updatedProduct)
-          });
+  // Supplier Management Methods
+  editSupplier(supplierId) {
+    this.editingSupplierId = supplierId;
+    this.renderPage("admin-suppliers");
+  }
 
-          if (response.ok) {
-            const savedProduct = await response.json();
-            console.log('✅ [OWNER PORTAL] Product updated in database:', savedProduct);
-            
-            // Update local array (no localStorage)
-            const productIndex = this.products.findIndex((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr);
-            if (productIndex !== -1) {
-              this.products[productIndex] = savedProduct;
-            }
-            
-            alert("✅ Product updated in database successfully!");
-          } else {
-            const errorText = await response.text();
-            console.error('❌ [OWNER PORTAL] Database update failed:', errorText);
-            throw new Error(`Failed to update product: ${errorText}`);
-          }
-          
-          this.editingProductId = null;
-          console.log('🔄 Product updated in database, main website will see changes');
-        } else {
-          alert("❌ Product not found for editing");
-        }
-      } else {
-        // Create new product - Save ONLY to DATABASE
-        const newProduct = {
-          name,
-          category,
-          price,
-          originalPrice: originalPrice || price,
-          image: emoji || "📦",
-          imageUrl: imageUrl || "",
-          imageUrl2: imageUrl2 || "",
-          rating: 4.5,
-          reviews: 0,
-          inStock,
-          badge: null,
-          qrId: "",
-          qrPassword: "",
-          trackingStatus: "Received",
-          ownerGender: "none"
-        };
+  async saveSupplier() {
+    const supplier = {
+      name: document.getElementById("supplierName")?.value?.trim(),
+      contactName: document.getElementById("supplierContactName")?.value?.trim(),
+      phone: document.getElementById("supplierPhone")?.value?.trim(),
+      email: document.getElementById("supplierEmail")?.value?.trim(),
+      gstin: document.getElementById("supplierGstin")?.value?.trim().toUpperCase(),
+      address: document.getElementById("supplierAddress")?.value?.trim(),
+      notes: document.getElementById("supplierNotes")?.value?.trim()
+    };
 
-        console.log('💾 [OWNER PORTAL] Saving product to database...');
-        
-        // Save to database ONLY
-        const response = await fetch(`${this.API_URL}/products`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(newProduct)
-        });
+    if (!supplier.name) {
+      alert("Please enter the supplier name");
+      return;
+    }
 
-        if (response.ok) {
-          const savedProduct = await response.json();
-          console.log('✅ [OWNER PORTAL] Product saved to database:', savedProduct);
-          
-          // Add to local array (no localStorage)
-          this.products.push(savedProduct);
-          
-          alert("✅ Product saved to database successfully!");
-        } else {
-          const errorText = await response.text();
-          console.error('❌ [OWNER PORTAL] Database save failed:', errorText);
-          throw new Error(`Failed to save product: ${errorText}`);
-        }
-        
-        console.log('🔄 Product saved to database, main website will see it');
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/suppliers${this.editingSupplierId ? `/${this.editingSupplierId}` : ''}`, {
+        method: this.editingSupplierId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(supplier)
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
 
-      this.renderPage("admin-products");
+      alert(`✅ Supplier ${this.editingSupplierId ? 'updated' : 'added'}: ${supplier.name}`);
+      this.editingSupplierId = null;
+      await this.renderPage("admin-suppliers");
     } catch (error) {
-      console.error('❌ Error saving product:', error);
-      
-      let errorMessage = error.message;
-      
-      if (error.message.includes('timeout') || error.message.includes('timed out')) {
-        alert(`⏰ Database operation timed out!\n\nThis usually means:\n• Slow internet connection\n• Database server is busy\n\nPlease try again in a few moments.`);
-      } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-        alert(`🌐 Network connection error!\n\nPlease check:\n• Your internet connection\n• Server is running\n• Try refreshing the page`);
-      } else if (error.message.includes('offline') || error.message.includes('not available')) {
-        alert(`📡 Database is currently offline!\n\nThe server is running but can't connect to the database.\n\nPlease try again later.`);
-      } else {
-        alert(`❌ Error saving product:\n\n${errorMessage}\n\nPlease check your connection and try again.`);
-      }
-    } finally {
-      // Restore button state
-      const saveButton = document.querySelector('[data-action="save-product"]');
-      if (saveButton) {
-        saveButton.textContent = this.editingProductId ? 'Update Product' : 'Add Product';
-        saveButton.disabled = false;
-      }
+      console.error('❌ Error saving supplier:', error);
+      alert(`❌ Failed to save supplier: ${error.message}`);
     }
   }
 
-  // Background sync method for product updates
-  async syncProductUpdateToDatabase(mongoId, updatedProduct) {
+  async updateSupplier(supplierId, changes) {
     try {
-      const response = await fetch(`${this.API_URL}/products/${mongoId}`, {
+      const response = await this.apiFetch(`${this.API_URL}/suppliers/${supplierId}`, {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updatedProduct)
+        body: JSON.stringify(changes)
       });
 
-      if (response.ok) {
-        const savedProduct = await response.json();
-        
-        // Update local storage with response from database
-        const index = this.products.findIndex(p => (p._id || p.id) === mongoId);
-        if (index !== -1) {
-          this.products[index] = savedProduct;
-          localStorage.setItem('manjula_products', JSON.stringify(this.products));
-        }
-        
-        console.log('✅ Product update synced to database successfully');
-      } else {
-        console.error('❌ Failed to sync product update to database');
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
     } catch (error) {
-      console.error('❌ Background update sync error:', error);
+      console.error('❌ Error updating supplier:', error);
+      alert(`❌ Failed to update supplier: ${error.message}`);
     }
+    await this.renderPage("admin-suppliers");
   }
 
-  // Background sync method - doesn't block UI
-  async syncProductToDatabase(product) {
+  async deleteSupplier(supplierId) {
+    const supplier = this.suppliers.find(s => s._id === supplierId);
+    if (!supplier || !confirm(`Delete supplier ${supplier.name}?`)) return;
+
     try {
-      console.log('🔄 [OWNER PORTAL] Starting database sync for product:', product.name);
-      
-      const productForDB = { ...product };
-      delete productForDB.id; // Remove temporary ID, let MongoDB generate _id
-      
-      const response = await fetch(`${this.API_URL}/products`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(productForDB)
-      });
+      const response = await this.apiFetch(`${this.API_URL}/suppliers/${supplierId}`, { method: 'DELETE' });
 
-      if (response.ok) {
-        const savedProduct = await response.json();
-        console.log('✅ [OWNER PORTAL] Product saved to database:', savedProduct);
-        
-        // Update local storage with real database product
-        const index = this.products.findIndex(p => p.id === product.id);
-        if (index !== -1) {
-          this.products[index] = savedProduct;
-          localStorage.setItem('manjula_products', JSON.stringify(this.products));
-          console.log('✅ [OWNER PORTAL] Local storage updated with database product');
-        }
-        
-        console.log('✅ Product synced to database successfully - main website should see it now!');
-      } else {
-        const errorText = await response.text();
-        console.error('❌ Failed to sync product to database:', errorText);
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
     } catch (error) {
-      console.error('❌ Background sync error:', error);
+      console.error('❌ Error deleting supplier:', error);
+      alert(`❌ Failed to delete supplier: ${error.message}`);
     }
+    await this.renderPage("admin-suppliers");
   }
 
-  async deleteProduct(productId) {
-    if (confirm("Are you sure you want to delete this product?")) {
-      try {
-        const productIdStr = String(productId);
-        const product = this.products.find(p => String(p.id) === productIdStr || String(p._id) === productIdStr);
-        if (!product) {
-          alert('Product not found');
-          return;
-        }
+  // Purchase Order Methods
+  addPurchaseLine() {
+    document.getElementById('purchaseLines')?.insertAdjacentHTML('beforeend', this.renderPurchaseLine());
+  }
 
-        const mongoId = product._id || product.id;
-        console.log('💾 [OWNER PORTAL] Deleting product from database...');
-        
-        // Delete from database ONLY
-        const response = await fetch(`${this.API_URL}/products/${mongoId}`, {
-          method: 'DELETE'
-        });
+  async savePurchaseOrder(status) {
+    const supplierId = document.getElementById("purchaseSupplier")?.value;
+    const expectedDate = document.getElementById("purchaseExpectedDate")?.value;
+    const notes = document.getElementById("purchaseNotes")?.value?.trim();
+
+    const items = [...document.querySelectorAll('#purchaseLines .purchase-line')]
+      .map(line => ({
+        productId: line.querySelector('.purchase-product').value,
+        quantityOrdered: Number(line.querySelector('.purchase-quantity').value),
+        unitCost: Number(line.querySelector('.purchase-cost').value)
+      }))
+      .filter(item => item.productId);
+
+    if (!supplierId || items.length === 0) {
+      alert("Please choose a supplier and at least one product");
+      return;
+    }
+    if (items.some(item => !Number.isInteger(item.quantityOrdered) || item.quantityOrdered < 1)) {
+      alert("Every line needs a quantity of 1 or more");
+      return;
+    }
 
-        if (response.ok) {
-          console.log('✅ [OWNER PORTAL] Product deleted from database');
-          
-          // Remove from local array (no localStorage)
-          this.products = this.products.filter((p) => String(p.id) !== productIdStr && String(p._id) !== productIdStr);
-          
-          this.renderPage("admin-products");
-          alert('✅ Product deleted from database successfully!');
-        } else {
-          const errorText = await response.text();
-          console.error('❌ [OWNER PORTAL] Database delete failed:', errorText);
-          throw new Error(`Failed to delete product: ${errorText}`);
-        }
-        
-        console.log('🔄 Product deleted from database, main website will see changes');
-      } catch (error) {
-        console.error('❌ Error deleting product:', error);
-        alert('❌ Error deleting product: ' + error.message);
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/purchase-orders`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ supplierId, items, expectedDate: expectedDate || null, notes, status })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
+
+      const purchaseOrder = await response.json();
+      alert(`✅ Purchase order ${purchaseOrder.poNumber} ${status === 'Draft' ? 'saved as draft' : 'placed'}`);
+      await this.renderPage("admin-purchases");
+    } catch (error) {
+      console.error('❌ Error creating purchase order:', error);
+      alert(`❌ Failed to create purchase order: ${error.message}`);
     }
   }
 
-  // Background sync method for product deletion
-  async syncProductDeleteToDatabase(mongoId) {
+  async updatePurchaseOrderStatus(poNumber, status) {
+    if (status !== 'Ordered' && !confirm(`Mark purchase order ${poNumber} as ${status}?`)) return;
+
     try {
-      const response = await fetch(`${this.API_URL}/products/${mongoId}`, {
-        method: 'DELETE'
+      const response = await this.apiFetch(`${this.API_URL}/purchase-orders/${poNumber}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
       });
 
-      if (response.ok) {
-        console.log('✅ Product deletion synced to database successfully');
-      } else {
-        console.error('❌ Failed to sync product deletion to database');
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
     } catch (error) {
-      console.error('❌ Background delete sync error:', error);
+      console.error('❌ Error updating purchase order:', error);
+      alert(`❌ Failed to update purchase order: ${error.message}`);
     }
+    await this.renderPage("admin-purchases");
   }
 
-  handleImageUpload(event, imageNumber = 1) {
-    const file = event.target.files[0]
-    if (file) {
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        const base64Image = e.target.result
-        if (imageNumber === 1) {
-          document.getElementById("productImageUrl").value = base64Image
-        } else if (imageNumber === 2) {
-          document.getElementById("productImageUrl2").value = base64Image
-        }
+  async deletePurchaseOrder(poNumber) {
+    if (!confirm(`Delete draft purchase order ${poNumber}?`)) return;
+
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/purchase-orders/${poNumber}`, { method: 'DELETE' });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
-      reader.readAsDataURL(file)
+    } catch (error) {
+      console.error('❌ Error deleting purchase order:', error);
+      alert(`❌ Failed to delete purchase order: ${error.message}`);
     }
+    await this.renderPage("admin-purchases");
   }
 
-  // Tracking Management Methods
-  async saveNewTracking() {
-    const qrId = document.getElementById("newTrackingQRId")?.value?.trim();
-    const password = document.getElementById("newTrackingPassword")?.value?.trim();
-    const customer = document.getElementById("newTrackingCustomer")?.value?.trim();
-    const device = document.getElementById("newTrackingDevice")?.value?.trim();
-    const contact = document.getElementById("newTrackingContact")?.value?.trim();
-    const issue = document.getElementById("newTrackingIssue")?.value?.trim();
-    const status = document.getElementById("newTrackingStatus")?.value;
-    const days = document.getElementById("newTrackingDays")?.value;
+  // Book in a delivery - quantities default to everything still outstanding
+  openReceiveModal(poNumber) {
+    const po = this.purchaseOrders.find(p => p.poNumber === poNumber);
+    if (!po) return;
+
+    const outstanding = po.items.filter(item => item.quantityReceived < item.quantityOrdered);
+
+    const modalHTML = `
+      <div class="status-modal" id="statusModal">
+        <div class="status-modal-content" style="max-height: 90vh; overflow-y: auto;">
+          <div class="status-modal-header">
+            <div class="status-modal-title">Receive Delivery</div>
+            <div class="status-modal-subtitle">
+              ${po.poNumber} | ${this.escapeHtml(po.supplierName)} | ${po.status}
+            </div>
+          </div>
+
+          ${outstanding.map(item => `
+            <div class="status-select-group receive-line" data-product-id="${item.productId}">
+              <label class="status-select-label">${this.escapeHtml(item.name)} (${item.quantityOrdered - item.quantityReceived} to come)</label>
+              <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+                <input type="number" class="status-select receive-quantity" min="0" max="${item.quantityOrdered - item.quantityReceived}" step="1" value="${item.quantityOrdered - item.quantityReceived}" title="Quantity received">
+                <input type="number" class="status-select receive-cost" min="0" step="0.01" value="${item.unitCost}" title="Unit cost as billed (₹)">
+              </div>
+            </div>
+          `).join('')}
 
-    if (!qrId || !password || !customer || !device || !issue) {
-      alert("Please fill all required fields: QR ID, Password, Customer Name, Device Model, and Issue Description");
-      return;
-    }
+          <div class="status-select-group">
+            <label class="status-select-label">Freight / Courier / Other Charges (₹)</label>
+            <input type="number" class="status-select" id="receiveExtraCharges" min="0" step="0.01" value="0">
+          </div>
 
-    if (this.trackingData.find((t) => t.qrId === qrId)) {
-      alert("This QR ID already exists. Please use a unique QR ID.");
-      return;
-    }
+          <div class="status-select-group">
+            <label class="status-select-label">Supplier Bill Number</label>
+            <input type="text" class="status-select" id="receiveSupplierInvoice" maxlength="100">
+          </div>
 
-    try {
-      // Show loading indicator
-      const saveButton = document.querySelector('[data-action="save-new-tracking"]');
-      const originalText = saveButton.textContent;
-      saveButton.textContent = 'Saving...';
-      saveButton.disabled = true;
+          <div class="status-select-group">
+            <label class="status-select-label">Note (optional)</label>
+            <input type="text" class="status-select" id="receiveNote" maxlength="500" placeholder="e.g. 2 screens damaged, returned">
+          </div>
 
-      const newTracking = {
-        qrId: qrId,
-        qrPassword: password,
-        customerName: customer,
-        productName: device,
-        deviceModel: device,
-        contact: contact,
-        status: status,
-        issue: issue,
-        estimatedDays: Number.parseInt(days) || 2,
-        createdAt: new Date().toLocaleDateString('en-IN', {
-          day: '2-digit',
-          month: '2-digit',
-          year: 'numeric'
-        }),
-        lastUpdated: new Date().toLocaleDateString('en-IN', {
-          day: '2-digit',
-          month: '2-digit',
-          year: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit'
-        })
-      };
+          <div class="status-modal-actions">
+            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
+            <button class="status-btn status-btn-save" onclick="app.receivePurchaseOrder('${po.poNumber}')">Add to Stock</button>
+          </div>
+        </div>
+      </div>
+    `;
 
-      // 1. Save to local storage IMMEDIATELY (instant)
-      this.trackingData.push(newTracking);
-      
-      // 2. Show SUCCESS popup immediately
-      alert("✅ Tracking record created successfully!\n\nQR ID: " + qrId + "\nPassword: " + password + "\n\nShare these details with your customer for tracking.");
-      
-      // 3. Clear form and render page immediately
-      document.getElementById("newTrackingQRId").value = "";
-      document.getElementById("newTrackingPassword").value = "";
-      document.getElementById("newTrackingCustomer").value = "";
-      document.getElementById("newTrackingDevice").value = "";
-      document.getElementById("newTrackingContact").value = "";
-      document.getElementById("newTrackingIssue").value = "";
-      document.getElementById("newTrackingDays").value = "2";
-      
-      this.toggleTrackingForm();
-      this.renderPage("admin-tracking");
-      
-      // 4. Sync to database in background (don't wait for it)
-      this.syncTrackingToDatabase(newTracking).catch(error => {
-        console.error('❌ Background tracking sync failed:', error);
-      });
-      
-      console.log('🔄 Tracking saved locally, syncing to database in background');
-    } catch (error) {
-      console.error('Error saving tracking:', error);
-      alert('❌ Error saving tracking: ' + error.message + '\n\nPlease check your internet connection and try again.');
-    } finally {
-      // Restore button state
-      const saveButton = document.querySelector('[data-action="save-new-tracking"]');
-      if (saveButton) {
-        saveButton.textContent = 'Save Tracking';
-        saveButton.disabled = false;
-      }
+    const existingModal = document.getElementById('statusModal');
+    if (existingModal) {
+      existingModal.remove();
     }
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
   }
 
-  // Background sync method for tracking
-  async syncTrackingToDatabase(tracking) {
+  async receivePurchaseOrder(poNumber) {
+    const items = [...document.querySelectorAll('#statusModal .receive-line')]
+      .map(line => ({
+        productId: line.dataset.productId,
+        quantity: Number(line.querySelector('.receive-quantity').value),
+        unitCost: line.querySelector('.receive-cost').value
+      }))
+      .filter(item => item.quantity > 0);
+
+    if (items.length === 0) {
+      alert("Enter the quantity received for at least one item");
+      return;
+    }
+
     try {
-      const response = await fetch(`${this.API_URL}/tracking`, {
+      const response = await this.apiFetch(`${this.API_URL}/purchase-orders/${poNumber}/receive`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(tracking)
+        body: JSON.stringify({
+          items,
+          extraCharges: Number(document.getElementById('receiveExtraCharges').value) || 0,
+          supplierInvoice: document.getElementById('receiveSupplierInvoice').value.trim(),
+          note: document.getElementById('receiveNote').value.trim()
+        })
       });
 
-      if (response.ok) {
-        console.log('✅ Tracking synced to database successfully');
-      } else {
-        console.error('❌ Failed to sync tracking to database');
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
+
+      const purchaseOrder = await response.json();
+      this.closeStatusModal();
+      await this.loadProductCosts(); // Receiving re-averages cost prices
+      alert(`✅ Stock updated - ${purchaseOrder.poNumber} is now ${purchaseOrder.status}`);
+      await this.renderPage("admin-purchases");
     } catch (error) {
-      console.error('❌ Background tracking sync error:', error);
+      console.error('❌ Error receiving purchase order:', error);
+      alert(`❌ Failed to receive delivery: ${error.message}`);
     }
   }
 
-  async editTracking(qrId) {
-    const tracking = this.trackingData.find((t) => t.qrId === qrId);
-    if (!tracking) return;
-
-    this.showStatusModal(tracking);
-  }
+  // Order Management Methods
+  async updateOrderStatus(orderId) {
+    const order = this.orders.find(o => o.id === orderId || o.orderId === orderId);
+    if (!order) return;
 
-  showStatusModal(tracking) {
-    const statuses = [
-      { value: 'Received', label: '📥 Received', desc: 'Device received at service center' },
-      { value: 'Diagnostics', label: '🔍 Diagnostics', desc: 'Checking device issues' },
-      { value: 'In Progress', label: '🔧 In Progress', desc: 'Repair work in progress' },
-      { value: 'Parts Ordered', label: '📦 Parts Ordered', desc: 'Waiting for replacement parts' },
-      { value: 'Quality Check', label: '✅ Quality Check', desc: 'Final testing' },
-      { value: 'Ready for Pickup', label: '📢 Ready for Pickup', desc: 'Ready for collection' },
-      { value: 'Completed', label: '🎉 Completed', desc: 'Service completed' }
-    ];
+    const nextStatuses = this.getManualOrderStatuses(order);
+    if (nextStatuses.length === 0) {
+      alert(`This order is ${order.status} and can no longer be changed.`);
+      return;
+    }
 
     const modalHTML = `
       <div class="status-modal" id="statusModal">
         <div class="status-modal-content">
           <div class="status-modal-header">
-            <div class="status-modal-title">Update Repair Status</div>
+            <div class="status-modal-title">Update Order Status</div>
             <div class="status-modal-subtitle">
-              QR: ${tracking.qrId} | Device: ${tracking.productName} | Customer: ${tracking.customerName}
+              Order: #${order.orderId} | Customer: ${this.escapeHtml(order.customer?.name)} | Current: ${order.status}
             </div>
           </div>
           
           <div class="status-select-group">
-            <label class="status-select-label">Select New Status</label>
-            <select class="status-select" id="newStatusSelect">
-              ${statuses.map(s => `
-                <option value="${s.value}" ${s.value === tracking.status ? 'selected' : ''}>
-                  ${s.label} - ${s.desc}
-                </option>
-              `).join('')}
+            <label class="status-select-label">Move Order To</label>
+            <select class="status-select" id="newOrderStatusSelect">
+              ${nextStatuses.map(status => `<option value="${status}">${status}</option>`).join('')}
             </select>
           </div>
+
+          <div class="status-select-group">
+            <label class="status-select-label">Note (optional)</label>
+            <input type="text" class="status-select" id="orderStatusNote" maxlength="500" placeholder="e.g. Courier AWB number, reason for cancelling">
+          </div>
           
           <div class="status-modal-actions">
             <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
-            <button class="status-btn status-btn-save" onclick="app.saveTrackingStatus('${tracking.qrId}')">Update Status</button>
+            <button class="status-btn status-btn-save" onclick="app.saveOrderStatus('${order.orderId}')">Update Status</button>
           </div>
         </div>
       </div>
@@ -1886,139 +4898,179 @@ class OwnerPortalApp {
     if (existingModal) {
       existingModal.remove();
     }
-    
+
     document.body.insertAdjacentHTML('beforeend', modalHTML);
   }
 
-  closeStatusModal() {
-    const modal = document.getElementById('statusModal');
-    if (modal) {
-      modal.remove();
-    }
+  // Next statuses the owner can pick directly - Paid / Payment Rejected are set from the payment queue
+  getManualOrderStatuses(order) {
+    return (order.nextStatuses || []).filter(status => !['Paid', 'Payment Rejected'].includes(status));
   }
 
-  async saveTrackingStatus(qrId) {
-    const newStatus = document.getElementById('newStatusSelect').value;
-    const tracking = this.trackingData.find((t) => t.qrId === qrId);
-    
-    if (!tracking) return;
+  // Orders waiting for someone to check their UPI screenshot, oldest first
+  getPaymentQueue() {
+    return this.orders
+      .filter(order => order.status === 'Payment Verification Pending')
+      .sort((a, b) => new Date(a.orderDate || a.createdAt) - new Date(b.orderDate || b.createdAt));
+  }
 
-    // 1. Update local storage IMMEDIATELY (instant)
-    tracking.status = newStatus;
-    tracking.lastUpdated = new Date().toLocaleDateString('en-IN', {
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-    
-    // 2. Show SUCCESS and render page immediately
-    this.closeStatusModal();
-    this.renderPage("admin-tracking");
-    alert(`✅ Status updated to: ${newStatus}`);
-    
-    // 3. Sync to database in background (don't wait for it)
-    this.syncTrackingStatusToDatabase(qrId, newStatus, tracking.lastUpdated).catch(error => {
-      console.error('❌ Background tracking status sync failed:', error);
-    });
-    
-    console.log('🔄 Tracking status updated locally, syncing to database in background');
+  renderAdminPayments() {
+    const queue = this.getPaymentQueue();
+
+    return `
+      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
+        <div class="container">
+          <div style="margin-bottom: 32px;">
+            <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 8px;">Payment Verification</h1>
+            <p style="color: #94a3b8;">Check each UPI screenshot against your bank or UPI app before approving</p>
+          </div>
+
+          <div style="margin-bottom: 24px;">
+            <span style="color: #94a3b8; font-size: 14px;">Waiting for verification: ${queue.length}</span>
+          </div>
+
+          ${queue.length > 0 ? queue.map(order => `
+            <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px; display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 16px;">
+              <div>
+                <h4 style="margin-bottom: 4px; font-size: 14px; font-weight: 600;">Order #${order.orderId}</h4>
+                <div style="color: #94a3b8; font-size: 11px; margin-bottom: 8px;">
+                  📅 ${new Date(order.orderDate || order.createdAt).toLocaleString('en-IN', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' })}
+                </div>
+                <div style="color: #cbd5e1; font-size: 12px; line-height: 1.5; margin-bottom: 8px;">
+                  <div>${this.escapeHtml(order.customer?.name)} • ${this.escapeHtml(order.customer?.phone)}</div>
+                  ${order.items.map(item => `<div>${this.escapeHtml(item.name)} × ${item.quantity}</div>`).join('')}
+                </div>
+                <div style="font-size: 16px; font-weight: 700; color: #10b981; margin-bottom: 12px;">Amount due: ₹${order.total.toLocaleString()}</div>
+
+                <div class="form-field">
+                  <label class="form-label">UPI Transaction Reference</label>
+                  <input type="text" class="input" id="upiRef-${order.orderId}" placeholder="12-digit UTR / reference number" maxlength="100">
+                </div>
+                <div class="form-field">
+                  <label class="form-label">Amount Received (₹)</label>
+                  <input type="number" class="input" id="upiAmount-${order.orderId}" value="${order.total}" min="0" step="0.01">
+                </div>
+                <div class="form-field">
+                  <label class="form-label">Reason (if rejecting)</label>
+                  <input type="text" class="input" id="upiReason-${order.orderId}" placeholder="e.g. No matching credit in bank statement" maxlength="500">
+                </div>
+
+                <div style="display: flex; gap: 6px;">
+                  <button class="btn btn-primary" style="flex: 1; padding: 8px 10px; font-size: 12px;" onclick="app.approvePayment('${order.orderId}')">✅ Approve</button>
+                  <button class="btn" style="flex: 1; padding: 8px 10px; font-size: 12px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 4px;" onclick="app.rejectPayment('${order.orderId}')">❌ Reject</button>
+                </div>
+              </div>
+
+              <div style="text-align: center;">
+                ${this.getScreenshotSrc(order) ? `
+                  <img src="${this.escapeHtml(this.getScreenshotSrc(order))}" alt="Payment Screenshot"
+                       style="max-width: 100%; max-height: 420px; border-radius: 8px; border: 1px solid #334155; cursor: zoom-in;"
+                       onclick="app.showScreenshotFromOrder('${order.orderId}')">
+                  <div style="font-size: 10px; color: #94a3b8; margin-top: 4px;">📎 ${this.escapeHtml(order.paymentScreenshot.fileName || 'screenshot')}</div>
+                ` : `
+                  <div style="padding: 48px 16px; color: #f87171; font-size: 12px;">⚠️ No screenshot attached to this order</div>
+                `}
+              </div>
+            </div>
+          `).join('') : '<div style="text-align: center; padding: 48px; color: #94a3b8;">No payments waiting for verification 🎉</div>'}
+        </div>
+      </div>
+    `
   }
 
-  // Background sync method for tracking status updates
-  async syncTrackingStatusToDatabase(qrId, newStatus, lastUpdated) {
-    try {
-      const response = await fetch(`${this.API_URL}/tracking/${qrId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status: newStatus, lastUpdated: lastUpdated })
-      });
-      
-      if (response.ok) {
-        console.log('✅ Tracking status synced to database successfully');
-      } else {
-        console.error('❌ Failed to sync tracking status to database');
-      }
-    } catch (error) {
-      console.error('❌ Background tracking status sync error:', error);
+  async approvePayment(orderId) {
+    const order = this.orders.find(o => o.orderId === orderId);
+    if (!order) return;
+
+    const upiReference = document.getElementById(`upiRef-${orderId}`).value.trim();
+    const amountReceived = parseFloat(document.getElementById(`upiAmount-${orderId}`).value);
+
+    if (!upiReference) {
+      alert("Please enter the UPI transaction reference from your bank or UPI app.");
+      return;
+    }
+    if (!(amountReceived > 0)) {
+      alert("Please enter the amount received.");
+      return;
+    }
+    if (amountReceived !== order.total && !confirm(`The amount received (₹${amountReceived.toLocaleString()}) does not match the order total (₹${order.total.toLocaleString()}).\n\nApprove anyway?`)) {
+      return;
     }
+
+    await this.verifyPayment(orderId, { decision: 'approve', upiReference, amountReceived });
   }
 
-  async deleteTracking(qrId) {
-    if (confirm("Are you sure you want to delete this tracking record?")) {
-      // 1. Delete from local storage IMMEDIATELY (instant)
-      this.trackingData = this.trackingData.filter((t) => t.qrId !== qrId);
-      
-      // 2. Show SUCCESS and render page immediately
-      this.renderPage("admin-tracking");
-      alert('✅ Tracking deleted successfully!');
-      
-      // 3. Delete from database in background (don't wait for it)
-      this.syncTrackingDeleteToDatabase(qrId).catch(error => {
-        console.error('❌ Background tracking delete sync failed:', error);
-      });
-      
-      console.log('🔄 Tracking deleted locally, syncing to database in background');
+  async rejectPayment(orderId) {
+    const reason = document.getElementById(`upiReason-${orderId}`).value.trim();
+    const upiReference = document.getElementById(`upiRef-${orderId}`).value.trim();
+
+    if (!reason) {
+      alert("Please enter a reason for rejecting this payment.");
+      return;
+    }
+    if (!confirm(`Reject the payment for order #${orderId}?`)) {
+      return;
     }
+
+    await this.verifyPayment(orderId, { decision: 'reject', reason, upiReference });
   }
 
-  // Background sync method for tracking deletion
-  async syncTrackingDeleteToDatabase(qrId) {
+  async verifyPayment(orderId, body) {
     try {
-      const response = await fetch(`${this.API_URL}/tracking/${qrId}`, {
-        method: 'DELETE'
+      const response = await this.apiFetch(`${this.API_URL}/orders/${orderId}/verify-payment`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
       });
-      
-      if (response.ok) {
-        console.log('✅ Tracking deletion synced to database successfully');
-      } else {
-        console.error('❌ Failed to sync tracking deletion to database');
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
       }
-    } catch (error) {
-      console.error('❌ Background tracking delete sync error:', error);
-    }
-  }
 
-  toggleTrackingForm() {
-    const form = document.getElementById("trackingForm")
-    if (form) {
-      form.style.display = form.style.display === "none" ? "block" : "none"
-    }
-  }
+      const updatedOrder = await response.json();
+      const index = this.orders.findIndex(o => o.orderId === orderId);
+      if (index !== -1) {
+        this.orders[index] = updatedOrder;
+      }
 
-  getStatusEmoji(status) {
-    const emojiMap = {
-      'Received': '📥',
-      'Diagnostics': '🔍',
-      'In Progress': '🔧',
-      'Parts Ordered': '📦',
-      'Quality Check': '✅',
-      'Ready for Pickup': '📢',
-      'Completed': '🎉'
+      this.renderPage("admin-payments");
+      alert(`✅ Order #${orderId} marked as ${updatedOrder.status}`);
+    } catch (error) {
+      console.error('❌ Error verifying payment:', error);
+      alert(`❌ Failed to verify payment: ${error.message}`);
     }
-    return emojiMap[status] || '📱'
   }
 
-  // Order Management Methods
-  async updateOrderStatus(orderId) {
-    const order = this.orders.find(o => o.id === orderId || o.orderId === orderId);
-    if (!order) return;
+  // Order status changes go through the server, which rejects moves the workflow doesn't allow
+  async saveOrderStatus(orderId) {
+    const status = document.getElementById('newOrderStatusSelect').value;
+    const note = document.getElementById('orderStatusNote').value.trim();
 
-    const newStatus = prompt(
-      "Enter new order status:\n\nPending\nProcessing\nShipped\nDelivered\nCancelled",
-      order.status
-    );
+    try {
+      const response = await this.apiFetch(`${this.API_URL}/orders/${orderId}/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, note })
+      });
 
-    if (newStatus) {
-      const validStatuses = ["Pending", "Processing", "Shipped", "Delivered", "Cancelled"];
-      if (validStatuses.includes(newStatus)) {
-        order.status = newStatus;
-        this.renderPage("admin-orders");
-        alert(`✅ Order status updated to: ${newStatus}`);
-      } else {
-        alert("Invalid status. Please use one of the suggested statuses.");
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || response.statusText);
+      }
+
+      const updatedOrder = await response.json();
+      const index = this.orders.findIndex(o => o.orderId === orderId);
+      if (index !== -1) {
+        this.orders[index] = updatedOrder;
       }
+
+      this.closeStatusModal();
+      this.renderPage("admin-orders");
+      alert(`✅ Order status updated to: ${updatedOrder.status}`);
+    } catch (error) {
+      console.error('❌ Error updating order status:', error);
+      alert(`❌ Failed to update order status: ${error.message}`);
     }
   }
 
@@ -2034,7 +5086,7 @@ class OwnerPortalApp {
 
         const dbOrderId = order.orderId || order.id;
         
-        const response = await fetch(`${this.API_URL}/orders/${dbOrderId}`, {
+        const response = await this.apiFetch(`${this.API_URL}/orders/${dbOrderId}`, {
           method: 'DELETE'
         });
 
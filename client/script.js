@@ -6,7 +6,6 @@ class ManjulaMobilesApp {
     this.cartOpen = false
     this.productSearch = ""
     this.mobileMenuOpen = false
-    this.orders = [];
     this.serviceSubMenuOpen = false;
     this.mobileServiceSubMenuOpen = false;
     this.upiLink = "keerthivasan98406@okhdfcbank"
@@ -14,7 +13,11 @@ class ManjulaMobilesApp {
     // MongoDB API URL - Auto-detect local vs production
     const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
     const baseURL = isLocalhost ? 'http://localhost:3001' : window.location.origin;
+    this.baseURL = baseURL
     this.API_URL = `${baseURL}/api`
+
+    // Serve WebP renditions of uploaded photos where the browser supports them
+    this.imageFormat = document.createElement('canvas').toDataURL('image/webp').startsWith('data:image/webp') ? 'webp' : 'jpg'
     
     // Socket.IO connection for real-time updates with reconnection
     if (typeof io !== 'undefined') {
@@ -42,7 +45,6 @@ class ManjulaMobilesApp {
     this.carouselInterval = null;
     
     this.products = [];
-    this.trackingData = [];
     
     this.init()
     
@@ -82,7 +84,6 @@ class ManjulaMobilesApp {
       console.log('🔄 Reconnected to server after', attemptNumber, 'attempts');
       // Reload data after reconnection
       this.loadProductsFromStorage();
-      this.loadTrackingFromStorage();
     });
 
     this.socket.on('connect_error', (error) => {
@@ -115,7 +116,8 @@ class ManjulaMobilesApp {
       const index = this.products.findIndex(p => p.id === product.id || p._id === product._id);
       if (index !== -1) {
         this.products[index] = product;
-        if (this.currentPage === 'products') {
+        const cartChanged = this.syncCartItem(product);
+        if (this.currentPage === 'products' || (cartChanged && this.currentPage === 'checkout')) {
           this.renderPage(this.currentPage);
         }
       }
@@ -128,68 +130,6 @@ class ManjulaMobilesApp {
         this.renderPage(this.currentPage);
       }
     });
-
-    this.socket.on('tracking-added', (tracking) => {
-      console.log('📍 [MAIN WEBSITE] New tracking added via socket:', tracking);
-      const exists = this.trackingData.find(t => t.qrId === tracking.qrId);
-      if (!exists) {
-        this.trackingData.push(tracking);
-        console.log('✅ [MAIN WEBSITE] Tracking added to local array, total tracking:', this.trackingData.length);
-        if (this.currentPage === 'tracking' || this.currentPage === 'tracking-page') {
-          console.log('🔄 [MAIN WEBSITE] Re-rendering tracking page');
-          this.renderPage(this.currentPage);
-        }
-      }
-    });
-
-    this.socket.on('tracking-updated', (tracking) => {
-      console.log('🔄 Tracking updated:', tracking);
-      const index = this.trackingData.findIndex(t => t.qrId === tracking.qrId);
-      if (index !== -1) {
-        this.trackingData[index] = tracking;
-        if (this.currentPage === 'tracking' || this.currentPage === 'tracking-page') {
-          this.renderPage(this.currentPage);
-        }
-      }
-    });
-
-    this.socket.on('tracking-deleted', (data) => {
-      console.log('🗑️ Tracking deleted:', data.qrId);
-      this.trackingData = this.trackingData.filter(t => t.qrId !== data.qrId);
-      if (this.currentPage === 'tracking' || this.currentPage === 'tracking-page') {
-        this.renderPage(this.currentPage);
-      }
-    });
-
-    this.socket.on('order-added', (order) => {
-      console.log('🛒 New order received:', order);
-      const exists = this.orders.find(o => o.orderId === order.orderId);
-      if (!exists) {
-        this.orders.push(order);
-        if (this.currentPage === 'dashboard') {
-          this.renderPage(this.currentPage);
-        }
-      }
-    });
-
-    this.socket.on('order-updated', (order) => {
-      console.log('🔄 Order updated:', order);
-      const index = this.orders.findIndex(o => o.orderId === order.orderId);
-      if (index !== -1) {
-        this.orders[index] = order;
-        if (this.currentPage === 'dashboard') {
-          this.renderPage(this.currentPage);
-        }
-      }
-    });
-
-    this.socket.on('order-deleted', (data) => {
-      console.log('🗑️ Order deleted:', data.orderId);
-      this.orders = this.orders.filter(o => o.orderId !== data.orderId);
-      if (this.currentPage === 'dashboard') {
-        this.renderPage(this.currentPage);
-      }
-    });
   }
 
   // Product Management Methods - Database ONLY
@@ -291,112 +231,66 @@ class ManjulaMobilesApp {
   ];
   }
 
-  // Tracking Management Methods - MongoDB API
-  async loadTrackingFromStorage() {
-    try {
-      const response = await fetch(`${this.API_URL}/tracking`);
-      if (response.ok) {
-        this.trackingData = await response.json();
-        console.log('✅ Loaded tracking from MongoDB:', this.trackingData.length);
-      } else {
-        this.trackingData = [];
-      }
-    } catch (error) {
-      console.error('❌ Error loading tracking:', error);
-      this.trackingData = [];
-    }
-  }
-
-  async saveTrackingToStorage() {
-    // Tracking is saved individually via API
-  }
-
-  // Orders Management Methods - MongoDB API
-  async loadOrdersFromStorage() {
-    try {
-      // Load from database via API
-      const response = await fetch(`${this.API_URL}/orders`);
-      if (response.ok) {
-        this.orders = await response.json();
-        console.log('✅ Loaded orders from database:', this.orders.length);
-      } else {
-        console.log('⚠️ No orders found in database');
-        this.orders = [];
-      }
-    } catch (error) {
-      console.error('❌ Error loading orders:', error);
-      this.orders = [];
-    }
-  }
-
-  saveOrdersToStorage() {
-    // Orders are saved individually via saveSingleOrder
-  }
-
   async saveSingleOrder(order) {
     try {
       console.log('📡 Sending order to server:', {
-        orderId: order.id,
+        itemCount: order.items.length,
         hasScreenshot: !!order.paymentScreenshot,
-        screenshotDataLength: order.paymentScreenshot?.data?.length,
-        paymentMethod: order.paymentMethod,
-        screenshotDataPreview: order.paymentScreenshot?.data?.substring(0, 100)
+        paymentMethod: order.paymentMethod
       });
       
-      // Create the request body explicitly
+      // Create the request body explicitly (the server assigns the order number)
       const requestBody = {
-        orderId: order.id,
         customer: order.customer,
         items: order.items,
         total: order.total,
-        paymentMethod: order.paymentMethod,
-        status: order.status || 'Pending',
-        orderDate: order.date || new Date().toISOString()
+        paymentMethod: order.paymentMethod
       };
       
-      // Add screenshot data if it exists
+      // The screenshot is uploaded as a file next to the order JSON, not inside it
+      let fetchOptions;
       if (order.paymentScreenshot && order.paymentScreenshot.data) {
-        requestBody.paymentScreenshot = {
-          data: order.paymentScreenshot.data,
-          fileName: order.paymentScreenshot.fileName,
-          uploadTime: order.paymentScreenshot.uploadTime
-        };
+        const screenshotBlob = await (await fetch(order.paymentScreenshot.data)).blob();
+        requestBody.paymentScreenshot = { uploadTime: order.paymentScreenshot.uploadTime };
+
+        const formData = new FormData();
+        formData.append('order', JSON.stringify(requestBody));
+        formData.append('paymentScreenshot', screenshotBlob, order.paymentScreenshot.fileName || 'screenshot.png');
+        fetchOptions = { method: 'POST', body: formData };
+
         console.log('📸 Adding screenshot to request:', {
-          hasData: !!requestBody.paymentScreenshot.data,
-          dataLength: requestBody.paymentScreenshot.data.length,
-          fileName: requestBody.paymentScreenshot.fileName
+          size: screenshotBlob.size,
+          type: screenshotBlob.type,
+          fileName: order.paymentScreenshot.fileName
         });
       } else {
+        fetchOptions = {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(requestBody)
+        };
         console.log('⚠️ No screenshot data found in order object');
       }
       
       console.log('📤 Final request body structure:', {
-        orderId: requestBody.orderId,
         hasCustomer: !!requestBody.customer,
         hasItems: !!requestBody.items,
         hasScreenshot: !!requestBody.paymentScreenshot,
         allKeys: Object.keys(requestBody)
       });
       
-      // DEBUG: Send to debug endpoint first to see what server receives
-      try {
-        const debugResponse = await fetch(`${this.API_URL}/debug-order`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(requestBody)
-        });
-        const debugResult = await debugResponse.json();
-        console.log('🔍 DEBUG endpoint response:', debugResult);
-      } catch (debugError) {
-        console.log('⚠️ Debug endpoint failed:', debugError);
-      }
-      
       // Save to database via API
-      const response = await fetch(`${this.API_URL}/orders`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
-      });
+      const response = await fetch(`${this.API_URL}/orders`, fetchOptions);
+
+      if (response.status === 409) {
+        // Cart is stale - prices changed or items went out of stock
+        const details = await response.json().catch(() => ({}));
+        await this.refreshCartFromServer();
+        const unavailable = (details.unavailableItems || []).map(i => `• ${i.name}: ${i.reason}`).join('\n');
+        const error = new Error(`${details.error || 'Your cart has changed.'}${unavailable ? '\n\n' + unavailable : ''}\n\nYour cart has been updated - please review it and place the order again.`);
+        error.cartChanged = true;
+        throw error;
+      }
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -411,73 +305,33 @@ class ManjulaMobilesApp {
         screenshotDataLength: savedOrder.paymentScreenshot?.data?.length
       });
       
-      // Add to local array
-      this.orders.push(savedOrder);
-      
       return savedOrder;
     } catch (error) {
       console.error('❌ Error saving order:', error);
-      // Still add to local array as fallback
-      this.orders.push(order);
       throw error;
     }
   }
 
-  updateOrderStatus(orderId, newStatus) {
-    const order = this.orders.find(o => o.id === orderId);
-    if (order) {
-      order.status = newStatus;
-    }
+  // Only product IDs and quantities matter to the server - it re-prices every line
+  buildOrderItems() {
+    return this.cart.map(item => ({
+      productId: String(item._id || item.id),
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity
+    }))
   }
 
-  async deleteOrderFromStorage(orderId) {
-    try {
-      // Find the order to get the correct orderId
-      console.log('🔍 Looking for order with ID:', orderId);
-      console.log('📋 All orders:', this.orders.map(o => ({ id: o.id, orderId: o.orderId })));
-      
-      // Convert to string for comparison (handles both string and number IDs)
-      const orderIdStr = String(orderId);
-      const order = this.orders.find(o => String(o.id) === orderIdStr || String(o.orderId) === orderIdStr || String(o._id) === orderIdStr);
-      
-      if (!order) {
-        console.error('❌ Order not found in local array');
-        console.error('❌ Searched for ID:', orderIdStr);
-        console.error('❌ Available IDs:', this.orders.map(o => ({ id: String(o.id), orderId: String(o.orderId), _id: String(o._id) })));
-        throw new Error('Order not found in local array');
-      }
-      
-      console.log('✅ Found order:', order);
-
-      // Use the orderId field from the order (this is what's stored in database)
-      const dbOrderId = order.orderId || order.id;
-      
-      console.log('🗑️ Deleting order from database:', dbOrderId);
-      console.log('📡 API URL:', `${this.API_URL}/orders/${dbOrderId}`);
-      
-      // Delete from database via API
-      const response = await fetch(`${this.API_URL}/orders/${dbOrderId}`, {
-        method: 'DELETE'
-      });
-
-      console.log('📥 Response status:', response.status);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('❌ Server error response:', errorText);
-        throw new Error(`Failed to delete order: ${errorText}`);
-      }
+  // Reload products and bring cart prices/stock in line with the database
+  async refreshCartFromServer() {
+    await this.loadProductsFromStorage()
 
-      const result = await response.json();
-      console.log('✅ Order deleted from database:', result);
-      
-      // Remove from local array
-      this.orders = this.orders.filter(o => o.id !== orderId && o.orderId !== orderId && o.id !== dbOrderId && o.orderId !== dbOrderId);
-      console.log('✅ Order removed from local array');
-    } catch (error) {
-      console.error('❌ Error deleting order:', error);
-      throw error;
-    }
+    this.cart = this.cart
+      .map(item => {
+        const product = this.products.find(p => String(p.id) === String(item.id) || String(p._id) === String(item._id || item.id))
+        return product ? { ...product, quantity: Math.min(item.quantity, this.getAvailableQuantity(product)) } : null
+      })
+      .filter(item => item && item.quantity > 0)
   }
 
   async init() {
@@ -501,18 +355,22 @@ class ManjulaMobilesApp {
       
       console.log('✅ Products loaded:', this.products.length);
       
-      console.log('🎨 Rendering home page...');
-      // Render page with products from database
-      await this.renderPage("home");
-      console.log('✅ Home page rendered');
-      
-      // Load other data in background
-      Promise.all([
-        this.loadTrackingFromStorage(),
-        this.loadOrdersFromStorage()
-      ]).catch(error => {
-        console.error('❌ Error loading data:', error);
-      });
+      // Repair labels link straight to the tracking page with the QR ID filled in (?track=<QR ID>)
+      const trackingId = new URLSearchParams(window.location.search).get('track');
+      if (trackingId) {
+        await this.renderPage("tracking-page");
+        const qrInput = document.getElementById("orderId");
+        if (qrInput) {
+          qrInput.value = trackingId.trim();
+          document.getElementById("orderPassword")?.focus();
+        }
+        console.log('✅ Tracking page opened for', trackingId);
+      } else {
+        console.log('🎨 Rendering home page...');
+        // Render page with products from database
+        await this.renderPage("home");
+        console.log('✅ Home page rendered');
+      }
       
     } catch (error) {
       console.error('❌ Error during initialization:', error);
@@ -679,12 +537,6 @@ class ManjulaMobilesApp {
       if (actionElement && actionElement.dataset.action === "track-order") {
         this.trackOrder()
       }
-      if (actionElement && actionElement.dataset.action === "save-new-tracking") {
-        this.saveNewTracking()
-      }
-      if (actionElement && actionElement.dataset.action === "toggle-tracking-form") {
-        this.toggleTrackingForm()
-      }
       
       // Carousel actions
       if (actionElement && actionElement.dataset.action === "prev-slide") {
@@ -908,496 +760,221 @@ class ManjulaMobilesApp {
     }
   }
 
+  // Owner login is handled by the server through the owner portal
   async handleAdminLogin() {
-    const phone = document.getElementById("adminPhone")?.value || ""
-    const password = document.getElementById("adminPassword")?.value || ""
-
-    if (phone === "9840694616" && password === "admin123") {
-      this.isAdminLoggedIn = true
-      // Save login state to localStorage so it persists
-      localStorage.setItem('manjula_admin_logged_in', 'true')
-      console.log('✅ Admin logged in - state saved to localStorage')
-      await this.renderPage("admin")
-    } else {
-      alert("Invalid password.")
-    }
+    window.location.href = 'owner.html'
   }
 
-  async handleAdminLogout() {
-    this.isAdminLoggedIn = false
-    // Remove login state from localStorage
-    localStorage.removeItem('manjula_admin_logged_in')
-    console.log('✅ Admin logged out - state removed from localStorage')
-    await this.renderPage("home")
-  }
 
-  async saveProduct() {
-    const name = document.getElementById("productName")?.value;
-    const category = document.getElementById("productCategory")?.value;
-    const price = Number.parseInt(document.getElementById("productPrice")?.value || 0);
-    const originalPrice = Number.parseInt(document.getElementById("productOriginalPrice")?.value || 0);
-    const imageUrl = document.getElementById("productImageUrl")?.value?.trim();
-    const imageUrl2 = document.getElementById("productImageUrl2")?.value?.trim();
-    const emoji = document.getElementById("productImage")?.value?.trim();
-    const inStock = document.getElementById("productInStock")?.checked || false;
-
-    // Debug: Log form data
-    console.log('Saving product with:');
-    console.log('Name:', name);
-    console.log('ImageURL 1:', imageUrl);
-    console.log('ImageURL 2:', imageUrl2);
-    console.log('Emoji:', emoji);
-
-    if (!name || !category || !price) {
-      alert("Please fill all required fields");
-      return;
-    }
 
-    // Validate image URL length - increased limit for base64 images
-    // Base64 images can be large, so we allow up to 500KB (approximately 700,000 characters)
-    if (imageUrl && imageUrl.length > 700000) {
-      alert("❌ Image file is too large. Please use a smaller image (max 500KB).");
-      return;
-    }
-    if (imageUrl2 && imageUrl2.length > 700000) {
-      alert("❌ Image 2 file is too large. Please use a smaller image (max 500KB).");
-      return;
+  async trackOrder() {
+    const qrId = document.getElementById("orderId").value.trim()
+    const password = document.getElementById("orderPassword").value.trim()
+    const result = document.getElementById("trackResult")
+
+    if (!qrId || !password) {
+      alert("Please enter both QR ID and Password")
+      return
     }
 
+    // Credentials are checked on the server, which returns only this repair's public details
+    let trackingEntry = null
     try {
-      if (this.editingProductId) {
-        // Update existing product
-        const updatedProduct = {
-          name,
-          category,
-          price,
-          originalPrice: originalPrice || price,
-          imageUrl: imageUrl || "",
-          imageUrl2: imageUrl2 || "",
-          image: emoji || "📦",
-          inStock
-        };
-
-        // Find the product to get its MongoDB _id
-        const editingIdStr = String(this.editingProductId);
-        const existingProduct = this.products.find((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr);
-        const mongoId = existingProduct ? (existingProduct._id || existingProduct.id) : this.editingProductId;
-
-        // Update in database via API
-        const response = await fetch(`${this.API_URL}/products/${mongoId}`, {
-          method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(updatedProduct)
-        });
-
-        if (!response.ok) {
-          throw new Error('Failed to update product in database');
-        }
-
-        const savedProduct = await response.json();
-        
-        // Update local array
-        const productIndex = this.products.findIndex((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr);
-        if (productIndex !== -1) {
-          this.products[productIndex] = savedProduct;
-        }
-        
-        // Save to localStorage as backup
-        localStorage.setItem('manjula_products', JSON.stringify(this.products));
-        this.editingProductId = null;
-        
-        alert("✅ Product updated successfully!");
-      } else {
-        // Create new product - Don't send 'id', let MongoDB generate _id
-        const newProduct = {
-          name,
-          category,
-          price,
-          originalPrice: originalPrice || price,
-          image: emoji || "📦",
-          imageUrl: imageUrl || "",
-          imageUrl2: imageUrl2 || "",
-          rating: 4.5,
-          reviews: 0,
-          inStock,
-          badge: null,
-          qrId: "",
-          qrPassword: "",
-          trackingStatus: "Received",
-          ownerGender: "none"
-        };
-
-        // Debug: Log what's being saved
-        console.log('=== Saving New Product to Database ===');
-        console.log('Product:', newProduct);
-        console.log('ImageURL 1 length:', newProduct.imageUrl.length);
-        console.log('ImageURL 2 length:', newProduct.imageUrl2.length);
-        console.log('API URL:', `${this.API_URL}/products`);
-        console.log('======================================');
-
-        // Save to database via API
-        console.log('📤 Sending POST request to:', `${this.API_URL}/products`);
-        const response = await fetch(`${this.API_URL}/products`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(newProduct)
-        });
-
-        console.log('📥 Response status:', response.status, response.statusText);
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error('❌ Server error response:', errorText);
-          throw new Error(`Failed to save product to database: ${errorText}`);
-        }
+      const response = await fetch(`${this.API_URL}/tracking/lookup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ qrId, password })
+      })
 
-        const savedProduct = await response.json();
-        console.log('✅ Product saved to database successfully!');
-        console.log('📦 Saved product data:', savedProduct);
-        
-        // Check if product already exists before adding (prevent duplicates)
-        const exists = this.products.find(p => 
-          String(p.id) === String(savedProduct.id) || 
-          String(p._id) === String(savedProduct._id) ||
-          String(p.id) === String(savedProduct._id) ||
-          String(p._id) === String(savedProduct.id)
-        );
-        
-        if (!exists) {
-          // Add to local array
-          this.products.push(savedProduct);
-          
-          // Save to localStorage as backup
-          localStorage.setItem('manjula_products', JSON.stringify(this.products));
-          console.log('✅ Product added to local array');
-        } else {
-          console.log('⚠️ Product already exists in local array, skipping');
-        }
-        
-        alert("✅ Product saved successfully to database!");
+      if (response.ok) {
+        trackingEntry = await response.json()
+      } else if (response.status !== 401) {
+        const error = await response.json().catch(() => ({}))
+        alert(`❌ Could not check repair status: ${error.error || response.statusText}\n\nPlease try again in a moment.`)
+        return
       }
-
-      // Stay in admin panel instead of going to products page
-      this.renderPage("admin");
     } catch (error) {
-      console.error('❌ Error saving product:', error);
-      alert(`❌ Error: ${error.message}\n\nPlease check your internet connection and try again.`);
+      console.error('❌ Tracking lookup failed:', error)
+      alert("🌐 Could not reach the server. Please check your connection and try again.")
+      return
     }
-  }
-
-
 
-  async deleteProduct(productId) {
-    if (confirm("Are you sure you want to delete this product?")) {
-      try {
-        // Find the product to get its MongoDB _id
-        const productIdStr = String(productId);
-        const product = this.products.find(p => String(p.id) === productIdStr || String(p._id) === productIdStr);
-        if (!product) {
-          alert('Product not found');
-          return;
-        }
+    if (trackingEntry) {
+      document.getElementById("resultOrderId").textContent = qrId
+      document.getElementById("resultCustomer").textContent = trackingEntry.customerName || 'Customer'
+      document.getElementById("resultDevice").textContent = trackingEntry.productName
+      document.getElementById("resultIssue").textContent = trackingEntry.issue || "Mobile Repair Service"
+      document.getElementById("resultEstDays").textContent = trackingEntry.promisedBy
+        ? `By ${new Date(trackingEntry.promisedBy).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' })}`
+        : `${trackingEntry.estimatedDays} days`
+      const history = trackingEntry.statusHistory || []
+      document.getElementById("resultLastUpdated").textContent = history.length > 0
+        ? this.formatTrackingDate(history[history.length - 1].changedAt)
+        : (trackingEntry.lastUpdated || this.formatTrackingDate(trackingEntry.createdAt))
+      
+      // Generate timeline
+      this.renderTrackingTimeline(trackingEntry.status, history)
+      this.renderTrackingQuote(trackingEntry.quote)
+      
+      result.style.display = "block"
+      
+      // Scroll to result
+      result.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    } else {
+      alert("❌ Invalid QR ID or Password. Please check and try again.\n\nIf you don't have these details, please contact the service center.")
+    }
+  }
 
-        // Use MongoDB _id for deletion
-        const mongoId = product._id || product.id;
-        
-        // Delete from database via API
-        const response = await fetch(`${this.API_URL}/products/${mongoId}`, {
-          method: 'DELETE'
-        });
+  // Quote from the shop, with Approve/Decline while it is waiting on the customer
+  renderTrackingQuote(quote) {
+    const quoteContainer = document.getElementById("trackingQuote")
+    if (!quoteContainer) return
 
-        if (!response.ok) {
-          throw new Error('Failed to delete product from database');
-        }
+    if (!quote) {
+      quoteContainer.innerHTML = ''
+      return
+    }
 
-        console.log('✅ Product deleted from database:', mongoId);
-        
-        // Remove from local array
-        this.products = this.products.filter((p) => String(p.id) !== productIdStr && String(p._id) !== productIdStr);
-        
-        // Save to localStorage as backup
-        localStorage.setItem('manjula_products', JSON.stringify(this.products));
-
-        this.renderPage("admin");
-        alert('✅ Product deleted successfully!');
-      } catch (error) {
-        console.error('❌ Error deleting product:', error);
-        alert('❌ Error deleting product. Please check your internet connection and try again.');
-      }
+    const escapeText = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    const formatRupees = (amount) => `₹${amount.toLocaleString('en-IN')}`
+    const statusText = {
+      'Pending': '⏳ Waiting for your approval',
+      'Approved': `✅ Approved${quote.decidedAt ? ` on ${this.formatTrackingDate(quote.decidedAt)}` : ''}`,
+      'Declined': `❌ Declined${quote.decidedAt ? ` on ${this.formatTrackingDate(quote.decidedAt)}` : ''}`
     }
+
+    quoteContainer.innerHTML = `
+      <div class="tracking-quote">
+        <div class="tracking-quote-header">
+          <span>💬 Repair Quote</span>
+          <span class="tracking-quote-status ${quote.status.toLowerCase()}">${statusText[quote.status] || quote.status}</span>
+        </div>
+        ${quote.items.map(item => `
+          <div class="tracking-quote-line">
+            <span>${item.kind === 'labour' ? '🔧' : '🔩'} ${escapeText(item.description)}${item.quantity > 1 ? ` × ${item.quantity}` : ''}</span>
+            <span>${formatRupees(item.amount)}</span>
+          </div>
+        `).join('')}
+        <div class="tracking-quote-line">
+          <span>Parts</span><span>${formatRupees(quote.partsTotal)}</span>
+        </div>
+        <div class="tracking-quote-line">
+          <span>Labour</span><span>${formatRupees(quote.labourTotal)}</span>
+        </div>
+        <div class="tracking-quote-line tracking-quote-total">
+          <span>Total</span><span>${formatRupees(quote.total)}</span>
+        </div>
+        ${quote.note ? `<div class="timeline-note">💬 ${escapeText(quote.note)}</div>` : ''}
+        ${quote.status === 'Pending' ? `
+          <div class="tracking-quote-actions">
+            <button class="btn btn-primary" onclick="app.decideTrackingQuote('approve')">✅ Approve Quote</button>
+            <button class="btn btn-secondary" onclick="app.decideTrackingQuote('decline')">❌ Decline</button>
+          </div>
+        ` : ''}
+      </div>
+    `
   }
 
-  // Updated tracking methods for MongoDB
-  async saveNewTracking() {
-    const qrId = document.getElementById("newTrackingQRId")?.value?.trim();
-    const password = document.getElementById("newTrackingPassword")?.value?.trim();
-    const customer = document.getElementById("newTrackingCustomer")?.value?.trim();
-    const device = document.getElementById("newTrackingDevice")?.value?.trim();
-    const contact = document.getElementById("newTrackingContact")?.value?.trim();
-    const issue = document.getElementById("newTrackingIssue")?.value?.trim();
-    const status = document.getElementById("newTrackingStatus")?.value;
-    const days = document.getElementById("newTrackingDays")?.value;
-
-    if (!qrId || !password || !customer || !device || !issue) {
-      alert("Please fill all required fields: QR ID, Password, Customer Name, Device Model, and Issue Description");
-      return;
-    }
+  async decideTrackingQuote(decision) {
+    const qrId = document.getElementById("orderId").value.trim()
+    const password = document.getElementById("orderPassword").value.trim()
 
-    // Check if QR ID already exists
-    if (this.trackingData.find((t) => t.qrId === qrId)) {
-      alert("This QR ID already exists. Please use a unique QR ID.");
-      return;
-    }
+    const message = decision === 'approve'
+      ? "Approve this quote?\n\nWe will go ahead with the repair for the quoted amount."
+      : "Decline this quote?\n\nWe will not repair the device and it will be ready for you to collect."
+    if (!confirm(message)) return
 
     try {
-      // Create new tracking entry
-      const newTracking = {
-        qrId: qrId,
-        qrPassword: password,
-        customerName: customer,
-        productName: device,
-        deviceModel: device,
-        contact: contact,
-        status: status,
-        issue: issue,
-        estimatedDays: Number.parseInt(days) || 2,
-        createdAt: new Date().toLocaleDateString('en-IN', {
-          day: '2-digit',
-          month: '2-digit',
-          year: 'numeric'
-        }),
-        lastUpdated: new Date().toLocaleDateString('en-IN', {
-          day: '2-digit',
-          month: '2-digit',
-          year: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit'
-        })
-      };
-
-      // Save to MongoDB
-      const response = await fetch(`${this.API_URL}/tracking`, {
+      const response = await fetch(`${this.API_URL}/tracking/quote-decision`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newTracking)
-      });
+        body: JSON.stringify({ qrId, password, decision })
+      })
 
-      if (!response.ok) throw new Error('Failed to save tracking');
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}))
+        alert(`❌ Could not save your decision: ${error.error || response.statusText}`)
+        return
+      }
 
-      const savedTracking = await response.json();
-      
-      // Don't push here - Socket.IO will handle it to avoid duplicates
-      // this.trackingData.push(savedTracking);
-      
-      // Clear form
-      document.getElementById("newTrackingQRId").value = "";
-      document.getElementById("newTrackingPassword").value = "";
-      document.getElementById("newTrackingCustomer").value = "";
-      document.getElementById("newTrackingDevice").value = "";
-      document.getElementById("newTrackingContact").value = "";
-      document.getElementById("newTrackingIssue").value = "";
-      document.getElementById("newTrackingDays").value = "2";
-      
-      this.toggleTrackingForm();
-      alert("✅ Tracking record created successfully!\n\nQR ID: " + qrId + "\nPassword: " + password + "\n\nShare these details with your customer for tracking.");
-      this.renderPage("admin");
+      alert(decision === 'approve'
+        ? "✅ Thank you! We'll start the repair and keep you updated here."
+        : "✅ Noted. Your device will be ready for you to collect.")
     } catch (error) {
-      console.error('Error saving tracking:', error);
-      alert('Error saving tracking. Please try again.');
+      console.error('❌ Quote decision failed:', error)
+      alert("🌐 Could not reach the server. Please check your connection and try again.")
+      return
     }
-  }
 
-  async editTracking(qrId) {
-    const tracking = this.trackingData.find((t) => t.qrId === qrId);
-    if (!tracking) return;
+    this.trackOrder()
+  }
 
-    // Show status update modal
-    this.showStatusModal(tracking);
+  formatTrackingDate(date) {
+    return new Date(date).toLocaleString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: 'Asia/Kolkata'
+    })
   }
 
-  showStatusModal(tracking) {
+  // Each step shows when the repair reached it and any notes from the shop while it was there.
+  // Repairs booked before history was kept only have the step descriptions.
+  renderTrackingTimeline(currentStatus, history = []) {
+    const escapeText = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
     const statuses = [
-      { value: 'Received', label: '📥 Received', desc: 'Device received at service center' },
-      { value: 'Diagnostics', label: '🔍 Diagnostics', desc: 'Checking device issues' },
-      { value: 'In Progress', label: '🔧 In Progress', desc: 'Repair work in progress' },
-      { value: 'Parts Ordered', label: '📦 Parts Ordered', desc: 'Waiting for replacement parts' },
-      { value: 'Quality Check', label: '✅ Quality Check', desc: 'Final testing' },
-      { value: 'Ready for Pickup', label: '📢 Ready for Pickup', desc: 'Ready for collection' },
-      { value: 'Completed', label: '🎉 Completed', desc: 'Service completed' }
+      { name: 'Received', emoji: '📥', desc: 'Device received at service center' },
+      { name: 'Diagnostics', emoji: '🔍', desc: 'Checking device issues' },
+      { name: 'In Progress', emoji: '🔧', desc: 'Repair work in progress' },
+      { name: 'Parts Ordered', emoji: '📦', desc: 'Waiting for replacement parts' },
+      { name: 'Quality Check', emoji: '✅', desc: 'Final testing and verification' },
+      { name: 'Ready for Pickup', emoji: '📢', desc: 'Device ready for collection' },
+      { name: 'Completed', emoji: '🎉', desc: 'Service completed' }
     ];
 
-    const modalHTML = `
-      <div class="status-modal" id="statusModal">
-        <div class="status-modal-content">
-          <div class="status-modal-header">
-            <div class="status-modal-title">Update Repair Status</div>
-            <div class="status-modal-subtitle">
-              QR: ${tracking.qrId} | Device: ${tracking.productName} | Customer: ${tracking.customerName}
+    // A declined quote sends the device straight back unrepaired
+    const returnedUnrepaired = currentStatus === 'Awaiting Pickup' ||
+      (currentStatus === 'Completed' && history.some(entry => entry.status === 'Awaiting Pickup'))
+    if (returnedUnrepaired) {
+      statuses.splice(2, 4, { name: 'Awaiting Pickup', emoji: '↩️', desc: 'Quote declined - device ready to collect' })
+    }
+
+    const currentIndex = statuses.findIndex(s => s.name === currentStatus);
+    
+    const timelineHTML = statuses.map((status, index) => {
+      const isCompleted = index < currentIndex;
+      const isCurrent = index === currentIndex;
+      const isPending = index > currentIndex;
+      
+      const dotClass = isCompleted ? 'completed' : (isCurrent ? 'current' : 'pending');
+      const lineClass = isCompleted ? 'completed' : '';
+      const statusClass = isCompleted ? 'completed' : (isCurrent ? 'current' : 'pending');
+      const events = history.filter(entry => entry.status === status.name);
+      const reachedAt = events.length > 0 ? events[0].changedAt : null;
+      const notes = events.filter(entry => entry.note);
+      
+      return `
+        <div class="timeline-item">
+          <div class="timeline-dot ${dotClass}"></div>
+          <div class="timeline-line ${lineClass}"></div>
+          <div class="timeline-content">
+            <div class="timeline-status ${statusClass}">
+              ${status.emoji} ${status.name}
             </div>
-          </div>
-          
-          <div class="status-select-group">
-            <label class="status-select-label">Select New Status</label>
-            <select class="status-select" id="newStatusSelect">
-              ${statuses.map(s => `
-                <option value="${s.value}" ${s.value === tracking.status ? 'selected' : ''}>
-                  ${s.label} - ${s.desc}
-                </option>
-              `).join('')}
-            </select>
-          </div>
-          
-          <div class="status-modal-actions">
-            <button class="status-btn status-btn-cancel" onclick="app.closeStatusModal()">Cancel</button>
-            <button class="status-btn status-btn-save" onclick="app.saveTrackingStatus('${tracking.qrId}')">Update Status</button>
+            <div class="timeline-date">${reachedAt ? this.formatTrackingDate(reachedAt) : status.desc}</div>
+            ${notes.map(entry => `<div class="timeline-note">💬 ${escapeText(entry.note)} <span>${this.formatTrackingDate(entry.changedAt)}</span></div>`).join('')}
           </div>
         </div>
-      </div>
-    `;
-
-    // Add modal to page
-    const existingModal = document.getElementById('statusModal');
-    if (existingModal) {
-      existingModal.remove();
-    }
-    
-    document.body.insertAdjacentHTML('beforeend', modalHTML);
-  }
+      `;
+    }).join('');
 
-  closeStatusModal() {
-    const modal = document.getElementById('statusModal');
-    if (modal) {
-      modal.remove();
-    }
-  }
-
-  async saveTrackingStatus(qrId) {
-    const newStatus = document.getElementById('newStatusSelect').value;
-    const tracking = this.trackingData.find((t) => t.qrId === qrId);
-    
-    if (!tracking) return;
-
-    tracking.status = newStatus;
-    tracking.lastUpdated = new Date().toLocaleDateString('en-IN', {
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-    
-    try {
-      // Update in MongoDB
-      const response = await fetch(`${this.API_URL}/tracking/${qrId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status: newStatus, lastUpdated: tracking.lastUpdated })
-      });
-      
-      if (!response.ok) throw new Error('Failed to update tracking');
-      
-      this.closeStatusModal();
-      this.renderPage("admin");
-      alert(`✅ Status updated to: ${newStatus}`);
-    } catch (error) {
-      console.error('Error updating tracking:', error);
-      alert('Error updating tracking. Please try again.');
-    }
-  }
-
-  async deleteTracking(qrId) {
-    if (confirm("Are you sure you want to delete this tracking record?")) {
-      try {
-        // Delete from MongoDB
-        const response = await fetch(`${this.API_URL}/tracking/${qrId}`, {
-          method: 'DELETE'
-        });
-        
-        if (!response.ok) throw new Error('Failed to delete tracking');
-        
-        // Remove from local array
-        this.trackingData = this.trackingData.filter((t) => t.qrId !== qrId);
-        
-        this.renderPage("admin");
-        alert('✅ Tracking deleted successfully!');
-      } catch (error) {
-        console.error('Error deleting tracking:', error);
-        alert('Error deleting tracking. Please try again.');
-      }
-    }
-  }
-
-  trackOrder() {
-    const qrId = document.getElementById("orderId").value.trim()
-    const password = document.getElementById("orderPassword").value.trim()
-    const result = document.getElementById("trackResult")
-
-    if (!qrId || !password) {
-      alert("Please enter both QR ID and Password")
-      return
-    }
-
-    const trackingEntry = this.trackingData.find((t) => t.qrId === qrId && t.qrPassword === password)
-
-    if (trackingEntry) {
-      document.getElementById("resultOrderId").textContent = qrId
-      document.getElementById("resultCustomer").textContent = trackingEntry.customerName || 'Customer'
-      document.getElementById("resultDevice").textContent = trackingEntry.productName
-      document.getElementById("resultIssue").textContent = trackingEntry.issue || "Mobile Repair Service"
-      document.getElementById("resultEstDays").textContent = `${trackingEntry.estimatedDays} days`
-      document.getElementById("resultLastUpdated").textContent = trackingEntry.lastUpdated || trackingEntry.createdAt
-      
-      // Generate timeline
-      this.renderTrackingTimeline(trackingEntry.status)
-      
-      result.style.display = "block"
-      
-      // Scroll to result
-      result.scrollIntoView({ behavior: 'smooth', block: 'center' })
-    } else {
-      alert("❌ Invalid QR ID or Password. Please check and try again.\n\nIf you don't have these details, please contact the service center.")
-    }
-  }
-
-  renderTrackingTimeline(currentStatus) {
-    const statuses = [
-      { name: 'Received', emoji: '📥', desc: 'Device received at service center' },
-      { name: 'Diagnostics', emoji: '🔍', desc: 'Checking device issues' },
-      { name: 'In Progress', emoji: '🔧', desc: 'Repair work in progress' },
-      { name: 'Parts Ordered', emoji: '📦', desc: 'Waiting for replacement parts' },
-      { name: 'Quality Check', emoji: '✅', desc: 'Final testing and verification' },
-      { name: 'Ready for Pickup', emoji: '📢', desc: 'Device ready for collection' },
-      { name: 'Completed', emoji: '🎉', desc: 'Service completed' }
-    ];
-
-    const currentIndex = statuses.findIndex(s => s.name === currentStatus);
-    
-    const timelineHTML = statuses.map((status, index) => {
-      const isCompleted = index < currentIndex;
-      const isCurrent = index === currentIndex;
-      const isPending = index > currentIndex;
-      
-      const dotClass = isCompleted ? 'completed' : (isCurrent ? 'current' : 'pending');
-      const lineClass = isCompleted ? 'completed' : '';
-      const statusClass = isCompleted ? 'completed' : (isCurrent ? 'current' : 'pending');
-      
-      return `
-        <div class="timeline-item">
-          <div class="timeline-dot ${dotClass}"></div>
-          <div class="timeline-line ${lineClass}"></div>
-          <div class="timeline-content">
-            <div class="timeline-status ${statusClass}">
-              ${status.emoji} ${status.name}
-            </div>
-            <div class="timeline-date">${status.desc}</div>
-          </div>
-        </div>
-      `;
-    }).join('');
-
-    const timelineContainer = document.getElementById("trackingTimeline");
-    if (timelineContainer) {
-      timelineContainer.innerHTML = `<div class="tracking-timeline">${timelineHTML}</div>`;
+    const timelineContainer = document.getElementById("trackingTimeline");
+    if (timelineContainer) {
+      timelineContainer.innerHTML = `<div class="tracking-timeline">${timelineHTML}</div>`;
     }
   }
 
@@ -1409,18 +986,12 @@ class ManjulaMobilesApp {
       'Parts Ordered': '📦',
       'Quality Check': '✅',
       'Ready for Pickup': '📢',
+      'Awaiting Pickup': '↩️',
       'Completed': '🎉'
     }
     return emojiMap[status] || '📱'
   }
 
-  toggleTrackingForm() {
-    const form = document.getElementById("trackingForm")
-    if (form) {
-      form.style.display = form.style.display === "none" ? "block" : "none"
-    }
-  }
-
   // UPDATED: proceedToPayment method - store order data but don't save yet
   proceedToPayment() {
     const fullName = document.getElementById("fullName").value
@@ -1437,9 +1008,7 @@ class ManjulaMobilesApp {
 
     // Store order data temporarily (don't save to database yet)
     const cartTotal = this.cart.reduce((sum, item) => sum + item.price * item.quantity, 0)
-    const orderId = Date.now()
     this.pendingOrder = {
-      id: orderId,
       date: new Date().toLocaleString('en-IN', {
         day: '2-digit',
         month: '2-digit',
@@ -1453,11 +1022,7 @@ class ManjulaMobilesApp {
         phone: phone,
         address: `${address}, ${city}, ${postalCode}`
       },
-      items: this.cart.map(item => ({
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price
-      })),
+      items: this.buildOrderItems(),
       total: cartTotal,
       status: 'Pending Payment',
       paymentMethod: 'Pending'
@@ -1471,13 +1036,6 @@ class ManjulaMobilesApp {
     const app = document.getElementById("app")
     this.currentPage = page
 
-    // Load orders from database when viewing orders page
-    if (page === "dashboard") {
-      console.log('📦 Loading orders from database...');
-      await this.loadOrdersFromStorage();
-      console.log('✅ Orders loaded:', this.orders.length);
-    }
-
     let html = this.renderNavigation()
 
     if (page === "home") {
@@ -1978,7 +1536,7 @@ class ManjulaMobilesApp {
       <div class="image-modal-overlay" data-action="close-image-modal"></div>
       <div class="image-modal-content">
         <button class="image-modal-close" data-action="close-image-modal">✕</button>
-        <img src="${imageUrl}" alt="Product Image" class="image-modal-img">
+        <img src="${this.getImageUrl(imageUrl, 'zoom')}" alt="Product Image" class="image-modal-img">
       </div>
     `;
     document.body.appendChild(modal);
@@ -2016,7 +1574,11 @@ class ManjulaMobilesApp {
     
     // Check if product has multiple images
     const hasMultipleImages = imageUrl2 && imageUrl2.trim() !== "";
-    const img1 = imageUrl1 || currentImageUrl;
+
+    // The gallery shows the large renditions, not the card-sized image that was clicked
+    currentImageUrl = this.getImageUrl(currentImageUrl, 'zoom');
+    imageUrl2 = this.getImageUrl(imageUrl2, 'zoom');
+    const img1 = this.getImageUrl(imageUrl1 || currentImageUrl, 'zoom');
     
     console.log('Has multiple images:', hasMultipleImages);
       
@@ -2303,7 +1865,7 @@ class ManjulaMobilesApp {
     // Fade out, change image, fade in
     mainImg.style.opacity = '0';
     setTimeout(() => {
-      mainImg.src = imageUrl;
+      mainImg.src = this.getImageUrl(imageUrl, 'card');
       mainImg.setAttribute('data-current', index); // Update current index for modal
       mainImg.style.opacity = '1';
       console.log('✅ Main image switched to:', imageUrl);
@@ -2325,6 +1887,13 @@ class ManjulaMobilesApp {
 
 
 
+  // URL of a resized copy (thumb, card or zoom) of an uploaded photo - other image URLs are used as-is
+  getImageUrl(url, size) {
+    const match = typeof url === 'string' && url.match(/^(?:https?:\/\/[^/]+)?\/media\/([a-f0-9]{64})(?:-[a-z]+)?\.(?:jpg|png|webp|gif)$/);
+    if (!match) return url;
+    return `${this.baseURL}/media/${match[1]}-${size}.${this.imageFormat}`;
+  }
+
   renderProductCard(product) {
     const discountPercent = Math.round(((product.originalPrice - product.price) / product.originalPrice) * 100)
     
@@ -2345,8 +1914,9 @@ class ManjulaMobilesApp {
           <div class="product-image-gallery">
             <!-- Main Big Image -->
             <div class="main-image-container" style="cursor: pointer;">
-              <img src="${product.imageUrl}" 
+              <img src="${this.getImageUrl(product.imageUrl, 'card')}" 
                    alt="${product.name}" 
+                   loading="lazy"
                    class="main-product-image" 
                    id="mainImg-${productId}"
                    data-action="open-gallery-modal"
@@ -2361,10 +1931,10 @@ class ManjulaMobilesApp {
             <!-- Thumbnail Images Below -->
             <div class="thumbnail-container" style="display: flex; gap: 8px; margin-top: 8px; justify-content: center;">
               <div class="thumbnail-item active" onclick="app.switchMainImage('${productId}', '${product.imageUrl}', 1)" style="width: 60px; height: 60px; border: 2px solid #dc2626; border-radius: 6px; overflow: hidden; cursor: pointer; transition: all 0.3s ease;">
-                <img src="${product.imageUrl}" alt="Thumbnail 1" style="width: 100%; height: 100%; object-fit: cover;">
+                <img src="${this.getImageUrl(product.imageUrl, 'thumb')}" alt="Thumbnail 1" loading="lazy" style="width: 100%; height: 100%; object-fit: cover;">
               </div>
               <div class="thumbnail-item" onclick="app.switchMainImage('${productId}', '${product.imageUrl2}', 2)" style="width: 60px; height: 60px; border: 2px solid #e5e7eb; border-radius: 6px; overflow: hidden; cursor: pointer; transition: all 0.3s ease;">
-                <img src="${product.imageUrl2}" alt="Thumbnail 2" style="width: 100%; height: 100%; object-fit: cover;">
+                <img src="${this.getImageUrl(product.imageUrl2, 'thumb')}" alt="Thumbnail 2" loading="lazy" style="width: 100%; height: 100%; object-fit: cover;">
               </div>
             </div>
           </div>
@@ -2374,8 +1944,9 @@ class ManjulaMobilesApp {
         imageGalleryHTML = `
           <div class="product-image-gallery">
             <div class="main-image-container" style="cursor: pointer;">
-              <img src="${product.imageUrl}" 
+              <img src="${this.getImageUrl(product.imageUrl, 'card')}" 
                    alt="${product.name}" 
+                   loading="lazy"
                    class="main-product-image"
                    data-action="open-gallery-modal"
                    data-image-url="${product.imageUrl}"
@@ -2419,7 +1990,7 @@ class ManjulaMobilesApp {
               <span class="product-discount">${discountPercent}% off</span>
             </div>
           </div>
-          <div class="product-stock">${product.inStock ? "In Stock" : "Out of Stock"}</div>
+          <div class="product-stock">${!product.inStock ? "Out of Stock" : product.stockQuantity != null && product.stockQuantity <= 5 ? `Only ${product.stockQuantity} left` : "In Stock"}</div>
           <div class="product-buttons">
             <button class="btn btn-primary" data-action="add-to-cart" data-product-id="${productId}" ${!product.inStock ? "disabled" : ""} style="flex: 1;">Add to Cart</button>
             <button class="btn btn-secondary" data-action="buy-now" data-product-id="${productId}" ${!product.inStock ? "disabled" : ""} style="flex: 1;">Buy Now</button>
@@ -2479,12 +2050,44 @@ class ManjulaMobilesApp {
     return cartHTML
   }
 
+  // Units a customer can still add - products without a stock count are only limited by inStock
+  getAvailableQuantity(product) {
+    if (!product.inStock) return 0;
+    return product.stockQuantity == null ? Infinity : product.stockQuantity;
+  }
+
+  // Keep a cart line in step with live stock/price changes - returns true if the cart changed
+  syncCartItem(product) {
+    const productIdStr = String(product.id || product._id);
+    const item = this.cart.find((item) => String(item.id) === productIdStr || String(item._id) === productIdStr);
+    if (!item) return false;
+
+    const available = this.getAvailableQuantity(product);
+    if (available === 0) {
+      this.cart = this.cart.filter((cartItem) => cartItem !== item);
+      this.showCartNotification(`${product.name} is now out of stock and was removed from your cart`);
+      return true;
+    }
+
+    const quantity = Math.min(item.quantity, available);
+    const changed = quantity !== item.quantity || item.price !== product.price;
+    if (quantity !== item.quantity) {
+      this.showCartNotification(`Only ${available} ${product.name} left - your cart was updated`);
+    }
+    Object.assign(item, product, { quantity });
+    return changed;
+  }
+
   addToCart(productId) {
     // Convert to string for comparison since MongoDB _id is a string
     const productIdStr = String(productId);
     const product = this.products.find((p) => String(p.id) === productIdStr || String(p._id) === productIdStr)
     if (product) {
       const existingItem = this.cart.find((item) => String(item.id) === productIdStr || String(item._id) === productIdStr)
+      if ((existingItem ? existingItem.quantity : 0) >= this.getAvailableQuantity(product)) {
+        alert(`Sorry, only ${this.getAvailableQuantity(product)} ${product.name} left in stock.`)
+        return
+      }
       if (existingItem) {
         existingItem.quantity += 1
       } else {
@@ -2506,7 +2109,7 @@ class ManjulaMobilesApp {
       // Add to cart if not already there
       const existingItem = this.cart.find((item) => String(item.id) === productIdStr || String(item._id) === productIdStr)
       if (existingItem) {
-        existingItem.quantity += 1
+        existingItem.quantity = Math.min(existingItem.quantity + 1, this.getAvailableQuantity(product))
       } else {
         this.cart.push({ ...product, quantity: 1 })
       }
@@ -2528,6 +2131,11 @@ class ManjulaMobilesApp {
     const itemIdStr = String(itemId);
     const item = this.cart.find((item) => String(item.id) === itemIdStr || String(item._id) === itemIdStr)
     if (item) {
+      const product = this.products.find((p) => String(p.id) === itemIdStr || String(p._id) === itemIdStr) || item
+      if (item.quantity >= this.getAvailableQuantity(product)) {
+        alert(`Sorry, only ${this.getAvailableQuantity(product)} ${item.name} left in stock.`)
+        return
+      }
       item.quantity += 1
       this.renderPage("products")
     }
@@ -2820,7 +2428,6 @@ class ManjulaMobilesApp {
     
     // Create order object
     const order = {
-      id: Math.random().toString(36).substr(2, 9).toUpperCase(),
       date: new Date().toLocaleDateString(),
       customer: {
         name: fullName,
@@ -2828,17 +2435,16 @@ class ManjulaMobilesApp {
         phone: phone,
         address: `${address}, ${city}, ${postalCode}`
       },
-      items: [...this.cart],
+      items: this.buildOrderItems(),
       total: cartTotal,
-      paymentMethod: paymentMethod,
-      status: "Processing"
+      paymentMethod: paymentMethod
     };
     
     // Save order to MongoDB
-    await this.saveSingleOrder(order);
+    const savedOrder = await this.saveSingleOrder(order);
     
     alert(
-      `Order placed successfully!\n\nOrder ID: #${order.id}\nPayment Method: ${paymentMethod}\n\nThank you for your order!`,
+      `Order placed successfully!\n\nOrder ID: #${savedOrder.orderId}\nPayment Method: ${paymentMethod}\n\nThank you for your order!`,
     );
     
     this.cart = [];
@@ -2863,7 +2469,6 @@ class ManjulaMobilesApp {
     
     // Create order object
     const order = {
-      id: Math.random().toString(36).substr(2, 9).toUpperCase(),
       date: new Date().toLocaleDateString(),
       customer: {
         name: fullName,
@@ -2871,19 +2476,18 @@ class ManjulaMobilesApp {
         phone: phone,
         address: `${address}, ${city}, ${postalCode}`
       },
-      items: [...this.cart],
+      items: this.buildOrderItems(),
       total: cartTotal,
-      paymentMethod: method,
-      status: "Processing"
+      paymentMethod: method
     };
     
     try {
       // Save order to MongoDB (will appear in Owner Portal automatically)
-      await this.saveSingleOrder(order);
+      const savedOrder = await this.saveSingleOrder(order);
       
       // Show success message to customer
       alert(
-        `✅ Order Placed Successfully!\n\nOrder ID: #${order.id}\n\nYour order details have been sent to us.\nWe will contact you shortly.\n\nThank you for your order!`
+        `✅ Order Placed Successfully!\n\nOrder ID: #${savedOrder.orderId}\n\nYour order details have been sent to us.\nWe will contact you shortly.\n\nThank you for your order!`
       );
       
       // Clear cart and go to home
@@ -2891,6 +2495,11 @@ class ManjulaMobilesApp {
       this.renderPage("home");
     } catch (error) {
       console.error('Error processing payment:', error);
+      if (error.cartChanged) {
+        alert(error.message);
+        this.renderPage("checkout");
+        return;
+      }
       alert('There was an error processing your order. Please try again or contact us directly.');
     }
   }
@@ -3264,13 +2873,11 @@ class ManjulaMobilesApp {
     
     // Create order with actual screenshot data
     const order = {
-      id: Math.random().toString(36).substr(2, 9).toUpperCase(),
       date: new Date().toLocaleDateString(),
       customer: this.pendingOrder.customer,
       items: this.pendingOrder.items,
       total: this.pendingOrder.total,
       paymentMethod: "UPI Payment (Screenshot Uploaded)",
-      status: "Payment Verification Pending",
       paymentScreenshot: {
         data: screenshotData, // Use actual screenshot data
         fileName: fileName,
@@ -3279,7 +2886,6 @@ class ManjulaMobilesApp {
     };
     
     console.log('📸 Order with screenshot:', {
-      orderId: order.id,
       hasScreenshot: !!order.paymentScreenshot,
       screenshotDataLength: order.paymentScreenshot.data.length,
       isValidImageData: order.paymentScreenshot.data.startsWith('data:image/')
@@ -3287,13 +2893,13 @@ class ManjulaMobilesApp {
     
     try {
       // Save order with screenshot
-      await this.saveSingleOrder(order);
+      const savedOrder = await this.saveSingleOrder(order);
       
       alert(`✅ Order Placed Successfully! 
       
-Order ID: #${order.id}
+Order ID: #${savedOrder.orderId}
 Payment Method: UPI Payment (Screenshot Uploaded)
-Status: Payment Verification Pending
+Status: ${savedOrder.status}
 
 Your payment screenshot has been uploaded and saved. We will verify your payment and contact you shortly.
 
@@ -3305,6 +2911,12 @@ Thank you for choosing Manjula Mobile World!`);
       this.renderPage("home");
     } catch (error) {
       console.error('❌ Error processing order:', error);
+      if (error.cartChanged) {
+        alert(error.message);
+        this.pendingOrder = null;
+        this.renderPage("checkout");
+        return;
+      }
       alert('Failed to place order. Error: ' + error.message + '\n\nPlease try again or contact support.');
     }
   }
@@ -3429,370 +3041,6 @@ Thank you for choosing Manjula Mobile World!`);
     `
   }
 
-  renderAdminLogin() {
-    return `
-      <div style="min-height: 100vh; background-color: #e43838ff; padding-top: 96px; padding-bottom: 80px; display: flex; align-items: center; justify-content: center;">
-        <div class="container" style="max-width: 400px;">
-          <div style="background-color: rgba(0, 0, 0, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 48px;">
-            <h1 style="font-size: 32px; font-weight: 700; margin-bottom: 8px; text-align: center;">Owner Portal</h1>
-            <p style="color: #94a3b8; text-align: center; margin-bottom: 32px;">Enter your credentials to access</p>
-            
-            <div class="form-field">
-              <label class="form-label">Phone Number</label>
-              <input type="tel" class="input" placeholder="Enter your phone number" id="adminPhone">
-            </div>
-
-            <div class="form-field">
-              <label class="form-label">Password</label>
-              <input type="password" class="input" placeholder="Enter your password" id="adminPassword">
-            </div>
-
-            <button class="btn btn-primary" style="width: 100%; padding: 12px; font-size: 16px; margin-bottom: 12px;" data-action="admin-login">Login</button>
-            <button class="btn btn-secondary" style="width: 100%; padding: 12px; font-size: 16px;" data-page="home">Back to Home</button>
-          </div>
-        </div>
-      </div>
-    `
-  }
-
-  renderOrdersSection() {
-    return `
-      <div class="admin-section">
-        <div class="admin-section-header">
-          <h3 class="admin-section-title">Customer Orders</h3>
-          <span class="order-count">${this.orders.length} orders</span>
-        </div>
-        <div class="orders-list" style="max-height: 400px; overflow-y: auto;">
-          ${
-            this.orders.length > 0
-              ? this.orders.map(order => `
-                  <div class="order-item" style="border: 1px solid #334155; border-radius: 8px; padding: 16px; margin-bottom: 12px;">
-                    <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
-                      <div>
-                        <div style="font-weight: 700; margin-bottom: 4px;">Order #${order.id}</div>
-                        <div style="color: #64748b; font-size: 12px; margin-bottom: 4px;">
-                          📅 ${order.orderDate ? new Date(order.orderDate).toLocaleString('en-IN', { 
-                            year: 'numeric', 
-                            month: 'short', 
-                            day: 'numeric', 
-                            hour: '2-digit', 
-                            minute: '2-digit',
-                            hour12: true 
-                          }) : order.date || 'Date not available'}
-                        </div>
-                        <div style="color: #fb923c; font-weight: 600;">₹${order.total.toLocaleString()}</div>
-                      </div>
-                      <span class="status-badge status-${order.status.toLowerCase().replace(/\s+/g, "-")}" style="font-size: 11px; padding: 4px 8px;">${order.status}</span>
-                    </div>
-                    <div style="margin-bottom: 12px;">
-                      <div style="font-weight: 600; margin-bottom: 4px;">${order.customer.name}</div>
-                      <div style="color: #94a3b8; font-size: 12px;">${order.customer.email} • ${order.customer.phone}</div>
-                      <div style="color: #94a3b8; font-size: 12px;">${order.customer.address}</div>
-                    </div>
-                    <div style="margin-bottom: 12px;">
-                      <div style="font-weight: 600; margin-bottom: 8px;">Order Items:</div>
-                      <div style="background: rgba(30, 41, 59, 0.5); border-radius: 6px; padding: 12px;">
-                        ${order.items.map(item => `
-                          <div style="display: flex; justify-content: space-between; margin-bottom: 6px; font-size: 13px;">
-                            <span style="color: #e2e8f0;">${item.name} × ${item.quantity}</span>
-                            <span style="color: #fb923c; font-weight: 600;">₹${(item.price * item.quantity).toLocaleString()}</span>
-                          </div>
-                        `).join('')}
-                        <div style="border-top: 1px solid #334155; margin-top: 8px; padding-top: 8px; display: flex; justify-content: space-between; font-weight: 700;">
-                          <span style="color: #e2e8f0;">Total:</span>
-                          <span style="color: #fb923c; font-size: 16px;">₹${order.total.toLocaleString()}</span>
-                        </div>
-                      </div>
-                    </div>
-                    <div style="margin-bottom: 12px; padding: 8px; background: rgba(251, 146, 60, 0.1); border-radius: 6px; border: 1px solid rgba(251, 146, 60, 0.3);">
-                      <div style="font-size: 12px; color: #fb923c; font-weight: 600;">Payment Method: ${order.paymentMethod}</div>
-                    </div>
-                    <div style="display: flex; gap: 8px;">
-                      <button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px; flex: 1;" onclick="app.updateOrderStatus('${order.id}')">Update Status</button>
-                      <button class="btn" style="padding: 6px 12px; font-size: 12px; flex: 1; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171; border-radius: 6px; cursor: pointer;" onclick="app.deleteOrder('${order.id}')">Delete</button>
-                    </div>
-                  </div>
-                `).join('')
-              : `<div style="padding: 24px; text-align: center; color: #94a3b8;">No orders yet</div>`
-          }
-        </div>
-      </div>
-    `
-  }
-
-  async updateOrderStatus(orderId) {
-    const order = this.orders.find(o => o.id === orderId);
-    if (!order) return;
-
-    const newStatus = prompt(
-      "Enter new order status:\n\nProcessing\nShipped\nDelivered\nCancelled",
-      order.status
-    );
-
-    if (newStatus) {
-      const validStatuses = ["Processing", "Shipped", "Delivered", "Cancelled"];
-      if (validStatuses.includes(newStatus)) {
-        order.status = newStatus;
-        await this.updateOrderStatus(orderId, newStatus);
-        this.renderPage("admin");
-      } else {
-        alert("Invalid status. Please use one of the suggested statuses.");
-      }
-    }
-  }
-
-  async deleteOrder(orderId) {
-    if (confirm("Are you sure you want to delete this order?")) {
-      try {
-        console.log('🚀 Starting delete process for order:', orderId);
-        await this.deleteOrderFromStorage(orderId);
-        console.log('✅ Delete completed, re-rendering page');
-        await this.renderPage("admin");
-        alert('✅ Order deleted successfully!');
-      } catch (error) {
-        console.error('❌ Delete failed with error:', error);
-        alert(`❌ Failed to delete order: ${error.message}\n\nPlease check:\n1. Server is running\n2. Internet connection\n3. Browser console (F12) for details`);
-      }
-    }
-  }
-
-  renderAdmin() {
-    const searchTerm = (document.getElementById("adminSearch")?.value || "").toLowerCase();
-    const filteredProducts = this.products.filter(
-      (product) =>
-        product.name.toLowerCase().includes(searchTerm) || product.category.toLowerCase().includes(searchTerm),
-    );
-
-    return `
-      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container">
-          <div style="margin-bottom: 32px;">
-            <h1 style="font-size: 48px; font-weight: 700; margin-bottom: 8px;">Owner Portal</h1>
-            <p style="color: #94a3b8;">Manage your products, repair tracking, and customer orders</p>
-          </div>
-
-          <!-- Navigation Buttons -->
-          <div style="display: flex; gap: 16px; margin-bottom: 32px; flex-wrap: wrap;">
-            <button class="btn btn-primary" data-page="admin-products" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
-              <span style="font-size: 24px;">📦</span>
-              <span>Products Edit</span>
-            </button>
-            <button class="btn btn-primary" data-page="admin-tracking" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
-              <span style="font-size: 24px;">🔧</span>
-              <span>Tracking Edit</span>
-            </button>
-            <button class="btn btn-primary" data-page="admin-orders" style="flex: 1; min-width: 200px; padding: 16px; font-size: 16px; display: flex; align-items: center; justify-content: center; gap: 8px;">
-              <span style="font-size: 24px;">📋</span>
-              <span>Orders Details</span>
-            </button>
-          </div>
-
-          <!-- Quick Stats -->
-          <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; margin-bottom: 32px;">
-            <div style="background: linear-gradient(135deg, rgba(38, 162, 220, 0.4), rgba(185, 28, 28, 0.2)); border: 2px solid #dcca2691; border-radius: 12px; padding: 20px; text-align: center;">
-              <div style="font-size: 32px; font-weight: 700; color: #f7f7f7ff; margin-bottom: 4px;">${this.products.length}</div>
-              <div style="color: #000205ff; font-size: 14px;">Total Products</div>
-            </div>
-            <div style="background: linear-gradient(135deg, rgba(38, 162, 220, 0.4), rgba(185, 28, 28, 0.2)); border: 2px solid #dcca2691; border-radius: 12px; padding: 20px; text-align: center;">
-              <div style="font-size: 32px; font-weight: 700; color: #fffffffd; margin-bottom: 4px;">${this.trackingData.length}</div>
-              <div style="color: #000000ff; font-size: 14px;">Active Tracking</div>
-            </div>
-            <div style="background: linear-gradient(135deg, rgba(38, 162, 220, 0.4), rgba(185, 28, 28, 0.2)); border: 2px solid #dcca2691; border-radius: 12px; padding: 20px; text-align: center;">
-              <div style="font-size: 32px; font-weight: 700; color: #ffffffff; margin-bottom: 4px;">${this.orders.length}</div>
-              <div style="color: #000000ff; font-size: 14px;">Customer Orders</div>
-            </div>
-          </div>
-
-          <!-- Quick Actions Info -->
-          <div style="background: linear-gradient(135deg, rgba(220, 38, 38, 0.1), rgba(185, 28, 28, 0.1)); border: 2px solid #dc262673; border-radius: 16px; padding: 40px; text-align: center;">
-            <div style="font-size: 64px; margin-bottom: 20px;">🎯</div>
-            <h2 style="font-size: 32px; font-weight: 700; margin-bottom: 16px; color: #000000;">Welcome to Owner Portal</h2>
-            <p style="font-size: 18px; color: #000000ff; margin-bottom: 32px;">Use the buttons above to manage your business</p>
-            
-            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 20px; max-width: 800px; margin: 0 auto;">
-              <div style="background: rgba(255, 255, 255, 0.5); border: 2px solid #fecaca; border-radius: 12px; padding: 24px;">
-                <div style="font-size: 36px; margin-bottom: 12px;">📦</div>
-                <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 8px; color: #000000;">Products</h3>
-                <p style="font-size: 14px; color: #64748b;">Manage inventory and pricing</p>
-              </div>
-              
-              <div style="background: rgba(255, 255, 255, 0.5); border: 2px solid #fecaca; border-radius: 12px; padding: 24px;">
-                <div style="font-size: 36px; margin-bottom: 12px;">🔧</div>
-                <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 8px; color: #000000;">Tracking</h3>
-                <p style="font-size: 14px; color: #64748b;">Monitor repair status</p>
-              </div>
-              
-              <div style="background: rgba(255, 255, 255, 0.5); border: 2px solid #fecaca; border-radius: 12px; padding: 24px;">
-                <div style="font-size: 36px; margin-bottom: 12px;">📋</div>
-                <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 8px; color: #000000;">Orders</h3>
-                <p style="font-size: 14px; color: #64748b;">View WhatsApp orders</p>
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `
-  }
-
-  renderAddProductForm() {
-    return `
-      <div style="min-height: 100vh; background-color: #020617; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container" style="max-width: 600px;">
-          <button class="back-button" data-page="admin">← Back to Products</button>
-          <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 32px;">Add New Product</h1>
-
-          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 32px;">
-            <div class="form-field">
-              <label class="form-label">Product Name *</label>
-              <input type="text" class="input" placeholder="Enter product name" id="productName">
-            </div>
-
-            <div class="form-field">
-              <label class="form-label">Category *</label>
-              <select class="input" id="productCategory" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
-                <option value="">Select category</option>
-                <option value="Smartphones">Smartphones</option>
-                <option value="Services">Services</option>
-                <option value="Accessories">Accessories</option>
-                <option value="Chargers">Chargers</option>
-                <option value="Audio">Audio</option>
-                <option value="Power">Power Banks</option>
-              </select>
-            </div>
-
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
-              <div class="form-field">
-                <label class="form-label">Price (₹) *</label>
-                <input type="number" class="input" placeholder="2999" id="productPrice">
-              </div>
-              <div class="form-field">
-                <label class="form-label">Original Price (₹)</label>
-                <input type="number" class="input" placeholder="3999" id="productOriginalPrice">
-              </div>
-            </div>
-
-            <div class="form-field">
-              <label class="form-label">Product Images</label>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 1 (Main)</p>
-                <input type="url" class="input" placeholder="https://example.com/image1.jpg" id="productImageUrl" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile1" onchange="app.handleImageUpload(event, 1)" style="font-size: 12px;">
-              </div>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 2 (Secondary)</p>
-                <input type="url" class="input" placeholder="https://example.com/image2.jpg" id="productImageUrl2" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile2" onchange="app.handleImageUpload(event, 2)" style="font-size: 12px;">
-              </div>
-              </div>
-              <div style="margin-bottom: 12px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px;">Emoji/Icon (if no images)</p>
-                <input type="text" class="input" placeholder="📱 or 🔧 or 📦" id="productImage" maxlength="2">
-              </div>
-            </div>
-
-            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 24px;">
-              <input type="checkbox" id="productInStock" checked style="width: 18px; height: 18px; cursor: pointer;">
-              <label for="productInStock" style="cursor: pointer; color: #cbd5e1;">In Stock</label>
-            </div>
-
-            <button class="btn btn-primary" style="width: 100%; padding: 12px; font-size: 16px; margin-bottom: 12px;" data-action="save-product">Add Product</button>
-            <button class="btn btn-secondary" style="width: 100%; padding: 12px; font-size: 16px;" data-page="admin">Cancel</button>
-          </div>
-        </div>
-      </div>
-    `
-  }
-
-  renderEditProductForm() {
-    const editingIdStr = String(this.editingProductId);
-    const product = this.products.find((p) => String(p.id) === editingIdStr || String(p._id) === editingIdStr)
-    if (!product) return `<div>Product not found</div>`
-
-    return `
-      <div style="min-height: 100vh; background-color: #020617; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container" style="max-width: 600px;">
-          <button class="back-button" data-page="admin">← Back to Products</button>
-          <h1 style="font-size: 36px; font-weight: 700; margin-bottom: 32px;">Edit Product</h1>
-
-          <div style="background-color: rgba(30, 41, 59, 0.5); border: 1px solid #334155; border-radius: 12px; padding: 32px;">
-            <div class="form-field">
-              <label class="form-label">Product Name *</label>
-              <input type="text" class="input" value="${product.name}" id="productName">
-            </div>
-
-            <div class="form-field">
-              <label class="form-label">Category *</label>
-              <select class="input" id="productCategory" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc;">
-                <option value="Smartphones" ${product.category === "Smartphones" ? "selected" : ""}>Smartphones</option>
-                <option value="Services" ${product.category === "Services" ? "selected" : ""}>Services</option>
-                <option value="Accessories" ${product.category === "Accessories" ? "selected" : ""}>Accessories</option>
-                <option value="Chargers" ${product.category === "Chargers" ? "selected" : ""}>Chargers</option>
-                <option value="Audio" ${product.category === "Audio" ? "selected" : ""}>Audio</option>
-                <option value="Power" ${product.category === "Power" ? "selected" : ""}>Power Banks</option>
-              </select>
-            </div>
-
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
-              <div class="form-field">
-                <label class="form-label">Price (₹) *</label>
-                <input type="number" class="input" value="${product.price}" id="productPrice">
-              </div>
-              <div class="form-field">
-                <label class="form-label">Original Price (₹)</label>
-                <input type="number" class="input" value="${product.originalPrice}" id="productOriginalPrice">
-              </div>
-            </div>
-
-            <div class="form-field">
-              <label class="form-label">Product Images</label>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 1 (Main)</p>
-                <input type="url" class="input" placeholder="https://example.com/image1.jpg" id="productImageUrl" value="${product.imageUrl || ""}" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile1" onchange="app.handleImageUpload(event, 1)" style="font-size: 12px;">
-              </div>
-              <div style="margin-bottom: 16px; padding: 16px; background: rgba(51, 65, 85, 0.3); border-radius: 8px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px; font-weight: 600;">Image 2 (Secondary)</p>
-                <input type="url" class="input" placeholder="https://example.com/image2.jpg" id="productImageUrl2" value="${product.imageUrl2 || ""}" style="margin-bottom: 8px;">
-                <input type="file" class="input" accept="image/*" id="productImageFile2" onchange="app.handleImageUpload(event, 2)" style="font-size: 12px;">
-              </div>
-              <div style="margin-bottom: 12px;">
-                <p style="color: #94a3b8; font-size: 12px; margin-bottom: 8px;">Emoji/Icon (if no images)</p>
-                <input type="text" class="input" value="${product.image}" id="productImage" maxlength="2">
-              </div>
-            </div>
-
-            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 24px;">
-              <input type="checkbox" id="productInStock" ${product.inStock ? "checked" : ""} style="width: 18px; height: 18px; cursor: pointer;">
-              <label for="productInStock" style="cursor: pointer; color: #cbd5e1;">In Stock</label>
-            </div>
-
-            <button class="btn btn-primary" style="width: 100%; padding: 12px; font-size: 16px; margin-bottom: 12px;" data-action="save-product">Update Product</button>
-            <button class="btn btn-secondary" style="width: 100%; padding: 12px; font-size: 16px;" data-page="admin">Cancel</button>
-          </div>
-        </div>
-      </div>
-    `
-  }
-
-  handleImageUpload(event, imageNumber = 1) {
-    const file = event.target.files[0]
-    if (file) {
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        const base64Image = e.target.result
-        // Put the image in the correct URL field based on imageNumber
-        if (imageNumber === 1) {
-          document.getElementById("productImageUrl").value = base64Image
-          console.log('Image 1 uploaded and set to URL field 1');
-        } else if (imageNumber === 2) {
-          document.getElementById("productImageUrl2").value = base64Image
-          console.log('Image 2 uploaded and set to URL field 2');
-        }
-      }
-      reader.readAsDataURL(file)
-    }
-  }
-
   renderServicesPage(type) {
     const serviceData = {
       hardware: {
@@ -4041,6 +3289,7 @@ Thank you for choosing Manjula Mobile World!`);
               <div style="margin-bottom: 24px;">
                 <p style="color: #64748b; font-size: 12px; margin-bottom: 16px; font-weight: 600;">Repair Progress</p>
                 <div id="trackingTimeline"></div>
+                <div id="trackingQuote"></div>
               </div>
               
               <div style="margin-bottom: 16px;">
@@ -4065,441 +3314,6 @@ Thank you for choosing Manjula Mobile World!`);
     `
   }
 
-  // Separate Admin Pages
-  renderAdminProducts() {
-    const searchTerm = (document.getElementById("adminSearch")?.value || "").toLowerCase();
-    const filteredProducts = this.products.filter(
-      (p) =>
-        p.name.toLowerCase().includes(searchTerm) ||
-        p.category.toLowerCase().includes(searchTerm)
-    );
-
-    return `
-      <div style="min-height: 100vh; background-color: #f34b7dfb; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container">
-          <div style="margin-bottom: 24px;">
-            <button class="btn btn-secondary" data-page="admin" style="padding: 10px 20px;">← Back to Dashboard</button>
-          </div>
-          
-          <div style="margin-bottom: 32px;">
-            <h1 style="font-size: 48px; font-weight: 700; margin-bottom: 8px;">Products Management</h1>
-            <p style="color: #94a3b8;">Add, edit, and manage your products</p>
-          </div>
-
-          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px;">
-            <input 
-              type="text" 
-              class="input" 
-              placeholder="Search products..." 
-              id="adminSearch"
-              oninput="app.renderPage('admin-products')"
-              style="max-width: 400px;"
-            />
-            <button class="btn btn-primary" data-action="add-product-form">+ Add New Product</button>
-          </div>
-
-          <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); gap: 20px;">
-            ${filteredProducts.map(product => `
-              <div style="background: rgba(30, 41, 59, 0.5); border: 2px solid #334155; border-radius: 12px; padding: 20px;">
-                <div style="font-size: 48px; text-align: center; margin-bottom: 16px;">${product.image}</div>
-                <h3 style="font-size: 18px; font-weight: 700; margin-bottom: 8px;">${product.name}</h3>
-                <div style="color: #94a3b8; font-size: 14px; margin-bottom: 8px;">${product.category}</div>
-                <div style="color: #fb923c; font-size: 20px; font-weight: 700; margin-bottom: 12px;">₹${product.price.toLocaleString()}</div>
-                <div style="display: flex; gap: 8px;">
-                  <button class="btn btn-secondary" style="flex: 1; padding: 8px;" data-action="edit-product" data-product-id="${product.id}">Edit</button>
-                  <button class="btn" style="flex: 1; padding: 8px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171;" data-action="delete-product" data-product-id="${product.id}">Delete</button>
-                </div>
-              </div>
-            `).join('')}
-          </div>
-        </div>
-      </div>
-    `;
-  }
-
-  renderAdminTracking() {
-    return `
-      <div style="min-height: 100vh; background-color: #f13e74fb; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container">
-          <div style="margin-bottom: 24px;">
-            <button class="btn btn-secondary" data-page="admin" style="padding: 10px 20px;">← Back to Dashboard</button>
-          </div>
-          
-          <div style="margin-bottom: 32px;">
-            <h1 style="font-size: 48px; font-weight: 700; margin-bottom: 8px;">Tracking Management</h1>
-            <p style="color: #94a3b8;">Manage repair tracking and update status</p>
-          </div>
-
-          <div style="margin-bottom: 24px;">
-            <button class="btn btn-primary" data-action="toggle-tracking-form" style="padding: 12px 24px; font-size: 16px;">+ Add New Tracking</button>
-          </div>
-
-          <!-- Enhanced Tracking Form -->
-          <div id="trackingForm" style="background-color: rgba(30, 41, 59, 0.5); border: 2px solid #334155; border-radius: 12px; padding: 32px; margin-bottom: 32px; display: none;">
-            <h3 style="font-size: 24px; font-weight: 700; margin-bottom: 24px; color: #22d3ee;">Create New Repair Tracking</h3>
-            
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
-              <div class="form-field">
-                <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">QR ID *</label>
-                <input type="text" class="input" placeholder="e.g., QR123456" id="newTrackingQRId" style="font-size: 14px; padding: 12px;">
-              </div>
-
-              <div class="form-field">
-                <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">Password *</label>
-                <input type="text" class="input" placeholder="e.g., pass123" id="newTrackingPassword" style="font-size: 14px; padding: 12px;">
-              </div>
-            </div>
-
-            <div class="form-field" style="margin-bottom: 16px;">
-              <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">Customer Name *</label>
-              <input type="text" class="input" placeholder="Enter customer name" id="newTrackingCustomer" style="font-size: 14px; padding: 12px;">
-            </div>
-
-            <div class="form-field" style="margin-bottom: 16px;">
-              <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">Device Model *</label>
-              <input type="text" class="input" placeholder="e.g., iPhone 15 Pro, Samsung S23" id="newTrackingDevice" style="font-size: 14px; padding: 12px;">
-            </div>
-
-            <div class="form-field" style="margin-bottom: 16px;">
-              <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">Contact Number</label>
-              <input type="tel" class="input" placeholder="e.g., +91 9876543210" id="newTrackingContact" style="font-size: 14px; padding: 12px;">
-            </div>
-
-            <div class="form-field" style="margin-bottom: 16px;">
-              <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">Issue Description *</label>
-              <textarea class="input" placeholder="Describe the device issue in detail..." id="newTrackingIssue" style="font-size: 14px; padding: 12px; min-height: 100px; resize: vertical;"></textarea>
-            </div>
-
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 20px;">
-              <div class="form-field">
-                <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">Tracking Status</label>
-                <select class="input" id="newTrackingStatus" style="background-color: rgba(51, 65, 85, 0.5); color: #f8fafc; font-size: 14px; padding: 12px;">
-                  <option value="Received">📥 Device Received</option>
-                  <option value="Diagnostics">🔍 Under Diagnostics</option>
-                  <option value="In Progress">🔧 Repair In Progress</option>
-                  <option value="Parts Ordered">📦 Parts Ordered</option>
-                  <option value="Quality Check">✅ Quality Check</option>
-                  <option value="Ready for Pickup">📢 Ready for Pickup</option>
-                  <option value="Completed">🎉 Completed</option>
-                </select>
-              </div>
-
-              <div class="form-field">
-                <label class="form-label" style="margin-bottom: 6px; font-weight: 600; display: block;">Estimated Days</label>
-                <input type="number" class="input" placeholder="2" id="newTrackingDays" value="2" min="1" max="30" style="font-size: 14px; padding: 12px;">
-              </div>
-            </div>
-
-            <div style="display: flex; gap: 12px;">
-              <button class="btn btn-primary" style="flex: 1; padding: 14px; font-size: 16px; font-weight: 600;" data-action="save-new-tracking">
-                💾 Save Tracking
-              </button>
-              <button class="btn btn-secondary" style="flex: 1; padding: 14px; font-size: 16px;" data-action="toggle-tracking-form">
-                ❌ Cancel
-              </button>
-            </div>
-          </div>
-
-          <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(350px, 1fr)); gap: 20px;">
-            ${this.trackingData.length > 0 ? this.trackingData.map(tracking => `
-              <div style="background: rgba(30, 41, 59, 0.5); border: 2px solid #334155; border-radius: 12px; padding: 20px;">
-                <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
-                  <div>
-                    <div style="font-weight: 700; font-size: 16px; margin-bottom: 4px;">QR: ${tracking.qrId}</div>
-                    <div style="color: #94a3b8; font-size: 12px;">${tracking.createdAt}</div>
-                  </div>
-                  <span class="status-badge" style="background: rgba(255, 0, 0, 0.48); color: #fd2f2f9a; padding: 4px 8px; border-radius: 12px; font-size: 11px;">${tracking.status}</span>
-                </div>
-                <div style="margin-bottom: 12px;">
-                  <div style="font-weight: 600; margin-bottom: 4px;">${tracking.customerName}</div>
-                  <div style="color: #94a3b8; font-size: 13px;">${tracking.productName}</div>
-                  <div style="color: #94a3b8; font-size: 12px;">${tracking.contact || 'No contact'}</div>
-                </div>
-                <div style="color: #cbd5e1; font-size: 13px; margin-bottom: 12px;">${tracking.issue || 'Mobile Repair Service'}</div>
-                <div style="display: flex; gap: 8px;">
-                  <button class="btn btn-secondary" style="flex: 1; padding: 8px; font-size: 12px;" onclick="app.editTracking('${tracking.qrId}')">Edit Status</button>
-                  <button class="btn" style="flex: 1; padding: 8px; font-size: 12px; background: rgba(224, 17, 52, 0.68); color: #f87171; border: 1px solid #f87171;" onclick="app.deleteTracking('${tracking.qrId}')">Delete</button>
-                </div>
-              </div>
-            `).join('') : `
-              <div style="grid-column: 1 / -1; text-align: center; padding: 60px 20px; background: rgba(30, 41, 59, 0.3); border: 2px dashed #334155; border-radius: 12px;">
-                <div style="font-size: 48px; margin-bottom: 16px;">📦</div>
-                <h3 style="font-size: 20px; font-weight: 600; margin-bottom: 8px; color: #94a3b8;">No Tracking Records</h3>
-                <p style="color: #64748b; margin-bottom: 20px;">Click "Add New Tracking" to create your first repair tracking record</p>
-              </div>
-            `}
-          </div>
-        </div>
-      </div>
-    `;
-  }
-
-  renderAdminOrders(){
-    return `
-      <div style="min-height: 100vh; background-color: #e60045a6; padding-top: 96px; padding-bottom: 80px;">
-        <div class="container">
-          <div style="margin-bottom: 24px;">
-            <button class="btn btn-secondary" data-page="admin" style="padding: 10px 20px;">← Back to Dashboard</button>
-          </div>
-          
-          <div style="margin-bottom: 32px;">
-            <h1 style="font-size: 48px; font-weight: 700; margin-bottom: 8px;">Orders Management</h1>
-            <p style="color: #000000ff;">View and manage customer orders</p>
-          </div>
-
-          <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(400px, 1fr)); gap: 20px;">
-            ${this.orders.length > 0 ? this.orders.map(order => `
-              <div style="background: rgba(30, 41, 59, 0.5); border: 2px solid #334155; border-radius: 12px; padding: 20px;">
-                <div style="margin-bottom: 16px;">
-                  <div style="font-weight: 700; font-size: 18px; margin-bottom: 4px;">Order #${order.id}</div>
-                  <div style="color: #94a3b8; font-size: 12px;">
-                    📅 ${order.orderDate ? new Date(order.orderDate).toLocaleString('en-IN', { 
-                      year: 'numeric', 
-                      month: 'short', 
-                      day: 'numeric', 
-                      hour: '2-digit', 
-                      minute: '2-digit',
-                      hour12: true 
-                    }) : order.date || 'Date not available'}
-                  </div>
-                </div>
-                
-                <div style="background: rgba(0, 0, 0, 0.3); border-radius: 8px; padding: 16px; margin-bottom: 16px;">
-                  <div style="font-weight: 600; margin-bottom: 8px; color: #fb923c;">Customer Details:</div>
-                  <div style="color: #e2e8f0; font-size: 14px; margin-bottom: 4px;">👤 ${order.customer.name}</div>
-                  <div style="color: #94a3b8; font-size: 13px; margin-bottom: 4px;">📧 ${order.customer.email}</div>
-                  <div style="color: #94a3b8; font-size: 13px; margin-bottom: 4px;">📞 ${order.customer.phone}</div>
-                  <div style="color: #94a3b8; font-size: 13px;">📍 ${order.customer.address}</div>
-                </div>
-
-                <div style="background: rgba(0, 0, 0, 0.3); border-radius: 8px; padding: 16px; margin-bottom: 16px;">
-                  <div style="font-weight: 600; margin-bottom: 8px; color: #fb923c;">Order Items:</div>
-                  ${order.items.map(item => `
-                    <div style="display: flex; justify-content: space-between; margin-bottom: 6px; font-size: 13px;">
-                      <span style="color: #e2e8f0;">${item.name} × ${item.quantity}</span>
-                      <span style="color: #fb923c; font-weight: 600;">₹${(item.price * item.quantity).toLocaleString()}</span>
-                    </div>
-                  `).join('')}
-                  <div style="border-top: 1px solid #334155; margin-top: 8px; padding-top: 8px; display: flex; justify-content: space-between; font-weight: 700;">
-                    <span style="color: #e2e8f0;">Total:</span>
-                    <span style="color: #fb923c; font-size: 18px;">₹${order.total.toLocaleString()}</span>
-                  </div>
-                </div>
-
-                <div style="display: flex; gap: 8px;">
-                  <button class="btn btn-primary" style="flex: 1; padding: 10px; font-size: 13px;" onclick="app.printOrderSummary('${order.id}')">🖨️ Print Summary</button>
-                  <button class="btn" style="padding: 10px 16px; font-size: 13px; background: rgba(244, 63, 94, 0.1); color: #f87171; border: 1px solid #f87171;" onclick="app.deleteOrder('${order.id}')">🗑️</button>
-                </div>
-              </div>
-            `).join('') : `
-              <div style="grid-column: 1 / -1; text-align: center; padding: 60px; color: #94a3b8;">
-                <div style="font-size: 48px; margin-bottom: 16px;">📋</div>
-                <div style="font-size: 18px;">No orders yet</div>
-              </div>
-            `}
-          </div>
-        </div>
-      </div>
-    `;
-  }
-
-  // Print order summary
-  printOrderSummary(orderId) {
-    const order = this.orders.find(o => o.id == orderId)
-    if (!order) {
-      alert('Order not found')
-      return
-    }
-
-    const printWindow = window.open('', '_blank')
-    printWindow.document.write(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Order #${order.id} - Manjula Mobiles</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            padding: 40px;
-            max-width: 800px;
-            margin: 0 auto;
-          }
-          .header {
-            text-align: center;
-            border-bottom: 3px solid #dc2626;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-          }
-          .header h1 {
-            color: #dc2626;
-            margin: 0 0 10px 0;
-          }
-          .header p {
-            margin: 5px 0;
-            color: #666;
-          }
-          .section {
-            margin-bottom: 30px;
-          }
-          .section-title {
-            background: #dc2626;
-            color: white;
-            padding: 10px 15px;
-            font-weight: bold;
-            margin-bottom: 15px;
-          }
-          .info-row {
-            display: flex;
-            padding: 8px 0;
-            border-bottom: 1px solid #eee;
-          }
-          .info-label {
-            font-weight: bold;
-            width: 150px;
-            color: #333;
-          }
-          .info-value {
-            flex: 1;
-            color: #666;
-          }
-          table {
-            width: 100%;
-            border-collapse: collapse;
-            margin-top: 15px;
-          }
-          th {
-            background: #f5f5f5;
-            padding: 12px;
-            text-align: left;
-            border-bottom: 2px solid #dc2626;
-          }
-          td {
-            padding: 10px 12px;
-            border-bottom: 1px solid #eee;
-          }
-          .total-row {
-            font-weight: bold;
-            font-size: 18px;
-            background: #fef2f2;
-          }
-          .total-row td {
-            padding: 15px 12px;
-            border-top: 2px solid #dc2626;
-          }
-          .footer {
-            margin-top: 50px;
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-            border-top: 2px solid #eee;
-            padding-top: 20px;
-          }
-          @media print {
-            body {
-              padding: 20px;
-            }
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>📱 MANJULA MOBIL WORLD</h1>
-          <p>The Final World of Mobile Services</p>
-          <p>📍 Ramapuram, Tamil Nadu | 📞 +91 82484 54841</p>
-          <p>✉️ manjulamobiles125@gmail.com</p>
-        </div>
-
-        <div class="section">
-          <div class="section-title">ORDER DETAILS</div>
-          <div class="info-row">
-            <div class="info-label">Order ID:</div>
-            <div class="info-value">#${order.id}</div>
-          </div>
-          <div class="info-row">
-            <div class="info-label">Order Date:</div>
-            <div class="info-value">${order.date}</div>
-          </div>
-        </div>
-
-        <div class="section">
-          <div class="section-title">CUSTOMER INFORMATION</div>
-          <div class="info-row">
-            <div class="info-label">Name:</div>
-            <div class="info-value">${order.customer.name}</div>
-          </div>
-          <div class="info-row">
-            <div class="info-label">Email:</div>
-            <div class="info-value">${order.customer.email}</div>
-          </div>
-          <div class="info-row">
-            <div class="info-label">Phone:</div>
-            <div class="info-value">${order.customer.phone}</div>
-          </div>
-          <div class="info-row">
-            <div class="info-label">Address:</div>
-            <div class="info-value">${order.customer.address}</div>
-          </div>
-        </div>
-
-        <div class="section">
-          <div class="section-title">ORDER ITEMS</div>
-          <table>
-            <thead>
-              <tr>
-                <th>Item</th>
-                <th style="text-align: center;">Quantity</th>
-                <th style="text-align: right;">Price</th>
-                <th style="text-align: right;">Subtotal</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${order.items.map(item => `
-                <tr>
-                  <td>${item.name}</td>
-                  <td style="text-align: center;">${item.quantity}</td>
-                  <td style="text-align: right;">₹${item.price.toLocaleString()}</td>
-                  <td style="text-align: right;">₹${(item.price * item.quantity).toLocaleString()}</td>
-                </tr>
-              `).join('')}
-              <tr class="total-row">
-                <td colspan="3" style="text-align: right;">TOTAL:</td>
-                <td style="text-align: right; color: #dc2626;">₹${order.total.toLocaleString()}</td>
-              </tr>
-            </tbody>
-          </table>
-        </div>
-
-        <div class="footer">
-          <p>Thank you for your business!</p>
-          <p>For any queries, please contact us at +91 82484 54841</p>
-        </div>
-
-        <script>
-          window.onload = function() {
-            window.print();
-          }
-        </script>
-      </body>
-      </html>
-    `)
-    printWindow.document.close()
-  }
-
-  // Delete order
-  async deleteOrder(orderId) {
-    if (confirm('Are you sure you want to delete this order?')) {
-      try {
-        console.log('🚀 Starting delete process for order:', orderId);
-        await this.deleteOrderFromStorage(orderId);
-        console.log('✅ Delete completed, re-rendering page');
-        await this.renderPage('admin-orders');
-        alert('✅ Order deleted successfully!');
-      } catch (error) {
-        console.error('❌ Delete failed with error:', error);
-        alert(`❌ Failed to delete order: ${error.message}\n\nPlease check:\n1. Server is running\n2. Internet connection\n3. Browser console (F12) for details`);
-      }
-    }
-  }
 }
 
 // Initialize EmailJS when available
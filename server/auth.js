@@ -0,0 +1,109 @@
+// Owner portal authentication helpers - password hashing, staff roles and signed session tokens
+const crypto = require('crypto');
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_DURATION = 12 * 60 * 60 * 1000; // 12 hours
+
+if (!process.env.SESSION_SECRET) {
+  console.log('⚠️ SESSION_SECRET not set - sessions will be lost when the server restarts');
+}
+
+// Hash a password with a random salt (stored as "scrypt$salt$hash")
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Compare a password against a stored hash in constant time
+function verifyPassword(password, storedHash) {
+  if (!storedHash || typeof storedHash !== 'string') return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Staff roles and what each one may do in the owner portal
+const ROLES = ['owner', 'technician', 'cashier'];
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'products:create', 'products:edit', 'products:price', 'products:cost', 'products:stock', 'products:delete',
+    'tracking:read', 'tracking:create', 'tracking:update', 'tracking:delete', 'tracking:credentials', 'tracking:passcode',
+    'tracking:assign', 'tracking:quote',
+    'orders:read', 'orders:create', 'orders:update', 'orders:delete', 'payments:verify',
+    'inventory:read', 'purchasing:read', 'purchasing:manage', 'purchasing:receive',
+    'reports:revenue', 'reports:profit', 'staff:manage'
+  ],
+  technician: [
+    'products:edit',
+    'tracking:read', 'tracking:create', 'tracking:update', 'tracking:passcode'
+  ],
+  cashier: [
+    'products:edit',
+    'tracking:read', 'tracking:create',
+    'orders:read', 'orders:create', 'orders:update', 'payments:verify',
+    'inventory:read', 'purchasing:read', 'purchasing:receive'
+  ]
+};
+
+function getPermissions(user) {
+  return ROLE_PERMISSIONS[user && user.role] || [];
+}
+
+function hasPermission(user, permission) {
+  return getPermissions(user).includes(permission);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+// Create a signed session token for a user
+function createSessionToken(user) {
+  const payload = {
+    sub: user._id.toString(),
+    sv: user.sessionVersion || 0,
+    exp: Date.now() + SESSION_DURATION
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+// Verify a session token - returns the payload or null if invalid/expired
+function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  SESSION_DURATION
+};
@@ -0,0 +1,249 @@
+// GST tax invoices - financial-year invoice numbers, per-line CGST/SGST from product tax classes, PDF output
+const PDFDocument = require('pdfkit');
+
+// GST slabs a product can be put in. Shop prices include GST, so tax is taken out of the price.
+const TAX_CLASSES = {
+  'exempt': { label: 'Exempt (0%)', rate: 0 },
+  'gst-5': { label: 'GST 5%', rate: 5 },
+  'gst-18': { label: 'GST 18%', rate: 18 },
+  'gst-40': { label: 'GST 40%', rate: 40 }
+};
+
+const DEFAULT_TAX_CLASS = 'gst-18';
+
+// HSN (goods) / SAC (services) code used when a product has none of its own
+const DEFAULT_HSN_BY_CATEGORY = {
+  Smartphones: '8517',
+  Accessories: '8517',
+  Chargers: '8504',
+  Audio: '8518',
+  Power: '8507',
+  Services: '9987'
+};
+
+// Orders that have been paid for or sent out can be invoiced
+const INVOICEABLE_STATUSES = ['Paid', 'Processing', 'Shipped', 'Delivered'];
+
+// Seller details printed on every invoice - GSTIN must be set for tax invoices
+function getShopDetails() {
+  return {
+    name: process.env.SHOP_LEGAL_NAME || 'Manjula Mobile World',
+    address: process.env.SHOP_ADDRESS || 'Ramapuram, Chennai, Tamil Nadu 600089',
+    phone: process.env.SHOP_PHONE || '+91-82484-54841',
+    gstin: (process.env.SHOP_GSTIN || '').trim().toUpperCase(),
+    state: process.env.SHOP_STATE || 'Tamil Nadu',
+    stateCode: process.env.SHOP_STATE_CODE || '33'
+  };
+}
+
+// Indian financial year (April to March) of a date in shop time, e.g. "2026-27"
+function getFinancialYear(date = new Date()) {
+  const [year, month] = date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+// "MMW/2026-27/0001" - GST allows up to 16 characters of letters, digits, "/" and "-"
+function formatInvoiceNumber(financialYear, seq) {
+  return `MMW/${financialYear}/${String(seq).padStart(4, '0')}`;
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Split each tax-inclusive order line into taxable value and CGST/SGST (intra-state supply).
+// Line amounts always add up to what the customer paid.
+function buildInvoiceLines(items, productsById) {
+  return items.map(item => {
+    const product = productsById.get(String(item.productId)) || {};
+    const taxClass = TAX_CLASSES[product.taxClass] ? product.taxClass : DEFAULT_TAX_CLASS;
+    const rate = TAX_CLASSES[taxClass].rate;
+    const amount = roundMoney(item.lineTotal ?? item.price * item.quantity);
+    const taxableValue = roundMoney(amount * 100 / (100 + rate));
+    const tax = roundMoney(amount - taxableValue);
+    const cgst = roundMoney(tax / 2);
+
+    return {
+      description: item.name,
+      hsnCode: product.hsnCode || DEFAULT_HSN_BY_CATEGORY[product.category] || '',
+      quantity: item.quantity,
+      unitPrice: item.price,
+      taxClass,
+      rate,
+      taxableValue,
+      cgst,
+      sgst: roundMoney(tax - cgst),
+      amount
+    };
+  });
+}
+
+function sumInvoiceLines(lines) {
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  return {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    total: sum('amount')
+  };
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven',
+  'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function wordsBelowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const restWords = rest < 20 ? ONES[rest] : `${TENS[Math.floor(rest / 10)]} ${ONES[rest % 10]}`.trim();
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', restWords].filter(Boolean).join(' ');
+}
+
+// Rupee amount in words using the Indian system (lakh, crore)
+function amountInWords(amount) {
+  let rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+  const parts = [];
+
+  for (const [unit, size] of [['Crore', 10000000], ['Lakh', 100000], ['Thousand', 1000]]) {
+    if (rupees >= size) {
+      parts.push(`${unit === 'Crore' ? amountInWords(Math.floor(rupees / size)).replace(/^Rupees | Only$/g, '') : wordsBelowThousand(Math.floor(rupees / size))} ${unit}`);
+      rupees %= size;
+    }
+  }
+  if (rupees > 0) parts.push(wordsBelowThousand(rupees));
+
+  const words = `Rupees ${parts.join(' ') || 'Zero'}`;
+  return `${paise ? `${words} and ${wordsBelowThousand(paise)} Paise` : words} Only`;
+}
+
+// The standard PDF fonts have no rupee sign
+const formatAmount = (amount) => amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Render a stored invoice (see orderSchema.invoice) as an A4 PDF - resolves to a Buffer
+function renderInvoicePdf(order) {
+  const { invoice } = order;
+  const { seller } = invoice;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Tax Invoice ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Seller and invoice details
+    doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', left, 40, { width, align: 'center' });
+    doc.moveDown(0.5);
+    const headerTop = doc.y;
+    doc.fontSize(12).text(seller.name, left, headerTop);
+    doc.font('Helvetica').fontSize(9)
+      .text(seller.address)
+      .text(`Phone: ${seller.phone}`)
+      .text(`GSTIN: ${seller.gstin}`)
+      .text(`State: ${seller.state} (${seller.stateCode})`);
+    const sellerBottom = doc.y;
+
+    doc.fontSize(9);
+    const metaX = left + width / 2 + 40;
+    [
+      ['Invoice No', invoice.number],
+      ['Invoice Date', new Date(invoice.issuedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })],
+      ['Order No', order.orderId],
+      ['Place of Supply', `${seller.state} (${seller.stateCode})`]
+    ].forEach(([label, value], index) => {
+      const y = headerTop + index * 14;
+      doc.font('Helvetica-Bold').text(label, metaX, y, { width: 80 });
+      doc.font('Helvetica').text(value, metaX + 80, y, { width: width / 2 - 120 });
+    });
+
+    // Customer
+    let y = Math.max(sellerBottom, headerTop + 60) + 12;
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left, y + 8);
+    doc.font('Helvetica').fontSize(9)
+      .text(order.customer?.name || 'Walk-in customer')
+      .text(order.customer?.phone ? `Phone: ${order.customer.phone}` : '')
+      .text(order.customer?.address || '', { width: width / 2 });
+    y = doc.y + 12;
+
+    // Line items
+    const columns = [
+      { header: '#', width: 20, align: 'left', value: (line, index) => String(index + 1) },
+      { header: 'Description', width: 150, align: 'left', value: line => line.description },
+      { header: 'HSN/SAC', width: 48, align: 'left', value: line => line.hsnCode },
+      { header: 'Qty', width: 28, align: 'right', value: line => String(line.quantity) },
+      { header: 'Taxable', width: 62, align: 'right', value: line => formatAmount(line.taxableValue) },
+      { header: 'GST %', width: 34, align: 'right', value: line => `${line.rate}%` },
+      { header: 'CGST', width: 50, align: 'right', value: line => formatAmount(line.cgst) },
+      { header: 'SGST', width: 50, align: 'right', value: line => formatAmount(line.sgst) },
+      { header: 'Amount', width: width - 442, align: 'right', value: line => formatAmount(line.amount) }
+    ];
+
+    const drawRow = (values, font) => {
+      let x = left;
+      const rowHeight = Math.max(...values.map((value, i) => doc.font(font).heightOfString(value, { width: columns[i].width - 4 })));
+      if (y + rowHeight > doc.page.height - doc.page.margins.bottom - 120) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      values.forEach((value, i) => {
+        doc.font(font).text(value, x + 2, y, { width: columns[i].width - 4, align: columns[i].align });
+        x += columns[i].width;
+      });
+      y += rowHeight + 6;
+    };
+
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    y += 6;
+    drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+    doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+    invoice.lines.forEach((line, index) => drawRow(columns.map(column => column.value(line, index)), 'Helvetica'));
+    doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+    // Totals
+    y += 6;
+    const totalsX = left + width - 220;
+    [
+      ['Taxable Value', invoice.totals.taxableValue],
+      ['CGST', invoice.totals.cgst],
+      ['SGST', invoice.totals.sgst],
+      ['Invoice Total (Rs.)', invoice.totals.total]
+    ].forEach(([label, amount], index, rows) => {
+      const font = index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+      doc.font(font).fontSize(index === rows.length - 1 ? 11 : 9);
+      doc.text(label, totalsX, y, { width: 120 });
+      doc.text(formatAmount(amount), totalsX + 120, y, { width: 100, align: 'right' });
+      y += 16;
+    });
+
+    doc.font('Helvetica').fontSize(9)
+      .text(`Amount in words: ${amountInWords(invoice.totals.total)}`, left, y + 6, { width })
+      .moveDown(0.5)
+      .text('Prices are inclusive of GST. Tax is payable on reverse charge: No.', { width })
+      .moveDown(2)
+      .font('Helvetica-Bold').text(`For ${seller.name}`, { width, align: 'right' })
+      .moveDown(2)
+      .font('Helvetica').text('Authorised Signatory', { width, align: 'right' })
+      .moveDown(2)
+      .fontSize(8).fillColor('#666666').text('This is a computer-generated invoice.', { width, align: 'center' });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  TAX_CLASSES,
+  DEFAULT_TAX_CLASS,
+  DEFAULT_HSN_BY_CATEGORY,
+  INVOICEABLE_STATUSES,
+  getShopDetails,
+  getFinancialYear,
+  formatInvoiceNumber,
+  buildInvoiceLines,
+  sumInvoiceLines,
+  amountInWords,
+  renderInvoicePdf
+};
@@ -0,0 +1,88 @@
+// Resized copies of uploaded product photos so pages never download a full-resolution original
+const sharp = require('sharp');
+const { MEDIA_URL_PREFIX } = require('./mediaStore');
+
+// Longest edge in pixels for each rendition
+const RENDITION_SIZES = {
+  thumb: 160, // Gallery thumbnails, cart
+  card: 480, // Product grid cards
+  zoom: 1600 // Full-screen gallery
+};
+
+const RENDITION_FORMATS = ['webp', 'jpg'];
+
+// "<hash>-<size>.<format>" - the hash is the original file's, so renditions share its lifetime
+const RENDITION_KEY_PATTERN = /^([a-f0-9]{64})-(thumb|card|zoom)\.(webp|jpg)$/;
+
+function getRenditionKey(hash, size, format) {
+  return `${hash}-${size}.${format}`;
+}
+
+function parseRenditionKey(key) {
+  const match = typeof key === 'string' && key.match(RENDITION_KEY_PATTERN);
+  return match ? { hash: match[1], size: match[2], format: match[3] } : null;
+}
+
+// Resize and re-encode - EXIF orientation is applied and metadata (GPS etc.) is dropped
+async function renderRendition(buffer, size, format) {
+  const edge = RENDITION_SIZES[size];
+
+  try {
+    const image = sharp(buffer, { failOn: 'error' })
+      .rotate()
+      .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true });
+
+    if (format === 'webp') {
+      return await image.webp({ quality: 80 }).toBuffer();
+    }
+    // JPEG has no transparency - put PNG/WebP cut-outs on white
+    return await image.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+  } catch (error) {
+    const renderError = new Error(`This image could not be processed: ${error.message}`);
+    renderError.status = 400;
+    throw renderError;
+  }
+}
+
+// Create every rendition of an original that was just stored - returns { size: { format: url } }
+async function createRenditions(mediaStore, original, buffer) {
+  const hash = original.key.split('.')[0];
+  const renditions = {};
+
+  for (const size of Object.keys(RENDITION_SIZES)) {
+    renditions[size] = {};
+    for (const format of RENDITION_FORMATS) {
+      const key = getRenditionKey(hash, size, format);
+      const stored = (await mediaStore.exists(key))
+        ? { url: `${MEDIA_URL_PREFIX}${key}` }
+        : await mediaStore.saveDerived(key, await renderRendition(buffer, size, format));
+      renditions[size][format] = stored.url;
+    }
+  }
+
+  return renditions;
+}
+
+// Build a missing rendition on first request (uploads from before renditions existed, migrated images)
+async function ensureRendition(mediaStore, key) {
+  const rendition = parseRenditionKey(key);
+  if (!rendition) return false;
+  if (await mediaStore.exists(key)) return true;
+
+  const originalKey = await mediaStore.findOriginalKey(rendition.hash);
+  if (!originalKey) return false;
+
+  const original = await mediaStore.readBuffer(originalKey);
+  await mediaStore.saveDerived(key, await renderRendition(original, rendition.size, rendition.format));
+  return true;
+}
+
+module.exports = {
+  RENDITION_SIZES,
+  RENDITION_FORMATS,
+  getRenditionKey,
+  parseRenditionKey,
+  renderRendition,
+  createRenditions,
+  ensureRendition
+};
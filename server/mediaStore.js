@@ -0,0 +1,190 @@
+// Media store - keeps uploaded images out of MongoDB documents, addressed by the SHA-256 of their contents
+//
+// A backend is any object with:
+//   exists(key)                   -> Promise<boolean>
+//   write(key, buffer, mimeType)  -> Promise<void>
+//   read(key)                     -> Promise<Readable|null>
+//   remove(key)                   -> Promise<void>
+// The local-disk backend ships here; object storage (S3, R2, GCS...) can be added with registerMediaBackend().
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MEDIA_URL_PREFIX = '/media/';
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const MIME_BY_EXTENSION = Object.fromEntries(
+  Object.entries(IMAGE_TYPES).map(([mimeType, extension]) => [extension, mimeType])
+);
+
+// Keys are "<sha256>.<ext>", or "<sha256>-<variant>.<ext>" for files derived from an original
+// (see imageRenditions.js) - anything else is never passed to a backend
+const MEDIA_KEY_PATTERN = /^[a-f0-9]{64}(-[a-z]+)?\.(jpg|png|webp|gif)$/;
+
+// Work out the image type from the file's first bytes rather than trusting the client
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+
+  return null;
+}
+
+function isMediaKey(key) {
+  return typeof key === 'string' && MEDIA_KEY_PATTERN.test(key);
+}
+
+function getMimeType(key) {
+  return MIME_BY_EXTENSION[path.extname(key).slice(1)] || 'application/octet-stream';
+}
+
+// Decode a "data:image/...;base64,..." string into a buffer (null if it isn't one)
+function decodeDataUrl(dataUrl) {
+  if (typeof dataUrl !== 'string') return null;
+
+  const match = dataUrl.match(/^data:image\/[a-z0-9.+-]+;base64,(.+)$/is);
+  if (!match) return null;
+
+  return Buffer.from(match[1], 'base64');
+}
+
+// Files live in <rootDir>/<first two hash characters>/<key> so no directory grows too large
+function createLocalDiskBackend({ rootDir }) {
+  const filePath = (key) => path.join(rootDir, key.slice(0, 2), key);
+
+  return {
+    name: 'local',
+
+    async exists(key) {
+      try {
+        await fs.promises.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async write(key, buffer) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      // Write to a temp file first so a half-written file is never served
+      const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(temp, buffer);
+      await fs.promises.rename(temp, target);
+    },
+
+    async read(key) {
+      if (!(await this.exists(key))) return null;
+      return fs.createReadStream(filePath(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+const backendFactories = {
+  local: createLocalDiskBackend
+};
+
+// Make another storage backend available through MEDIA_BACKEND=<name>
+function registerMediaBackend(name, factory) {
+  backendFactories[name] = factory;
+}
+
+function createMediaStore(options = {}) {
+  const backendName = options.backend || process.env.MEDIA_BACKEND || 'local';
+  const factory = backendFactories[backendName];
+  if (!factory) {
+    throw new Error(`Unknown media backend "${backendName}"`);
+  }
+
+  const backend = factory({
+    rootDir: options.rootDir || process.env.MEDIA_ROOT || path.join(__dirname, 'media'),
+    ...options
+  });
+
+  return {
+    backend,
+
+    // Store an image and return where it can be fetched - identical files are only stored once
+    async saveImage(buffer) {
+      const mimeType = detectImageType(buffer);
+      if (!mimeType) {
+        const error = new Error('Only JPEG, PNG, WebP and GIF images can be uploaded');
+        error.status = 400;
+        throw error;
+      }
+
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const key = `${hash}.${IMAGE_TYPES[mimeType]}`;
+
+      if (!(await backend.exists(key))) {
+        await backend.write(key, buffer, mimeType);
+      }
+
+      return { key, url: `${MEDIA_URL_PREFIX}${key}`, mimeType, size: buffer.length };
+    },
+
+    async read(key) {
+      return isMediaKey(key) ? backend.read(key) : null;
+    },
+
+    async readBuffer(key) {
+      const stream = await this.read(key);
+      if (!stream) return null;
+
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    },
+
+    async exists(key) {
+      return isMediaKey(key) && backend.exists(key);
+    },
+
+    // Store a file derived from an original (e.g. a resized copy) under a caller-chosen key
+    async saveDerived(key, buffer) {
+      if (!isMediaKey(key)) throw new Error(`Invalid media key "${key}"`);
+      if (!(await backend.exists(key))) {
+        await backend.write(key, buffer, getMimeType(key));
+      }
+      return { key, url: `${MEDIA_URL_PREFIX}${key}`, mimeType: getMimeType(key), size: buffer.length };
+    },
+
+    // Key of the original upload with this content hash, whatever its format
+    async findOriginalKey(hash) {
+      for (const extension of Object.values(IMAGE_TYPES)) {
+        const key = `${hash}.${extension}`;
+        if (await this.exists(key)) return key;
+      }
+      return null;
+    },
+
+    async remove(key) {
+      if (isMediaKey(key)) await backend.remove(key);
+    }
+  };
+}
+
+module.exports = {
+  MEDIA_URL_PREFIX,
+  createMediaStore,
+  registerMediaBackend,
+  createLocalDiskBackend,
+  detectImageType,
+  decodeDataUrl,
+  isMediaKey,
+  getMimeType
+};
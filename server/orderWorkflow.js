@@ -0,0 +1,73 @@
+// Order status workflow - the statuses an order can be in and the moves allowed between them
+const ORDER_STATUSES = [
+  'Pending',
+  'Payment Verification Pending',
+  'Paid',
+  'Payment Rejected',
+  'Processing',
+  'Shipped',
+  'Delivered',
+  'Cancelled'
+];
+
+// Allowed next statuses for each status (Delivered and Cancelled are final)
+const ORDER_TRANSITIONS = {
+  'Pending': ['Processing', 'Cancelled'],
+  'Payment Verification Pending': ['Paid', 'Payment Rejected', 'Cancelled'],
+  'Paid': ['Processing', 'Cancelled'],
+  'Payment Rejected': ['Paid', 'Cancelled'], // A rejected payment can still be accepted if the customer proves it
+  'Processing': ['Shipped', 'Delivered', 'Cancelled'],
+  'Shipped': ['Delivered', 'Cancelled'],
+  'Delivered': [],
+  'Cancelled': []
+};
+
+// Ways the storefront lets customers pay
+const PAYMENT_METHODS = ['Cash on Delivery', 'UPI Payment (Screenshot Uploaded)'];
+
+// Statuses only reachable by recording a payment check (UPI reference, amount or reason)
+const PAYMENT_VERIFICATION_STATUSES = ['Paid', 'Payment Rejected'];
+
+// Orders that never became a sale, and orders whose UPI payment hasn't been checked yet.
+// Revenue leaves both out - unchecked payments are reported next to it instead.
+const NON_SALE_STATUSES = ['Cancelled', 'Payment Rejected'];
+const UNVERIFIED_PAYMENT_STATUSES = ['Payment Verification Pending'];
+
+// Status a new order starts in - orders paid by screenshot wait for the owner to check the payment
+function getInitialOrderStatus({ hasPaymentScreenshot }) {
+  return hasPaymentScreenshot ? 'Payment Verification Pending' : 'Pending';
+}
+
+function getNextOrderStatuses(status) {
+  return ORDER_TRANSITIONS[status] || [];
+}
+
+function canTransitionOrder(from, to) {
+  return getNextOrderStatuses(from).includes(to);
+}
+
+// Revenue from order totals grouped by status ({ _id: status, total, orders }), with unchecked UPI
+// payments counted separately
+function summarizeRevenue(groups) {
+  const summary = { revenue: 0, orders: 0, unverified: { revenue: 0, orders: 0 } };
+  for (const group of groups) {
+    if (NON_SALE_STATUSES.includes(group._id)) continue;
+    const bucket = UNVERIFIED_PAYMENT_STATUSES.includes(group._id) ? summary.unverified : summary;
+    bucket.revenue += group.total || 0;
+    bucket.orders += group.orders || 0;
+  }
+  return summary;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  PAYMENT_METHODS,
+  PAYMENT_VERIFICATION_STATUSES,
+  NON_SALE_STATUSES,
+  UNVERIFIED_PAYMENT_STATUSES,
+  getInitialOrderStatus,
+  getNextOrderStatuses,
+  canTransitionOrder,
+  summarizeRevenue
+};
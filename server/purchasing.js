@@ -0,0 +1,79 @@
+// Purchase orders from suppliers - statuses, receiving progress and landed cost of received stock
+const PURCHASE_ORDER_STATUSES = [
+  'Draft',
+  'Ordered',
+  'Partially Received',
+  'Received',
+  'Closed',
+  'Cancelled'
+];
+
+// Moves staff can make by hand - Partially Received and Received are set by booking in deliveries.
+// Closed means the rest of a partly delivered order is not coming.
+const PURCHASE_ORDER_TRANSITIONS = {
+  'Draft': ['Ordered', 'Cancelled'],
+  'Ordered': ['Cancelled'],
+  'Partially Received': ['Closed'],
+  'Received': [],
+  'Closed': [],
+  'Cancelled': []
+};
+
+// Line items and prices can only be changed before anything has arrived
+const EDITABLE_STATUSES = ['Draft', 'Ordered'];
+const RECEIVABLE_STATUSES = ['Ordered', 'Partially Received'];
+
+function getNextPurchaseOrderStatuses(status) {
+  return PURCHASE_ORDER_TRANSITIONS[status] || [];
+}
+
+function canTransitionPurchaseOrder(from, to) {
+  return getNextPurchaseOrderStatuses(from).includes(to);
+}
+
+// Status once deliveries have been booked in against the order's lines
+function getReceivedStatus(items) {
+  if (items.every(item => item.quantityReceived >= item.quantityOrdered)) return 'Received';
+  if (items.some(item => item.quantityReceived > 0)) return 'Partially Received';
+  return 'Ordered';
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Spread a delivery's extra charges (freight, courier, packing) over its lines in proportion to
+// their value, giving the landed cost of one unit of each line. Lines are { quantity, unitCost }.
+// If every line is free the charges are spread by quantity instead.
+function allocateLandedCost(lines, extraCharges = 0) {
+  const totalValue = lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+  const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  return lines.map(line => {
+    const lineValue = line.quantity * line.unitCost;
+    const share = totalValue > 0 ? lineValue / totalValue : line.quantity / totalQuantity;
+    const lineCharges = extraCharges * share;
+
+    return {
+      ...line,
+      landedUnitCost: roundMoney(line.unitCost + lineCharges / line.quantity)
+    };
+  });
+}
+
+// Quantity-weighted average of the landed cost already recorded on a line and a new delivery
+function averageLandedCost(previousQuantity, previousCost, quantity, cost) {
+  const totalQuantity = previousQuantity + quantity;
+  if (totalQuantity === 0) return cost;
+  return roundMoney(((previousCost || 0) * previousQuantity + cost * quantity) / totalQuantity);
+}
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  PURCHASE_ORDER_TRANSITIONS,
+  EDITABLE_STATUSES,
+  RECEIVABLE_STATUSES,
+  getNextPurchaseOrderStatuses,
+  canTransitionPurchaseOrder,
+  getReceivedStatus,
+  allocateLandedCost,
+  averageLandedCost
+};
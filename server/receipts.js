@@ -0,0 +1,288 @@
+// Thermal receipts - order receipts and repair job cards as ESC/POS bytes or narrow printable HTML
+//
+// A receipt is a list of rows, rendered to the printer's character width:
+//   { type: 'text', text, align: 'left'|'center'|'right', bold, large }
+//   { type: 'pair', left, right, bold }   - label on the left, amount on the right
+//   { type: 'rule' }                      - dashed line across the paper
+//   { type: 'feed', lines }               - blank lines
+const { getShopDetails } = require('./gstInvoice');
+
+// Characters per line in the printer's standard font
+const PAPER_WIDTHS = {
+  58: 32,
+  80: 48
+};
+
+const DEFAULT_PAPER_WIDTH = 80;
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Job cards say how the lock was shared, never the passcode itself
+const PASSCODE_LABELS = {
+  'pin': 'PIN given',
+  'pattern': 'Pattern given',
+  'password': 'Password given',
+  'not-shared': 'Not shared by customer'
+};
+
+const formatAmount = (amount) => (Number(amount) || 0).toFixed(2);
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata'
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'Asia/Kolkata'
+});
+
+// Printers only have a single-byte code page - keep to plain ASCII
+function toPrintable(text) {
+  return String(text ?? '')
+    .replace(/₹/g, 'Rs.')
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^\x20-\x7e\n]/g, '');
+}
+
+// Break text into lines of at most `width` characters, on spaces where possible.
+// A paragraph's leading indent is kept on every line it wraps onto.
+function wrapText(text, width) {
+  width = Math.max(width, 1);
+  const lines = [];
+  for (const paragraph of toPrintable(text).split('\n')) {
+    const indent = paragraph.match(/^\s*/)[0].slice(0, width - 1);
+    const room = width - indent.length;
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + 1 + word.length > room) {
+        lines.push(indent + line);
+        line = '';
+      }
+      let rest = word;
+      while (rest.length > room) {
+        lines.push(indent + rest.slice(0, room));
+        rest = rest.slice(room);
+      }
+      line = line ? `${line} ${rest}` : rest;
+    }
+    lines.push(indent + line);
+  }
+  return lines;
+}
+
+function alignText(text, width, align) {
+  if (align === 'right') return text.padStart(width);
+  if (align === 'center') return ' '.repeat(Math.floor((width - text.length) / 2)) + text;
+  return text;
+}
+
+// A value too long to sit beside its label goes on its own line, right-aligned
+function pairLine(left, right, width) {
+  const rightText = toPrintable(right);
+  if (rightText.length > width - 2) {
+    return [
+      ...wrapText(left, width),
+      ...wrapText(rightText, width).map(text => text.padStart(width))
+    ];
+  }
+
+  const leftLines = wrapText(left, width - rightText.length - 1);
+  const last = leftLines.pop();
+  return [...leftLines, last.padEnd(width - rightText.length) + rightText];
+}
+
+// Shop name, address and GSTIN at the top of every receipt
+function headerRows(shop) {
+  return [
+    { type: 'text', text: shop.name, align: 'center', bold: true, large: true },
+    { type: 'text', text: shop.address, align: 'center' },
+    { type: 'text', text: `Ph: ${shop.phone}`, align: 'center' },
+    ...(shop.gstin ? [{ type: 'text', text: `GSTIN: ${shop.gstin}`, align: 'center' }] : []),
+    { type: 'rule' }
+  ];
+}
+
+function buildOrderReceipt(order, shop = getShopDetails()) {
+  const rows = [
+    ...headerRows(shop),
+    { type: 'text', text: order.invoice?.number ? 'TAX INVOICE' : 'RECEIPT', align: 'center', bold: true },
+    { type: 'pair', left: 'Order', right: order.orderId },
+    ...(order.invoice?.number ? [{ type: 'pair', left: 'Invoice', right: order.invoice.number }] : []),
+    { type: 'pair', left: 'Date', right: formatDateTime(order.orderDate || order.createdAt) },
+    { type: 'text', text: `Customer: ${order.customer?.name || 'Walk-in'}` },
+    ...(order.customer?.phone ? [{ type: 'text', text: `Phone: ${order.customer.phone}` }] : []),
+    { type: 'rule' }
+  ];
+
+  for (const item of order.items || []) {
+    rows.push({ type: 'text', text: item.name });
+    rows.push({ type: 'pair', left: `  ${item.quantity} x ${formatAmount(item.price)}`, right: formatAmount(item.lineTotal ?? item.price * item.quantity) });
+  }
+
+  rows.push({ type: 'rule' });
+  if (order.discount > 0) {
+    rows.push({ type: 'pair', left: 'MRP Total', right: formatAmount(order.subtotal) });
+    rows.push({ type: 'pair', left: 'You Save', right: `-${formatAmount(order.discount)}` });
+  }
+  if (order.invoice?.totals) {
+    rows.push({ type: 'pair', left: 'Taxable Value', right: formatAmount(order.invoice.totals.taxableValue) });
+    rows.push({ type: 'pair', left: 'CGST', right: formatAmount(order.invoice.totals.cgst) });
+    rows.push({ type: 'pair', left: 'SGST', right: formatAmount(order.invoice.totals.sgst) });
+  }
+  rows.push({ type: 'pair', left: 'TOTAL Rs.', right: formatAmount(order.total), bold: true });
+  rows.push({ type: 'text', text: `Paid by: ${order.paymentMethod || '-'}` });
+  rows.push({ type: 'text', text: `Status: ${order.status}` });
+  rows.push({ type: 'rule' });
+  rows.push({ type: 'text', text: 'Thank you for shopping with us!', align: 'center' });
+  rows.push({ type: 'feed', lines: 3 });
+
+  return rows;
+}
+
+// Catalog parts fitted to a repair, priced as billed
+function partsRows(parts = []) {
+  if (parts.length === 0) return [];
+
+  return [
+    { type: 'text', text: 'Parts fitted:', bold: true },
+    ...parts.flatMap(part => [
+      { type: 'text', text: part.name },
+      { type: 'pair', left: `  ${part.quantity} x ${formatAmount(part.unitPrice)}`, right: formatAmount(part.amount) }
+    ]),
+    { type: 'pair', left: 'Parts total', right: formatAmount(parts.reduce((sum, part) => sum + (part.amount || 0), 0)), bold: true },
+    { type: 'rule' }
+  ];
+}
+
+// Warranty registered when the repair was completed, with the last day of each term
+function warrantyRows(warranty) {
+  if (!warranty?.terms?.length) return [];
+
+  return [
+    { type: 'text', text: 'Warranty:', bold: true },
+    ...warranty.terms.map(term => ({ type: 'pair', left: `  ${term.description} (${term.days} days)`, right: `till ${formatDate(term.expiresAt)}` })),
+    { type: 'rule' }
+  ];
+}
+
+function buildJobCardReceipt(tracking, shop = getShopDetails()) {
+  return [
+    ...headerRows(shop),
+    { type: 'text', text: 'REPAIR JOB CARD', align: 'center', bold: true, large: true },
+    { type: 'pair', left: 'Job / QR ID', right: tracking.qrId, bold: true },
+    ...(tracking.warrantyClaimOf?.qrId ? [{ type: 'pair', left: 'Warranty claim on', right: tracking.warrantyClaimOf.qrId, bold: true }] : []),
+    { type: 'pair', left: 'Received', right: tracking.createdAt ? formatDateTime(tracking.createdAt) : '' },
+    ...(tracking.promisedBy ? [{ type: 'pair', left: 'Ready by', right: formatDate(tracking.promisedBy), bold: true }] : []),
+    { type: 'rule' },
+    { type: 'text', text: `Customer: ${tracking.customerName || '-'}` },
+    ...(tracking.contact ? [{ type: 'text', text: `Phone: ${tracking.contact}` }] : []),
+    { type: 'text', text: `Device: ${tracking.deviceModel || tracking.productName || '-'}` },
+    ...(tracking.imei ? [{ type: 'text', text: `IMEI: ${tracking.imei}` }] : []),
+    ...(tracking.serialNumber ? [{ type: 'text', text: `Serial: ${tracking.serialNumber}` }] : []),
+    ...(tracking.passcodeType && tracking.passcodeType !== 'none' ? [{ type: 'text', text: `Screen lock: ${PASSCODE_LABELS[tracking.passcodeType] || tracking.passcodeType}` }] : []),
+    { type: 'text', text: 'Issue:', bold: true },
+    { type: 'text', text: tracking.issue || '-' },
+    ...(tracking.conditionNotes ? [
+      { type: 'text', text: 'Condition at intake:', bold: true },
+      { type: 'text', text: tracking.conditionNotes }
+    ] : []),
+    { type: 'text', text: `Accessories: ${tracking.accessories?.length ? tracking.accessories.join(', ') : 'None'}` },
+    { type: 'rule' },
+    ...partsRows(tracking.parts),
+    { type: 'pair', left: 'Estimated time', right: `${tracking.estimatedDays || '-'} day(s)` },
+    { type: 'pair', left: 'Status', right: tracking.status || 'Received' },
+    ...(tracking.amountCharged ? [{ type: 'pair', left: 'Amount Rs.', right: formatAmount(tracking.amountCharged), bold: true }] : []),
+    { type: 'rule' },
+    ...warrantyRows(tracking.warranty),
+    { type: 'text', text: 'Track your repair on our website with this QR ID and the password you were given.', align: 'center' },
+    { type: 'text', text: 'Bring this slip to collect your device.', align: 'center' },
+    { type: 'feed', lines: 2 },
+    { type: 'text', text: 'Customer signature: ____________', align: 'left' },
+    { type: 'feed', lines: 3 }
+  ];
+}
+
+// Plain-text lines of a receipt at the given character width (what both renderers print)
+function layoutReceipt(rows, columns) {
+  const lines = [];
+  for (const row of rows) {
+    if (row.type === 'rule') {
+      lines.push({ text: '-'.repeat(columns) });
+    } else if (row.type === 'feed') {
+      for (let i = 0; i < (row.lines || 1); i++) lines.push({ text: '' });
+    } else if (row.type === 'pair') {
+      pairLine(row.left, row.right, columns).forEach(text => lines.push({ text, bold: row.bold }));
+    } else {
+      // Double-size text takes two character cells per letter
+      const width = row.large ? Math.max(Math.floor(columns / 2), 1) : columns;
+      wrapText(row.text, width).forEach(text => lines.push({
+        text: alignText(text, width, row.align),
+        bold: row.bold,
+        large: row.large,
+        align: row.align
+      }));
+    }
+  }
+  return lines;
+}
+
+// ESC/POS byte stream: initialise, print each line, feed and cut
+function renderEscPos(rows, { paperWidth = DEFAULT_PAPER_WIDTH } = {}) {
+  const columns = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[DEFAULT_PAPER_WIDTH];
+  const bytes = [ESC, 0x40]; // Initialise printer
+
+  for (const line of layoutReceipt(rows, columns)) {
+    bytes.push(ESC, 0x45, line.bold ? 1 : 0); // Bold on/off
+    bytes.push(GS, 0x21, line.large ? 0x11 : 0x00); // Double width and height on/off
+    bytes.push(...Buffer.from(line.text.trimEnd(), 'latin1'), 0x0a);
+  }
+
+  bytes.push(ESC, 0x45, 0, GS, 0x21, 0x00);
+  bytes.push(GS, 0x56, 0x42, 0x00); // Feed to the cutter and cut
+  return Buffer.from(bytes);
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Narrow HTML page for printers without an ESC/POS bridge - opens the print dialog itself
+function renderReceiptHtml(rows, { paperWidth = DEFAULT_PAPER_WIDTH, title = 'Receipt' } = {}) {
+  const width = PAPER_WIDTHS[paperWidth] ? paperWidth : DEFAULT_PAPER_WIDTH;
+  const columns = PAPER_WIDTHS[width];
+
+  const body = layoutReceipt(rows, columns).map(line => {
+    const style = `${line.bold ? 'font-weight:bold;' : ''}${line.large ? 'font-size:2em;line-height:1.1;' : ''}`;
+    return `<div${style ? ` style="${style}"` : ''}>${escapeHtml(line.text.trimEnd()) || '&nbsp;'}</div>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${width}mm auto; margin: 0; }
+  body { margin: 0; padding: 2mm; width: ${width - 4}mm; font-family: 'Courier New', monospace; font-size: ${width === 58 ? 9 : 10}px; white-space: pre; }
+  @media screen { body { margin: 16px auto; box-shadow: 0 0 8px rgba(0, 0, 0, 0.2); background: #fff; } html { background: #eee; } }
+</style>
+</head>
+<body>
+${body}
+<script>window.onload = function () { window.print(); };</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  PAPER_WIDTHS,
+  DEFAULT_PAPER_WIDTH,
+  buildOrderReceipt,
+  buildJobCardReceipt,
+  layoutReceipt,
+  renderEscPos,
+  renderReceiptHtml
+};
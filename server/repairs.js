@@ -0,0 +1,211 @@
+// Repair jobs - device identifiers, passcodes and what was handed over at intake
+const crypto = require('crypto');
+
+// Repair stages in order - the owner portal board has a column for each.
+// Awaiting Pickup is for devices going back unrepaired after the customer declined the quote.
+const REPAIR_STATUSES = [
+  'Received',
+  'Diagnostics',
+  'In Progress',
+  'Parts Ordered',
+  'Quality Check',
+  'Ready for Pickup',
+  'Awaiting Pickup',
+  'Completed'
+];
+
+// The shop's work is done once the device is waiting for the customer - these can't be overdue
+const REPAIR_DONE_STATUSES = ['Ready for Pickup', 'Awaiting Pickup', 'Completed'];
+const DEFAULT_ESTIMATED_DAYS = 2;
+
+// Quotes are lines of parts and labour. The customer approves or declines the whole quote.
+const QUOTE_LINE_KINDS = ['part', 'labour'];
+const QUOTE_STATUSES = ['Pending', 'Approved', 'Declined'];
+const MAX_QUOTE_LINES = 30;
+
+// Where a quote decision takes the repair
+const QUOTE_DECISION_STATUS = {
+  approve: 'In Progress',
+  decline: 'Awaiting Pickup'
+};
+
+// Warranty is given per part fitted and on the service itself, running from the day the repair is Completed.
+// A term of 0 days means no warranty on that line.
+const WARRANTY_KINDS = ['part', 'service'];
+const WARRANTY_DAY_OPTIONS = [0, 30, 60, 90, 180];
+const DEFAULT_WARRANTY_DAYS = {
+  part: 90,
+  service: 30
+};
+const MAX_WARRANTY_TERMS = 30;
+
+// How the customer shared the device's screen lock. Patterns are stored as the dots in order (1-9, left to right, top to bottom).
+const PASSCODE_TYPES = ['none', 'pin', 'pattern', 'password', 'not-shared'];
+
+const MAX_ACCESSORIES = 20;
+const MAX_INTAKE_PHOTOS = 8;
+
+// Fields staff may set when booking a repair in or updating it. Everything else - the QR ID and
+// password, assignment, quote, parts, photos, warranty and history - has its own route.
+const TRACKING_EDITABLE_FIELDS = [
+  'customerName', 'productName', 'deviceModel', 'contact', 'issue', 'status', 'estimatedDays',
+  'imei', 'serialNumber', 'passcodeType', 'passcode', 'accessories', 'conditionNotes',
+  'amountCharged', 'partsCost', 'lastUpdated'
+];
+
+// 15-digit IMEI with a valid Luhn check digit
+function isValidImei(imei) {
+  if (!/^\d{15}$/.test(imei)) return false;
+
+  const sum = [...imei].reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return sum % 10 === 0;
+}
+
+// Device passcodes have to be read back by the technician, so they are encrypted rather than hashed.
+// The key comes from REPAIR_PASSCODE_KEY (falling back to SESSION_SECRET); passcodes saved under
+// another key can't be read and come back as null.
+const getPasscodeKey = () => {
+  const secret = process.env.REPAIR_PASSCODE_KEY || process.env.SESSION_SECRET;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+};
+
+// Encrypt a passcode as "aes256gcm$iv$tag$ciphertext" (hex)
+function encryptPasscode(passcode) {
+  const key = getPasscodeKey();
+  if (!key) return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(String(passcode), 'utf8'), cipher.final()]);
+  return `aes256gcm$${iv.toString('hex')}$${cipher.getAuthTag().toString('hex')}$${encrypted.toString('hex')}`;
+}
+
+function decryptPasscode(stored) {
+  const key = getPasscodeKey();
+  if (!key || typeof stored !== 'string') return null;
+
+  const [scheme, iv, tag, encrypted] = stored.split('$');
+  if (scheme !== 'aes256gcm' || !iv || !tag || !encrypted) return null;
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Line amounts and parts/labour/grand totals for quote lines of { kind, quantity, unitPrice }
+function sumQuote(items) {
+  const lines = items.map(item => ({ ...item, amount: roundMoney(item.quantity * item.unitPrice) }));
+  const total = (kind) => roundMoney(lines.filter(line => !kind || line.kind === kind).reduce((sum, line) => sum + line.amount, 0));
+  return {
+    items: lines,
+    partsTotal: total('part'),
+    labourTotal: total('labour'),
+    total: total()
+  };
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const IST_OFFSET = 5.5 * 60 * 60 * 1000;
+
+// Promised-by date: the end of the shop-local (IST) day estimatedDays after the device was received,
+// e.g. received on the 19th with a 2 day estimate -> ready by the end of the 21st
+function getPromisedByDate(receivedAt, estimatedDays) {
+  const days = Number.isFinite(Number(estimatedDays)) && Number(estimatedDays) >= 0 ? Math.ceil(Number(estimatedDays)) : DEFAULT_ESTIMATED_DAYS;
+  const istTime = new Date(receivedAt).getTime() + IST_OFFSET;
+  const istMidnight = istTime - (istTime % DAY);
+  return new Date(istMidnight + (days + 1) * DAY - 1 - IST_OFFSET);
+}
+
+function isRepairOverdue(tracking, now = new Date()) {
+  return !REPAIR_DONE_STATUSES.includes(tracking.status) && !!tracking.promisedBy && new Date(tracking.promisedBy) < now;
+}
+
+// Repairs booked before real dates were kept have createdAt as a "dd/mm/yyyy" display string
+function parseLegacyRepairDate(text) {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(String(text || '').trim());
+  if (match) {
+    const [, day, month, year] = match;
+    const date = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T00:00:00+05:30`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const date = new Date(text);
+  return text && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+// Default warranty for a repair: each stock part fitted (or, failing that, each part on the approved quote)
+// and the service. Terms are { kind, description, days }.
+function defaultWarrantyTerms(tracking) {
+  const parts = (tracking.parts || []).length > 0
+    ? tracking.parts.map(part => part.name)
+    : tracking.quote?.status === 'Approved'
+      ? (tracking.quote.items || []).filter(item => item.kind === 'part').map(item => item.description)
+      : [];
+
+  return [
+    ...parts.map(description => ({ kind: 'part', description, days: DEFAULT_WARRANTY_DAYS.part })),
+    { kind: 'service', description: 'Repair service', days: DEFAULT_WARRANTY_DAYS.service }
+  ];
+}
+
+// Warranty terms with their expiry dates - lines given no warranty are left out
+function buildWarrantyTerms(terms, startsAt) {
+  return terms
+    .filter(term => term.days > 0)
+    .map(term => ({ ...term, expiresAt: new Date(new Date(startsAt).getTime() + term.days * DAY) }));
+}
+
+// Copy only TRACKING_EDITABLE_FIELDS from a request body - operator keys like $set never get through
+function pickTrackingFields(body) {
+  const fields = {};
+  if (!body || typeof body !== 'object') return fields;
+  for (const field of TRACKING_EDITABLE_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(body, field)) fields[field] = body[field];
+  }
+  return fields;
+}
+
+function isUnderWarranty(term, now = new Date()) {
+  return !!term.expiresAt && new Date(term.expiresAt) > now;
+}
+
+module.exports = {
+  REPAIR_STATUSES,
+  REPAIR_DONE_STATUSES,
+  DEFAULT_ESTIMATED_DAYS,
+  QUOTE_LINE_KINDS,
+  QUOTE_STATUSES,
+  MAX_QUOTE_LINES,
+  QUOTE_DECISION_STATUS,
+  WARRANTY_KINDS,
+  WARRANTY_DAY_OPTIONS,
+  DEFAULT_WARRANTY_DAYS,
+  MAX_WARRANTY_TERMS,
+  PASSCODE_TYPES,
+  MAX_ACCESSORIES,
+  MAX_INTAKE_PHOTOS,
+  TRACKING_EDITABLE_FIELDS,
+  isValidImei,
+  encryptPasscode,
+  decryptPasscode,
+  sumQuote,
+  defaultWarrantyTerms,
+  buildWarrantyTerms,
+  isUnderWarranty,
+  getPromisedByDate,
+  isRepairOverdue,
+  pickTrackingFields,
+  parseLegacyRepairDate
+};
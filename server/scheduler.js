@@ -0,0 +1,47 @@
+// Daily background jobs run at a fixed shop-local (IST) time of day
+const IST_OFFSET = 5.5 * 60 * 60 * 1000; // India has no daylight saving, so the offset is fixed
+const DAY = 24 * 60 * 60 * 1000;
+
+// Milliseconds until the next hour:minute IST
+function msUntilNext(hour, minute, now = Date.now()) {
+  const istNow = now + IST_OFFSET;
+  const istMidnight = istNow - (istNow % DAY);
+  let next = istMidnight + (hour * 60 + minute) * 60 * 1000;
+  if (next <= istNow) next += DAY;
+  return next - istNow;
+}
+
+// Whether today's run time (IST) has already passed
+function isPastToday(hour, minute, now = Date.now()) {
+  return (now + IST_OFFSET) % DAY >= (hour * 60 + minute) * 60 * 1000;
+}
+
+// Run a task every day at hour:minute IST. With catchUp, a run that was missed today
+// (server asleep or restarted) happens straight away - tasks must be safe to repeat.
+function scheduleDaily(name, { hour, minute = 0, catchUp = false }, task) {
+  const run = async () => {
+    try {
+      console.log(`⏰ Running daily job: ${name}`);
+      await task();
+    } catch (error) {
+      console.error(`❌ Daily job ${name} failed:`, error.message);
+    }
+  };
+
+  const scheduleNext = () => {
+    setTimeout(async () => {
+      await run();
+      scheduleNext();
+    }, msUntilNext(hour, minute)).unref();
+  };
+
+  if (catchUp && isPastToday(hour, minute)) {
+    run();
+  }
+  scheduleNext();
+}
+
+module.exports = {
+  scheduleDaily,
+  msUntilNext
+};
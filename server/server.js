@@ -4,11 +4,104 @@ const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
 require('dotenv').config();
 
 // Import keep-alive service
 require('../keep-alive');
 
+// Owner portal authentication helpers
+const {
+  ROLES,
+  getPermissions,
+  hasPermission,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken
+} = require('./auth');
+
+// Order status workflow
+const {
+  ORDER_STATUSES,
+  PAYMENT_METHODS,
+  PAYMENT_VERIFICATION_STATUSES,
+  NON_SALE_STATUSES,
+  getInitialOrderStatus,
+  getNextOrderStatuses,
+  canTransitionOrder,
+  summarizeRevenue
+} = require('./orderWorkflow');
+
+// Uploaded image storage
+const { createMediaStore, decodeDataUrl, getMimeType } = require('./mediaStore');
+const { createRenditions, ensureRendition } = require('./imageRenditions');
+
+// Daily background jobs
+const { scheduleDaily } = require('./scheduler');
+
+// Supplier purchase orders
+const {
+  PURCHASE_ORDER_STATUSES,
+  EDITABLE_STATUSES,
+  RECEIVABLE_STATUSES,
+  getNextPurchaseOrderStatuses,
+  canTransitionPurchaseOrder,
+  getReceivedStatus,
+  allocateLandedCost,
+  averageLandedCost
+} = require('./purchasing');
+
+// GST tax invoices
+const {
+  TAX_CLASSES,
+  INVOICEABLE_STATUSES,
+  getShopDetails,
+  getFinancialYear,
+  formatInvoiceNumber,
+  buildInvoiceLines,
+  sumInvoiceLines,
+  renderInvoicePdf
+} = require('./gstInvoice');
+
+// Thermal printer receipts and job cards
+const {
+  PAPER_WIDTHS,
+  DEFAULT_PAPER_WIDTH,
+  buildOrderReceipt,
+  buildJobCardReceipt,
+  renderEscPos,
+  renderReceiptHtml
+} = require('./receipts');
+
+// Repair job stages and intake details
+const {
+  REPAIR_STATUSES,
+  REPAIR_DONE_STATUSES,
+  QUOTE_LINE_KINDS,
+  QUOTE_STATUSES,
+  MAX_QUOTE_LINES,
+  QUOTE_DECISION_STATUS,
+  WARRANTY_KINDS,
+  WARRANTY_DAY_OPTIONS,
+  MAX_WARRANTY_TERMS,
+  PASSCODE_TYPES,
+  MAX_ACCESSORIES,
+  MAX_INTAKE_PHOTOS,
+  isValidImei,
+  encryptPasscode,
+  decryptPasscode,
+  sumQuote,
+  defaultWarrantyTerms,
+  buildWarrantyTerms,
+  isUnderWarranty,
+  getPromisedByDate,
+  isRepairOverdue,
+  pickTrackingFields,
+  parseLegacyRepairDate
+} = require('./repairs');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -23,10 +116,13 @@ const io = socketIo(server, {
   pingInterval: 25000
 });
 
+// Trust the hosting proxy so req.ip is the real client address (used for rate limiting)
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Increase payload limit for images
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+app.use(express.json({ limit: '2mb' })); // Images are uploaded as multipart files, not inside JSON
+app.use(express.urlencoded({ limit: '2mb', extended: true }));
 
 // Serve static files from client directory
 const clientPath = path.join(__dirname, '../client');
@@ -58,6 +154,22 @@ mongoose.connect(MONGODB_URI, {
         console.log('ℹ️ Could not drop index:', err.message);
       }
     });
+
+    // Create the owner account from environment variables on first run
+    seedOwnerAccount();
+
+    // Hash any repair tracking passwords still stored in plain text
+    migrateTrackingPasswords();
+
+    // Give repairs booked before real dates were kept a received date and a promised-by date
+    migrateTrackingDates();
+
+    // Move base64 images out of documents (only when MIGRATE_INLINE_MEDIA=true)
+    migrateInlineMedia();
+
+    // Daily staff digests (catch up on today's if the server was asleep at the scheduled time)
+    scheduleDaily('low-stock digest', { hour: 9, catchUp: true }, sendLowStockDigest);
+    scheduleDaily('repair due-date digest', { hour: 9, catchUp: true }, sendRepairDueDigest);
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
@@ -75,7 +187,14 @@ const productSchema = new mongoose.Schema({
   imageUrl2: String,
   rating: Number,
   reviews: Number,
-  inStock: { type: Boolean, index: true },
+  inStock: { type: Boolean, index: true }, // Kept in sync with stockQuantity when stock is tracked
+  stockQuantity: { type: Number, default: null, min: 0 }, // Units on hand - null means stock isn't tracked
+  reorderThreshold: { type: Number, default: null, min: 0 }, // Reorder when stock falls to this level
+  // What one unit costs us - average landed cost of received stock, or entered by the owner.
+  // Never sent to the storefront: only loaded with select('+costPrice') for owner reports.
+  costPrice: { type: Number, default: null, min: 0, select: false },
+  taxClass: String, // Key of TAX_CLASSES in gstInvoice.js - GST 18% when not set
+  hsnCode: String, // HSN (goods) or SAC (services) code - defaults by category when not set
   badge: String,
   qrId: String,
   qrPassword: String,
@@ -84,7 +203,10 @@ const productSchema = new mongoose.Schema({
 }, { 
   timestamps: true,
   // Optimize for read performance
-  autoIndex: true
+  autoIndex: true,
+  // Documents are broadcast to every storefront - keep the cost out of them
+  toObject: { transform: (doc, ret) => { delete ret.costPrice; return ret; } },
+  toJSON: { transform: (doc, ret) => { delete ret.costPrice; return ret; } }
 });
 
 // Add compound index for common queries
@@ -93,10 +215,17 @@ productSchema.index({ createdAt: 1 });
 
 const Product = mongoose.model('Product', productSchema);
 
+// Who did something, copied onto the record at the time
+const staffStampSchema = {
+  userId: String,
+  name: String,
+  role: String
+};
+
 // Tracking Schema
 const trackingSchema = new mongoose.Schema({
   qrId: { type: String, required: true, unique: true },
-  qrPassword: String,
+  qrPassword: { type: String, select: false }, // Salted hash - never returned by queries unless asked for
   customerName: String,
   productName: String,
   deviceModel: String,
@@ -104,12 +233,191 @@ const trackingSchema = new mongoose.Schema({
   status: String,
   issue: String,
   estimatedDays: Number,
-  createdAt: String,
-  lastUpdated: String
-}, { timestamps: true });
+  promisedBy: { type: Date, index: true }, // Ready-by date from createdAt and estimatedDays (see repairs.js)
+  imei: String, // 15 digits, Luhn-checked
+  serialNumber: String,
+  assignedTo: staffStampSchema, // Technician working on the repair
+  assignedAt: Date,
+  passcodeType: { type: String, enum: PASSCODE_TYPES, default: 'none' },
+  passcode: { type: String, select: false }, // Encrypted (see repairs.js) and wiped once the repair is Completed
+  accessories: [String], // Left with the device, e.g. SIM tray, case, charger
+  conditionNotes: String, // Damage the device already had when it came in
+  intakePhotos: [{
+    url: String, // Original in the media store - thumb/card/zoom renditions are made on upload
+    takenAt: Date,
+    takenBy: staffStampSchema
+  }],
+  amountCharged: Number, // Billed to the customer for the repair
+  partsCost: Number, // What outside work and parts not taken from our own stock cost us
+  // Parts taken from the Product catalog's stock - returned to stock if removed from the job
+  parts: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    quantity: Number,
+    unitPrice: Number, // Selling price when fitted
+    unitCost: Number, // Cost price when fitted - null when the product had none
+    amount: Number,
+    reservedQuantity: { type: Number, default: 0 }, // Units taken from stock (0 when stock isn't counted)
+    addedBy: staffStampSchema,
+    addedAt: { type: Date, default: Date.now }
+  }],
+  completedAt: Date, // Set when the status becomes Completed (used by the profit report)
+  quote: {
+    items: {
+      type: [{
+        kind: { type: String, enum: QUOTE_LINE_KINDS },
+        description: String,
+        quantity: Number,
+        unitPrice: Number,
+        amount: Number
+      }],
+      default: undefined
+    },
+    partsTotal: Number,
+    labourTotal: Number,
+    total: Number,
+    note: String, // Shown to the customer with the quote
+    status: { type: String, enum: QUOTE_STATUSES },
+    sentAt: Date,
+    sentBy: staffStampSchema,
+    decidedAt: Date,
+    decidedBy: staffStampSchema // Role "customer" when answered from the tracking page
+  },
+  // Registered when the repair is Completed - see repairs.js for the default terms
+  warranty: {
+    startsAt: Date,
+    terms: {
+      type: [{
+        kind: { type: String, enum: WARRANTY_KINDS },
+        description: String,
+        days: Number,
+        expiresAt: Date
+      }],
+      default: undefined
+    },
+    registeredBy: staffStampSchema
+  },
+  // Set on a job opened to honour the warranty of an earlier repair (labour is free on these)
+  warrantyClaimOf: {
+    qrId: String,
+    terms: { type: [String], default: undefined } // Descriptions of the warranty terms claimed
+  },
+  // Claims made against this repair's warranty
+  warrantyClaims: [{
+    qrId: String, // The job opened for the claim
+    terms: [String],
+    issue: String,
+    claimedAt: Date,
+    claimedBy: staffStampSchema
+  }],
+  statusHistory: [{
+    from: String, // Previous status (empty for the status the repair was booked in with)
+    to: String, // Same as from for a note added without a status change
+    note: String, // Shown to the customer on the tracking page
+    changedBy: staffStampSchema,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  lastUpdated: String // Display string written by the portal - updatedAt is the real date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.qrPassword;
+      delete ret.passcode;
+      // Worked out here so the portal doesn't keep its own copy of REPAIR_DONE_STATUSES
+      ret.open = !REPAIR_DONE_STATUSES.includes(ret.status);
+      ret.overdue = isRepairOverdue(ret);
+      // Terms the portal offers when the repair is completed (see defaultWarrantyTerms)
+      if (!ret.completedAt) ret.defaultWarrantyTerms = defaultWarrantyTerms(ret);
+      return ret;
+    }
+  }
+});
 
 const Tracking = mongoose.model('Tracking', trackingSchema);
 
+// Generate a customer-friendly tracking password (no look-alike characters)
+const generateTrackingPassword = (length = 8) => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.randomBytes(length), byte => alphabet[byte % alphabet.length]).join('');
+};
+
+// One-time migration: hash tracking passwords saved before hashing was introduced
+const migrateTrackingPasswords = async () => {
+  try {
+    const legacy = await Tracking.find({
+      qrPassword: { $exists: true, $ne: null, $not: /^scrypt\$/ }
+    }).select('+qrPassword');
+
+    for (const tracking of legacy) {
+      tracking.qrPassword = hashPassword(tracking.qrPassword);
+      await tracking.save();
+    }
+
+    if (legacy.length > 0) {
+      console.log(`✅ Hashed ${legacy.length} plain-text tracking password(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Tracking password migration failed:', error.message);
+  }
+};
+
+// One-time migration: repairs booked before real dates were kept have createdAt as a "dd/mm/yyyy"
+// string and no promised-by date. Runs on the raw collection because the schema now casts to Date.
+const migrateTrackingDates = async () => {
+  try {
+    const legacy = await Tracking.collection.find(
+      { $or: [{ createdAt: { $not: { $type: 'date' } } }, { promisedBy: { $exists: false } }] },
+      { projection: { createdAt: 1, estimatedDays: 1 } }
+    ).toArray();
+
+    for (const tracking of legacy) {
+      const receivedAt = tracking.createdAt instanceof Date
+        ? tracking.createdAt
+        : parseLegacyRepairDate(tracking.createdAt) || tracking._id.getTimestamp();
+      await Tracking.collection.updateOne(
+        { _id: tracking._id },
+        { $set: { createdAt: receivedAt, promisedBy: getPromisedByDate(receivedAt, tracking.estimatedDays) } }
+      );
+    }
+
+    if (legacy.length > 0) {
+      console.log(`✅ Added real dates to ${legacy.length} repair tracking record(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Tracking date migration failed:', error.message);
+  }
+};
+
+// Fields a customer may see about their own repair (no password or contact number)
+const toPublicTracking = (tracking) => ({
+  qrId: tracking.qrId,
+  customerName: tracking.customerName,
+  productName: tracking.productName,
+  deviceModel: tracking.deviceModel,
+  status: tracking.status,
+  issue: tracking.issue,
+  estimatedDays: tracking.estimatedDays,
+  promisedBy: tracking.promisedBy,
+  createdAt: tracking.createdAt,
+  lastUpdated: tracking.lastUpdated,
+  statusHistory: (tracking.statusHistory || []).map(entry => ({
+    status: entry.to,
+    note: entry.note || '',
+    changedAt: entry.changedAt
+  })),
+  quote: tracking.quote?.status ? {
+    items: (tracking.quote.items || []).map(({ kind, description, quantity, unitPrice, amount }) => ({ kind, description, quantity, unitPrice, amount })),
+    partsTotal: tracking.quote.partsTotal,
+    labourTotal: tracking.quote.labourTotal,
+    total: tracking.quote.total,
+    note: tracking.quote.note || '',
+    status: tracking.quote.status,
+    sentAt: tracking.quote.sentAt,
+    decidedAt: tracking.quote.decidedAt
+  } : null
+});
+
 // Order Schema
 const orderSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true },
@@ -120,300 +428,1534 @@ const orderSchema = new mongoose.Schema({
     address: String
   },
   items: [{
-    id: Number,
+    productId: String,
     name: String,
-    price: Number,
+    price: Number, // Unit price charged, taken from the Product collection
+    originalPrice: Number, // Unit MRP at the time of the order
     quantity: Number,
-    image: String
+    lineTotal: Number,
+    unitCost: Number, // Product cost price when sold - kept for profit reports, never sent to the browser
+    image: String,
+    reservedQuantity: { type: Number, default: 0 } // Units taken from stock for this line (returned on cancellation)
   }],
-  total: Number,
+  subtotal: Number, // Sum of MRP x quantity
+  discount: Number, // Savings against MRP
+  total: Number, // Amount payable (subtotal - discount), always computed by the server
   paymentMethod: String,
-  status: { type: String, default: 'Pending' },
+  status: { type: String, default: 'Pending' }, // Only changed through POST /api/orders/:orderId/status
+  statusHistory: [{
+    from: String, // Previous status (empty for the status the order was placed in)
+    to: String,
+    note: String,
+    changedBy: {
+      userId: String,
+      name: String,
+      role: String
+    },
+    changedAt: { type: Date, default: Date.now }
+  }],
   orderDate: { type: Date, default: Date.now },
   paymentScreenshot: {
-    imageUrl: String, // URL to the uploaded image (local or cloud)
-    data: String, // Base64 data as backup
+    imageUrl: String, // /media URL of the stored screenshot
+    data: String, // Legacy inline base64 - moved to the media store by migrateInlineMedia
     fileName: String,
     uploadTime: String
+  },
+  invoice: { // GST tax invoice, fixed when first issued so every download is identical
+    number: String,
+    financialYear: String,
+    issuedAt: Date,
+    seller: {
+      name: String,
+      address: String,
+      phone: String,
+      gstin: String,
+      state: String,
+      stateCode: String
+    },
+    lines: {
+      type: [{
+        _id: false,
+        description: String,
+        hsnCode: String,
+        quantity: Number,
+        unitPrice: Number,
+        taxClass: String,
+        rate: Number,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        amount: Number
+      }],
+      default: undefined // Orders without an invoice don't get an empty list
+    },
+    totals: {
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      total: Number
+    }
+  },
+  paymentVerification: {
+    decision: { type: String, enum: ['approve', 'reject'] },
+    upiReference: String, // Transaction reference from the customer's UPI app
+    amountReceived: Number, // Amount actually credited to the shop account
+    reason: String, // Why the payment was rejected
+    verifiedBy: {
+      userId: String,
+      name: String,
+      role: String
+    },
+    verifiedAt: Date
   }
 }, { 
   timestamps: true,
-  strict: false // Allow additional fields that might not be in schema
+  strict: false, // Allow additional fields that might not be in schema
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.nextStatuses = getNextOrderStatuses(ret.status);
+      (ret.items || []).forEach(item => delete item.unitCost);
+      return ret;
+    }
+  }
 });
 
 const Order = mongoose.model('Order', orderSchema);
 
-// Image upload to cloud storage - DISABLED (no file saving)
-const uploadImageToCloud = async (base64Data, fileName) => {
-  try {
-    // File saving disabled - screenshots only stored in database as base64
-    console.log('📸 File saving disabled - screenshots stored in database only');
-    return null; // No file URL returned
-    
-    /* File saving functionality disabled
-    const base64Image = base64Data.split(',')[1];
-    console.log('📸 Using local storage for image upload');
-    return await saveImageLocally(base64Data, fileName);
-    */
-  } catch (error) {
-    console.error('❌ Cloud upload disabled');
-    return null;
-  }
+// Counter Schema - atomic sequences (one document per sequence key)
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 }
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+// Atomically take the next number in a sequence - safe across concurrent requests
+const nextSequence = async (key) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
 };
 
-// File saving disabled - screenshots only stored in database
-const saveImageLocally = async (base64Data, fileName) => {
-  console.log('📸 File saving disabled - screenshots stored in database only');
-  return null; // No file saving
-  
-  /* File saving functionality disabled
-  try {
-    const fs = require('fs');
-    const path = require('path');
-    
-    // Create uploads directory if it doesn't exist
-    const uploadsDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
+// Notification Schema - staff alerts (daily digests etc.) shown in the owner portal
+const notificationSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // Deduplicates repeated runs, e.g. "low-stock-20261019"
+  type: String,
+  title: String,
+  message: String,
+  data: mongoose.Schema.Types.Mixed,
+  permission: String, // Only staff with this permission see it
+  readBy: [String] // User ids
+}, { timestamps: true });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+// Supplier Schema - distributors we buy parts and accessories from
+const supplierSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  contactName: String,
+  phone: String,
+  email: String,
+  gstin: String,
+  address: String,
+  notes: String,
+  active: { type: Boolean, default: true } // Suppliers with purchase orders are deactivated, not deleted
+}, { timestamps: true });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+// Purchase Order Schema - stock ordered from a supplier and the deliveries booked in against it
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: { type: String, required: true, unique: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  supplierName: String, // Copied when the order is created
+  status: { type: String, enum: PURCHASE_ORDER_STATUSES, default: 'Draft' },
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    name: String,
+    quantityOrdered: { type: Number, required: true, min: 1 },
+    quantityReceived: { type: Number, default: 0 },
+    unitCost: { type: Number, required: true, min: 0 }, // Agreed price per unit before extra charges
+    landedUnitCost: Number // Average per received unit including its share of delivery charges
+  }],
+  expectedDate: Date,
+  notes: String,
+  receipts: [{
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: staffStampSchema,
+    supplierInvoice: String, // Supplier's bill number
+    extraCharges: { type: Number, default: 0 }, // Freight, courier, packing etc. on this delivery
+    note: String,
+    items: [{
+      productId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      quantity: Number,
+      unitCost: Number, // As billed - can differ from the ordered price
+      landedUnitCost: Number
+    }]
+  }],
+  createdBy: staffStampSchema
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.total = Math.round((ret.items || []).reduce((sum, item) => sum + item.quantityOrdered * item.unitCost, 0) * 100) / 100;
+      ret.nextStatuses = getNextPurchaseOrderStatuses(ret.status);
+      return ret;
     }
-    
-    // Remove the data:image/...;base64, prefix
-    const base64Image = base64Data.split(',')[1];
-    const buffer = Buffer.from(base64Image, 'base64');
-    
-    // Generate unique filename
-    const timestamp = Date.now();
-    const extension = fileName.split('.').pop() || 'png';
-    const uniqueFileName = `screenshot-${timestamp}.${extension}`;
-    const filePath = path.join(uploadsDir, uniqueFileName);
-    
-    // Save file
-    fs.writeFileSync(filePath, buffer);
-    
-    // Return URL path
-    return `/uploads/${uniqueFileName}`;
-  } catch (error) {
-    console.error('❌ Local save failed:', error);
-    throw error;
   }
-  */
+});
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+// Shop-local (IST) calendar date as YYYYMMDD
+const getShopDateKey = (date = new Date()) => {
+  return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).replace(/-/g, '');
 };
 
-// Serve uploaded images
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Human-readable order number with a daily sequence, e.g. MMW-20261019-0042
+const generateOrderNumber = async () => {
+  const dateKey = getShopDateKey();
+  const seq = await nextSequence(`order-${dateKey}`);
+  return `MMW-${dateKey}-${String(seq).padStart(4, '0')}`;
+};
 
-// SEO Routes
-app.get('/sitemap.xml', (req, res) => {
-  res.sendFile(path.join(clientPath, 'sitemap.xml'));
-});
+// Purchase order number with a daily sequence, e.g. PO-20261019-03
+const generatePurchaseOrderNumber = async () => {
+  const dateKey = getShopDateKey();
+  const seq = await nextSequence(`po-${dateKey}`);
+  return `PO-${dateKey}-${String(seq).padStart(2, '0')}`;
+};
 
-app.get('/robots.txt', (req, res) => {
-  res.sendFile(path.join(clientPath, 'robots.txt'));
-});
+// Repair job (tracking QR) ID with a daily sequence, e.g. RJ-20261019-03
+const generateRepairJobNumber = async () => {
+  const dateKey = getShopDateKey();
+  const seq = await nextSequence(`repair-${dateKey}`);
+  return `RJ-${dateKey}-${String(seq).padStart(2, '0')}`;
+};
 
-app.get('/google5739f7b57b6f777b.html', (req, res) => {
-  res.sendFile(path.join(clientPath, 'google5739f7b57b6f777b.html'));
-});
+const MAX_ITEM_QUANTITY = 99;
 
-app.get('/business-info.json', (req, res) => {
-  res.sendFile(path.join(clientPath, 'business-info.json'));
-});
+// Error carrying an HTTP status and extra details for the JSON response
+const createHttpError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
 
-// Health check endpoint for keep-alive and monitoring
-app.get('/health', (req, res) => {
-  const healthCheck = {
-    uptime: process.uptime(),
-    message: 'Server is running',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    memory: process.memoryUsage(),
-    pid: process.pid
-  };
-  
-  console.log(`🏥 Health check requested at ${healthCheck.timestamp}`);
-  res.status(200).json(healthCheck);
-});
+// Customer details from the checkout form - a name and phone number are needed to deliver the order
+const normalizeOrderCustomer = (customer) => {
+  const field = (name) => typeof customer?.[name] === 'string' ? customer[name].trim().slice(0, 500) : '';
+  const normalized = { name: field('name'), phone: field('phone'), email: field('email'), address: field('address') };
+  if (!normalized.name || !normalized.phone) {
+    throw createHttpError(400, 'Customer name and phone number are required');
+  }
+  return normalized;
+};
 
-// Keep-alive endpoint (lightweight)
-app.get('/ping', (req, res) => {
-  res.status(200).json({ 
-    status: 'alive', 
-    timestamp: new Date().toISOString(),
-    uptime: Math.floor(process.uptime())
-  });
-});
+// Re-price cart lines from the Product collection - the browser's prices and totals are never trusted
+const priceOrderItems = async (requestedItems) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw createHttpError(400, 'Order must contain at least one item');
+  }
 
-// DIRECT TEST - Add this button to test screenshot saving directly
-app.post('/api/direct-test', async (req, res) => {
-  try {
-    console.log('🧪 DIRECT TEST: Creating order with screenshot...');
-    
-    const testOrder = {
-      orderId: 'DIRECT-TEST-' + Date.now(),
-      customer: {
-        name: 'Test User',
-        phone: '1234567890',
-        email: 'test@test.com',
-        address: 'Test Address'
-      },
-      items: [{
-        id: 1,
-        name: 'Test Item',
-        price: 100,
-        quantity: 1
-      }],
-      total: 100,
-      paymentMethod: 'UPI Payment (Screenshot Uploaded)',
-      status: 'Payment Verification Pending',
-      paymentScreenshot: {
-        data: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
-        fileName: 'test-screenshot.png',
-        uploadTime: new Date().toISOString()
-      }
-    };
-    
-    console.log('🧪 Test order object:', {
-      orderId: testOrder.orderId,
-      hasScreenshot: !!testOrder.paymentScreenshot,
-      screenshotDataLength: testOrder.paymentScreenshot.data.length
-    });
-    
-    const order = new Order(testOrder);
-    const savedOrder = await order.save();
-    
-    console.log('✅ DIRECT TEST: Order saved successfully:', {
-      orderId: savedOrder.orderId,
-      hasScreenshot: !!savedOrder.paymentScreenshot,
-      screenshotDataLength: savedOrder.paymentScreenshot?.data?.length,
-      allFields: Object.keys(savedOrder.toObject())
+  // Merge duplicate lines for the same product
+  const quantities = new Map();
+  for (const item of requestedItems) {
+    const productId = String(item?.productId || item?._id || item?.id || '');
+    const quantity = Number(item?.quantity);
+
+    if (!mongoose.isValidObjectId(productId)) {
+      throw createHttpError(400, `Invalid product in order: ${item?.name || productId || 'unknown'}`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, `Invalid quantity for ${item?.name || productId}`);
+    }
+
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } }).select('+costPrice').lean();
+  const productsById = new Map(products.map(p => [p._id.toString(), p]));
+
+  const unavailableItems = [];
+  const items = [];
+
+  for (const [productId, quantity] of quantities) {
+    const product = productsById.get(productId);
+    const requested = requestedItems.find(i => String(i?.productId || i?._id || i?.id) === productId);
+
+    if (!product) {
+      unavailableItems.push({ productId, name: requested?.name, reason: 'Product is no longer available' });
+      continue;
+    }
+    if (!product.inStock) {
+      unavailableItems.push({ productId, name: product.name, reason: 'Out of stock' });
+      continue;
+    }
+    if (product.stockQuantity != null && quantity > product.stockQuantity) {
+      unavailableItems.push({
+        productId,
+        name: product.name,
+        reason: product.stockQuantity > 0 ? `Only ${product.stockQuantity} left in stock` : 'Out of stock',
+        availableQuantity: product.stockQuantity
+      });
+      continue;
+    }
+    if (quantity > MAX_ITEM_QUANTITY) {
+      throw createHttpError(400, `Quantity for ${product.name} cannot exceed ${MAX_ITEM_QUANTITY}`);
+    }
+
+    const price = Number(product.price) || 0;
+    const originalPrice = Math.max(Number(product.originalPrice) || price, price);
+
+    items.push({
+      productId,
+      name: product.name,
+      price,
+      originalPrice,
+      quantity,
+      lineTotal: price * quantity,
+      unitCost: product.costPrice ?? undefined,
+      image: product.image
     });
-    
-    res.json({
-      success: true,
-      orderId: savedOrder.orderId,
-      hasScreenshot: !!savedOrder.paymentScreenshot,
-      screenshotDataLength: savedOrder.paymentScreenshot?.data?.length
+  }
+
+  if (unavailableItems.length > 0) {
+    throw createHttpError(409, 'Some items in your cart are no longer available', {
+      code: 'ITEMS_UNAVAILABLE',
+      unavailableItems
     });
-    
-  } catch (error) {
-    console.error('❌ DIRECT TEST FAILED:', error);
-    res.status(500).json({ error: error.message, stack: error.stack });
   }
-});
 
-// Test endpoint to see what data we receive
-app.post('/api/debug-order', (req, res) => {
-  console.log('🔍 DEBUG: Received request body keys:', Object.keys(req.body));
-  console.log('🔍 DEBUG: Has paymentScreenshot:', !!req.body.paymentScreenshot);
-  console.log('🔍 DEBUG: PaymentScreenshot keys:', req.body.paymentScreenshot ? Object.keys(req.body.paymentScreenshot) : 'none');
-  console.log('🔍 DEBUG: Screenshot data length:', req.body.paymentScreenshot?.data?.length);
-  console.log('🔍 DEBUG: Full request body structure:', JSON.stringify(req.body, null, 2).substring(0, 1000));
-  res.json({ received: true, hasScreenshot: !!req.body.paymentScreenshot });
-});
+  const subtotal = items.reduce((sum, item) => sum + item.originalPrice * item.quantity, 0);
+  const total = items.reduce((sum, item) => sum + item.lineTotal, 0);
 
-// Test endpoint to verify schema works with screenshot data
-app.post('/api/test-screenshot', async (req, res) => {
-  try {
-    console.log('🧪 Testing screenshot save capability...');
-    
-    const testOrder = new Order({
-      orderId: 'TEST-' + Date.now(),
-      customer: { name: 'Test User', phone: '1234567890', email: 'test@test.com', address: 'Test Address' },
-      items: [{ id: 1, name: 'Test Item', price: 100, quantity: 1 }],
-      total: 100,
-      paymentMethod: 'Test Payment',
-      status: 'Test',
-      paymentScreenshot: {
-        data: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
-        fileName: 'test.png',
-        uploadTime: new Date().toISOString()
+  return { items, subtotal, discount: subtotal - total, total };
+};
+
+// Validate stock fields sent from the portal and keep inStock in step with the quantity
+const normalizeStockFields = (fields) => {
+  if ('reorderThreshold' in fields) {
+    if (fields.reorderThreshold === null || fields.reorderThreshold === '') {
+      fields.reorderThreshold = null;
+    } else {
+      const threshold = Number(fields.reorderThreshold);
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        throw createHttpError(400, 'Reorder threshold must be a whole number of 0 or more');
       }
-    });
-    
-    const saved = await testOrder.save();
-    console.log('✅ Test order saved with screenshot:', !!saved.paymentScreenshot);
-    
-    // Clean up test order
-    await Order.deleteOne({ orderId: saved.orderId });
-    
-    res.json({ success: true, hasScreenshot: !!saved.paymentScreenshot });
-  } catch (error) {
-    console.error('❌ Test failed:', error);
-    res.status(500).json({ error: error.message });
+      fields.reorderThreshold = threshold;
+    }
   }
-});
 
-// Socket.IO connection
-let connectedClients = 0;
-io.on('connection', (socket) => {
-  connectedClients++;
-  console.log('👤 Client connected:', socket.id);
-  console.log('📊 Total connected clients:', connectedClients);
-  
-  socket.on('disconnect', (reason) => {
-    connectedClients--;
-    console.log('👋 Client disconnected:', socket.id, '- Reason:', reason);
-    console.log('📊 Total connected clients:', connectedClients);
-  });
+  if (!('stockQuantity' in fields)) return fields;
 
-  socket.on('error', (error) => {
-    console.error('❌ Socket error:', error);
-  });
-});
+  if (fields.stockQuantity === null || fields.stockQuantity === '') {
+    fields.stockQuantity = null;
+    return fields;
+  }
 
-// Product Routes
+  const quantity = Number(fields.stockQuantity);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw createHttpError(400, 'Stock quantity must be a whole number of 0 or more');
+  }
+  fields.stockQuantity = quantity;
+  fields.inStock = quantity > 0;
+  return fields;
+};
 
-// Simple in-memory cache for products
-let productsCache = null;
-let cacheTimestamp = 0;
-const CACHE_DURATION = 60000; // 60 seconds - longer cache for speed
+// Validate a cost price sent from the portal (empty clears it)
+const normalizeCostPrice = (fields) => {
+  if (!('costPrice' in fields)) return fields;
 
-// Fallback products data for when database is unavailable
-const fallbackProducts = [
-  {
-    id: "fallback-1",
-    name: "iPhone 15 Pro Max",
-    category: "Smartphones",
-    price: 134900,
-    originalPrice: 159900,
-    image: "📱",
-    imageUrl: "https://store.storeimages.cdn-apple.com/4982/as-images.apple.com/is/iphone-15-pro-max-naturaltitanium-select?wid=470&hei=556&fmt=png-alpha&.v=1692845702781",
-    rating: 4.8,
-    reviews: 1250,
-    inStock: true,
-    badge: "New"
-  },
-  {
-    id: "fallback-2", 
-    name: "Samsung Galaxy S24 Ultra",
-    category: "Smartphones",
-    price: 124999,
-    originalPrice: 139999,
-    image: "📱",
-    imageUrl: "https://images.samsung.com/is/image/samsung/p6pim/in/2401/gallery/in-galaxy-s24-ultra-s928-sm-s928bztqins-thumb-539573073",
-    rating: 4.7,
-    reviews: 890,
-    inStock: true,
-    badge: "Popular"
-  },
-  {
-    id: "fallback-3",
-    name: "Screen Replacement Service",
-    category: "Services", 
-    price: 2999,
-    originalPrice: 4999,
-    image: "🔧",
-    rating: 4.9,
-    reviews: 450,
-    inStock: true,
-    badge: "Service"
+  if (fields.costPrice === null || fields.costPrice === '') {
+    fields.costPrice = null;
+    return fields;
   }
-];
 
-// Get all products
-app.get('/api/products', async (req, res) => {
-  try {
+  const costPrice = Number(fields.costPrice);
+  if (!Number.isFinite(costPrice) || costPrice < 0) {
+    throw createHttpError(400, 'Cost price must be 0 or more');
+  }
+  fields.costPrice = Math.round(costPrice * 100) / 100;
+  return fields;
+};
+
+// Validate GST fields sent from the portal (empty means use the default)
+const normalizeTaxFields = (fields) => {
+  if ('taxClass' in fields) {
+    if (!fields.taxClass) {
+      fields.taxClass = null;
+    } else if (!TAX_CLASSES[fields.taxClass]) {
+      throw createHttpError(400, `Tax class must be one of: ${Object.keys(TAX_CLASSES).join(', ')}`);
+    }
+  }
+
+  if ('hsnCode' in fields) {
+    const hsnCode = String(fields.hsnCode || '').replace(/\s+/g, '');
+    if (hsnCode && !/^\d{4,8}$/.test(hsnCode)) {
+      throw createHttpError(400, 'HSN/SAC code must be 4 to 8 digits');
+    }
+    fields.hsnCode = hsnCode || null;
+  }
+
+  return fields;
+};
+
+// Validate the device details taken at repair intake. The passcode is encrypted here - staff
+// without tracking:passcode can set it when booking a device in but never read it back.
+const normalizeRepairDetails = (fields) => {
+  if ('status' in fields && !REPAIR_STATUSES.includes(fields.status)) {
+    throw createHttpError(400, `Status must be one of: ${REPAIR_STATUSES.join(', ')}`);
+  }
+
+  if ('imei' in fields) {
+    const imei = String(fields.imei || '').replace(/[\s-]/g, '');
+    if (imei && !isValidImei(imei)) {
+      throw createHttpError(400, 'IMEI must be 15 digits (dial *#06# on the device to see it)');
+    }
+    fields.imei = imei || null;
+  }
+
+  if ('serialNumber' in fields) {
+    fields.serialNumber = String(fields.serialNumber || '').trim().toUpperCase().slice(0, 40) || null;
+  }
+
+  if ('accessories' in fields) {
+    const accessories = Array.isArray(fields.accessories) ? fields.accessories : [];
+    fields.accessories = [...new Set(accessories.map(item => String(item).trim().slice(0, 40)).filter(Boolean))];
+    if (fields.accessories.length > MAX_ACCESSORIES) {
+      throw createHttpError(400, `At most ${MAX_ACCESSORIES} accessories can be listed`);
+    }
+  }
+
+  if ('conditionNotes' in fields) {
+    fields.conditionNotes = String(fields.conditionNotes || '').trim().slice(0, 1000);
+  }
+
+  if ('passcodeType' in fields && !PASSCODE_TYPES.includes(fields.passcodeType)) {
+    throw createHttpError(400, `Passcode type must be one of: ${PASSCODE_TYPES.join(', ')}`);
+  }
+
+  if ('passcode' in fields) {
+    const passcode = String(fields.passcode || '').trim();
+    if (!passcode || ['none', 'not-shared'].includes(fields.passcodeType)) {
+      fields.passcode = undefined;
+    } else if (fields.passcodeType === 'pattern' && !/^[1-9]{4,9}$/.test(passcode)) {
+      throw createHttpError(400, 'A pattern is the dots in order, numbered 1-9 (e.g. 14789)');
+    } else {
+      fields.passcode = encryptPasscode(passcode.slice(0, 64));
+      if (!fields.passcode) {
+        throw createHttpError(503, 'Set REPAIR_PASSCODE_KEY on the server before storing device passcodes');
+      }
+    }
+  }
+
+  delete fields.intakePhotos; // Added through the photos route
+  delete fields.assignedTo; // Changed through the assign route
+  delete fields.assignedAt;
+  return fields;
+};
+
+// Tell storefronts and the portal about a stock change (open carts re-check their quantities)
+const broadcastProductStock = (product) => {
+  productsCache = null;
+  broadcastProductEvent('product-updated', { ...product.toObject(), id: product._id.toString() });
+};
+
+// Add (or with a negative delta, take) units of a tracked product, refusing to go below zero.
+// Returns the updated product, or null if there isn't enough stock or the product isn't tracked.
+const adjustStock = async (productId, delta) => {
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, stockQuantity: { $ne: null, $gte: Math.max(-delta, 0) } },
+    [
+      { $set: { stockQuantity: { $add: ['$stockQuantity', delta] } } },
+      { $set: { inStock: { $gt: ['$stockQuantity', 0] } } }
+    ],
+    { new: true }
+  );
+  if (product) broadcastProductStock(product);
+  return product;
+};
+
+// Book delivered units into stock - a product whose stock wasn't counted starts counting from here.
+// The cost price becomes the average of the stock on hand and the new units at their landed cost.
+const receiveStock = async (productId, quantity, landedUnitCost) => {
+  const onHand = { $max: [{ $ifNull: ['$stockQuantity', 0] }, 0] };
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId },
+    [
+      {
+        $set: {
+          costPrice: {
+            $cond: [
+              { $or: [{ $eq: [{ $ifNull: ['$costPrice', null] }, null] }, { $eq: [onHand, 0] }] },
+              landedUnitCost,
+              {
+                $round: [{
+                  $divide: [
+                    { $add: [{ $multiply: ['$costPrice', onHand] }, landedUnitCost * quantity] },
+                    { $add: [onHand, quantity] }
+                  ]
+                }, 2]
+              }
+            ]
+          }
+        }
+      },
+      { $set: { stockQuantity: { $add: [{ $ifNull: ['$stockQuantity', 0] }, quantity] } } },
+      { $set: { inStock: { $gt: ['$stockQuantity', 0] } } }
+    ],
+    { new: true }
+  );
+  if (product) broadcastProductStock(product);
+  return product;
+};
+
+// Take stock for every line of a new order - all or nothing
+const reserveStock = async (items) => {
+  const reserved = [];
+
+  try {
+    for (const item of items) {
+      const product = await adjustStock(item.productId, -item.quantity);
+      if (product) {
+        item.reservedQuantity = item.quantity;
+        reserved.push(item);
+        continue;
+      }
+
+      // Untracked products have nothing to reserve; anything else sold out in the meantime
+      const current = await Product.findById(item.productId).select('name stockQuantity').lean();
+      if (current && current.stockQuantity == null) {
+        item.reservedQuantity = 0;
+        continue;
+      }
+      throw createHttpError(409, 'Some items in your cart are no longer available', {
+        code: 'ITEMS_UNAVAILABLE',
+        unavailableItems: [{
+          productId: item.productId,
+          name: item.name,
+          reason: current && current.stockQuantity > 0 ? `Only ${current.stockQuantity} left in stock` : 'Out of stock',
+          availableQuantity: current ? current.stockQuantity : 0
+        }]
+      });
+    }
+  } catch (error) {
+    await releaseStock(reserved);
+    throw error;
+  }
+};
+
+// Put reserved units back on the shelf
+const releaseStock = async (items) => {
+  for (const item of items) {
+    if (item.reservedQuantity > 0) {
+      await adjustStock(item.productId, item.reservedQuantity);
+      item.reservedQuantity = 0;
+    }
+  }
+};
+
+// User Schema - owner portal staff accounts (password stored as salted hash only)
+const userSchema = new mongoose.Schema({
+  name: String,
+  phone: { type: String, required: true, unique: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, required: true },
+  active: { type: Boolean, default: true },
+  sessionVersion: { type: Number, default: 0 }, // Bumped on logout to revoke issued tokens
+  lastLoginAt: Date
+}, { timestamps: true });
+
+const User = mongoose.model('User', userSchema);
+
+// Seed the owner account from OWNER_PHONE / OWNER_PASSWORD when no users exist yet
+const seedOwnerAccount = async () => {
+  try {
+    // Accounts created before staff roles existed were all owner logins
+    await User.updateMany({ role: { $exists: false } }, { $set: { role: 'owner' } });
+
+    const userCount = await User.countDocuments();
+    if (userCount > 0) return;
+
+    if (!process.env.OWNER_PHONE || !process.env.OWNER_PASSWORD) {
+      console.log('⚠️ No owner account found - set OWNER_PHONE and OWNER_PASSWORD to create one');
+      return;
+    }
+
+    await User.create({
+      name: process.env.OWNER_NAME || 'Owner',
+      phone: process.env.OWNER_PHONE,
+      passwordHash: hashPassword(process.env.OWNER_PASSWORD),
+      role: 'owner'
+    });
+    console.log('✅ Owner account created for', process.env.OWNER_PHONE);
+  } catch (error) {
+    console.error('❌ Could not seed owner account:', error.message);
+  }
+};
+
+// Load the user a verified token belongs to - null if disabled or the session was revoked
+const findSessionUser = async (payload) => {
+  const user = await User.findById(payload.sub).lean();
+  if (!user || !user.active || (user.sessionVersion || 0) !== payload.sv) {
+    return null;
+  }
+  return user;
+};
+
+// Auth middleware - rejects requests without a valid owner session token
+const requireAuth = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const payload = verifySessionToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        error: 'Database not available. Please try again later.',
+        offline: true
+      });
+    }
+
+    const user = await findSessionUser(payload);
+    if (!user) {
+      return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Auth check failed:', error.message);
+    res.status(401).json({ error: 'Authentication required' });
+  }
+};
+
+// Permission middleware - requireAuth plus a check against the user's role
+const requirePermission = (permission) => [
+  requireAuth,
+  (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      console.log(`⛔ ${req.user.phone} (${req.user.role}) denied ${permission}`);
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+];
+
+// Public view of a user (never includes the password hash)
+const toPublicUser = (user) => ({
+  id: user._id.toString(),
+  name: user.name,
+  phone: user.phone,
+  role: user.role,
+  active: user.active !== false,
+  permissions: getPermissions(user),
+  lastLoginAt: user.lastLoginAt
+});
+
+// Media store for uploaded images (local disk by default, see mediaStore.js for other backends)
+const mediaStore = createMediaStore();
+const MAX_UPLOAD_SIZE = 15 * 1024 * 1024; // 15MB - full-resolution phone photos are resized on the server
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 }
+});
+
+// Multipart middleware for a single image field - upload errors become JSON responses
+const acceptImage = (field) => (req, res, next) => {
+  imageUpload.single(field)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Images must be smaller than ${MAX_UPLOAD_SIZE / 1024 / 1024}MB` });
+    }
+    res.status(400).json({ error: error.message });
+  });
+};
+
+// Store a "data:image/...;base64," string as a media file - other values are returned unchanged
+const storeInlineImage = async (value) => {
+  const buffer = decodeDataUrl(value);
+  if (!buffer) return value;
+
+  const { url } = await mediaStore.saveImage(buffer);
+  return url;
+};
+
+// Product images sent inline by older portal versions are stored as files too
+const storeProductImages = async (fields) => {
+  for (const field of ['imageUrl', 'imageUrl2']) {
+    if (field in fields) {
+      fields[field] = await storeInlineImage(fields[field]);
+    }
+  }
+  return fields;
+};
+
+// The default media folder is inside the app and is wiped on every deploy. Files only last when
+// MEDIA_ROOT points at a mounted disk or MEDIA_BACKEND names a storage service.
+const isMediaStoreDurable = () =>
+  !!process.env.MEDIA_ROOT || (!!process.env.MEDIA_BACKEND && process.env.MEDIA_BACKEND !== 'local');
+
+// One-time migration: move base64 images out of order and product documents into the media store.
+// Opt-in with MIGRATE_INLINE_MEDIA=true. The inline copies are deleted, so it refuses to run until
+// the media store is durable.
+const migrateInlineMedia = async () => {
+  if (process.env.MIGRATE_INLINE_MEDIA !== 'true') return;
+  if (!isMediaStoreDurable()) {
+    console.log('⚠️ Inline media migration skipped - set MEDIA_ROOT to a persistent disk (or MEDIA_BACKEND) first');
+    return;
+  }
+
+  try {
+    let orderCount = 0;
+    const orders = Order.find({ 'paymentScreenshot.data': /^data:image\// })
+      .select('orderId paymentScreenshot')
+      .lean()
+      .cursor();
+
+    for await (const order of orders) {
+      const imageUrl = await storeInlineImage(order.paymentScreenshot.data);
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { 'paymentScreenshot.imageUrl': imageUrl }, $unset: { 'paymentScreenshot.data': '' } }
+      );
+      orderCount++;
+    }
+
+    let productCount = 0;
+    const products = Product.find({ $or: [{ imageUrl: /^data:image\// }, { imageUrl2: /^data:image\// }] })
+      .select('imageUrl imageUrl2')
+      .lean()
+      .cursor();
+
+    for await (const product of products) {
+      await Product.updateOne(
+        { _id: product._id },
+        {
+          $set: {
+            imageUrl: await storeInlineImage(product.imageUrl),
+            imageUrl2: await storeInlineImage(product.imageUrl2)
+          }
+        }
+      );
+      productCount++;
+    }
+
+    if (productCount > 0) productsCache = null;
+    console.log(`✅ Moved inline images to the media store: ${orderCount} order(s), ${productCount} product(s)`);
+  } catch (error) {
+    console.error('❌ Inline media migration failed:', error.message);
+  }
+};
+
+// Serve stored media - keys are content hashes, so a file at a given URL never changes
+app.get('/media/:key', async (req, res) => {
+  try {
+    let stream = await mediaStore.read(req.params.key);
+    if (!stream && await ensureRendition(mediaStore, req.params.key)) {
+      stream = await mediaStore.read(req.params.key);
+    }
+    if (!stream) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set({
+      'Content-Type': getMimeType(req.params.key),
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    stream.on('error', (error) => {
+      console.error('❌ Error reading media file:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('❌ Error serving media:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Upload a product photo - stores the original plus thumbnail/card/zoom renditions
+// and returns the original's /media URL to save on the product
+app.post('/api/media', requirePermission('products:edit'), acceptImage('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file uploaded' });
+    }
+
+    const stored = await mediaStore.saveImage(req.file.buffer);
+    const renditions = await createRenditions(mediaStore, stored, req.file.buffer);
+    console.log(`🖼️ Stored ${stored.key} (${stored.size} bytes) with renditions`);
+    res.json({ ...stored, renditions });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error storing upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Serve uploaded images
+app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// SEO Routes
+app.get('/sitemap.xml', (req, res) => {
+  res.sendFile(path.join(clientPath, 'sitemap.xml'));
+});
+
+app.get('/robots.txt', (req, res) => {
+  res.sendFile(path.join(clientPath, 'robots.txt'));
+});
+
+app.get('/google5739f7b57b6f777b.html', (req, res) => {
+  res.sendFile(path.join(clientPath, 'google5739f7b57b6f777b.html'));
+});
+
+app.get('/business-info.json', (req, res) => {
+  res.sendFile(path.join(clientPath, 'business-info.json'));
+});
+
+// Health check endpoint for keep-alive and monitoring
+app.get('/health', (req, res) => {
+  const healthCheck = {
+    uptime: process.uptime(),
+    message: 'Server is running',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    memory: process.memoryUsage(),
+    pid: process.pid
+  };
+  
+  console.log(`🏥 Health check requested at ${healthCheck.timestamp}`);
+  res.status(200).json(healthCheck);
+});
+
+// Keep-alive endpoint (lightweight)
+app.get('/ping', (req, res) => {
+  res.status(200).json({ 
+    status: 'alive', 
+    timestamp: new Date().toISOString(),
+    uptime: Math.floor(process.uptime())
+  });
+});
+
+// Failed login and tracking lookup counters - in memory, like the products cache
+const LOOKUP_WINDOW = 15 * 60 * 1000; // Failures are counted over 15 minutes
+const LOOKUP_LOCKOUT = 15 * 60 * 1000; // Lockout length once a limit is hit
+const LOOKUP_MAX_PER_IP = 20;
+const LOOKUP_MAX_PER_QR_ID = 5;
+const LOGIN_MAX_PER_PHONE = 5;
+const lookupFailures = new Map(); // key -> { count, firstAt, lockedUntil }
+
+const getLockoutRemaining = (key) => {
+  const entry = lookupFailures.get(key);
+  if (!entry || !entry.lockedUntil) return 0;
+  return Math.max(0, entry.lockedUntil - Date.now());
+};
+
+const recordLookupFailure = (key, maxAttempts) => {
+  const now = Date.now();
+  let entry = lookupFailures.get(key);
+  if (!entry || now - entry.firstAt > LOOKUP_WINDOW) {
+    entry = { count: 0, firstAt: now, lockedUntil: 0 };
+  }
+  entry.count++;
+  if (entry.count >= maxAttempts) {
+    entry.lockedUntil = now + LOOKUP_LOCKOUT;
+  }
+  lookupFailures.set(key, entry);
+};
+
+// Drop expired counters so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of lookupFailures) {
+    if (entry.lockedUntil < now && now - entry.firstAt > LOOKUP_WINDOW) {
+      lookupFailures.delete(key);
+    }
+  }
+}, LOOKUP_WINDOW).unref();
+
+// Auth Routes
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { phone, password } = req.body || {};
+
+    if (!phone || !password) {
+      return res.status(400).json({ error: 'Phone number and password are required' });
+    }
+
+    const ipKey = `login-ip:${req.ip}`;
+    const phoneKey = `login-phone:${String(phone).trim()}`;
+    const lockedFor = Math.max(getLockoutRemaining(ipKey), getLockoutRemaining(phoneKey));
+    if (lockedFor > 0) {
+      const retryAfter = Math.ceil(lockedFor / 1000);
+      console.log(`⛔ Login locked for ${req.ip} / ${phone} (${retryAfter}s left)`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed attempts. Please try again later.', retryAfter });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        error: 'Database not available. Please try again later.',
+        offline: true
+      });
+    }
+
+    const user = await User.findOne({ phone: String(phone).trim() });
+    if (!user || !user.active || !verifyPassword(password, user.passwordHash)) {
+      console.log('⚠️ Failed owner login attempt for:', phone);
+      recordLookupFailure(ipKey, LOOKUP_MAX_PER_IP);
+      recordLookupFailure(phoneKey, LOGIN_MAX_PER_PHONE);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    lookupFailures.delete(phoneKey);
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    console.log('✅ Owner logged in:', user.phone);
+    res.json({ token: createSessionToken(user), user: toPublicUser(user) });
+  } catch (error) {
+    console.error('❌ Login error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    // Revoke every token issued to this user so far
+    await User.updateOne({ _id: req.user._id }, { $inc: { sessionVersion: 1 } });
+    disconnectUserSockets(req.user._id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Staff Routes (owner only)
+app.get('/api/users', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 }).lean();
+    res.json(users.map(toPublicUser));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { name, phone, password, role } = req.body || {};
+
+    if (!name || !phone || !password || !role) {
+      return res.status(400).json({ error: 'Name, phone, password and role are required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (String(password).length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+    if (await User.exists({ phone: String(phone).trim() })) {
+      return res.status(409).json({ error: 'A staff account with this phone number already exists' });
+    }
+
+    const user = await User.create({
+      name: String(name).trim(),
+      phone: String(phone).trim(),
+      passwordHash: hashPassword(password),
+      role
+    });
+
+    console.log(`✅ Staff account created: ${user.phone} (${user.role}) by ${req.user.phone}`);
+    res.json(toPublicUser(user));
+  } catch (error) {
+    console.error('❌ Error creating staff account:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/users/:id', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff account not found' });
+    }
+
+    const { name, role, active, password } = req.body || {};
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password !== undefined && String(password).length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    // Never leave the shop without an active owner login
+    const losesOwner = user.role === 'owner' && user.active &&
+      ((role !== undefined && role !== 'owner') || active === false);
+    if (losesOwner) {
+      const activeOwners = await User.countDocuments({ role: 'owner', active: true });
+      if (activeOwners <= 1) {
+        return res.status(400).json({ error: 'At least one active owner account is required' });
+      }
+    }
+
+    if (name !== undefined) user.name = String(name).trim();
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = !!active;
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+
+    // Role, access or password changes sign the user out everywhere
+    if (role !== undefined || active !== undefined || password !== undefined) {
+      user.sessionVersion = (user.sessionVersion || 0) + 1;
+    }
+
+    await user.save();
+    if (role !== undefined || active !== undefined || password !== undefined) {
+      disconnectUserSockets(user._id);
+    }
+    console.log(`✅ Staff account updated: ${user.phone} by ${req.user.phone}`);
+    res.json(toPublicUser(user));
+  } catch (error) {
+    console.error('❌ Error updating staff account:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shop-local (IST) period key for profit reports - "2026-10-19" by day, "2026-10" by month
+const getShopPeriodKey = (date, period) => {
+  const day = new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  return period === 'day' ? day : day.slice(0, 7);
+};
+
+// Start of a YYYY-MM-DD shop-local day as a Date
+const parseShopDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+  const date = new Date(`${value}T00:00:00+05:30`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Revenue summary (owner only)
+app.get('/api/reports/revenue', requirePermission('reports:revenue'), async (req, res) => {
+  try {
+    // Today and this month as the shop counts them (IST), whatever the server's timezone
+    const startOfToday = parseShopDate(getShopPeriodKey(new Date(), 'day'));
+    const startOfMonth = parseShopDate(`${getShopPeriodKey(new Date(), 'month')}-01`);
+
+    const sumSince = async (since) => {
+      const match = { status: { $nin: NON_SALE_STATUSES } };
+      if (since) match.orderDate = { $gte: since };
+      const groups = await Order.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', total: { $sum: '$total' }, orders: { $sum: 1 } } }
+      ]);
+      return summarizeRevenue(groups);
+    };
+
+    const [today, month, allTime] = await Promise.all([
+      sumSince(startOfToday),
+      sumSince(startOfMonth),
+      sumSince(null)
+    ]);
+
+    res.json({ today, month, allTime });
+  } catch (error) {
+    console.error('❌ Error building revenue summary:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Gross margin from delivered orders and completed repairs between from and to (exclusive).
+// Sales use the cost price recorded on the order line, falling back to today's cost price for
+// orders placed before costs were recorded; lines with no cost at all are reported as uncosted.
+const buildProfitReport = async ({ from, to, period }) => {
+  const inRange = { $gte: from, $lt: to };
+
+  const [orders, repairs, products] = await Promise.all([
+    Order.find({
+      status: 'Delivered',
+      $or: [
+        { statusHistory: { $elemMatch: { to: 'Delivered', changedAt: inRange } } },
+        { 'statusHistory.to': { $ne: 'Delivered' }, orderDate: inRange } // Delivered before history was kept
+      ]
+    }).select('orderDate statusHistory items').lean(),
+    Tracking.find({ status: 'Completed', completedAt: inRange })
+      .select('qrId productName amountCharged partsCost parts completedAt').lean(),
+    Product.find().select('name category +costPrice').lean()
+  ]);
+
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const emptyRow = () => ({ revenue: 0, cost: 0, grossProfit: 0, uncostedRevenue: 0 });
+  const addTo = (row, revenue, cost) => {
+    row.revenue += revenue;
+    if (cost === null) {
+      row.uncostedRevenue += revenue;
+    } else {
+      row.cost += cost;
+      row.grossProfit += revenue - cost;
+    }
+  };
+
+  const byProduct = new Map();
+  const byCategory = new Map();
+  const byPeriod = new Map();
+  const totals = emptyRow();
+  const getRow = (map, key, extra) => {
+    if (!map.has(key)) map.set(key, { ...extra, ...emptyRow() });
+    return map.get(key);
+  };
+
+  for (const order of orders) {
+    const delivered = (order.statusHistory || []).filter(entry => entry.to === 'Delivered').pop();
+    const periodKey = getShopPeriodKey(delivered ? delivered.changedAt : order.orderDate, period);
+
+    for (const item of order.items) {
+      const product = productsById.get(String(item.productId));
+      const unitCost = item.unitCost ?? product?.costPrice ?? null;
+      const revenue = item.lineTotal ?? (item.price * item.quantity);
+      const cost = unitCost === null ? null : unitCost * item.quantity;
+      const category = product?.category || 'Uncategorised';
+
+      const productRow = getRow(byProduct, String(item.productId), {
+        productId: String(item.productId),
+        name: product?.name || item.name,
+        category,
+        unitsSold: 0
+      });
+      productRow.unitsSold += item.quantity;
+
+      addTo(productRow, revenue, cost);
+      addTo(getRow(byCategory, category, { category }), revenue, cost);
+      addTo(getRow(byPeriod, periodKey, { period: periodKey }), revenue, cost);
+      addTo(totals, revenue, cost);
+    }
+  }
+
+  // Repairs are costed at the stock parts fitted plus partsCost for everything else.
+  // A repair with revenue but no costs recorded at all is uncosted.
+  const repairTotals = { count: repairs.length, ...emptyRow() };
+  const repairParts = new Map();
+  for (const repair of repairs) {
+    const revenue = repair.amountCharged || 0;
+    const parts = repair.parts || [];
+    const stockCost = parts.some(part => part.unitCost == null)
+      ? null
+      : parts.reduce((sum, part) => sum + part.unitCost * part.quantity, 0);
+    const cost = stockCost === null ? null
+      : repair.partsCost != null ? repair.partsCost + stockCost
+        : parts.length > 0 ? stockCost
+          : (revenue > 0 ? null : 0);
+    const periodKey = getShopPeriodKey(repair.completedAt, period);
+
+    for (const part of parts) {
+      const key = String(part.productId);
+      if (!repairParts.has(key)) {
+        const product = productsById.get(key);
+        repairParts.set(key, {
+          productId: key,
+          name: product?.name || part.name,
+          category: product?.category || 'Uncategorised',
+          unitsUsed: 0,
+          repairs: 0,
+          cost: 0,
+          uncostedUnits: 0
+        });
+      }
+      const row = repairParts.get(key);
+      row.unitsUsed += part.quantity;
+      row.repairs += 1;
+      if (part.unitCost == null) {
+        row.uncostedUnits += part.quantity;
+      } else {
+        row.cost += part.unitCost * part.quantity;
+      }
+    }
+
+    addTo(repairTotals, revenue, cost);
+    addTo(getRow(byCategory, 'Repairs', { category: 'Repairs' }), revenue, cost);
+    addTo(getRow(byPeriod, periodKey, { period: periodKey }), revenue, cost);
+    addTo(totals, revenue, cost);
+  }
+
+  // Margin is profit over the revenue whose cost is known
+  const finish = (row) => {
+    const costedRevenue = row.revenue - row.uncostedRevenue;
+    return {
+      ...row,
+      revenue: roundMoney(row.revenue),
+      cost: roundMoney(row.cost),
+      grossProfit: roundMoney(row.grossProfit),
+      uncostedRevenue: roundMoney(row.uncostedRevenue),
+      marginPercent: costedRevenue > 0 ? Math.round((row.grossProfit / costedRevenue) * 1000) / 10 : null
+    };
+  };
+
+  return {
+    from,
+    to,
+    period,
+    totals: finish(totals),
+    repairs: finish(repairTotals),
+    byProduct: [...byProduct.values()].map(finish).sort((a, b) => b.grossProfit - a.grossProfit),
+    byCategory: [...byCategory.values()].map(finish).sort((a, b) => b.grossProfit - a.grossProfit),
+    byPeriod: [...byPeriod.values()].map(finish).sort((a, b) => a.period.localeCompare(b.period)),
+    repairParts: [...repairParts.values()]
+      .map(row => ({ ...row, cost: roundMoney(row.cost) }))
+      .sort((a, b) => b.unitsUsed - a.unitsUsed)
+  };
+};
+
+// Profit report (owner only) - ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive) &period=day|month
+app.get('/api/reports/profit', requirePermission('reports:profit'), async (req, res) => {
+  try {
+    const period = req.query.period === 'day' ? 'day' : 'month';
+    const today = getShopPeriodKey(new Date(), 'day');
+    const from = parseShopDate(req.query.from || `${today.slice(0, 7)}-01`);
+    const toDay = parseShopDate(req.query.to || today);
+
+    if (!from || !toDay) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+    const to = new Date(toDay.getTime() + 24 * 60 * 60 * 1000);
+    if (to <= from) {
+      return res.status(400).json({ error: 'The end date must be on or after the start date' });
+    }
+
+    res.json(await buildProfitReport({ from, to, period }));
+  } catch (error) {
+    console.error('❌ Error building profit report:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const SALES_VELOCITY_DAYS = 30;
+const REORDER_COVER_DAYS = 30; // Suggested orders aim to last this long at the current sales rate
+
+// Stock position of every product whose stock is counted, with reorder suggestions
+// based on units sold and fitted in repairs over the last SALES_VELOCITY_DAYS days
+const buildStockReport = async () => {
+  const since = new Date(Date.now() - SALES_VELOCITY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [products, sales, repairUse] = await Promise.all([
+    Product.find({ stockQuantity: { $ne: null } })
+      .select('name category stockQuantity reorderThreshold inStock')
+      .lean(),
+    Order.aggregate([
+      { $match: { orderDate: { $gte: since }, status: { $nin: NON_SALE_STATUSES } } },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.productId', unitsSold: { $sum: '$items.quantity' } } }
+    ]),
+    Tracking.aggregate([
+      { $match: { 'parts.addedAt': { $gte: since } } },
+      { $unwind: '$parts' },
+      { $match: { 'parts.addedAt': { $gte: since } } },
+      { $group: { _id: '$parts.productId', unitsUsed: { $sum: '$parts.quantity' } } }
+    ])
+  ]);
+
+  const unitsSoldById = new Map(sales.map(sale => [String(sale._id), sale.unitsSold]));
+  const unitsUsedById = new Map(repairUse.map(use => [String(use._id), use.unitsUsed]));
+
+  const items = products.map(product => {
+    const unitsSold = unitsSoldById.get(product._id.toString()) || 0;
+    const unitsUsedInRepairs = unitsUsedById.get(product._id.toString()) || 0;
+    const dailyVelocity = (unitsSold + unitsUsedInRepairs) / SALES_VELOCITY_DAYS;
+    const threshold = product.reorderThreshold ?? 0;
+    const isLow = product.stockQuantity <= threshold;
+    const targetStock = Math.max(Math.ceil(dailyVelocity * REORDER_COVER_DAYS) + threshold, threshold + 1);
+
+    return {
+      productId: product._id.toString(),
+      name: product.name,
+      category: product.category,
+      stockQuantity: product.stockQuantity,
+      reorderThreshold: product.reorderThreshold,
+      unitsSold,
+      unitsUsedInRepairs,
+      dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+      daysOfStockLeft: dailyVelocity > 0 ? Math.floor(product.stockQuantity / dailyVelocity) : null,
+      isLow,
+      suggestedOrderQuantity: isLow ? Math.max(targetStock - product.stockQuantity, 0) : 0
+    };
+  });
+
+  // Lowest first: out of stock, then fewest days of stock left
+  items.sort((a, b) => (b.isLow - a.isLow) ||
+    ((a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity)) ||
+    (a.stockQuantity - b.stockQuantity));
+
+  return {
+    generatedAt: new Date(),
+    velocityDays: SALES_VELOCITY_DAYS,
+    lowStockCount: items.filter(item => item.isLow).length,
+    items
+  };
+};
+
+app.get('/api/reports/stock', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    res.json(await buildStockReport());
+  } catch (error) {
+    console.error('❌ Error building stock report:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Morning digest of everything at or below its reorder threshold (once per day)
+const sendLowStockDigest = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const report = await buildStockReport();
+  const lowItems = report.items.filter(item => item.isLow);
+  if (lowItems.length === 0) return;
+
+  await createNotification({
+    key: `low-stock-${getShopDateKey()}`,
+    type: 'low-stock-digest',
+    title: `${lowItems.length} item${lowItems.length === 1 ? '' : 's'} need reordering`,
+    message: lowItems.slice(0, 10)
+      .map(item => `${item.name}: ${item.stockQuantity} left${item.suggestedOrderQuantity ? `, order ${item.suggestedOrderQuantity}` : ''}`)
+      .join('\n') + (lowItems.length > 10 ? `\n…and ${lowItems.length - 10} more` : ''),
+    data: { items: lowItems },
+    permission: 'inventory:read'
+  });
+};
+
+// Morning summary of open repairs already past their promised-by date or due by the end of tomorrow
+const sendRepairDueDigest = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const now = new Date();
+  const repairs = await Tracking.find({
+    status: { $nin: REPAIR_DONE_STATUSES },
+    promisedBy: { $lte: getPromisedByDate(now, 1) }
+  })
+    .select('qrId productName status promisedBy assignedTo')
+    .sort({ promisedBy: 1 })
+    .lean();
+  if (repairs.length === 0) return;
+
+  const overdueCount = repairs.filter(repair => repair.promisedBy < now).length;
+  const formatDate = (date) => date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', timeZone: 'Asia/Kolkata' });
+
+  await createNotification({
+    key: `repairs-due-${getShopDateKey()}`,
+    type: 'repair-due-digest',
+    title: `${overdueCount} repair${overdueCount === 1 ? '' : 's'} overdue, ${repairs.length - overdueCount} due by tomorrow`,
+    message: repairs.slice(0, 10)
+      .map(repair => `${repair.qrId} ${repair.productName} (${repair.status}): ${repair.promisedBy < now ? 'was due' : 'due'} ${formatDate(repair.promisedBy)}${repair.assignedTo?.name ? `, ${repair.assignedTo.name}` : ', unassigned'}`)
+      .join('\n') + (repairs.length > 10 ? `\n…and ${repairs.length - 10} more` : ''),
+    data: {
+      repairs: repairs.map(({ qrId, productName, status, promisedBy, assignedTo }) => ({
+        qrId, productName, status, promisedBy, assignedTo: assignedTo?.name || null
+      }))
+    },
+    permission: 'tracking:read'
+  });
+};
+
+// Staff notifications the current user is allowed to see, newest first
+app.get('/api/notifications', requireAuth, async (req, res) => {
+  try {
+    const notifications = await Notification.find({ permission: { $in: getPermissions(req.user) } })
+      .sort({ createdAt: -1 })
+      .limit(30)
+      .lean();
+
+    const userId = req.user._id.toString();
+    res.json(notifications.map(({ readBy, ...notification }) => ({
+      ...notification,
+      read: (readBy || []).includes(userId)
+    })));
+  } catch (error) {
+    console.error('❌ Error loading notifications:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/notifications/:id/read', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, permission: { $in: getPermissions(req.user) } },
+      { $addToSet: { readBy: req.user._id.toString() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Socket.IO channels:
+//  - default namespace: public storefront, receives product catalog events only
+//  - /owner namespace: staff only, verified with the session token at handshake and
+//    joined to rooms matching the user's permissions (orders, tracking, perm:<permission>)
+const ownerIo = io.of('/owner');
+
+ownerIo.use(async (socket, next) => {
+  try {
+    const payload = verifySessionToken(socket.handshake.auth?.token);
+    const user = payload && mongoose.connection.readyState === 1 ? await findSessionUser(payload) : null;
+
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Owner socket auth failed:', error.message);
+    next(new Error('Authentication required'));
+  }
+});
+
+ownerIo.on('connection', (socket) => {
+  const user = socket.data.user;
+  socket.join(`user:${user._id}`);
+  if (hasPermission(user, 'orders:read')) socket.join('orders');
+  if (hasPermission(user, 'tracking:read')) socket.join('tracking');
+  for (const permission of getPermissions(user)) socket.join(`perm:${permission}`);
+  console.log(`🔐 Owner portal connected: ${user.phone} (${user.role})`, socket.id);
+
+  socket.on('disconnect', (reason) => {
+    console.log('👋 Owner portal disconnected:', socket.id, '- Reason:', reason);
+  });
+});
+
+// Disconnect a user's owner sockets when their session is revoked
+const disconnectUserSockets = (userId) => {
+  ownerIo.in(`user:${userId}`).disconnectSockets(true);
+};
+
+// Product catalog changes go to the storefront and the owner portal
+const broadcastProductEvent = (event, payload) => {
+  io.emit(event, payload);
+  ownerIo.emit(event, payload);
+};
+
+// Orders and repair tracking contain customer details - staff rooms only
+const broadcastOrderEvent = (event, payload) => {
+  ownerIo.to('orders').emit(event, payload);
+};
+
+const broadcastTrackingEvent = (event, payload) => {
+  ownerIo.to('tracking').emit(event, payload);
+};
+
+// Save a staff notification and push it to everyone allowed to see it.
+// Returns null if a notification with the same key already exists.
+const createNotification = async ({ key, type, title, message, data, permission }) => {
+  try {
+    const notification = await Notification.create({ key, type, title, message, data, permission });
+    ownerIo.to(`perm:${permission}`).emit('notification', notification);
+    console.log(`🔔 Notification sent: ${title}`);
+    return notification;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Socket.IO connection
+let connectedClients = 0;
+io.on('connection', (socket) => {
+  connectedClients++;
+  console.log('👤 Client connected:', socket.id);
+  console.log('📊 Total connected clients:', connectedClients);
+  
+  socket.on('disconnect', (reason) => {
+    connectedClients--;
+    console.log('👋 Client disconnected:', socket.id, '- Reason:', reason);
+    console.log('📊 Total connected clients:', connectedClients);
+  });
+
+  socket.on('error', (error) => {
+    console.error('❌ Socket error:', error);
+  });
+});
+
+// Product Routes
+
+// Simple in-memory cache for products
+let productsCache = null;
+let cacheTimestamp = 0;
+const CACHE_DURATION = 60000; // 60 seconds - longer cache for speed
+
+// Fallback products data for when database is unavailable
+const fallbackProducts = [
+  {
+    id: "fallback-1",
+    name: "iPhone 15 Pro Max",
+    category: "Smartphones",
+    price: 134900,
+    originalPrice: 159900,
+    image: "📱",
+    imageUrl: "https://store.storeimages.cdn-apple.com/4982/as-images.apple.com/is/iphone-15-pro-max-naturaltitanium-select?wid=470&hei=556&fmt=png-alpha&.v=1692845702781",
+    rating: 4.8,
+    reviews: 1250,
+    inStock: true,
+    badge: "New"
+  },
+  {
+    id: "fallback-2", 
+    name: "Samsung Galaxy S24 Ultra",
+    category: "Smartphones",
+    price: 124999,
+    originalPrice: 139999,
+    image: "📱",
+    imageUrl: "https://images.samsung.com/is/image/samsung/p6pim/in/2401/gallery/in-galaxy-s24-ultra-s928-sm-s928bztqins-thumb-539573073",
+    rating: 4.7,
+    reviews: 890,
+    inStock: true,
+    badge: "Popular"
+  },
+  {
+    id: "fallback-3",
+    name: "Screen Replacement Service",
+    category: "Services", 
+    price: 2999,
+    originalPrice: 4999,
+    image: "🔧",
+    rating: 4.9,
+    reviews: 450,
+    inStock: true,
+    badge: "Service"
+  }
+];
+
+// Get all products
+app.get('/api/products', async (req, res) => {
+  try {
     const startTime = Date.now();
     
     // Check cache first
@@ -425,374 +1967,1864 @@ app.get('/api/products', async (req, res) => {
       return res.json(productsCache);
     }
 
-    console.log('📡 Fetching products from database...');
+    console.log('📡 Fetching products from database...');
+    
+    // Check if mongoose is connected
+    if (mongoose.connection.readyState !== 1) {
+      console.log('⚠️ Database not connected, using fallback data');
+      res.set('Cache-Control', 'public, max-age=30');
+      return res.json(fallbackProducts);
+    }
+    
+    // Use lean() for faster queries with timeout
+    const products = await Product.find()
+      .lean()
+      .select('-__v -updatedAt -createdAt') // Exclude unnecessary fields for speed
+      .limit(100) // Limit results for faster loading
+      .sort({ _id: -1 }) // Sort by _id is faster than createdAt
+      .maxTimeMS(3000); // 3 second timeout for faster response
+    
+    // Transform MongoDB _id to id for client compatibility
+    const transformedProducts = products.map(p => ({
+      ...p,
+      id: p._id.toString()
+    }));
+    
+    // Update cache
+    productsCache = transformedProducts;
+    cacheTimestamp = now;
+    
+    const duration = Date.now() - startTime;
+    console.log(`✅ Returning ${transformedProducts.length} products (took ${duration}ms)`);
+    
+    // Set cache headers
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json(transformedProducts);
+  } catch (error) {
+    console.error('❌ Error fetching products:', error.message);
+    
+    // Return fallback data on any error
+    console.log('⚠️ Using fallback products due to database error');
+    res.set('Cache-Control', 'public, max-age=30');
+    res.json(fallbackProducts);
+  }
+});
+
+// Cost price of every product (owner only - the public product list never includes it)
+app.get('/api/products/costs', requirePermission('products:cost'), async (req, res) => {
+  try {
+    const products = await Product.find().select('+costPrice').lean();
+    res.json(products.map(product => ({ id: product._id.toString(), costPrice: product.costPrice ?? null })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new product
+app.post('/api/products', requirePermission('products:create'), async (req, res) => {
+  try {
+    console.log('📦 [SERVER] Creating new product:', req.body.name);
+    
+    // Check if mongoose is connected
+    if (mongoose.connection.readyState !== 1) {
+      console.log('⚠️ Database not connected, cannot create product');
+      return res.status(503).json({ 
+        error: 'Database not available. Please try again later.',
+        offline: true 
+      });
+    }
+
+    if ('costPrice' in req.body && !hasPermission(req.user, 'products:cost')) {
+      delete req.body.costPrice;
+    }
+
+    const product = new Product(normalizeTaxFields(normalizeCostPrice(normalizeStockFields(await storeProductImages(req.body)))));
+    
+    // Add timeout to save operation
+    const savedProduct = await Promise.race([
+      product.save(),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Save operation timed out')), 8000)
+      )
+    ]);
+    
+    const transformedProduct = {
+      ...savedProduct.toObject(),
+      id: savedProduct._id.toString()
+    };
+    
+    // Invalidate cache
+    productsCache = null;
+    
+    console.log('✅ [SERVER] Product created successfully:', transformedProduct.id);
+    broadcastProductEvent('product-added', transformedProduct);
+    res.json(transformedProduct);
+  } catch (error) {
+    console.error('❌ [SERVER] Error creating product:', error.message);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
+    if (error.message.includes('timed out') || error.message.includes('buffering timed out')) {
+      return res.status(504).json({ 
+        error: 'Database operation timed out. Please check your connection and try again.',
+        timeout: true 
+      });
+    }
+    
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Product fields staff may change and the permission each one needs - anything else is ignored.
+// Technicians and cashiers (products:edit) only keep the listing's pictures and reorder level up to date.
+const PRODUCT_FIELD_PERMISSIONS = {
+  name: 'products:create',
+  category: 'products:create',
+  taxClass: 'products:create',
+  hsnCode: 'products:create',
+  badge: 'products:create',
+  price: 'products:price',
+  originalPrice: 'products:price',
+  costPrice: 'products:cost',
+  stockQuantity: 'products:stock',
+  inStock: 'products:stock',
+  image: 'products:edit',
+  imageUrl: 'products:edit',
+  imageUrl2: 'products:edit',
+  reorderThreshold: 'products:edit'
+};
+
+// Update a product
+app.patch('/api/products/:id', requirePermission('products:edit'), async (req, res) => {
+  try {
+    console.log('🔄 [SERVER] Updating product:', req.params.id);
+    
+    // Check if mongoose is connected
+    if (mongoose.connection.readyState !== 1) {
+      console.log('⚠️ Database not connected, cannot update product');
+      return res.status(503).json({ 
+        error: 'Database not available. Please try again later.',
+        offline: true 
+      });
+    }
+
+    const fields = {};
+    const forbidden = [];
+    for (const [field, permission] of Object.entries(PRODUCT_FIELD_PERMISSIONS)) {
+      if (!(field in req.body)) continue;
+      if (hasPermission(req.user, permission)) {
+        fields[field] = req.body[field];
+      } else {
+        forbidden.push(field);
+      }
+    }
+    if (forbidden.length > 0) {
+      return res.status(403).json({ error: `You do not have permission to change: ${forbidden.join(', ')}` });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No product fields to update' });
+    }
+
+    await storeProductImages(fields);
+    normalizeStockFields(fields);
+    normalizeCostPrice(fields);
+    normalizeTaxFields(fields);
+
+    // Add timeout to update operation
+    const product = await Promise.race([
+      Product.findByIdAndUpdate(
+        req.params.id,
+        { $set: fields },
+        { new: true }
+      ),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Update operation timed out')), 8000)
+      )
+    ]);
+
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const transformedProduct = {
+      ...product.toObject(),
+      id: product._id.toString()
+    };
+
+    // Invalidate cache
+    productsCache = null;
+
+    console.log('✅ [SERVER] Product updated successfully:', transformedProduct.id);
+    broadcastProductEvent('product-updated', transformedProduct);
+
+    res.json(transformedProduct);
+  } catch (error) {
+    console.error('❌ [SERVER] Error updating product:', error.message);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
+    if (error.message.includes('timed out') || error.message.includes('buffering timed out')) {
+      return res.status(504).json({ 
+        error: 'Database operation timed out. Please check your connection and try again.',
+        timeout: true 
+      });
+    }
+    
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/products/:id', requirePermission('products:delete'), async (req, res) => {
+  try {
+    const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+
+    if (!deletedProduct) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    // Invalidate cache
+    productsCache = null;
+
+    broadcastProductEvent('product-deleted', { id: req.params.id });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tracking Routes
+
+// Check a customer's QR ID and password (with the lockouts above) - returns their repair or throws
+const authenticateTrackingCustomer = async (req) => {
+  const qrId = String(req.body?.qrId || '').trim();
+  const password = String(req.body?.password || '').trim();
+
+  if (!qrId || !password) {
+    throw createHttpError(400, 'QR ID and password are required');
+  }
+
+  const ipKey = `ip:${req.ip}`;
+  const qrKey = `qr:${qrId.toLowerCase()}`;
+  const lockedFor = Math.max(getLockoutRemaining(ipKey), getLockoutRemaining(qrKey));
+  if (lockedFor > 0) {
+    const retryAfter = Math.ceil(lockedFor / 1000);
+    console.log(`⛔ Tracking lookup locked for ${req.ip} / ${qrId} (${retryAfter}s left)`);
+    throw createHttpError(429, 'Too many failed attempts. Please try again later.', { retryAfter });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    throw createHttpError(503, 'Database not available. Please try again later.', { offline: true });
+  }
+
+  const tracking = await Tracking.findOne({ qrId }).select('+qrPassword').lean();
+
+  // Same response for unknown IDs and wrong passwords
+  if (!tracking || !verifyPassword(password, tracking.qrPassword)) {
+    recordLookupFailure(ipKey, LOOKUP_MAX_PER_IP);
+    recordLookupFailure(qrKey, LOOKUP_MAX_PER_QR_ID);
+    throw createHttpError(401, 'Invalid QR ID or password');
+  }
+
+  lookupFailures.delete(qrKey);
+  return tracking;
+};
+
+const sendTrackingCustomerError = (res, error) => {
+  if (error.details?.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+  res.status(error.status).json({ error: error.message, ...error.details });
+};
+
+// Public repair lookup - credentials are checked here and never sent to the browser
+app.post('/api/tracking/lookup', async (req, res) => {
+  try {
+    const tracking = await authenticateTrackingCustomer(req);
+    res.json(toPublicTracking(tracking));
+  } catch (error) {
+    if (error.status) return sendTrackingCustomerError(res, error);
+    console.error('❌ Tracking lookup error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Customer approves or declines their repair quote from the tracking page
+app.post('/api/tracking/quote-decision', async (req, res) => {
+  try {
+    const tracking = await authenticateTrackingCustomer(req);
+    const updated = await decideRepairQuote(tracking, req.body.decision, {
+      userId: null,
+      name: tracking.customerName,
+      role: 'customer'
+    }, req.body.note);
+    res.json(toPublicTracking(updated));
+  } catch (error) {
+    if (error.status) return sendTrackingCustomerError(res, error);
+    console.error('❌ Quote decision error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tracking', requirePermission('tracking:read'), async (req, res) => {
+  try {
+    const tracking = await Tracking.find().sort({ createdAt: -1 });
+    res.json(tracking);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const formatRupees = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+
+// Quote lines from the portal - descriptions, whole quantities and non-negative prices
+const normalizeQuoteItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'A quote needs at least one part or labour line');
+  }
+  if (items.length > MAX_QUOTE_LINES) {
+    throw createHttpError(400, `A quote can have at most ${MAX_QUOTE_LINES} lines`);
+  }
+
+  return items.map((item, index) => {
+    const description = String(item?.description || '').trim().slice(0, 200);
+    const quantity = Number(item?.quantity ?? 1);
+    const unitPrice = Number(item?.unitPrice);
+
+    if (!QUOTE_LINE_KINDS.includes(item?.kind)) {
+      throw createHttpError(400, `Line ${index + 1}: type must be one of ${QUOTE_LINE_KINDS.join(', ')}`);
+    }
+    if (!description) {
+      throw createHttpError(400, `Line ${index + 1}: a description is required`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+      throw createHttpError(400, `Line ${index + 1}: quantity must be a whole number from 1 to ${MAX_ITEM_QUANTITY}`);
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw createHttpError(400, `Line ${index + 1}: price must be 0 or more`);
+    }
+
+    return { kind: item.kind, description, quantity, unitPrice };
+  });
+};
+
+// Parts fitted from stock are sold at their catalogue price - except on a warranty claim, where
+// the covered parts are replaced free
+const getBilledPartsTotal = (tracking) => tracking.warrantyClaimOf?.qrId ? 0
+  : roundMoney((tracking.parts || []).reduce((sum, part) => sum + (part.amount || 0), 0));
+
+// Add to (or take off) the repair bill in one step - an empty bill counts as 0 and it never goes negative
+const addToRepairBill = (trackingId, amount) => Tracking.findOneAndUpdate(
+  { _id: trackingId },
+  [{ $set: { amountCharged: { $max: [0, { $round: [{ $add: [{ $ifNull: ['$amountCharged', 0] }, amount] }, 2] }] } } }],
+  { new: true }
+);
+
+// Record the answer to a pending quote and move the repair on (see QUOTE_DECISION_STATUS).
+// The bill for an approved quote is the quote plus the parts fitted, unless staff already
+// entered a different amount.
+const decideRepairQuote = async (tracking, decision, decidedBy, note) => {
+  const nextStatus = QUOTE_DECISION_STATUS[decision];
+  if (!nextStatus) {
+    throw createHttpError(400, 'Decision must be approve or decline');
+  }
+  if (tracking.quote?.status !== 'Pending') {
+    throw createHttpError(409, tracking.quote?.status
+      ? `This quote has already been ${tracking.quote.status.toLowerCase()}`
+      : 'There is no quote waiting for approval');
+  }
+
+  const approved = decision === 'approve';
+  const partsTotal = getBilledPartsTotal(tracking);
+  const billUntouched = !tracking.amountCharged || tracking.amountCharged === partsTotal;
+  const customerNote = typeof note === 'string' && note.trim() ? ` - "${note.trim().slice(0, 300)}"` : '';
+  const updated = await Tracking.findOneAndUpdate(
+    { _id: tracking._id, 'quote.status': 'Pending' },
+    {
+      $set: {
+        'quote.status': approved ? 'Approved' : 'Declined',
+        'quote.decidedAt': new Date(),
+        'quote.decidedBy': decidedBy,
+        status: nextStatus,
+        ...(approved && billUntouched ? { amountCharged: roundMoney(tracking.quote.total + partsTotal) } : {})
+      },
+      $push: {
+        statusHistory: {
+          from: tracking.status,
+          to: nextStatus,
+          note: `Quote of ${formatRupees(tracking.quote.total)} ${approved ? 'approved' : 'declined'}${decidedBy.role === 'customer' ? ' online' : ' by phone'}${customerNote}`,
+          changedBy: decidedBy,
+          changedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createHttpError(409, 'This quote has just been answered. Please refresh.');
+  }
+
+  console.log(`💬 Quote for ${updated.qrId} ${approved ? 'approved' : 'declined'} by ${decidedBy.name} (${decidedBy.role})`);
+  broadcastTrackingEvent('tracking-updated', updated);
+  return updated;
+};
+
+// Status history event for a repair - the note is shown to the customer
+const trackingHistoryEntry = (user, from, to, note) => ({
+  from,
+  to,
+  note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+  changedBy: staffStamp(user),
+  changedAt: new Date()
+});
+
+// Register a repair - the QR ID and password are generated here, and the password is returned only in this response
+app.post('/api/tracking', requirePermission('tracking:create'), async (req, res) => {
+  try {
+    const fields = pickTrackingFields(req.body);
+    const { note } = req.body;
+    normalizeRepairDetails(fields);
+    if (fields.status === 'Completed') delete fields.passcode;
+    const password = generateTrackingPassword();
+    const receivedAt = new Date();
+
+    const tracking = new Tracking({
+      ...fields,
+      qrId: await generateRepairJobNumber(),
+      qrPassword: hashPassword(password),
+      createdAt: receivedAt,
+      promisedBy: getPromisedByDate(receivedAt, fields.estimatedDays),
+      completedAt: fields.status === 'Completed' ? new Date() : null,
+      statusHistory: [trackingHistoryEntry(req.user, '', fields.status || 'Received', note)]
+    });
+    await tracking.save();
+    broadcastTrackingEvent('tracking-added', tracking);
+    console.log(`📍 Repair ${tracking.qrId} registered by ${req.user.phone}`);
+    res.status(201).json({ ...tracking.toJSON(), password });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/tracking/:qrId', requirePermission('tracking:update'), async (req, res) => {
+  try {
+    // Passwords only change through the reset-password route, history through status changes and notes
+    // Warranty is registered here on completion, from the terms chosen in the portal
+    const updates = pickTrackingFields(req.body);
+    const { note, warranty } = req.body;
+    normalizeRepairDetails(updates);
+    if (updates.passcode === undefined) delete updates.passcode;
+
+    for (const field of ['amountCharged', 'partsCost']) {
+      if (field in updates && updates[field] !== null && updates[field] !== '') {
+        const amount = Number(updates[field]);
+        if (!Number.isFinite(amount) || amount < 0) {
+          return res.status(400).json({ error: 'Repair amounts must be 0 or more' });
+        }
+        updates[field] = amount;
+      } else if (field in updates) {
+        updates[field] = null;
+      }
+    }
+
+    const existing = await Tracking.findOne({ qrId: req.params.qrId }).select('status completedAt parts quote createdAt').lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+
+    // A new estimate moves the promised-by date, still counted from when the device came in
+    if ('estimatedDays' in updates) {
+      updates.promisedBy = getPromisedByDate(existing.createdAt || new Date(), updates.estimatedDays);
+    }
+
+    // Completion date is kept from the first time the repair was marked Completed, and the
+    // warranty runs from then. Reopening the repair cancels the warranty until it is completed again.
+    if ('status' in updates) {
+      if (updates.status !== 'Completed') {
+        updates.completedAt = null;
+        updates.$unset = { warranty: '' };
+      } else if (!existing.completedAt) {
+        updates.completedAt = new Date();
+        updates.warranty = {
+          startsAt: updates.completedAt,
+          terms: buildWarrantyTerms(warranty === undefined ? defaultWarrantyTerms(existing) : normalizeWarrantyTerms(warranty), updates.completedAt),
+          registeredBy: staffStamp(req.user)
+        };
+      }
+    }
+
+    // Every status change is kept, and a note can be added without changing the status
+    const statusChanged = 'status' in updates && updates.status !== existing.status;
+    if (statusChanged || (typeof note === 'string' && note.trim())) {
+      updates.$push = {
+        statusHistory: trackingHistoryEntry(req.user, existing.status || '', updates.status || existing.status, note)
+      };
+    }
+
+    // The shop has no need for the device passcode once the customer has it back
+    if (updates.status === 'Completed' || ['none', 'not-shared'].includes(updates.passcodeType)) {
+      delete updates.passcode;
+      updates.$unset = { ...updates.$unset, passcode: '' };
+    }
+
+    const tracking = await Tracking.findOneAndUpdate(
+      { qrId: req.params.qrId },
+      updates,
+      { new: true }
+    );
+    if (!tracking) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+    broadcastTrackingEvent('tracking-updated', tracking);
+    res.json(tracking);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Warranty terms chosen in the portal when completing a repair
+const normalizeWarrantyTerms = (terms) => {
+  if (!Array.isArray(terms) || terms.length > MAX_WARRANTY_TERMS) {
+    throw createHttpError(400, `Warranty must be a list of at most ${MAX_WARRANTY_TERMS} terms`);
+  }
+
+  return terms.map((term, index) => {
+    const description = String(term?.description || '').trim().slice(0, 200);
+    const days = Number(term?.days);
+
+    if (!WARRANTY_KINDS.includes(term?.kind)) {
+      throw createHttpError(400, `Warranty term ${index + 1}: type must be one of ${WARRANTY_KINDS.join(', ')}`);
+    }
+    if (!description) {
+      throw createHttpError(400, `Warranty term ${index + 1}: description is required`);
+    }
+    if (!WARRANTY_DAY_OPTIONS.includes(days)) {
+      throw createHttpError(400, `Warranty term ${index + 1}: period must be one of ${WARRANTY_DAY_OPTIONS.join(', ')} days`);
+    }
+    return { kind: term.kind, description, days };
+  });
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Warranty lookup by IMEI, customer phone or QR ID - completed repairs with a warranty, newest first
+app.get('/api/warranty', requirePermission('tracking:read'), async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (query.length < 3) {
+      return res.status(400).json({ error: 'Enter an IMEI, phone number or QR ID' });
+    }
+
+    // Phone numbers are stored as typed, so match the last 10 digits with anything between them
+    const digits = query.replace(/\D/g, '');
+    const conditions = [
+      { qrId: new RegExp(`^${escapeRegex(query)}$`, 'i') },
+      { imei: query }
+    ];
+    if (digits.length >= 6 && /^[\d\s+()-]+$/.test(query)) {
+      conditions.push({ contact: new RegExp(digits.slice(-10).split('').join('\\D*')) });
+    }
+
+    const repairs = await Tracking.find({ $or: conditions, 'warranty.terms.0': { $exists: true } })
+      .sort({ completedAt: -1 })
+      .limit(50);
+    res.json(repairs);
+  } catch (error) {
+    console.error('❌ Warranty lookup error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open a warranty claim: a new job linked to the original repair, with no labour charge.
+// Only terms still within their warranty period can be claimed.
+app.post('/api/tracking/:qrId/warranty-claim', requirePermission('tracking:create'), async (req, res) => {
+  try {
+    const original = await Tracking.findOne({ qrId: req.params.qrId }).lean();
+    if (!original) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+
+    const terms = original.warranty?.terms || [];
+    if (terms.length === 0) {
+      return res.status(409).json({ error: 'This repair has no warranty' });
+    }
+
+    const termIds = Array.isArray(req.body.termIds) ? req.body.termIds.map(String) : [];
+    const claimed = terms.filter(term => termIds.includes(String(term._id)));
+    if (claimed.length === 0) {
+      return res.status(400).json({ error: 'Choose the part or service the claim is for' });
+    }
+
+    const expired = claimed.find(term => !isUnderWarranty(term));
+    if (expired) {
+      return res.status(409).json({
+        error: `The warranty on ${expired.description} ended on ${new Date(expired.expiresAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`
+      });
+    }
+
+    const issue = typeof req.body.issue === 'string' ? req.body.issue.trim().slice(0, 1000) : '';
+    if (!issue) {
+      return res.status(400).json({ error: 'Describe the problem the customer came back with' });
+    }
+
+    const descriptions = claimed.map(term => term.description);
+    const password = generateTrackingPassword();
+    const claim = new Tracking({
+      qrId: await generateRepairJobNumber(),
+      qrPassword: hashPassword(password),
+      customerName: original.customerName,
+      productName: original.productName,
+      deviceModel: original.deviceModel,
+      contact: original.contact,
+      imei: original.imei,
+      serialNumber: original.serialNumber,
+      issue: `Warranty claim: ${issue}`,
+      status: 'Received',
+      estimatedDays: original.estimatedDays,
+      amountCharged: 0,
+      warrantyClaimOf: { qrId: original.qrId, terms: descriptions },
+      promisedBy: getPromisedByDate(new Date(), original.estimatedDays),
+      lastUpdated: new Date().toLocaleString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata' }),
+      statusHistory: [trackingHistoryEntry(req.user, '', 'Received', `Warranty claim on repair ${original.qrId} (${descriptions.join(', ')})`)]
+    });
+    await claim.save();
+
+    const updated = await Tracking.findOneAndUpdate(
+      { _id: original._id },
+      {
+        $push: {
+          warrantyClaims: {
+            qrId: claim.qrId,
+            terms: descriptions,
+            issue,
+            claimedAt: new Date(),
+            claimedBy: staffStamp(req.user)
+          }
+        }
+      },
+      { new: true }
+    );
+
+    console.log(`🛡️ Warranty claim ${claim.qrId} opened on ${original.qrId} by ${req.user.phone}`);
+    broadcastTrackingEvent('tracking-added', claim);
+    if (updated) broadcastTrackingEvent('tracking-updated', updated);
+    res.status(201).json({ ...claim.toJSON(), password });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    console.error('❌ Error opening warranty claim:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a new tracking password - the plain text is returned once and only its hash is stored
+app.post('/api/tracking/:qrId/reset-password', requirePermission('tracking:credentials'), async (req, res) => {
+  try {
+    const password = generateTrackingPassword();
+    const tracking = await Tracking.findOneAndUpdate(
+      { qrId: req.params.qrId },
+      { qrPassword: hashPassword(password) },
+      { new: true }
+    );
+
+    if (!tracking) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+
+    // A fresh password also lifts any lockout on this QR ID
+    lookupFailures.delete(`qr:${tracking.qrId.toLowerCase()}`);
+
+    console.log(`🔑 Tracking password reset for ${tracking.qrId} by ${req.user.phone}`);
+    res.json({ qrId: tracking.qrId, password });
+  } catch (error) {
+    console.error('❌ Error resetting tracking password:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Attach a quote to a repair (replacing any unanswered one) for the customer to approve
+app.put('/api/tracking/:qrId/quote', requirePermission('tracking:quote'), async (req, res) => {
+  try {
+    const quote = sumQuote(normalizeQuoteItems(req.body?.items));
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : '';
+
+    const existing = await Tracking.findOne({ qrId: req.params.qrId }).select('status quote.status warrantyClaimOf').lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+    if (existing.warrantyClaimOf?.qrId && quote.labourTotal > 0) {
+      return res.status(400).json({ error: 'Labour is free on a warranty claim - quote only parts not covered by the warranty' });
+    }
+    if (existing.quote?.status === 'Approved') {
+      return res.status(409).json({ error: 'The customer has already approved the quote for this repair' });
+    }
+
+    const tracking = await Tracking.findOneAndUpdate(
+      { qrId: req.params.qrId, 'quote.status': { $ne: 'Approved' } },
+      {
+        $set: {
+          quote: {
+            ...quote,
+            note,
+            status: 'Pending',
+            sentAt: new Date(),
+            sentBy: staffStamp(req.user)
+          }
+        },
+        $push: {
+          statusHistory: trackingHistoryEntry(req.user, existing.status, existing.status,
+            `Quote of ${formatRupees(quote.total)} sent for your approval`)
+        }
+      },
+      { new: true }
+    );
+    if (!tracking) {
+      return res.status(409).json({ error: 'The customer has just approved the quote for this repair' });
+    }
+
+    console.log(`💬 Quote of ${quote.total} sent for ${tracking.qrId} by ${req.user.phone}`);
+    broadcastTrackingEvent('tracking-updated', tracking);
+    res.json(tracking);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    console.error('❌ Error saving quote:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a decision the customer gave over the phone
+app.post('/api/tracking/:qrId/quote/decision', requirePermission('tracking:update'), async (req, res) => {
+  try {
+    const tracking = await Tracking.findOne({ qrId: req.params.qrId }).lean();
+    if (!tracking) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+
+    res.json(await decideRepairQuote(tracking, req.body?.decision, staffStamp(req.user), req.body?.note));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    console.error('❌ Error recording quote decision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Staff who can work on repairs, for the assignment picker and the board's technician filter
+app.get('/api/technicians', requirePermission('tracking:read'), async (req, res) => {
+  try {
+    const users = await User.find({ active: { $ne: false } }).select('name role').sort({ name: 1 }).lean();
+    res.json(users
+      .filter(user => hasPermission(user, 'tracking:update'))
+      .map(user => ({ id: user._id.toString(), name: user.name, role: user.role })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Assign a repair to a technician (userId null to unassign). Without tracking:assign, staff
+// can only take an unassigned job themselves.
+app.post('/api/tracking/:qrId/assign', requirePermission('tracking:update'), async (req, res) => {
+  try {
+    const userId = req.body?.userId || null;
+    const canAssign = hasPermission(req.user, 'tracking:assign');
+
+    let technician = null;
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ error: 'Unknown staff member' });
+      }
+      technician = await User.findOne({ _id: userId, active: { $ne: false } }).select('name role').lean();
+      if (!technician || !hasPermission(technician, 'tracking:update')) {
+        return res.status(400).json({ error: 'This staff member cannot work on repairs' });
+      }
+    }
+
+    const filter = { qrId: req.params.qrId };
+    if (!canAssign) {
+      if (!technician || technician._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: 'You can only take unassigned jobs yourself' });
+      }
+      filter['assignedTo.userId'] = { $in: [null, ''] };
+    }
+
+    const tracking = await Tracking.findOneAndUpdate(
+      filter,
+      technician
+        ? { assignedTo: staffStamp(technician), assignedAt: new Date() }
+        : { $unset: { assignedTo: '', assignedAt: '' } },
+      { new: true }
+    );
+    if (!tracking) {
+      const exists = await Tracking.exists({ qrId: req.params.qrId });
+      return exists
+        ? res.status(409).json({ error: 'Someone else has already taken this job' })
+        : res.status(404).json({ error: 'Tracking record not found' });
+    }
+
+    console.log(`👷 Repair ${tracking.qrId} ${technician ? `assigned to ${technician.name}` : 'unassigned'} by ${req.user.phone}`);
+    broadcastTrackingEvent('tracking-updated', tracking);
+    res.json(tracking);
+  } catch (error) {
+    console.error('❌ Error assigning repair:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Read back the device passcode for the technician working on it - every access is logged
+app.get('/api/tracking/:qrId/passcode', requirePermission('tracking:passcode'), async (req, res) => {
+  try {
+    const tracking = await Tracking.findOne({ qrId: req.params.qrId }).select('qrId passcodeType +passcode').lean();
+    if (!tracking) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+    if (!tracking.passcode) {
+      return res.status(404).json({ error: 'No passcode is stored for this device', passcodeType: tracking.passcodeType });
+    }
+
+    const passcode = decryptPasscode(tracking.passcode);
+    if (passcode === null) {
+      return res.status(409).json({ error: 'The stored passcode can no longer be read (the server key changed) - ask the customer again' });
+    }
+
+    console.log(`🔓 Passcode for ${tracking.qrId} viewed by ${req.user.phone}`);
+    res.set('Cache-Control', 'private, no-store');
+    res.json({ qrId: tracking.qrId, passcodeType: tracking.passcodeType, passcode });
+  } catch (error) {
+    console.error('❌ Error reading passcode:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Intake photo of the device's condition, taken from the portal camera
+app.post('/api/tracking/:qrId/photos', requirePermission('tracking:create'), acceptImage('photo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No photo uploaded' });
+    }
+
+    const existing = await Tracking.findOne({ qrId: req.params.qrId }).select('intakePhotos').lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+    if ((existing.intakePhotos || []).length >= MAX_INTAKE_PHOTOS) {
+      return res.status(409).json({ error: `A repair can have at most ${MAX_INTAKE_PHOTOS} intake photos` });
+    }
+
+    const stored = await mediaStore.saveImage(req.file.buffer);
+    await createRenditions(mediaStore, stored, req.file.buffer);
+    const tracking = await Tracking.findOneAndUpdate(
+      { qrId: req.params.qrId },
+      {
+        $push: {
+          intakePhotos: {
+            url: stored.url,
+            takenAt: new Date(),
+            takenBy: staffStamp(req.user)
+          }
+        }
+      },
+      { new: true }
+    );
+
+    broadcastTrackingEvent('tracking-updated', tracking);
+    res.status(201).json(tracking);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    console.error('❌ Error storing intake photo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tracking/:qrId/photos/:photoId', requirePermission('tracking:update'), async (req, res) => {
+  try {
+    const tracking = await Tracking.findOneAndUpdate(
+      { qrId: req.params.qrId },
+      { $pull: { intakePhotos: { _id: req.params.photoId } } },
+      { new: true }
+    );
+    if (!tracking) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+
+    broadcastTrackingEvent('tracking-updated', tracking);
+    res.json(tracking);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const MAX_PART_QUANTITY = 50;
+
+// Fit a part from the catalog - it comes out of the same stock the storefront sells from
+app.post('/api/tracking/:qrId/parts', requirePermission('tracking:update'), async (req, res) => {
+  try {
+    const quantity = Number(req.body.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_PART_QUANTITY) {
+      return res.status(400).json({ error: `Quantity must be a whole number from 1 to ${MAX_PART_QUANTITY}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.body.productId)) {
+      return res.status(400).json({ error: 'Choose a product from the catalog' });
+    }
+
+    const existing = await Tracking.findOne({ qrId: req.params.qrId }).select('status').lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+    if (existing.status === 'Completed') {
+      return res.status(409).json({ error: 'Parts cannot be changed on a completed repair' });
+    }
+
+    const product = await Product.findById(req.body.productId).select('name price stockQuantity +costPrice').lean();
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    let reservedQuantity = 0;
+    if (product.stockQuantity != null) {
+      if (!await adjustStock(product._id, -quantity)) {
+        const current = await Product.findById(product._id).select('stockQuantity').lean();
+        return res.status(409).json({
+          error: current?.stockQuantity > 0 ? `Only ${current.stockQuantity} ${product.name} left in stock` : `${product.name} is out of stock`,
+          availableQuantity: current?.stockQuantity || 0
+        });
+      }
+      reservedQuantity = quantity;
+    }
+
+    const unitPrice = product.price || 0;
+    const amount = roundMoney(unitPrice * quantity);
+    let tracking = await Tracking.findOneAndUpdate(
+      { qrId: req.params.qrId },
+      {
+        $push: {
+          parts: {
+            productId: product._id,
+            name: product.name,
+            quantity,
+            unitPrice,
+            unitCost: product.costPrice ?? null,
+            amount,
+            reservedQuantity,
+            addedBy: staffStamp(req.user),
+            addedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!tracking) {
+      // Deleted while the stock was being taken
+      await releaseStock([{ productId: product._id, reservedQuantity }]);
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+    if (!tracking.warrantyClaimOf?.qrId) {
+      tracking = await addToRepairBill(tracking._id, amount) || tracking;
+    }
+
+    console.log(`🔩 ${quantity} x ${product.name} fitted to ${tracking.qrId} by ${req.user.phone}`);
+    broadcastTrackingEvent('tracking-updated', tracking);
+    res.status(201).json(tracking);
+  } catch (error) {
+    console.error('❌ Error adding repair part:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take a part off the job and put it back in stock
+app.delete('/api/tracking/:qrId/parts/:partId', requirePermission('tracking:update'), async (req, res) => {
+  try {
+    const existing = await Tracking.findOne({ qrId: req.params.qrId }).select('status parts').lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Tracking record not found' });
+    }
+    if (existing.status === 'Completed') {
+      return res.status(409).json({ error: 'Parts cannot be changed on a completed repair' });
+    }
+    const part = (existing.parts || []).find(line => String(line._id) === req.params.partId);
+    if (!part) {
+      return res.status(404).json({ error: 'Part not found on this repair' });
+    }
+
+    // Only the request that removes the line gives its units back
+    let tracking = await Tracking.findOneAndUpdate(
+      { qrId: req.params.qrId, 'parts._id': part._id },
+      { $pull: { parts: { _id: part._id } } },
+      { new: true }
+    );
+    if (!tracking) {
+      return res.status(404).json({ error: 'Part not found on this repair' });
+    }
+    await releaseStock([part]);
+    if (!tracking.warrantyClaimOf?.qrId) {
+      tracking = await addToRepairBill(tracking._id, -(part.amount || 0)) || tracking;
+    }
+
+    broadcastTrackingEvent('tracking-updated', tracking);
+    res.json(tracking);
+  } catch (error) {
+    console.error('❌ Error removing repair part:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Print a repair job card on the counter's thermal printer (see sendReceipt)
+app.get('/api/tracking/:qrId/receipt', requirePermission('tracking:read'), async (req, res) => {
+  try {
+    const tracking = await Tracking.findOne({ qrId: req.params.qrId });
+    if (!tracking) {
+      return res.status(404).json({ error: 'Tracking not found' });
+    }
+
+    sendReceipt(req, res, buildJobCardReceipt(tracking), `JobCard-${tracking.qrId}`);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    console.error('❌ Error generating job card:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tracking/:qrId', requirePermission('tracking:delete'), async (req, res) => {
+  try {
+    // Parts on an unfinished job go back on the shelf - a completed repair's parts are in the customer's device
+    const tracking = await Tracking.findOneAndDelete({ qrId: req.params.qrId });
+    if (tracking && tracking.status !== 'Completed') await releaseStock(tracking.parts);
+    broadcastTrackingEvent('tracking-deleted', { qrId: req.params.qrId });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Order Routes
+app.get('/api/orders', requirePermission('orders:read'), async (req, res) => {
+  try {
+    console.log('📡 [SERVER] Loading orders from database...');
     
     // Check if mongoose is connected
     if (mongoose.connection.readyState !== 1) {
-      console.log('⚠️ Database not connected, using fallback data');
-      res.set('Cache-Control', 'public, max-age=30');
-      return res.json(fallbackProducts);
+      console.log('⚠️ Database not connected, returning empty orders');
+      return res.json([]);
     }
     
-    // Use lean() for faster queries with timeout
-    const products = await Product.find()
-      .lean()
-      .select('-__v -updatedAt -createdAt') // Exclude unnecessary fields for speed
-      .limit(100) // Limit results for faster loading
-      .sort({ _id: -1 }) // Sort by _id is faster than createdAt
-      .maxTimeMS(3000); // 3 second timeout for faster response
-    
-    // Transform MongoDB _id to id for client compatibility
-    const transformedProducts = products.map(p => ({
-      ...p,
-      id: p._id.toString()
-    }));
-    
-    // Update cache
-    productsCache = transformedProducts;
-    cacheTimestamp = now;
+    // Add timeout to orders query
+    const orders = await Promise.race([
+      Order.find().sort({ orderDate: -1 }),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Orders query timed out')), 5000)
+      )
+    ]);
     
-    const duration = Date.now() - startTime;
-    console.log(`✅ Returning ${transformedProducts.length} products (took ${duration}ms)`);
+    console.log('📤 [SERVER] Sending orders to client:', {
+      totalOrders: orders.length,
+      ordersWithScreenshots: orders.filter(o => o.paymentScreenshot?.imageUrl || o.paymentScreenshot?.data).length
+    });
     
-    // Set cache headers
-    res.set('Cache-Control', 'public, max-age=60');
-    res.json(transformedProducts);
+    res.json(orders);
   } catch (error) {
-    console.error('❌ Error fetching products:', error.message);
+    console.error('❌ [SERVER] Error fetching orders:', error.message);
     
-    // Return fallback data on any error
-    console.log('⚠️ Using fallback products due to database error');
-    res.set('Cache-Control', 'public, max-age=30');
-    res.json(fallbackProducts);
+    if (error.message.includes('timed out')) {
+      console.log('⚠️ [SERVER] Orders query timed out, returning empty array');
+      return res.json([]);
+    }
+    
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Create a new product
-app.post('/api/products', async (req, res) => {
+// Remove the screenshot of an order that was never placed - unless another order has the same image
+const discardOrderScreenshot = async (screenshot) => {
+  if (!screenshot) return;
   try {
-    console.log('📦 [SERVER] Creating new product:', req.body.name);
+    if (!(await Order.exists({ 'paymentScreenshot.imageUrl': screenshot.url }))) {
+      await mediaStore.remove(screenshot.key);
+    }
+  } catch (error) {
+    console.error('⚠️ Could not remove unused payment screenshot:', error.message);
+  }
+};
+
+app.post('/api/orders', acceptImage('paymentScreenshot'), async (req, res) => {
+  try {
+    // Multipart requests carry the order as a JSON "order" field next to the screenshot file
+    let body = req.body;
+    if (typeof req.body.order === 'string') {
+      try {
+        body = JSON.parse(req.body.order);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid order data' });
+      }
+    }
+
+    console.log('📥 Received order data:', {
+      itemCount: body.items?.length,
+      hasScreenshotFile: !!req.file,
+      screenshotSize: req.file?.size,
+      hasInlineScreenshot: !!body.paymentScreenshot?.data,
+      paymentMethod: body.paymentMethod
+    });
     
-    // Check if mongoose is connected
+    // Older clients send the screenshot inline as a data URL
+    if (body.paymentScreenshot && body.paymentScreenshot.data) {
+      if (!body.paymentScreenshot.data.startsWith('data:image/')) {
+        console.error('❌ Invalid screenshot data format');
+        return res.status(400).json({ error: 'Invalid screenshot data format' });
+      }
+    }
+    
+    const customer = normalizeOrderCustomer(body.customer);
+    if (!PAYMENT_METHODS.includes(body.paymentMethod)) {
+      return res.status(400).json({ error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
     if (mongoose.connection.readyState !== 1) {
-      console.log('⚠️ Database not connected, cannot create product');
-      return res.status(503).json({ 
+      return res.status(503).json({
         error: 'Database not available. Please try again later.',
-        offline: true 
+        offline: true
+      });
+    }
+
+    // Price every line from the database
+    const pricing = await priceOrderItems(body.items);
+
+    // The client's total is only used to detect a stale cart
+    if (body.total !== undefined && Math.abs(Number(body.total) - pricing.total) > 0.5) {
+      console.log(`⚠️ Order total mismatch: client ₹${body.total}, server ₹${pricing.total}`);
+      return res.status(409).json({
+        error: `Prices have changed since you added these items. The correct total is ₹${pricing.total.toLocaleString('en-IN')}.`,
+        code: 'TOTAL_MISMATCH',
+        clientTotal: Number(body.total),
+        ...pricing
       });
     }
 
-    const product = new Product(req.body);
+    // Store the screenshot in the media store - only its URL goes into the order document.
+    // Done before stock is taken, so a rejected image doesn't hold on to any units.
+    const screenshotBuffer = req.file ? req.file.buffer : decodeDataUrl(body.paymentScreenshot?.data);
+    const screenshot = screenshotBuffer ? await mediaStore.saveImage(screenshotBuffer) : null;
+
+    // Take the items out of stock before the order exists, so two customers can't buy the last unit
+    try {
+      await reserveStock(pricing.items);
+    } catch (error) {
+      await discardOrderScreenshot(screenshot);
+      throw error;
+    }
+
+    // Create order object explicitly - the order number and status always come from the server
+    const status = getInitialOrderStatus({ hasPaymentScreenshot: !!screenshot });
+    const orderData = {
+      customer,
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      total: pricing.total,
+      paymentMethod: body.paymentMethod,
+      status,
+      statusHistory: [{
+        from: '',
+        to: status,
+        note: 'Order placed',
+        changedBy: { name: customer.name, role: 'customer' }
+      }],
+      orderDate: new Date() // Never taken from the browser - revenue reports and receipts depend on it
+    };
     
-    // Add timeout to save operation
-    const savedProduct = await Promise.race([
-      product.save(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Save operation timed out')), 8000)
-      )
-    ]);
+    if (screenshot) {
+      orderData.paymentScreenshot = {
+        imageUrl: screenshot.url,
+        fileName: req.file ? req.file.originalname : body.paymentScreenshot.fileName,
+        uploadTime: body.paymentScreenshot?.uploadTime || new Date().toISOString()
+      };
+      console.log('📸 Screenshot stored:', screenshot.key);
+    }
     
-    const transformedProduct = {
-      ...savedProduct.toObject(),
-      id: savedProduct._id.toString()
-    };
+    // Anything failing from here on gives the reserved units back
+    let savedOrder;
+    try {
+      orderData.orderId = await generateOrderNumber();
+      savedOrder = await new Order(orderData).save();
+    } catch (error) {
+      await releaseStock(pricing.items);
+      await discardOrderScreenshot(screenshot);
+      throw error;
+    }
     
-    // Invalidate cache
-    productsCache = null;
+    console.log('✅ Order saved to MongoDB:', {
+      orderId: savedOrder.orderId,
+      hasScreenshot: !!savedOrder.paymentScreenshot?.imageUrl
+    });
     
-    console.log('✅ [SERVER] Product created successfully:', transformedProduct.id);
-    io.emit('product-added', transformedProduct);
-    res.json(transformedProduct);
-  } catch (error) {
-    console.error('❌ [SERVER] Error creating product:', error.message);
+    broadcastOrderEvent('order-added', savedOrder);
+    console.log('📡 Order broadcasted to owner portal');
     
-    if (error.message.includes('timed out') || error.message.includes('buffering timed out')) {
-      return res.status(504).json({ 
-        error: 'Database operation timed out. Please check your connection and try again.',
-        timeout: true 
-      });
+    res.json(savedOrder);
+  } catch (error) {
+    if (error.status) {
+      console.log('⚠️ Order rejected:', error.message);
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Error saving order:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Contact details staff may correct on a placed order. Items, totals and dates are set
+// by the server, status and payment only change through their own endpoints below
+const ORDER_CUSTOMER_FIELDS = ['name', 'phone', 'email', 'address'];
+
+app.put('/api/orders/:orderId', requirePermission('orders:update'), async (req, res) => {
+  try {
+    const customer = req.body?.customer && typeof req.body.customer === 'object' ? req.body.customer : {};
+    const updates = {};
+    for (const field of ORDER_CUSTOMER_FIELDS) {
+      if (field in customer) {
+        updates[`customer.${field}`] = String(customer[field] ?? '').trim().slice(0, 500);
+      }
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: `Only the customer's ${ORDER_CUSTOMER_FIELDS.join(', ')} can be changed` });
+    }
+
+    const order = await Order.findOneAndUpdate(
+      { orderId: req.params.orderId },
+      { $set: updates },
+      { new: true }
+    );
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    broadcastOrderEvent('order-updated', order);
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move an order to a new status and log who did it - throws an HTTP error for illegal moves
+const transitionOrderStatus = async (orderId, status, user, note = '', updates = {}) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw createHttpError(400, `Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  const order = await Order.findOne({ orderId });
+  if (!order) {
+    throw createHttpError(404, 'Order not found');
+  }
+
+  if (!canTransitionOrder(order.status, status)) {
+    const allowedStatuses = getNextOrderStatuses(order.status);
+    throw createHttpError(409, allowedStatuses.length > 0
+      ? `An order that is ${order.status} can only be moved to: ${allowedStatuses.join(', ')}`
+      : `An order that is ${order.status} can no longer be changed`,
+      { currentStatus: order.status, allowedStatuses });
+  }
+
+  // Only apply the move if nobody changed the status in the meantime
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { ...updates, status },
+      $push: {
+        statusHistory: {
+          from: order.status,
+          to: status,
+          note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+          changedBy: {
+            userId: user._id.toString(),
+            name: user.name,
+            role: user.role
+          },
+          changedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    throw createHttpError(409, 'This order was updated by someone else. Please refresh and try again.');
+  }
+
+  // Cancelled orders give their reserved stock back
+  if (status === 'Cancelled' && updatedOrder.items.some(item => item.reservedQuantity > 0)) {
+    await releaseStock(updatedOrder.items);
+    await updatedOrder.save();
+  }
+
+  console.log(`📦 Order ${updatedOrder.orderId}: ${order.status} → ${status} by ${user.phone}`);
+  broadcastOrderEvent('order-updated', updatedOrder);
+  return updatedOrder;
+};
+
+// Move an order to its next status - only transitions allowed by the workflow are accepted
+app.post('/api/orders/:orderId/status', requirePermission('orders:update'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (PAYMENT_VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Use payment verification to mark an order as Paid or Payment Rejected' });
+    }
+
+    const order = await transitionOrderStatus(req.params.orderId, status, req.user, note);
+    res.json(order);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Error updating order status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record the outcome of checking a UPI payment screenshot and move the order to Paid or Payment Rejected
+app.post('/api/orders/:orderId/verify-payment', requirePermission('payments:verify'), async (req, res) => {
+  try {
+    const { decision, upiReference, amountReceived, reason } = req.body;
+
+    if (decision !== 'approve' && decision !== 'reject') {
+      return res.status(400).json({ error: 'Decision must be approve or reject' });
+    }
+
+    const verification = {
+      decision,
+      verifiedBy: {
+        userId: req.user._id.toString(),
+        name: req.user.name,
+        role: req.user.role
+      },
+      verifiedAt: new Date()
+    };
+    let note;
+
+    if (decision === 'approve') {
+      const amount = Number(amountReceived);
+      if (!upiReference || typeof upiReference !== 'string' || !upiReference.trim()) {
+        return res.status(400).json({ error: 'UPI transaction reference is required' });
+      }
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Amount received must be a positive number' });
+      }
+      verification.upiReference = upiReference.trim().slice(0, 100);
+      verification.amountReceived = amount;
+      note = `UPI ref ${verification.upiReference}, received ₹${amount.toLocaleString('en-IN')}`;
+    } else {
+      if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to reject a payment' });
+      }
+      verification.reason = reason.trim().slice(0, 500);
+      if (upiReference) verification.upiReference = String(upiReference).trim().slice(0, 100);
+      note = verification.reason;
+    }
+
+    const order = await transitionOrderStatus(
+      req.params.orderId,
+      decision === 'approve' ? 'Paid' : 'Payment Rejected',
+      req.user,
+      note,
+      { paymentVerification: verification }
+    );
+    res.json(order);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
-    
+    console.error('❌ Error verifying payment:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update a product
-app.patch('/api/products/:id', async (req, res) => {
+// Issue the order's GST invoice the first time it is asked for - takes the next number in the
+// financial year's series. Requests for the same order at the same moment share one issue
+// so no invoice number is skipped.
+const invoicesInProgress = new Map();
+
+const issueInvoice = async (order) => {
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const seq = await nextSequence(`invoice-${financialYear}`);
+
+  const productIds = order.items.map(item => item.productId).filter(id => mongoose.isValidObjectId(id));
+  const products = await Product.find({ _id: { $in: productIds } }).select('category taxClass hsnCode').lean();
+  const lines = buildInvoiceLines(order.items, new Map(products.map(product => [product._id.toString(), product])));
+
+  const invoice = {
+    number: formatInvoiceNumber(financialYear, seq),
+    financialYear,
+    issuedAt,
+    seller: getShopDetails(),
+    lines,
+    totals: sumInvoiceLines(lines)
+  };
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, 'invoice.number': { $exists: false } },
+    { $set: { invoice } },
+    { new: true }
+  );
+  if (!updatedOrder) {
+    console.log(`⚠️ Invoice ${invoice.number} was not used - order ${order.orderId} already has an invoice`);
+    return Order.findById(order._id);
+  }
+
+  console.log(`🧾 Invoice ${invoice.number} issued for order ${order.orderId}`);
+  return updatedOrder;
+};
+
+// Download the GST tax invoice for an order as a PDF
+app.get('/api/orders/:orderId/invoice', requirePermission('orders:read'), async (req, res) => {
   try {
-    console.log('🔄 [SERVER] Updating product:', req.params.id);
-    
-    // Check if mongoose is connected
-    if (mongoose.connection.readyState !== 1) {
-      console.log('⚠️ Database not connected, cannot update product');
-      return res.status(503).json({ 
-        error: 'Database not available. Please try again later.',
-        offline: true 
-      });
+    let order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Add timeout to update operation
-    const product = await Promise.race([
-      Product.findByIdAndUpdate(
-        req.params.id,
-        { $set: req.body },
-        { new: true }
-      ),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Update operation timed out')), 8000)
-      )
-    ]);
-
-    console.log("product id: ", product._id)
+    if (!order.invoice?.number) {
+      if (!INVOICEABLE_STATUSES.includes(order.status)) {
+        return res.status(409).json({
+          error: `An invoice can only be issued once the order is ${INVOICEABLE_STATUSES.join(', ')}`,
+          currentStatus: order.status
+        });
+      }
+      if (!getShopDetails().gstin) {
+        return res.status(503).json({ error: 'Set SHOP_GSTIN on the server before issuing tax invoices' });
+      }
 
-    if (!product) {
-      return res.status(404).json({ error: "Product not found" });
+      if (!invoicesInProgress.has(order.orderId)) {
+        invoicesInProgress.set(order.orderId, issueInvoice(order).finally(() => invoicesInProgress.delete(order.orderId)));
+      }
+      order = await invoicesInProgress.get(order.orderId);
     }
 
-    const transformedProduct = {
-      ...product.toObject(),
-      id: product._id.toString()
-    };
+    const pdf = await renderInvoicePdf(order);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="Invoice-${order.invoice.number.replace(/\//g, '-')}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('❌ Error generating invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Invalidate cache
-    productsCache = null;
+// Send receipt rows as an ESC/POS byte stream (?format=escpos, for a printer bridge or raw download)
+// or a narrow printable HTML page (?format=html). ?width=58|80 is the paper width in mm.
+const sendReceipt = (req, res, rows, name) => {
+  const format = req.query.format || 'escpos';
+  const paperWidth = Number(req.query.width || DEFAULT_PAPER_WIDTH);
+  if (!PAPER_WIDTHS[paperWidth]) {
+    throw createHttpError(400, `Paper width must be one of ${Object.keys(PAPER_WIDTHS).join(', ')} mm`);
+  }
 
-    console.log('✅ [SERVER] Product updated successfully:', transformedProduct.id);
-    io.emit('product-updated', transformedProduct);
+  res.set('Cache-Control', 'private, no-store');
+  if (format === 'html') {
+    return res.type('html').send(renderReceiptHtml(rows, { paperWidth, title: name }));
+  }
+  if (format !== 'escpos') {
+    throw createHttpError(400, 'Receipt format must be escpos or html');
+  }
 
-    res.json(transformedProduct);
+  res.set({
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${name}-${paperWidth}mm.bin"`
+  });
+  res.send(renderEscPos(rows, { paperWidth }));
+};
+
+// Print an order receipt on the counter's thermal printer
+app.get('/api/orders/:orderId/receipt', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    sendReceipt(req, res, buildOrderReceipt(order), `Receipt-${order.orderId}`);
   } catch (error) {
-    console.error('❌ [SERVER] Error updating product:', error.message);
+    if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+    console.error('❌ Error generating receipt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/orders/:orderId', requirePermission('orders:delete'), async (req, res) => {
+  try {
+    console.log('🗑️ Deleting order:', req.params.orderId);
+    const deletedOrder = await Order.findOneAndDelete({ orderId: req.params.orderId });
     
-    if (error.message.includes('timed out') || error.message.includes('buffering timed out')) {
-      return res.status(504).json({ 
-        error: 'Database operation timed out. Please check your connection and try again.',
-        timeout: true 
-      });
+    if (!deletedOrder) {
+      console.log('⚠️ Order not found:', req.params.orderId);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Like cancelling, deleting an order that was never delivered puts its units back on sale
+    // (a cancelled order has already given them back)
+    if (deletedOrder.status !== 'Delivered') {
+      await releaseStock(deletedOrder.items);
     }
     
+    console.log('✅ Order deleted successfully:', req.params.orderId);
+    broadcastOrderEvent('order-deleted', { orderId: req.params.orderId });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting order:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/products/:id', async (req, res) => {
-  try {
-    const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+// Supplier Routes
+const SUPPLIER_FIELDS = ['name', 'contactName', 'phone', 'email', 'gstin', 'address', 'notes', 'active'];
 
-    if (!deletedProduct) {
-      return res.status(404).json({ error: "Product not found" });
+const pickSupplierFields = (body) => {
+  const fields = {};
+  for (const field of SUPPLIER_FIELDS) {
+    if (field in body) {
+      fields[field] = field === 'active' ? !!body[field] : String(body[field] ?? '').trim().slice(0, 500);
     }
+  }
+  return fields;
+};
 
-    // Invalidate cache
-    productsCache = null;
+app.get('/api/suppliers', requirePermission('purchasing:read'), async (req, res) => {
+  try {
+    const suppliers = await Supplier.find().sort({ active: -1, name: 1 });
+    res.json(suppliers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    io.emit('product-deleted', { id: req.params.id });
+app.post('/api/suppliers', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const fields = pickSupplierFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
 
-    res.json({ success: true });
+    const supplier = await Supplier.create(fields);
+    console.log('✅ Supplier added:', supplier.name);
+    res.status(201).json(supplier);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Tracking Routes
-app.get('/api/tracking', async (req, res) => {
+app.patch('/api/suppliers/:id', requirePermission('purchasing:manage'), async (req, res) => {
   try {
-    const tracking = await Tracking.find().sort({ createdAt: -1 });
-    res.json(tracking);
+    const fields = pickSupplierFields(req.body);
+    if ('name' in fields && !fields.name) {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const supplier = await Supplier.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json(supplier);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/tracking', async (req, res) => {
+// Suppliers that have purchase orders are kept for the records - deactivate them instead
+app.delete('/api/suppliers/:id', requirePermission('purchasing:manage'), async (req, res) => {
   try {
-    const tracking = new Tracking(req.body);
-    await tracking.save();
-    io.emit('tracking-added', tracking);
-    res.json(tracking);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    if (await PurchaseOrder.exists({ supplierId: req.params.id })) {
+      return res.status(409).json({ error: 'This supplier has purchase orders. Deactivate it instead.' });
+    }
+
+    const supplier = await Supplier.findByIdAndDelete(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/tracking/:qrId', async (req, res) => {
+// Purchase Order Routes
+
+const MAX_PURCHASE_QUANTITY = 9999;
+
+// Check requested purchase lines against the Product collection - names come from the catalog
+const buildPurchaseItems = async (requestedItems) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw createHttpError(400, 'A purchase order needs at least one item');
+  }
+
+  const productIds = requestedItems.map(item => String(item.productId));
+  if (productIds.some(id => !mongoose.isValidObjectId(id))) {
+    throw createHttpError(400, 'Every item needs a valid product');
+  }
+  if (new Set(productIds).size !== productIds.length) {
+    throw createHttpError(400, 'Each product can only appear once - combine the quantities');
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } }).select('name').lean();
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return requestedItems.map((item, index) => {
+    const product = productsById.get(productIds[index]);
+    const quantityOrdered = Number(item.quantityOrdered);
+    const unitCost = Number(item.unitCost);
+
+    if (!product) {
+      throw createHttpError(400, 'A product on this purchase order no longer exists', { productId: productIds[index] });
+    }
+    if (!Number.isInteger(quantityOrdered) || quantityOrdered < 1 || quantityOrdered > MAX_PURCHASE_QUANTITY) {
+      throw createHttpError(400, `Quantity for ${product.name} must be a whole number from 1 to ${MAX_PURCHASE_QUANTITY}`);
+    }
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      throw createHttpError(400, `Unit cost for ${product.name} must be 0 or more`);
+    }
+
+    return { productId: product._id, name: product.name, quantityOrdered, unitCost };
+  });
+};
+
+const parseExpectedDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, 'Expected date is not a valid date');
+  }
+  return date;
+};
+
+const staffStamp = (user) => ({
+  userId: user._id.toString(),
+  name: user.name,
+  role: user.role
+});
+
+// Purchase orders hold supplier prices - only staff who can see purchasing get the events
+const broadcastPurchaseOrderEvent = (purchaseOrder) => {
+  ownerIo.to('perm:purchasing:read').emit('purchase-order-updated', purchaseOrder);
+};
+
+app.get('/api/purchase-orders', requirePermission('purchasing:read'), async (req, res) => {
   try {
-    const tracking = await Tracking.findOneAndUpdate(
-      { qrId: req.params.qrId },
-      req.body,
-      { new: true }
-    );
-    io.emit('tracking-updated', tracking);
-    res.json(tracking);
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.supplierId && mongoose.isValidObjectId(req.query.supplierId)) {
+      filter.supplierId = req.query.supplierId;
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(filter).sort({ createdAt: -1 }).limit(200);
+    res.json(purchaseOrders);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/tracking/:qrId', async (req, res) => {
+app.get('/api/purchase-orders/:poNumber', requirePermission('purchasing:read'), async (req, res) => {
   try {
-    await Tracking.findOneAndDelete({ qrId: req.params.qrId });
-    io.emit('tracking-deleted', { qrId: req.params.qrId });
-    res.json({ success: true });
+    const purchaseOrder = await PurchaseOrder.findOne({ poNumber: req.params.poNumber });
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    res.json(purchaseOrder);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Order Routes
-app.get('/api/orders', async (req, res) => {
+app.post('/api/purchase-orders', requirePermission('purchasing:manage'), async (req, res) => {
   try {
-    console.log('📡 [SERVER] Loading orders from database...');
-    
-    // Check if mongoose is connected
-    if (mongoose.connection.readyState !== 1) {
-      console.log('⚠️ Database not connected, returning empty orders');
-      return res.json([]);
+    const { supplierId, items, expectedDate, notes, status = 'Draft' } = req.body;
+
+    if (!['Draft', 'Ordered'].includes(status)) {
+      return res.status(400).json({ error: 'A new purchase order must be Draft or Ordered' });
     }
-    
-    // Add timeout to orders query
-    const orders = await Promise.race([
-      Order.find().sort({ orderDate: -1 }),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Orders query timed out')), 5000)
-      )
-    ]);
-    
-    console.log('📤 [SERVER] Sending orders to client:', {
-      totalOrders: orders.length,
-      ordersWithScreenshots: orders.filter(o => o.paymentScreenshot?.data).length
-    });
-    
-    // Debug each order's screenshot data
-    orders.forEach((order, index) => {
-      if (order.paymentScreenshot) {
-        console.log(`📋 [SERVER] Order ${index + 1} screenshot:`, {
-          orderId: order.orderId,
-          hasScreenshotData: !!order.paymentScreenshot.data,
-          screenshotDataLength: order.paymentScreenshot.data?.length,
-          fileName: order.paymentScreenshot.fileName
-        });
-      }
+
+    const supplier = mongoose.isValidObjectId(supplierId) ? await Supplier.findById(supplierId) : null;
+    if (!supplier || !supplier.active) {
+      return res.status(400).json({ error: 'Choose an active supplier' });
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      poNumber: await generatePurchaseOrderNumber(),
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      status,
+      items: await buildPurchaseItems(items),
+      expectedDate: parseExpectedDate(expectedDate),
+      notes: typeof notes === 'string' ? notes.trim().slice(0, 1000) : '',
+      createdBy: staffStamp(req.user)
     });
-    
-    res.json(orders);
+
+    console.log(`✅ Purchase order ${purchaseOrder.poNumber} created for ${supplier.name}`);
+    broadcastPurchaseOrderEvent(purchaseOrder);
+    res.status(201).json(purchaseOrder);
   } catch (error) {
-    console.error('❌ [SERVER] Error fetching orders:', error.message);
-    
-    if (error.message.includes('timed out')) {
-      console.log('⚠️ [SERVER] Orders query timed out, returning empty array');
-      return res.json([]);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
-    
+    console.error('❌ Error creating purchase order:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/orders', async (req, res) => {
+// Edit lines, dates and notes before anything arrives, or move the order on (Ordered, Cancelled, Closed)
+app.patch('/api/purchase-orders/:poNumber', requirePermission('purchasing:manage'), async (req, res) => {
   try {
-    console.log('📥 Received order data:', {
-      orderId: req.body.orderId,
-      hasScreenshot: !!req.body.paymentScreenshot,
-      screenshotDataLength: req.body.paymentScreenshot?.data?.length,
-      screenshotDataType: typeof req.body.paymentScreenshot?.data,
-      screenshotDataPreview: req.body.paymentScreenshot?.data?.substring(0, 50),
-      paymentMethod: req.body.paymentMethod,
-      fileName: req.body.paymentScreenshot?.fileName
-    });
-    
-    // Validate screenshot data if present
-    if (req.body.paymentScreenshot && req.body.paymentScreenshot.data) {
-      if (!req.body.paymentScreenshot.data.startsWith('data:image/')) {
-        console.error('❌ Invalid screenshot data format');
-        return res.status(400).json({ error: 'Invalid screenshot data format' });
-      }
-      
-      if (req.body.paymentScreenshot.data.length > 10 * 1024 * 1024) { // 10MB limit
-        console.error('❌ Screenshot data too large:', req.body.paymentScreenshot.data.length);
-        return res.status(400).json({ error: 'Screenshot data too large' });
+    const purchaseOrder = await PurchaseOrder.findOne({ poNumber: req.params.poNumber });
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    const { items, expectedDate, notes, status } = req.body;
+
+    if (items !== undefined) {
+      if (!EDITABLE_STATUSES.includes(purchaseOrder.status)) {
+        return res.status(409).json({ error: `Items can't be changed once a purchase order is ${purchaseOrder.status}` });
       }
+      purchaseOrder.items = await buildPurchaseItems(items);
     }
-    
-    // Create order object explicitly
-    const orderData = {
-      orderId: req.body.orderId,
-      customer: req.body.customer,
-      items: req.body.items,
-      total: req.body.total,
-      paymentMethod: req.body.paymentMethod,
-      status: req.body.status || 'Pending',
-      orderDate: req.body.orderDate || new Date()
-    };
-    
-    // Process screenshot data if present - store base64 directly in database only (no file saving)
-    if (req.body.paymentScreenshot && req.body.paymentScreenshot.data) {
-      console.log('📸 Processing screenshot - storing in database only (no file saving)...');
-      
-      orderData.paymentScreenshot = {
-        data: req.body.paymentScreenshot.data, // Store base64 directly in database only
-        fileName: req.body.paymentScreenshot.fileName,
-        uploadTime: req.body.paymentScreenshot.uploadTime
-      };
-      
-      console.log('📸 Screenshot stored in database only:', {
-        hasData: !!orderData.paymentScreenshot.data,
-        fileName: orderData.paymentScreenshot.fileName,
-        dataLength: orderData.paymentScreenshot.data.length,
-        note: 'No file saved to disk'
-      });
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = parseExpectedDate(expectedDate);
+    if (typeof notes === 'string') purchaseOrder.notes = notes.trim().slice(0, 1000);
+
+    if (status !== undefined && status !== purchaseOrder.status) {
+      if (!canTransitionPurchaseOrder(purchaseOrder.status, status)) {
+        const allowedStatuses = getNextPurchaseOrderStatuses(purchaseOrder.status);
+        return res.status(409).json({
+          error: allowedStatuses.length > 0
+            ? `A purchase order that is ${purchaseOrder.status} can only be moved to: ${allowedStatuses.join(', ')}`
+            : `A purchase order that is ${purchaseOrder.status} can no longer be changed`,
+          currentStatus: purchaseOrder.status,
+          allowedStatuses
+        });
+      }
+      purchaseOrder.status = status;
     }
-    
-    const order = new Order(orderData);
-    const savedOrder = await order.save();
-    
-    console.log('✅ Order saved to MongoDB:', {
-      orderId: savedOrder.orderId,
-      hasScreenshot: !!savedOrder.paymentScreenshot,
-      hasImageUrl: !!savedOrder.paymentScreenshot?.imageUrl,
-      screenshotDataLength: savedOrder.paymentScreenshot?.data?.length,
-      screenshotSavedCorrectly: savedOrder.paymentScreenshot?.data?.startsWith('data:image/'),
-      allFields: Object.keys(savedOrder.toObject())
-    });
-    
-    io.emit('order-added', savedOrder);
-    console.log('📡 Order broadcasted via socket');
-    
-    res.json(savedOrder);
+
+    purchaseOrder.increment(); // Fail rather than overwrite a delivery booked in meanwhile
+    await purchaseOrder.save();
+
+    broadcastPurchaseOrderEvent(purchaseOrder);
+    res.json(purchaseOrder);
   } catch (error) {
-    console.error('❌ Error saving order:', error);
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ error: 'This purchase order was updated by someone else. Please refresh and try again.' });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Error updating purchase order:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/orders/:orderId', async (req, res) => {
+// Book in a delivery: adds the units to Product stock and records the landed cost per unit
+app.post('/api/purchase-orders/:poNumber/receive', requirePermission('purchasing:receive'), async (req, res) => {
   try {
-    const order = await Order.findOneAndUpdate(
-      { orderId: req.params.orderId },
-      req.body,
-      { new: true }
-    );
-    io.emit('order-updated', order);
-    res.json(order);
+    const purchaseOrder = await PurchaseOrder.findOne({ poNumber: req.params.poNumber });
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+      return res.status(409).json({ error: `Deliveries can't be booked in against a purchase order that is ${purchaseOrder.status}` });
+    }
+
+    const { items, extraCharges = 0, supplierInvoice, note } = req.body;
+    const charges = Number(extraCharges) || 0;
+    if (charges < 0) {
+      return res.status(400).json({ error: 'Extra charges must be 0 or more' });
+    }
+
+    const requestedLines = (Array.isArray(items) ? items : []).filter(item => Number(item?.quantity) > 0);
+    if (requestedLines.length === 0) {
+      return res.status(400).json({ error: 'Enter the quantity received for at least one item' });
+    }
+    // Each line is checked against what is still to come, so two lines for one product could over-receive
+    const receivedIds = requestedLines.map(item => String(item.productId));
+    if (new Set(receivedIds).size !== receivedIds.length) {
+      return res.status(400).json({ error: 'Each product can only appear once - combine the quantities' });
+    }
+
+    const lines = requestedLines.map(requested => {
+      const item = purchaseOrder.items.find(line => line.productId.toString() === String(requested.productId));
+      if (!item) {
+        throw createHttpError(400, 'A received item is not on this purchase order', { productId: requested.productId });
+      }
+
+      const quantity = Number(requested.quantity);
+      const outstanding = item.quantityOrdered - item.quantityReceived;
+      if (!Number.isInteger(quantity) || quantity > outstanding) {
+        throw createHttpError(400, `Only ${outstanding} of ${item.name} are still to come`, { productId: requested.productId });
+      }
+
+      const unitCost = requested.unitCost === undefined || requested.unitCost === '' ? item.unitCost : Number(requested.unitCost);
+      if (!Number.isFinite(unitCost) || unitCost < 0) {
+        throw createHttpError(400, `Unit cost for ${item.name} must be 0 or more`);
+      }
+
+      return { item, productId: item.productId, name: item.name, quantity, unitCost };
+    });
+
+    const receiptItems = allocateLandedCost(lines, charges).map(({ item, ...line }) => {
+      item.landedUnitCost = averageLandedCost(item.quantityReceived, item.landedUnitCost, line.quantity, line.landedUnitCost);
+      item.quantityReceived += line.quantity;
+      return line;
+    });
+
+    purchaseOrder.receipts.push({
+      receivedBy: staffStamp(req.user),
+      supplierInvoice: typeof supplierInvoice === 'string' ? supplierInvoice.trim().slice(0, 100) : '',
+      extraCharges: charges,
+      note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+      items: receiptItems
+    });
+    purchaseOrder.status = getReceivedStatus(purchaseOrder.items);
+
+    // Save first - a concurrent booking of the same delivery fails here instead of doubling the stock
+    purchaseOrder.increment();
+    await purchaseOrder.save();
+
+    for (const line of receiptItems) {
+      const product = await receiveStock(line.productId, line.quantity, line.landedUnitCost);
+      if (!product) {
+        console.log(`⚠️ ${purchaseOrder.poNumber}: product ${line.name} no longer exists, stock not updated`);
+      }
+    }
+
+    console.log(`📥 ${purchaseOrder.poNumber}: received ${receiptItems.map(line => `${line.name} × ${line.quantity}`).join(', ')} by ${req.user.phone}`);
+    broadcastPurchaseOrderEvent(purchaseOrder);
+    res.json(purchaseOrder);
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ error: 'This purchase order was updated by someone else. Please refresh and try again.' });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Error receiving purchase order:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/orders/:orderId', async (req, res) => {
+// Only drafts can be deleted - anything sent to a supplier is cancelled instead
+app.delete('/api/purchase-orders/:poNumber', requirePermission('purchasing:manage'), async (req, res) => {
   try {
-    console.log('🗑️ Deleting order:', req.params.orderId);
-    const deletedOrder = await Order.findOneAndDelete({ orderId: req.params.orderId });
-    
-    if (!deletedOrder) {
-      console.log('⚠️ Order not found:', req.params.orderId);
-      return res.status(404).json({ error: 'Order not found' });
+    const purchaseOrder = await PurchaseOrder.findOneAndDelete({ poNumber: req.params.poNumber, status: 'Draft' });
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Draft purchase order not found' });
     }
-    
-    console.log('✅ Order deleted successfully:', req.params.orderId);
-    io.emit('order-deleted', { orderId: req.params.orderId });
+    ownerIo.to('perm:purchasing:read').emit('purchase-order-deleted', { poNumber: req.params.poNumber });
     res.json({ success: true });
   } catch (error) {
-    console.error('❌ Error deleting order:', error);
     res.status(500).json({ error: error.message });
   }
 });
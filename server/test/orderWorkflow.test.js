@@ -0,0 +1,27 @@
+// Order workflow - which orders count towards revenue
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeRevenue } = require('../orderWorkflow');
+
+test('summarizeRevenue leaves out rejected payments and cancelled orders', () => {
+  const summary = summarizeRevenue([
+    { _id: 'Paid', total: 12000, orders: 2 },
+    { _id: 'Delivered', total: 4500, orders: 1 },
+    { _id: 'Payment Rejected', total: 30000, orders: 1 },
+    { _id: 'Cancelled', total: 800, orders: 1 }
+  ]);
+  assert.strictEqual(summary.revenue, 16500);
+  assert.strictEqual(summary.orders, 3);
+});
+
+test('summarizeRevenue reports unchecked UPI payments separately', () => {
+  const summary = summarizeRevenue([
+    { _id: 'Pending', total: 999, orders: 1 },
+    { _id: 'Payment Verification Pending', total: 25000, orders: 2 }
+  ]);
+  assert.deepStrictEqual(summary, { revenue: 999, orders: 1, unverified: { revenue: 25000, orders: 2 } });
+});
+
+test('summarizeRevenue is zero with no orders', () => {
+  assert.deepStrictEqual(summarizeRevenue([]), { revenue: 0, orders: 0, unverified: { revenue: 0, orders: 0 } });
+});
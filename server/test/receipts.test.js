@@ -0,0 +1,14 @@
+// Receipt layout - wrapping item rows on narrow paper
+const test = require('node:test');
+const assert = require('node:assert');
+const { layoutReceipt } = require('../receipts');
+
+test('layoutReceipt keeps the indent of item rows', () => {
+  const lines = layoutReceipt([{ type: 'pair', left: '  2 x 450.00', right: '900.00' }], 32);
+  assert.deepStrictEqual(lines.map(line => line.text), ['  2 x 450.00'.padEnd(26) + '900.00']);
+});
+
+test('layoutReceipt keeps the indent on wrapped lines', () => {
+  const lines = layoutReceipt([{ type: 'text', text: '  Screen guard and back cover combo pack' }], 20);
+  assert.deepStrictEqual(lines.map(line => line.text), ['  Screen guard and', '  back cover combo', '  pack']);
+});
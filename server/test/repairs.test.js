@@ -0,0 +1,34 @@
+// Repair helpers - which request fields may reach a tracking record
+const test = require('node:test');
+const assert = require('node:assert');
+const { TRACKING_EDITABLE_FIELDS, pickTrackingFields } = require('../repairs');
+
+test('pickTrackingFields keeps the editable fields', () => {
+  const fields = pickTrackingFields({ status: 'In Progress', amountCharged: 1500, issue: 'Cracked screen', lastUpdated: '19/10/2026' });
+  assert.deepStrictEqual(fields, { status: 'In Progress', amountCharged: 1500, issue: 'Cracked screen', lastUpdated: '19/10/2026' });
+});
+
+test('pickTrackingFields drops operators, the QR ID and fields with their own routes', () => {
+  const fields = pickTrackingFields({
+    status: 'Completed',
+    qrId: 'RJ-20261019-99',
+    qrPassword: 'hijacked',
+    $set: { qrPassword: 'hijacked', 'quote.status': 'Approved', assignedTo: { userId: 'x' }, parts: [], warranty: {} },
+    $unset: { warranty: '' },
+    quote: { status: 'Approved' },
+    parts: [{ productId: 'abc', quantity: 1 }],
+    assignedTo: { userId: 'x' },
+    warranty: { terms: [] },
+    statusHistory: [],
+    completedAt: '2026-01-01',
+    promisedBy: '2030-01-01'
+  });
+  assert.deepStrictEqual(fields, { status: 'Completed' });
+  assert.ok(Object.keys(fields).every(field => TRACKING_EDITABLE_FIELDS.includes(field)));
+});
+
+test('pickTrackingFields ignores inherited keys and non-object bodies', () => {
+  assert.deepStrictEqual(pickTrackingFields(Object.create({ status: 'Completed' })), {});
+  assert.deepStrictEqual(pickTrackingFields(null), {});
+  assert.deepStrictEqual(pickTrackingFields('status'), {});
+});